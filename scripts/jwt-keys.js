@@ -0,0 +1,177 @@
+/**
+ * JWT Key Management
+ * 
+ * This script creates and retires the key files used to sign tokens with
+ * RS256 or ES256. Keys live in JWT_KEYS_DIRECTORY as <kid>.pem; a retired key
+ * is replaced by <kid>.pub.pem, which keeps verifying tokens it signed but can
+ * no longer sign new ones.
+ * 
+ * Usage:
+ *   npm run jwt:keys -- generate [--kid <kid>] [--algorithm RS256|ES256]
+ *   npm run jwt:keys -- retire <kid>
+ *   npm run jwt:keys -- list
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../src/config/loader');
+const { JWT_ALGORITHMS } = require('../src/utils/constants');
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { command: 'list', kid: null, algorithm: null };
+  const args = [...argv];
+
+  if (args.length > 0 && !args[0].startsWith('--')) {
+    options.command = args.shift();
+  }
+
+  if (options.command === 'retire' && args.length > 0 && !args[0].startsWith('--')) {
+    options.kid = args.shift();
+  }
+
+  while (args.length > 0) {
+    const arg = args.shift();
+
+    switch (arg) {
+      case '--kid':
+        options.kid = args.shift();
+        break;
+      case '--algorithm':
+        options.algorithm = args.shift();
+        break;
+      default:
+        throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+
+  if (!['generate', 'retire', 'list'].includes(options.command)) {
+    throw new Error(`Unknown command '${options.command}'. Use generate, retire or list`);
+  }
+
+  if (options.kid && !KEY_ID_PATTERN.test(options.kid)) {
+    throw new Error('Key IDs can only contain letters, numbers, hyphens and underscores');
+  }
+
+  return options;
+}
+
+/**
+ * Resolve the keys directory from JWT_KEYS_DIRECTORY
+ */
+function getKeysDirectory() {
+  if (!config.jwt.keysDirectory) {
+    throw new Error('Set JWT_KEYS_DIRECTORY to the directory that holds the JWT keys');
+  }
+
+  return path.resolve(config.jwt.keysDirectory);
+}
+
+/**
+ * Create a new private key file
+ */
+function generateKey(options) {
+  const algorithm = options.algorithm ||
+    (config.jwt.algorithm === JWT_ALGORITHMS.HS256 ? JWT_ALGORITHMS.RS256 : config.jwt.algorithm);
+
+  if (algorithm === JWT_ALGORITHMS.HS256 || !Object.values(JWT_ALGORITHMS).includes(algorithm)) {
+    throw new Error('--algorithm must be RS256 or ES256');
+  }
+
+  const directory = getKeysDirectory();
+  const kid = options.kid || `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+  const keyPath = path.join(directory, `${kid}.pem`);
+
+  if (fs.existsSync(keyPath) || fs.existsSync(path.join(directory, `${kid}.pub.pem`))) {
+    throw new Error(`A key with ID '${kid}' already exists`);
+  }
+
+  const { privateKey } = algorithm === JWT_ALGORITHMS.RS256
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  console.log(`✅ Created ${algorithm} key '${kid}' at ${keyPath}`);
+  console.log(`   Set JWT_ACTIVE_KEY_ID=${kid} to sign new tokens with it.`);
+}
+
+/**
+ * Replace a private key file with its public key
+ */
+function retireKey(options) {
+  if (!options.kid) {
+    throw new Error('Usage: npm run jwt:keys -- retire <kid>');
+  }
+
+  if (options.kid === config.jwt.activeKeyId) {
+    throw new Error(`Key '${options.kid}' is the active key. Activate another key first`);
+  }
+
+  const directory = getKeysDirectory();
+  const keyPath = path.join(directory, `${options.kid}.pem`);
+
+  if (!fs.existsSync(keyPath)) {
+    throw new Error(`No private key file found for '${options.kid}'`);
+  }
+
+  const publicKey = crypto.createPublicKey(fs.readFileSync(keyPath));
+  fs.writeFileSync(path.join(directory, `${options.kid}.pub.pem`), publicKey.export({ type: 'spki', format: 'pem' }));
+  fs.unlinkSync(keyPath);
+
+  console.log(`✅ Retired key '${options.kid}'. It will verify existing tokens until its file is deleted.`);
+}
+
+/**
+ * List the key files in the keys directory
+ */
+function listKeys() {
+  const directory = getKeysDirectory();
+  const files = fs.existsSync(directory) ? fs.readdirSync(directory).filter(file => file.endsWith('.pem')).sort() : [];
+
+  if (files.length === 0) {
+    console.log(`No keys in ${directory}`);
+    return;
+  }
+
+  files.forEach(file => {
+    const kid = file.replace(/(\.pub)?\.pem$/, '');
+    const status = file.endsWith('.pub.pem')
+      ? 'retired (verify only)'
+      : kid === config.jwt.activeKeyId ? 'active' : 'signing key';
+    console.log(`${kid.padEnd(30)} ${status}`);
+  });
+}
+
+/**
+ * Main function
+ */
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    switch (options.command) {
+      case 'generate':
+        generateKey(options);
+        break;
+      case 'retire':
+        retireKey(options);
+        break;
+      default:
+        listKeys();
+    }
+
+  } catch (error) {
+    console.error('❌ JWT key command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
+
@@ -0,0 +1,248 @@
+/**
+ * Database Migration Runner
+ * 
+ * This script applies the migrations in scripts/migrations in filename order and
+ * records each applied migration in the `migrations` collection. A migration
+ * module exports `description`, `up(db)` and `down(db)`, where `db` is the
+ * native MongoDB database handle.
+ * 
+ * Usage:
+ *   npm run migrate                       Create indexes and apply pending migrations
+ *   npm run migrate -- up [--to <name>]   Apply pending migrations up to and including <name>
+ *   npm run migrate -- down [--steps <n>] Revert the last <n> applied migrations (default 1)
+ *   npm run migrate -- status             List applied and pending migrations
+ * 
+ * Add --dry-run to `up` or `down` to print the plan without changing anything.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { connectDatabase, disconnectDatabase, createIndexes } = require('../src/config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_COLLECTION = 'migrations';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { command: 'up', dryRun: false, to: null, steps: 1 };
+  const args = [...argv];
+
+  if (args.length > 0 && !args[0].startsWith('--')) {
+    options.command = args.shift();
+  }
+
+  while (args.length > 0) {
+    const arg = args.shift();
+
+    switch (arg) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--to':
+        options.to = args.shift();
+        break;
+      case '--steps':
+        options.steps = parseInt(args.shift());
+        if (!Number.isInteger(options.steps) || options.steps < 1) {
+          throw new Error('--steps must be a positive integer');
+        }
+        break;
+      default:
+        throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+
+  if (!['up', 'down', 'status'].includes(options.command)) {
+    throw new Error(`Unknown command '${options.command}'. Use up, down or status`);
+  }
+
+  return options;
+}
+
+/**
+ * Load migration modules sorted by filename
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration '${file}' must export up() and down() functions`);
+      }
+
+      return { name: path.basename(file, '.js'), ...migration };
+    });
+}
+
+/**
+ * Get applied migration records keyed by name
+ */
+async function getAppliedMigrations(db) {
+  const records = await db.collection(MIGRATIONS_COLLECTION)
+    .find({})
+    .sort({ name: 1 })
+    .toArray();
+
+  return new Map(records.map(record => [record.name, record]));
+}
+
+/**
+ * Apply pending migrations
+ */
+async function migrateUp(db, migrations, applied, { to, dryRun }) {
+  if (to && !migrations.some(migration => migration.name === to)) {
+    throw new Error(`Migration '${to}' does not exist`);
+  }
+
+  const pending = [];
+  for (const migration of migrations) {
+    if (!applied.has(migration.name)) {
+      pending.push(migration);
+    }
+    if (migration.name === to) {
+      break;
+    }
+  }
+
+  if (pending.length === 0) {
+    console.log('✅ No pending migrations');
+    return;
+  }
+
+  for (const migration of pending) {
+    if (dryRun) {
+      console.log(`   would apply ${migration.name}${migration.description ? ` - ${migration.description}` : ''}`);
+      continue;
+    }
+
+    const startTime = Date.now();
+    await migration.up(db);
+    const durationMs = Date.now() - startTime;
+
+    await db.collection(MIGRATIONS_COLLECTION).insertOne({
+      name: migration.name,
+      description: migration.description,
+      appliedAt: new Date(),
+      durationMs
+    });
+
+    console.log(`   applied ${migration.name} (${durationMs}ms)`);
+  }
+
+  console.log(dryRun
+    ? `📋 Dry run: ${pending.length} migration(s) would be applied`
+    : `✅ Applied ${pending.length} migration(s)`);
+}
+
+/**
+ * Revert the most recently applied migrations
+ */
+async function migrateDown(db, migrations, applied, { steps, dryRun }) {
+  const appliedMigrations = migrations.filter(migration => applied.has(migration.name));
+
+  const orphaned = [...applied.keys()].filter(name => !migrations.some(migration => migration.name === name));
+  if (orphaned.length > 0) {
+    throw new Error(`Applied migrations are missing from ${MIGRATIONS_DIR}: ${orphaned.join(', ')}`);
+  }
+
+  const toRevert = appliedMigrations.slice(-steps).reverse();
+
+  if (toRevert.length === 0) {
+    console.log('✅ No applied migrations to revert');
+    return;
+  }
+
+  for (const migration of toRevert) {
+    if (dryRun) {
+      console.log(`   would revert ${migration.name}`);
+      continue;
+    }
+
+    await migration.down(db);
+    await db.collection(MIGRATIONS_COLLECTION).deleteOne({ name: migration.name });
+
+    console.log(`   reverted ${migration.name}`);
+  }
+
+  console.log(dryRun
+    ? `📋 Dry run: ${toRevert.length} migration(s) would be reverted`
+    : `✅ Reverted ${toRevert.length} migration(s)`);
+}
+
+/**
+ * Print applied and pending migrations
+ */
+function printStatus(migrations, applied) {
+  console.log('📋 Migration status:');
+
+  for (const migration of migrations) {
+    const record = applied.get(migration.name);
+    const state = record ? `applied ${record.appliedAt.toISOString()}` : 'pending';
+    console.log(`   ${migration.name.padEnd(40)} ${state}`);
+  }
+
+  for (const name of applied.keys()) {
+    if (!migrations.some(migration => migration.name === name)) {
+      console.log(`   ${name.padEnd(40)} applied, file missing`);
+    }
+  }
+}
+
+/**
+ * Run the migration command
+ */
+async function run() {
+  let connected = false;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const migrations = loadMigrations();
+
+    await connectDatabase();
+    connected = true;
+
+    const db = mongoose.connection.db;
+    const applied = await getAppliedMigrations(db);
+
+    switch (options.command) {
+      case 'up':
+        if (!options.dryRun) {
+          await createIndexes();
+        }
+        await migrateUp(db, migrations, applied, options);
+        break;
+      case 'down':
+        await migrateDown(db, migrations, applied, options);
+        break;
+      case 'status':
+        printStatus(migrations, applied);
+        break;
+    }
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (connected) {
+      await disconnectDatabase().catch(() => {});
+    }
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  parseArgs,
+  loadMigrations,
+  migrateUp,
+  migrateDown
+};
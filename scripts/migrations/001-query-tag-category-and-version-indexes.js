@@ -0,0 +1,29 @@
+/**
+ * Migration: query tag, category and version indexes
+ * 
+ * Adds the `tags` and `category` indexes declared on the Query model and the
+ * unique (queryId, version) index that guards query version history.
+ */
+
+module.exports = {
+  description: 'Add query tag, category and version history indexes',
+
+  async up(db) {
+    await db.collection('queries').createIndexes([
+      { key: { tags: 1 }, name: 'tags_1' },
+      { key: { category: 1 }, name: 'category_1' }
+    ]);
+
+    await db.collection('queryversions').createIndex(
+      { queryId: 1, version: -1 },
+      { name: 'queryId_1_version_-1', unique: true }
+    );
+  },
+
+  async down(db) {
+    await db.collection('queries').dropIndex('tags_1').catch(() => {});
+    await db.collection('queries').dropIndex('category_1').catch(() => {});
+    await db.collection('queryversions').dropIndex('queryId_1_version_-1').catch(() => {});
+  }
+};
+
@@ -0,0 +1,26 @@
+/**
+ * Migration: mark existing users as email verified
+ * 
+ * Accounts created before email verification existed never received a
+ * verification link. They are treated as verified so that turning on the
+ * email verification policy does not lock them out.
+ */
+
+module.exports = {
+  description: 'Mark users created before email verification as verified',
+
+  async up(db) {
+    await db.collection('users').updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: null, emailVerificationBackfilled: true } }
+    );
+  },
+
+  async down(db) {
+    await db.collection('users').updateMany(
+      { emailVerificationBackfilled: true },
+      { $unset: { emailVerified: '', emailVerifiedAt: '', emailVerificationBackfilled: '' } }
+    );
+  }
+};
+
@@ -0,0 +1,40 @@
+/**
+ * Migration: create built-in roles
+ * 
+ * Users reference a role document by name. This creates the `user` and
+ * `admin` roles so existing users keep the access they had under the
+ * fixed two-role model, and adds the unique role name index.
+ */
+
+const { DEFAULT_ROLE_PERMISSIONS } = require('../../src/utils/constants');
+
+module.exports = {
+  description: 'Create the built-in user and admin roles',
+
+  async up(db) {
+    await db.collection('roles').createIndex({ name: 1 }, { name: 'name_1', unique: true });
+
+    const now = new Date();
+    for (const [name, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+      await db.collection('roles').updateOne(
+        { name },
+        {
+          $setOnInsert: {
+            name,
+            description: `Built-in ${name} role`,
+            permissions,
+            system: true,
+            createdAt: now,
+            updatedAt: now
+          }
+        },
+        { upsert: true }
+      );
+    }
+  },
+
+  async down(db) {
+    await db.collection('roles').deleteMany({ system: true });
+  }
+};
+
@@ -0,0 +1,49 @@
+/**
+ * Migration: create the university admin role
+ * 
+ * Adds the built-in `university_admin` role, which is scoped to the
+ * universities listed in each holder's `managedUniversities`, and marks
+ * every other role without a scope as global.
+ */
+
+const { USER_ROLES, ROLE_SCOPES, DEFAULT_ROLE_PERMISSIONS } = require('../../src/utils/constants');
+
+module.exports = {
+  description: 'Create the built-in university_admin role and add role scopes',
+
+  async up(db) {
+    const now = new Date();
+
+    // $set rather than $setOnInsert for scope: 003 may already have created the role without one
+    await db.collection('roles').updateOne(
+      { name: USER_ROLES.UNIVERSITY_ADMIN },
+      {
+        $set: { scope: ROLE_SCOPES.UNIVERSITY },
+        $setOnInsert: {
+          name: USER_ROLES.UNIVERSITY_ADMIN,
+          description: `Built-in ${USER_ROLES.UNIVERSITY_ADMIN} role`,
+          permissions: DEFAULT_ROLE_PERMISSIONS[USER_ROLES.UNIVERSITY_ADMIN],
+          system: true,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+
+    await db.collection('roles').updateMany(
+      { scope: { $exists: false } },
+      { $set: { scope: ROLE_SCOPES.GLOBAL } }
+    );
+  },
+
+  async down(db) {
+    await db.collection('users').updateMany(
+      { role: USER_ROLES.UNIVERSITY_ADMIN },
+      { $set: { role: USER_ROLES.USER }, $unset: { managedUniversities: '' } }
+    );
+    await db.collection('roles').deleteOne({ name: USER_ROLES.UNIVERSITY_ADMIN });
+    await db.collection('roles').updateMany({}, { $unset: { scope: '' } });
+  }
+};
+
@@ -0,0 +1,176 @@
+/**
+ * OpenID Connect Stub Provider
+ * 
+ * This script runs a minimal identity provider for trying out OIDC login
+ * locally. It approves every authorization request without a login page and
+ * signs ID tokens with a key generated at startup. Never expose it publicly.
+ * 
+ * The user is chosen with the `login_hint` parameter (an email address,
+ * default student@example.com); append it to the authorization URL.
+ * 
+ * Usage:
+ *   npm run oidc:stub -- [--port <port>] [--university <name>]
+ * 
+ * Matching provider configuration (OIDC_PROVIDERS):
+ *   [{ "id": "stub", "name": "Stub", "issuer": "http://localhost:9000", "clientId": "diyawanna-sup" }]
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const KEY_ID = 'stub-key';
+const CODE_TTL_MS = 60 * 1000;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { port: 9000, university: 'University of Colombo' };
+  const args = [...argv];
+
+  while (args.length > 0) {
+    const arg = args.shift();
+
+    switch (arg) {
+      case '--port':
+        options.port = parseInt(args.shift());
+        break;
+      case '--university':
+        options.university = args.shift();
+        break;
+      default:
+        throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Build the claims of the stub user for an email address
+ */
+function buildClaims(email, university) {
+  const localPart = email.split('@')[0];
+
+  return {
+    sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+    email,
+    email_verified: true,
+    name: localPart.replace(/[._-]+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()),
+    preferred_username: localPart,
+    university
+  };
+}
+
+/**
+ * Create the stub provider application
+ */
+function createProvider({ port, university }) {
+  const issuer = `http://localhost:${port}`;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce } = req.query;
+
+    if (req.query.response_type !== 'code' || req.query.code_challenge_method !== 'S256' || !redirectUri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      clientId,
+      redirectUri,
+      nonce,
+      codeChallenge: req.query.code_challenge,
+      claims: buildClaims(req.query.login_hint || 'student@example.com', university),
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const redirect = new URL(redirectUri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const clientId = req.body.client_id ||
+      Buffer.from((req.get('authorization') || '').replace(/^Basic /, ''), 'base64').toString().split(':')[0];
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+    if (!grant || grant.expiresAt < Date.now() || grant.clientId !== decodeURIComponent(clientId) ||
+      grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.claims);
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer,
+      audience: grant.clientId,
+      expiresIn: '5m'
+    });
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+    if (!claims) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(claims);
+  });
+
+  return app;
+}
+
+/**
+ * Main function
+ */
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    createProvider(options).listen(options.port, () => {
+      console.log(`🔑 OIDC stub provider running at http://localhost:${options.port}`);
+    });
+
+  } catch (error) {
+    console.error('❌ OIDC stub provider failed to start:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
+
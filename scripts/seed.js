@@ -0,0 +1,228 @@
+/**
+ * Database Seeding Script
+ * 
+ * This script creates the built-in roles, loads sample users, universities,
+ * faculties and carts from scripts/data/seed-data.json and every template
+ * from config/query-config.json.
+ * Records are matched on their natural keys and only created when missing, so
+ * the script can be run repeatedly without duplicating or overwriting data.
+ * 
+ * Usage: npm run seed
+ */
+
+require('dotenv').config();
+const { connectDatabase, disconnectDatabase, createIndexes } = require('../src/config/database');
+const User = require('../src/models/User');
+const Role = require('../src/models/Role');
+const University = require('../src/models/University');
+const Faculty = require('../src/models/Faculty');
+const Cart = require('../src/models/Cart');
+const Query = require('../src/models/Query');
+const QueryVersion = require('../src/models/QueryVersion');
+const seedData = require('./data/seed-data.json');
+const queryConfig = require('../config/query-config.json');
+
+const ADMIN_PASSWORD = process.env.SEED_ADMIN_PASSWORD || 'admin123';
+const USER_PASSWORD = process.env.SEED_USER_PASSWORD || 'password123';
+
+/**
+ * Create a document unless one already matches the filter
+ */
+async function findOrCreate(Model, filter, data, summary) {
+  const existing = await Model.findOne(filter);
+  if (existing) {
+    summary.skipped += 1;
+    return existing;
+  }
+
+  const document = new Model(data);
+  await document.save();
+  summary.created += 1;
+  return document;
+}
+
+/**
+ * Seed the built-in roles
+ */
+async function seedRoles() {
+  const result = await Role.ensureSystemRoles();
+  const total = await Role.countDocuments({ system: true });
+
+  return {
+    summary: { created: result.upsertedCount, skipped: total - result.upsertedCount }
+  };
+}
+
+/**
+ * Seed users (passwords are hashed by the User model; seeded emails count as verified)
+ */
+async function seedUsers() {
+  const summary = { created: 0, skipped: 0 };
+  const users = {};
+
+  for (const userData of seedData.users) {
+    const password = userData.role === 'admin' ? ADMIN_PASSWORD : USER_PASSWORD;
+    users[userData.username] = await findOrCreate(
+      User,
+      { username: userData.username },
+      { ...userData, password, emailVerified: true, emailVerifiedAt: new Date() },
+      summary
+    );
+  }
+
+  return { summary, users };
+}
+
+/**
+ * Seed universities
+ */
+async function seedUniversities() {
+  const summary = { created: 0, skipped: 0 };
+  const universities = {};
+
+  for (const universityData of seedData.universities) {
+    universities[universityData.name] = await findOrCreate(
+      University,
+      { name: universityData.name },
+      universityData,
+      summary
+    );
+  }
+
+  return { summary, universities };
+}
+
+/**
+ * Seed faculties and register them on their universities
+ */
+async function seedFaculties(universities) {
+  const summary = { created: 0, skipped: 0 };
+
+  for (const { university: universityName, ...facultyData } of seedData.faculties) {
+    const university = universities[universityName];
+    if (!university) {
+      throw new Error(`Faculty '${facultyData.name}' references unknown university '${universityName}'`);
+    }
+
+    await findOrCreate(
+      Faculty,
+      { name: facultyData.name, universityId: university._id },
+      { ...facultyData, universityId: university._id },
+      summary
+    );
+
+    await University.updateOne(
+      { _id: university._id },
+      { $addToSet: { faculties: facultyData.name } }
+    );
+  }
+
+  return { summary };
+}
+
+/**
+ * Seed carts for the sample users
+ */
+async function seedCarts(users) {
+  const summary = { created: 0, skipped: 0 };
+
+  for (const { user: username, ...cartData } of seedData.carts) {
+    const user = users[username];
+    if (!user) {
+      throw new Error(`Cart '${cartData.name}' references unknown user '${username}'`);
+    }
+
+    await findOrCreate(
+      Cart,
+      { name: cartData.name, userId: user._id },
+      { ...cartData, userId: user._id },
+      summary
+    );
+  }
+
+  return { summary };
+}
+
+/**
+ * Seed query templates from the query configuration, recording version 1 of each
+ */
+async function seedQueries(admin) {
+  const summary = { created: 0, skipped: 0 };
+
+  for (const templateData of Object.values(queryConfig.queries)) {
+    const existing = await Query.findOne({ name: templateData.name });
+    if (existing) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const queryDoc = new Query({
+      ...templateData,
+      tags: templateData.tags || [templateData.collection],
+      createdBy: admin._id
+    });
+    await queryDoc.save();
+    await QueryVersion.recordVersion(queryDoc, admin._id, 'create');
+    summary.created += 1;
+  }
+
+  return { summary };
+}
+
+/**
+ * Print a summary line for a collection
+ */
+function logSummary(collection, { created, skipped }) {
+  console.log(`   ${collection.padEnd(14)} ${created} created, ${skipped} already present`);
+}
+
+/**
+ * Run the seeding process
+ */
+async function seed() {
+  try {
+    await connectDatabase();
+    await createIndexes();
+
+    console.log('🌱 Seeding database...');
+
+    const { summary: roleSummary } = await seedRoles();
+    logSummary('roles', roleSummary);
+
+    const { summary: userSummary, users } = await seedUsers();
+    logSummary('users', userSummary);
+
+    const { summary: universitySummary, universities } = await seedUniversities();
+    logSummary('universities', universitySummary);
+
+    const { summary: facultySummary } = await seedFaculties(universities);
+    logSummary('faculties', facultySummary);
+
+    const { summary: cartSummary } = await seedCarts(users);
+    logSummary('carts', cartSummary);
+
+    const admin = Object.values(users).find(user => user.role === 'admin');
+    const { summary: querySummary } = await seedQueries(admin);
+    logSummary('queries', querySummary);
+
+    console.log('✅ Database seeded successfully');
+
+  } catch (error) {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDatabase().catch(() => {});
+  }
+}
+
+if (require.main === module) {
+  seed();
+}
+
+module.exports = {
+  seedUsers,
+  seedUniversities,
+  seedFaculties,
+  seedCarts,
+  seedQueries
+};
@@ -8,58 +8,76 @@
 require('dotenv').config();
 const app = require('./src/app');
 const { connectDatabase } = require('./src/config/database');
+const AuditLog = require('./src/models/AuditLog');
+const PerformanceService = require('./src/services/performanceService');
+const { config } = require('./src/config/loader');
+const MailService = require('./src/services/mailService');
+const { logger } = require('./src/utils/logger');
 
-const PORT = process.env.PORT || 8080;
-const NODE_ENV = process.env.NODE_ENV || 'development';
+const PORT = config.server.port;
+const HOST = config.server.host;
+const NODE_ENV = config.env;
 
 /**
  * Start the server
  */
 async function startServer() {
   try {
+    // Fail fast when mail.transport names a transport that is not registered
+    MailService.getTransport();
+
     // Connect to MongoDB
     await connectDatabase();
-    console.log('✅ Database connected successfully');
+    logger.info('Database connected');
+
+    // Let MongoDB delete audit entries older than the retention period
+    await AuditLog.applyRetention(config.audit.retentionDays);
 
     // Start the Express server
-    const server = app.listen(PORT, '0.0.0.0', () => {
-      console.log(`🚀 Server running in ${NODE_ENV} mode on port ${PORT}`);
-      console.log(`📡 API available at: http://localhost:${PORT}/api`);
-      console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
+    const server = app.listen(PORT, HOST, () => {
+      logger.info(`Server running in ${NODE_ENV} mode on port ${PORT}`, {
+        api: `http://localhost:${PORT}/api`,
+        health: `http://localhost:${PORT}/api/health`
+      });
     });
 
+    // Sample memory, CPU and event loop lag for /api/performance
+    if (config.performance.enabled) {
+      PerformanceService.start();
+    }
+
     // Graceful shutdown handling
     process.on('SIGTERM', () => {
-      console.log('🛑 SIGTERM received. Shutting down gracefully...');
+      logger.info('SIGTERM received. Shutting down gracefully');
       server.close(() => {
-        console.log('✅ Process terminated');
+        logger.info('Process terminated');
         process.exit(0);
       });
     });
 
     process.on('SIGINT', () => {
-      console.log('🛑 SIGINT received. Shutting down gracefully...');
+      logger.info('SIGINT received. Shutting down gracefully');
       server.close(() => {
-        console.log('✅ Process terminated');
+        logger.info('Process terminated');
         process.exit(0);
       });
     });
 
   } catch (error) {
-    console.error('❌ Failed to start server:', error.message);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
-  console.error('❌ Unhandled Promise Rejection:', err.message);
+  logger.error('Unhandled promise rejection', { error: err });
   process.exit(1);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.error('❌ Uncaught Exception:', err.message);
+  logger.error('Uncaught exception', { error: err });
   process.exit(1);
 });
 
@@ -7,13 +7,20 @@
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
-const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const { config } = require('./config/loader');
+const { getJwks } = require('./config/jwt');
 
 // Import middleware
+const { requestContext } = require('./middleware/requestContext');
+const { requestLogger } = require('./middleware/requestLogger');
+const { performanceMonitor } = require('./middleware/performanceMonitor');
+const { httpMetrics } = require('./middleware/httpMetrics');
+const { requireMetricsToken } = require('./middleware/auth');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFoundHandler } = require('./middleware/errorHandler');
+const MetricsController = require('./controllers/metricsController');
 
 // Import routes
 const routes = require('./routes');
@@ -24,6 +31,22 @@ const app = express();
 // Trust proxy for rate limiting and security
 app.set('trust proxy', 1);
 
+// Request ID and per-request context
+app.use(requestContext);
+
+// Request logging
+app.use(requestLogger);
+
+// Request timing for /api/performance
+if (config.performance.enabled) {
+  app.use(performanceMonitor);
+}
+
+// Request counts and durations for /metrics
+if (config.metrics.enabled) {
+  app.use(httpMetrics);
+}
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -31,11 +54,11 @@ app.use(helmet({
 
 // CORS configuration
 const corsOptions = {
-  origin: process.env.CORS_ORIGIN === '*' ? true : process.env.CORS_ORIGIN?.split(',') || ['http://localhost:3000'],
-  credentials: process.env.CORS_CREDENTIALS === 'true',
+  origin: config.cors.origin === '*' ? true : config.cors.origin,
+  credentials: config.cors.credentials,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-ID'],
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'X-Request-ID']
 };
 
 app.use(cors(corsOptions));
@@ -47,21 +70,13 @@ app.use(compression());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Logging middleware
-if (process.env.NODE_ENV !== 'test') {
-  const logFormat = process.env.NODE_ENV === 'production' 
-    ? 'combined' 
-    : 'dev';
-  app.use(morgan(logFormat));
-}
-
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.maxRequests, // limit each IP to maxRequests per windowMs
   message: {
     error: 'Too many requests from this IP, please try again later.',
-    retryAfter: Math.ceil((parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000) / 1000)
+    retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
@@ -75,11 +90,22 @@ app.get('/health', (req, res) => {
     status: 'UP',
     timestamp: new Date().toISOString(),
     version: process.env.npm_package_version || '1.0.0',
-    environment: process.env.NODE_ENV || 'development',
+    environment: config.env,
     uptime: process.uptime()
   });
 });
 
+// Public keys for verifying our tokens (empty with HS256)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+});
+
+// Prometheus metrics (outside /api, so scrapes are not rate limited)
+if (config.metrics.enabled) {
+  app.get('/metrics', requireMetricsToken, MetricsController.getMetrics);
+}
+
 // API routes
 app.use('/api', routes);
 
@@ -88,7 +114,7 @@ app.get('/', (req, res) => {
   res.status(200).json({
     message: 'Diyawanna Sup Backend API',
     version: process.env.npm_package_version || '1.0.0',
-    environment: process.env.NODE_ENV || 'development',
+    environment: config.env,
     documentation: '/api/docs',
     health: '/health'
   });
@@ -5,16 +5,19 @@
  */
 
 const NodeCache = require('node-cache');
+const { config } = require('./loader');
+const { logger, isLevelEnabled } = require('../utils/logger');
+const { LOG_LEVELS } = require('../utils/constants');
 
 /**
  * Cache configuration options
  */
 const cacheOptions = {
-  stdTTL: parseInt(process.env.CACHE_TTL) || 3600, // 1 hour default
+  stdTTL: config.cache.ttl,
   checkperiod: 600, // Check for expired keys every 10 minutes
   useClones: false, // Don't clone objects for better performance
   deleteOnExpire: true,
-  maxKeys: parseInt(process.env.CACHE_MAX_KEYS) || 1000
+  maxKeys: config.cache.maxKeys
 };
 
 /**
@@ -26,6 +29,8 @@ const caches = {
   faculties: new NodeCache({ ...cacheOptions, stdTTL: 3600 }), // 1 hour
   carts: new NodeCache({ ...cacheOptions, stdTTL: 900 }), // 15 minutes
   queries: new NodeCache({ ...cacheOptions, stdTTL: 7200 }), // 2 hours
+  roles: new NodeCache({ ...cacheOptions, stdTTL: 600 }), // 10 minutes
+  oidc: new NodeCache({ ...cacheOptions, stdTTL: 3600 }), // 1 hour
   performance: new NodeCache({ ...cacheOptions, stdTTL: 300 }) // 5 minutes
 };
 
@@ -193,7 +198,7 @@ function cacheMiddleware(cacheName, keyGenerator, ttl = null) {
 
       next();
     } catch (error) {
-      console.error('Cache middleware error:', error);
+      logger.error('Cache middleware error', { error });
       next();
     }
   };
@@ -206,26 +211,26 @@ function initializeCacheEvents() {
   Object.keys(caches).forEach(cacheName => {
     const cache = caches[cacheName];
     
-    cache.on('set', (key, value) => {
-      console.log(`📦 Cache SET [${cacheName}]: ${key}`);
+    cache.on('set', (key) => {
+      logger.debug('Cache set', { cache: cacheName, key });
     });
 
-    cache.on('del', (key, value) => {
-      console.log(`🗑️ Cache DEL [${cacheName}]: ${key}`);
+    cache.on('del', (key) => {
+      logger.debug('Cache delete', { cache: cacheName, key });
     });
 
-    cache.on('expired', (key, value) => {
-      console.log(`⏰ Cache EXPIRED [${cacheName}]: ${key}`);
+    cache.on('expired', (key) => {
+      logger.debug('Cache expired', { cache: cacheName, key });
     });
 
     cache.on('flush', () => {
-      console.log(`🧹 Cache FLUSH [${cacheName}]`);
+      logger.debug('Cache flush', { cache: cacheName });
     });
   });
 }
 
-// Initialize cache events in development
-if (process.env.NODE_ENV === 'development') {
+// Log cache events when debug logging is on
+if (isLevelEnabled(LOG_LEVELS.DEBUG)) {
   initializeCacheEvents();
 }
 
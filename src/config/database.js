@@ -5,75 +5,137 @@
  */
 
 const mongoose = require('mongoose');
+const { config } = require('./loader');
+const { logger } = require('../utils/logger');
+const { createHistogram, observe } = require('../utils/metrics');
+const { METRICS } = require('../utils/constants');
 
 /**
  * MongoDB connection options
  */
 const connectionOptions = {
-  maxPoolSize: parseInt(process.env.MONGODB_MAX_POOL_SIZE) || 20,
-  minPoolSize: parseInt(process.env.MONGODB_MIN_POOL_SIZE) || 5,
-  maxIdleTimeMS: parseInt(process.env.MONGODB_MAX_IDLE_TIME) || 30000,
-  serverSelectionTimeoutMS: parseInt(process.env.MONGODB_SERVER_SELECTION_TIMEOUT) || 5000,
-  socketTimeoutMS: parseInt(process.env.MONGODB_SOCKET_TIMEOUT) || 45000,
-  // bufferMaxEntries: 0,
-  // bufferCommands: false,
+  ...config.database.options,
+  // Select the database explicitly when it is configured separately from the URI
+  ...(config.database.name && { dbName: config.database.name }),
+  // Command events time every database command for the metrics exporter
+  monitorCommands: config.metrics.enabled
 };
 
+/**
+ * Connection pool and command metrics, summed over every server's pool
+ */
+const poolMetrics = {
+  open: 0,
+  inUse: 0,
+  waiting: 0,
+  checkoutFailures: 0,
+  cleared: 0
+};
+const commandMetrics = new Map();
+
 /**
  * Connect to MongoDB database
  */
 async function connectDatabase() {
   try {
-    const mongoUri = process.env.MONGODB_URI;
-    
-    if (!mongoUri) {
-      throw new Error('MONGODB_URI environment variable is not defined');
-    }
-
     // Set mongoose options
     mongoose.set('strictQuery', false);
 
-    // Connect to MongoDB
-    await mongoose.connect(mongoUri + process.env.MONGODB_DATABASE, connectionOptions);
+    // Connect to MongoDB. The client exists as soon as connect() is called,
+    // so monitoring starts before the pool opens its first connection.
+    const connecting = mongoose.connect(config.database.uri, connectionOptions);
+    monitorClient(mongoose.connection.getClient());
+    await connecting;
 
-    console.log(`📊 Connected to MongoDB: ${mongoose.connection.name}`);
+    logger.info(`Connected to MongoDB: ${mongoose.connection.name}`);
 
     // Connection event handlers
     mongoose.connection.on('error', (error) => {
-      console.error('❌ MongoDB connection error:', error);
+      logger.error('MongoDB connection error', { error });
     });
 
     mongoose.connection.on('disconnected', () => {
-      console.warn('⚠️ MongoDB disconnected');
+      logger.warn('MongoDB disconnected');
     });
 
     mongoose.connection.on('reconnected', () => {
-      console.log('🔄 MongoDB reconnected');
+      logger.info('MongoDB reconnected');
     });
 
     // Graceful shutdown
     process.on('SIGINT', async () => {
       await mongoose.connection.close();
-      console.log('📊 MongoDB connection closed through app termination');
+      logger.info('MongoDB connection closed through app termination');
     });
 
     return mongoose.connection;
 
   } catch (error) {
-    console.error('❌ Database connection failed:', error.message);
+    logger.error('Database connection failed', { error });
     throw error;
   }
 }
 
+/**
+ * Count pool connections and time commands through the driver's events
+ */
+function monitorClient(client) {
+  client.on('connectionCreated', () => poolMetrics.open++);
+  client.on('connectionClosed', () => poolMetrics.open--);
+  client.on('connectionCheckOutStarted', () => poolMetrics.waiting++);
+  client.on('connectionCheckedOut', () => {
+    poolMetrics.waiting--;
+    poolMetrics.inUse++;
+  });
+  client.on('connectionCheckOutFailed', () => {
+    poolMetrics.waiting--;
+    poolMetrics.checkoutFailures++;
+  });
+  client.on('connectionCheckedIn', () => poolMetrics.inUse--);
+  client.on('connectionPoolCleared', () => poolMetrics.cleared++);
+
+  const recordCommand = (event, failed) => {
+    if (!commandMetrics.has(event.commandName)) {
+      commandMetrics.set(event.commandName, {
+        failures: 0,
+        duration: createHistogram(METRICS.DATABASE_COMMAND_BUCKETS_MS)
+      });
+    }
+
+    const metrics = commandMetrics.get(event.commandName);
+    observe(metrics.duration, event.duration);
+    if (failed) {
+      metrics.failures++;
+    }
+  };
+
+  client.on('commandSucceeded', event => recordCommand(event, false));
+  client.on('commandFailed', event => recordCommand(event, true));
+}
+
+/**
+ * Get connection pool and command metrics
+ */
+function getDatabaseMetrics() {
+  return {
+    connected: mongoose.connection.readyState === 1,
+    pool: {
+      ...poolMetrics,
+      maxSize: config.database.options.maxPoolSize
+    },
+    commands: commandMetrics
+  };
+}
+
 /**
  * Disconnect from MongoDB database
  */
 async function disconnectDatabase() {
   try {
     await mongoose.connection.close();
-    console.log('📊 MongoDB connection closed');
+    logger.info('MongoDB connection closed');
   } catch (error) {
-    console.error('❌ Error closing MongoDB connection:', error.message);
+    logger.error('Error closing MongoDB connection', { error });
     throw error;
   }
 }
@@ -148,10 +210,10 @@ async function createIndexes() {
       { key: { createdAt: 1 } }
     ]);
 
-    console.log('📊 Database indexes created successfully');
+    logger.info('Database indexes created');
 
   } catch (error) {
-    console.error('❌ Error creating database indexes:', error.message);
+    logger.error('Error creating database indexes', { error });
     // Don't throw error as indexes might already exist
   }
 }
@@ -160,6 +222,7 @@ module.exports = {
   connectDatabase,
   disconnectDatabase,
   getConnectionStatus,
+  getDatabaseMetrics,
   createIndexes
 };
 
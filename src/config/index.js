@@ -4,11 +4,13 @@
  * This file exports all configuration modules for easy importing.
  */
 
+const { config } = require('./loader');
 const database = require('./database');
 const jwt = require('./jwt');
 const cache = require('./cache');
 
 module.exports = {
+  config,
   database,
   jwt,
   cache
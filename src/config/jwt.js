@@ -2,36 +2,124 @@
  * JWT Configuration
  * 
  * This file contains JWT-related configuration and utilities.
+ * With HS256, tokens are signed with the shared JWT secret. With RS256 or
+ * ES256, they are signed with the active private key from the keys directory
+ * and carry its `kid`. Every key in the directory keeps verifying tokens, so
+ * keys can be rotated without signing users out.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('./loader');
+const { JWT_ALGORITHMS } = require('../utils/constants');
+
+/**
+ * Key type (and curve) each asymmetric algorithm requires
+ */
+const KEY_REQUIREMENTS = {
+  [JWT_ALGORITHMS.RS256]: { type: 'rsa' },
+  [JWT_ALGORITHMS.ES256]: { type: 'ec', namedCurve: 'prime256v1' }
+};
+
+// <kid>.pem holds a private key; <kid>.pub.pem a public key that only verifies
+const KEY_FILE_PATTERN = /^([A-Za-z0-9_-]+)(\.pub)?\.pem$/;
+
 /**
  * JWT configuration object
  */
 const jwtConfig = {
-  secret: process.env.JWT_SECRET || 'your-fallback-secret-key-change-this-in-production',
-  expiresIn: process.env.JWT_EXPIRES_IN || '1h',
-  refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  secret: config.jwt.secret,
+  expiresIn: config.jwt.expiresIn,
+  refreshExpiresIn: config.jwt.refreshExpiresIn,
+  emailVerificationExpiresIn: config.emailVerification.expiresIn,
+  twoFactorChallengeExpiresIn: config.twoFactor.challengeExpiresIn,
   issuer: 'diyawanna-sup-backend',
   audience: 'diyawanna-sup-users',
-  algorithm: 'HS256'
+  algorithm: config.jwt.algorithm
 };
 
 /**
- * Validate JWT configuration
+ * Load the keys for an asymmetric algorithm from the keys directory, by kid
  */
-function validateJwtConfig() {
-  if (!process.env.JWT_SECRET) {
-    console.warn('⚠️ JWT_SECRET not set in environment variables. Using fallback secret.');
-    console.warn('⚠️ Please set a secure JWT_SECRET in production!');
+function loadKeys(algorithm, keysDirectory) {
+  const keys = new Map();
+
+  if (algorithm === JWT_ALGORITHMS.HS256) {
+    return keys;
+  }
+
+  const directory = path.resolve(keysDirectory);
+  if (!fs.existsSync(directory)) {
+    throw new Error(`JWT keys directory '${directory}' does not exist`);
+  }
+
+  for (const fileName of fs.readdirSync(directory).sort()) {
+    const match = KEY_FILE_PATTERN.exec(fileName);
+    if (!match) {
+      continue;
+    }
+
+    const [, kid, publicOnly] = match;
+    if (keys.has(kid)) {
+      throw new Error(`JWT key '${kid}' has both a private and a public key file`);
+    }
+
+    const pem = fs.readFileSync(path.join(directory, fileName));
+    const privateKey = publicOnly ? null : crypto.createPrivateKey(pem);
+    const publicKey = crypto.createPublicKey(privateKey || pem);
+
+    assertKeyMatchesAlgorithm(kid, publicKey, algorithm);
+    keys.set(kid, { kid, privateKey, publicKey });
   }
 
-  if (process.env.JWT_SECRET && process.env.JWT_SECRET.length < 32) {
-    console.warn('⚠️ JWT_SECRET should be at least 32 characters long for security.');
+  if (keys.size === 0) {
+    throw new Error(`No JWT keys found in '${directory}'`);
   }
 
-  return jwtConfig;
+  return keys;
 }
 
+/**
+ * Throw if a key cannot be used with the configured algorithm
+ */
+function assertKeyMatchesAlgorithm(kid, publicKey, algorithm) {
+  const { type, namedCurve } = KEY_REQUIREMENTS[algorithm];
+  const details = publicKey.asymmetricKeyDetails || {};
+
+  if (publicKey.asymmetricKeyType !== type || (namedCurve && details.namedCurve !== namedCurve)) {
+    throw new Error(`JWT key '${kid}' cannot be used with ${algorithm}`);
+  }
+}
+
+/**
+ * Pick the key that signs new tokens
+ */
+function selectActiveKey(keys, activeKeyId) {
+  if (keys.size === 0) {
+    return null;
+  }
+
+  if (activeKeyId) {
+    const key = keys.get(activeKeyId);
+    if (!key || !key.privateKey) {
+      throw new Error(`JWT key '${activeKeyId}' has no private key in the keys directory`);
+    }
+    return key;
+  }
+
+  const privateKeys = [...keys.values()].filter(key => key.privateKey);
+  if (privateKeys.length !== 1) {
+    throw new Error('Set JWT_ACTIVE_KEY_ID to choose which private key signs tokens');
+  }
+
+  return privateKeys[0];
+}
+
+const keys = loadKeys(jwtConfig.algorithm, config.jwt.keysDirectory);
+const activeKey = selectActiveKey(keys, config.jwt.activeKeyId);
+
 /**
  * Get JWT options for token generation
  */
@@ -42,6 +130,10 @@ function getJwtOptions(type = 'access') {
     algorithm: jwtConfig.algorithm
   };
 
+  if (activeKey) {
+    baseOptions.keyid = activeKey.kid;
+  }
+
   if (type === 'refresh') {
     return {
       ...baseOptions,
@@ -49,6 +141,20 @@ function getJwtOptions(type = 'access') {
     };
   }
 
+  if (type === 'email_verification') {
+    return {
+      ...baseOptions,
+      expiresIn: jwtConfig.emailVerificationExpiresIn
+    };
+  }
+
+  if (type === 'two_factor_challenge') {
+    return {
+      ...baseOptions,
+      expiresIn: jwtConfig.twoFactorChallengeExpiresIn
+    };
+  }
+
   return {
     ...baseOptions,
     expiresIn: jwtConfig.expiresIn
@@ -66,9 +172,50 @@ function getJwtVerifyOptions() {
   };
 }
 
+/**
+ * Get the secret or private key that signs new tokens
+ */
+function getSigningKey() {
+  return activeKey ? activeKey.privateKey : jwtConfig.secret;
+}
+
+/**
+ * Get the secret or public key that verifies a token, chosen by its `kid` header
+ */
+function getVerificationKey(token) {
+  if (!activeKey) {
+    return jwtConfig.secret;
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keys.get(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown or missing key ID');
+  }
+
+  return key.publicKey;
+}
+
+/**
+ * Get the public keys as a JSON Web Key Set (empty with HS256)
+ */
+function getJwks() {
+  return {
+    keys: [...keys.values()].map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      use: 'sig',
+      alg: jwtConfig.algorithm
+    }))
+  };
+}
+
 module.exports = {
-  jwtConfig: validateJwtConfig(),
+  jwtConfig,
   getJwtOptions,
-  getJwtVerifyOptions
+  getJwtVerifyOptions,
+  getSigningKey,
+  getVerificationKey,
+  getJwks
 };
 
@@ -0,0 +1,54 @@
+/**
+ * API Key Controller
+ * 
+ * This file handles HTTP requests for API key management endpoints.
+ */
+
+const ApiKeyService = require('../services/apiKeyService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class ApiKeyController {
+  /**
+   * Get API keys
+   * GET /api/api-keys
+   */
+  static getApiKeys = asyncHandler(async (req, res) => {
+    const result = await ApiKeyService.getApiKeys(req.query);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get API key by ID
+   * GET /api/api-keys/:id
+   */
+  static getApiKeyById = asyncHandler(async (req, res) => {
+    const result = await ApiKeyService.getApiKeyById(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Create API key
+   * POST /api/api-keys
+   */
+  static createApiKey = asyncHandler(async (req, res) => {
+    const result = await ApiKeyService.createApiKey(req.user, req.body);
+    
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Revoke API key
+   * DELETE /api/api-keys/:id
+   */
+  static revokeApiKey = asyncHandler(async (req, res) => {
+    const result = await ApiKeyService.revokeApiKey(req.user, req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = ApiKeyController;
+
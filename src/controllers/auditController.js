@@ -0,0 +1,34 @@
+/**
+ * Audit Controller
+ * 
+ * This file handles HTTP requests for audit log endpoints.
+ */
+
+const AuditService = require('../services/auditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class AuditController {
+  /**
+   * Get audit entries
+   * GET /api/audit
+   */
+  static getAuditLogs = asyncHandler(async (req, res) => {
+    const result = await AuditService.getAuditLogs(req.query);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get audit entry by ID
+   * GET /api/audit/:id
+   */
+  static getAuditLogById = asyncHandler(async (req, res) => {
+    const result = await AuditService.getAuditLogById(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = AuditController;
+
@@ -5,6 +5,8 @@
  */
 
 const AuthenticationService = require('../services/authService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { HTTP_STATUS } = require('../utils/constants');
 
@@ -24,7 +26,77 @@ class AuthController {
    * POST /api/auth/login
    */
   static login = asyncHandler(async (req, res) => {
-    const result = await AuthenticationService.login(req.body);
+    const result = await AuthenticationService.login(req.body, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Complete a two-factor login
+   * POST /api/auth/2fa/verify
+   */
+  static verifyTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    const result = await AuthenticationService.verifyTwoFactorLogin(challengeToken, code, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get two-factor status
+   * GET /api/auth/2fa
+   */
+  static getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.getStatus(req.user._id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Start two-factor enrollment
+   * POST /api/auth/2fa/setup
+   */
+  static setupTwoFactor = asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.setup(req.user._id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Confirm two-factor enrollment
+   * POST /api/auth/2fa/enable
+   */
+  static enableTwoFactor = asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.enable(req.user._id, req.body.code);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Turn off two-factor authentication
+   * POST /api/auth/2fa/disable
+   */
+  static disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    const result = await TwoFactorService.disable(req.user._id, password, code);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Regenerate recovery codes
+   * POST /api/auth/2fa/recovery-codes
+   */
+  static regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -66,7 +138,10 @@ class AuthController {
       });
     }
 
-    const result = await AuthenticationService.refreshToken(refreshToken);
+    const result = await AuthenticationService.refreshToken(refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -78,7 +153,37 @@ class AuthController {
   static logout = asyncHandler(async (req, res) => {
     const userId = req.user._id;
     
-    const result = await AuthenticationService.logout(userId);
+    const result = await AuthenticationService.logout(userId, req.tokenPayload.sid);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * List current user's active sessions
+   * GET /api/auth/sessions
+   */
+  static getSessions = asyncHandler(async (req, res) => {
+    const result = await SessionService.getUserSessions(req.user._id, req.tokenPayload.sid);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Revoke one of the current user's sessions
+   * DELETE /api/auth/sessions/:id
+   */
+  static revokeSession = asyncHandler(async (req, res) => {
+    const result = await SessionService.revokeOwnSession(req.user, req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Revoke all of the current user's sessions (log out everywhere)
+   * DELETE /api/auth/sessions
+   */
+  static revokeAllSessions = asyncHandler(async (req, res) => {
+    const result = await SessionService.revokeAllSessions(req.user._id);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -107,7 +212,52 @@ class AuthController {
   static resetPassword = asyncHandler(async (req, res) => {
     const { userId, newPassword } = req.body;
     
-    const result = await AuthenticationService.resetPassword(userId, newPassword);
+    const result = await AuthenticationService.resetPassword(req.user, userId, newPassword);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Request a password reset link
+   * POST /api/auth/forgot-password
+   */
+  static forgotPassword = asyncHandler(async (req, res) => {
+    const result = await AuthenticationService.requestPasswordReset(req.body.email, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Reset password with a one-time token
+   * POST /api/auth/reset-password/confirm
+   */
+  static confirmPasswordReset = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+    
+    const result = await AuthenticationService.confirmPasswordReset(token, newPassword);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Verify email address
+   * POST /api/auth/verify-email
+   */
+  static verifyEmail = asyncHandler(async (req, res) => {
+    const result = await AuthenticationService.verifyEmail(req.body.token);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Resend email verification link
+   * POST /api/auth/verify-email/resend
+   */
+  static resendVerificationEmail = asyncHandler(async (req, res) => {
+    const result = await AuthenticationService.resendVerificationEmail(req.body.email);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -0,0 +1,149 @@
+/**
+ * Cart Controller
+ * 
+ * This file handles HTTP requests for shopping cart endpoints.
+ */
+
+const CartService = require('../services/cartService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class CartController {
+  /**
+   * Get carts of the current user (admins: all carts)
+   * GET /api/carts
+   */
+  static getCarts = asyncHandler(async (req, res) => {
+    const result = await CartService.getCarts(req.user, req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get carts of a user
+   * GET /api/carts/user/:userId
+   */
+  static getCartsByUser = asyncHandler(async (req, res) => {
+    const result = await CartService.getCartsByUser(req.user, req.params.userId, req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get cart by ID
+   * GET /api/carts/:id
+   */
+  static getCartById = asyncHandler(async (req, res) => {
+    const result = await CartService.getCartById(req.user, req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Create new cart
+   * POST /api/carts
+   */
+  static createCart = asyncHandler(async (req, res) => {
+    const result = await CartService.createCart(req.user, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Update cart
+   * PUT /api/carts/:id
+   */
+  static updateCart = asyncHandler(async (req, res) => {
+    const result = await CartService.updateCart(req.user, req.params.id, req.body);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete cart (soft delete)
+   * DELETE /api/carts/:id
+   */
+  static deleteCart = asyncHandler(async (req, res) => {
+    const result = await CartService.deleteCart(req.user, req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Add item to cart
+   * POST /api/carts/:id/items
+   */
+  static addItem = asyncHandler(async (req, res) => {
+    const result = await CartService.addItem(req.user, req.params.id, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Update cart item quantity
+   * PUT /api/carts/:id/items/:itemId
+   */
+  static updateItemQuantity = asyncHandler(async (req, res) => {
+    const result = await CartService.updateItemQuantity(
+      req.user,
+      req.params.id,
+      req.params.itemId,
+      req.body.quantity
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Remove item from cart
+   * DELETE /api/carts/:id/items/:itemId
+   */
+  static removeItem = asyncHandler(async (req, res) => {
+    const result = await CartService.removeItem(req.user, req.params.id, req.params.itemId);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Remove all items from cart
+   * DELETE /api/carts/:id/items
+   */
+  static clearItems = asyncHandler(async (req, res) => {
+    const result = await CartService.clearItems(req.user, req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Complete cart
+   * POST /api/carts/:id/complete
+   */
+  static completeCart = asyncHandler(async (req, res) => {
+    const result = await CartService.completeCart(req.user, req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Cancel cart
+   * POST /api/carts/:id/cancel
+   */
+  static cancelCart = asyncHandler(async (req, res) => {
+    const result = await CartService.cancelCart(req.user, req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get cart statistics
+   * GET /api/carts/stats
+   */
+  static getCartStatistics = asyncHandler(async (req, res) => {
+    const result = await CartService.getCartStatistics();
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = CartController;
+
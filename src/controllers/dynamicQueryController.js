@@ -0,0 +1,58 @@
+/**
+ * Dynamic Query Controller
+ * 
+ * This file handles HTTP requests for dynamic query execution endpoints.
+ */
+
+const DynamicQueryService = require('../services/dynamicQueryService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class DynamicQueryController {
+  /**
+   * Execute a named query
+   * POST /api/dynamic-query/execute
+   */
+  static executeQuery = asyncHandler(async (req, res) => {
+    const { queryName, parameters, version } = req.body;
+
+    const result = await DynamicQueryService.executeQuery(queryName, parameters, req.query, version, req.user);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get available query mappings
+   * GET /api/dynamic-query/mappings
+   */
+  static getMappings = asyncHandler(async (req, res) => {
+    const result = await DynamicQueryService.getMappings();
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get sample query executions
+   * GET /api/dynamic-query/samples
+   */
+  static getSamples = asyncHandler(async (req, res) => {
+    const result = DynamicQueryService.getSamples();
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Validate query parameters without executing
+   * POST /api/dynamic-query/validate
+   */
+  static validateQuery = asyncHandler(async (req, res) => {
+    const { queryName, parameters, version } = req.body;
+
+    const result = await DynamicQueryService.validateQuery(queryName, parameters, version);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = DynamicQueryController;
+
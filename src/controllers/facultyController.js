@@ -0,0 +1,147 @@
+/**
+ * Faculty Controller
+ * 
+ * This file handles HTTP requests for faculty management endpoints.
+ */
+
+const FacultyService = require('../services/facultyService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class FacultyController {
+  /**
+   * Get all faculties
+   * GET /api/faculties
+   */
+  static getAllFaculties = asyncHandler(async (req, res) => {
+    const result = await FacultyService.getAllFaculties(req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get faculty by ID
+   * GET /api/faculties/:id
+   */
+  static getFacultyById = asyncHandler(async (req, res) => {
+    const result = await FacultyService.getFacultyById(req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Create new faculty
+   * POST /api/faculties
+   */
+  static createFaculty = asyncHandler(async (req, res) => {
+    const result = await FacultyService.createFaculty(req.user, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Update faculty
+   * PUT /api/faculties/:id
+   */
+  static updateFaculty = asyncHandler(async (req, res) => {
+    const result = await FacultyService.updateFaculty(req.user, req.params.id, req.body);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete faculty (soft delete)
+   * DELETE /api/faculties/:id
+   */
+  static deleteFaculty = asyncHandler(async (req, res) => {
+    const result = await FacultyService.deleteFaculty(req.user, req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get faculties by university
+   * GET /api/faculties/university/:universityId
+   */
+  static getFacultiesByUniversity = asyncHandler(async (req, res) => {
+    const result = await FacultyService.getFacultiesByUniversity(
+      req.params.universityId,
+      req.query
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Search faculties by name
+   * GET /api/faculties/search
+   */
+  static searchFacultiesByName = asyncHandler(async (req, res) => {
+    const result = await FacultyService.searchFacultiesByName(req.query.name, req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get faculties teaching a subject
+   * GET /api/faculties/subject/:subject
+   */
+  static getFacultiesBySubject = asyncHandler(async (req, res) => {
+    const result = await FacultyService.getFacultiesBySubject(req.params.subject, req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get faculty statistics
+   * GET /api/faculties/stats
+   */
+  static getFacultyStatistics = asyncHandler(async (req, res) => {
+    const result = await FacultyService.getFacultyStatistics(req.user);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Add subject to faculty
+   * POST /api/faculties/:id/subjects
+   */
+  static addSubject = asyncHandler(async (req, res) => {
+    const result = await FacultyService.addSubject(req.user, req.params.id, req.body.name);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Remove subject from faculty
+   * DELETE /api/faculties/:id/subjects/:subject
+   */
+  static removeSubject = asyncHandler(async (req, res) => {
+    const result = await FacultyService.removeSubject(req.user, req.params.id, req.params.subject);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Add department to faculty
+   * POST /api/faculties/:id/departments
+   */
+  static addDepartment = asyncHandler(async (req, res) => {
+    const result = await FacultyService.addDepartment(req.user, req.params.id, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Remove department from faculty
+   * DELETE /api/faculties/:id/departments/:department
+   */
+  static removeDepartment = asyncHandler(async (req, res) => {
+    const result = await FacultyService.removeDepartment(req.user, req.params.id, req.params.department);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = FacultyController;
+
@@ -6,6 +6,7 @@
 
 const { getConnectionStatus } = require('../config/database');
 const { CacheManager } = require('../config/cache');
+const { config } = require('../config/loader');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { HTTP_STATUS } = require('../utils/constants');
 
@@ -19,7 +20,7 @@ class HealthController {
       status: 'UP',
       timestamp: new Date().toISOString(),
       version: process.env.npm_package_version || '1.0.0',
-      environment: process.env.NODE_ENV || 'development',
+      environment: config.env,
       uptime: Math.floor(process.uptime()),
       memory: {
         used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
@@ -60,7 +61,7 @@ class HealthController {
       status: overallHealthy ? 'UP' : 'DOWN',
       timestamp: new Date().toISOString(),
       version: process.env.npm_package_version || '1.0.0',
-      environment: process.env.NODE_ENV || 'development',
+      environment: config.env,
       uptime: Math.floor(process.uptime()),
       responseTime: `${responseTime}ms`,
       checks: {
@@ -0,0 +1,25 @@
+/**
+ * Metrics Controller
+ * 
+ * This file handles the Prometheus metrics endpoint.
+ */
+
+const MetricsService = require('../services/metricsService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS, METRICS } = require('../utils/constants');
+
+class MetricsController {
+  /**
+   * Get metrics in the Prometheus text format
+   * GET /metrics
+   */
+  static getMetrics = asyncHandler(async (req, res) => {
+    const metrics = await MetricsService.getPrometheusMetrics();
+    
+    res.set('Content-Type', METRICS.CONTENT_TYPE);
+    res.status(HTTP_STATUS.OK).send(metrics);
+  });
+}
+
+module.exports = MetricsController;
+
@@ -0,0 +1,77 @@
+/**
+ * OpenID Connect Controller
+ * 
+ * This file handles HTTP requests for logging in through identity providers.
+ */
+
+const OidcService = require('../services/oidcService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class OidcController {
+  /**
+   * List identity providers
+   * GET /api/auth/oidc/providers
+   */
+  static getProviders = asyncHandler(async (req, res) => {
+    const result = OidcService.getProviders();
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Start a login at an identity provider
+   * POST /api/auth/oidc/:provider/authorize
+   */
+  static authorize = asyncHandler(async (req, res) => {
+    const result = await OidcService.startLogin(req.params.provider);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Complete a login at an identity provider
+   * POST /api/auth/oidc/:provider/callback
+   */
+  static callback = asyncHandler(async (req, res) => {
+    const result = await OidcService.completeLogin(req.params.provider, req.body, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Start linking an identity provider to the current user
+   * POST /api/auth/oidc/:provider/link
+   */
+  static startLink = asyncHandler(async (req, res) => {
+    const result = await OidcService.startLink(req.user._id, req.params.provider);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Complete linking an identity provider
+   * POST /api/auth/oidc/:provider/link/callback
+   */
+  static linkCallback = asyncHandler(async (req, res) => {
+    const result = await OidcService.completeLink(req.user._id, req.params.provider, req.body);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Unlink an identity provider from the current user
+   * DELETE /api/auth/oidc/:provider/link
+   */
+  static unlink = asyncHandler(async (req, res) => {
+    const result = await OidcService.unlinkProvider(req.user._id, req.params.provider);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = OidcController;
+
@@ -0,0 +1,64 @@
+/**
+ * Performance Controller
+ * 
+ * This file handles HTTP requests for performance metrics and cache endpoints.
+ */
+
+const PerformanceService = require('../services/performanceService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class PerformanceController {
+  /**
+   * Get performance metrics
+   * GET /api/performance/metrics
+   */
+  static getMetrics = asyncHandler(async (req, res) => {
+    const result = await PerformanceService.getMetrics();
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Check metrics against performance thresholds
+   * GET /api/performance/health
+   */
+  static getHealth = asyncHandler(async (req, res) => {
+    const result = await PerformanceService.getHealth();
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get cache statistics
+   * GET /api/performance/cache
+   */
+  static getCacheStats = asyncHandler(async (req, res) => {
+    const result = await PerformanceService.getCacheStats();
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Clear every cache
+   * DELETE /api/performance/cache/all
+   */
+  static clearAllCaches = asyncHandler(async (req, res) => {
+    const result = await PerformanceService.clearAllCaches();
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Clear one cache
+   * DELETE /api/performance/cache/:name
+   */
+  static clearCache = asyncHandler(async (req, res) => {
+    const result = await PerformanceService.clearCache(req.params.name);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = PerformanceController;
+
@@ -0,0 +1,126 @@
+/**
+ * Query Controller
+ * 
+ * This file handles HTTP requests for saved query template endpoints.
+ */
+
+const QueryService = require('../services/queryService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class QueryController {
+  /**
+   * Get all queries
+   * GET /api/queries
+   */
+  static getAllQueries = asyncHandler(async (req, res) => {
+    const result = await QueryService.getAllQueries(req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get query by ID
+   * GET /api/queries/:id
+   */
+  static getQueryById = asyncHandler(async (req, res) => {
+    const result = await QueryService.getQueryById(req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Create new query
+   * POST /api/queries
+   */
+  static createQuery = asyncHandler(async (req, res) => {
+    const result = await QueryService.createQuery(req.user, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Update query
+   * PUT /api/queries/:id
+   */
+  static updateQuery = asyncHandler(async (req, res) => {
+    const result = await QueryService.updateQuery(req.user, req.params.id, req.body);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete query (soft delete)
+   * DELETE /api/queries/:id
+   */
+  static deleteQuery = asyncHandler(async (req, res) => {
+    const result = await QueryService.deleteQuery(req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get the most executed queries
+   * GET /api/queries/popular
+   */
+  static getPopularQueries = asyncHandler(async (req, res) => {
+    const result = await QueryService.getPopularQueries(req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get query statistics
+   * GET /api/queries/stats
+   */
+  static getQueryStatistics = asyncHandler(async (req, res) => {
+    const result = await QueryService.getQueryStatistics();
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get query version history
+   * GET /api/queries/:id/versions
+   */
+  static getQueryVersions = asyncHandler(async (req, res) => {
+    const result = await QueryService.getQueryVersions(req.params.id, req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Diff two query versions
+   * GET /api/queries/:id/versions/diff
+   */
+  static diffQueryVersions = asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+
+    const result = await QueryService.diffQueryVersions(req.params.id, from, to);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get a single query version
+   * GET /api/queries/:id/versions/:version
+   */
+  static getQueryVersion = asyncHandler(async (req, res) => {
+    const result = await QueryService.getQueryVersion(req.params.id, req.params.version);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Roll a query back to an earlier version
+   * POST /api/queries/:id/rollback
+   */
+  static rollbackQuery = asyncHandler(async (req, res) => {
+    const result = await QueryService.rollbackQuery(req.user, req.params.id, req.body.version);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = QueryController;
+
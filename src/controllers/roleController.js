@@ -0,0 +1,74 @@
+/**
+ * Role Controller
+ * 
+ * This file handles HTTP requests for role and permission management endpoints.
+ */
+
+const RoleService = require('../services/roleService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class RoleController {
+  /**
+   * Get all roles
+   * GET /api/roles
+   */
+  static getAllRoles = asyncHandler(async (req, res) => {
+    const result = await RoleService.getAllRoles();
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get every permission that can be granted
+   * GET /api/roles/permissions
+   */
+  static getPermissions = asyncHandler(async (req, res) => {
+    const result = RoleService.getAvailablePermissions();
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get role by ID
+   * GET /api/roles/:id
+   */
+  static getRoleById = asyncHandler(async (req, res) => {
+    const result = await RoleService.getRoleById(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Create role
+   * POST /api/roles
+   */
+  static createRole = asyncHandler(async (req, res) => {
+    const result = await RoleService.createRole(req.body);
+    
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Update role
+   * PUT /api/roles/:id
+   */
+  static updateRole = asyncHandler(async (req, res) => {
+    const result = await RoleService.updateRole(req.params.id, req.body);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete role
+   * DELETE /api/roles/:id
+   */
+  static deleteRole = asyncHandler(async (req, res) => {
+    const result = await RoleService.deleteRole(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = RoleController;
+
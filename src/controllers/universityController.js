@@ -0,0 +1,120 @@
+/**
+ * University Controller
+ * 
+ * This file handles HTTP requests for university management endpoints.
+ */
+
+const UniversityService = require('../services/universityService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class UniversityController {
+  /**
+   * Get all universities
+   * GET /api/universities
+   */
+  static getAllUniversities = asyncHandler(async (req, res) => {
+    const result = await UniversityService.getAllUniversities(req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get university by ID
+   * GET /api/universities/:id
+   */
+  static getUniversityById = asyncHandler(async (req, res) => {
+    const result = await UniversityService.getUniversityById(req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Create new university
+   * POST /api/universities
+   */
+  static createUniversity = asyncHandler(async (req, res) => {
+    const result = await UniversityService.createUniversity(req.body);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Update university
+   * PUT /api/universities/:id
+   */
+  static updateUniversity = asyncHandler(async (req, res) => {
+    const result = await UniversityService.updateUniversity(req.params.id, req.body);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete university (soft delete)
+   * DELETE /api/universities/:id
+   */
+  static deleteUniversity = asyncHandler(async (req, res) => {
+    const result = await UniversityService.deleteUniversity(req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Search universities by name
+   * GET /api/universities/search
+   */
+  static searchUniversitiesByName = asyncHandler(async (req, res) => {
+    const result = await UniversityService.searchUniversitiesByName(req.query.name, req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get universities by location
+   * GET /api/universities/location/:location
+   */
+  static getUniversitiesByLocation = asyncHandler(async (req, res) => {
+    const result = await UniversityService.getUniversitiesByLocation(
+      req.params.location,
+      req.query
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get universities by type
+   * GET /api/universities/type/:type
+   */
+  static getUniversitiesByType = asyncHandler(async (req, res) => {
+    const result = await UniversityService.getUniversitiesByType(req.params.type, req.query);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get universities offering a faculty
+   * GET /api/universities/faculty/:faculty
+   */
+  static getUniversitiesWithFaculty = asyncHandler(async (req, res) => {
+    const result = await UniversityService.getUniversitiesWithFaculty(
+      req.params.faculty,
+      req.query
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get university statistics
+   * GET /api/universities/stats
+   */
+  static getUniversityStatistics = asyncHandler(async (req, res) => {
+    const result = await UniversityService.getUniversityStatistics();
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = UniversityController;
+
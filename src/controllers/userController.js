@@ -5,6 +5,9 @@
  */
 
 const UserService = require('../services/userService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const RoleService = require('../services/roleService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { HTTP_STATUS } = require('../utils/constants');
 
@@ -14,7 +17,7 @@ class UserController {
    * GET /api/users
    */
   static getAllUsers = asyncHandler(async (req, res) => {
-    const result = await UserService.getAllUsers(req.query);
+    const result = await UserService.getAllUsers(req.user, req.query);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -24,7 +27,7 @@ class UserController {
    * GET /api/users/:id
    */
   static getUserById = asyncHandler(async (req, res) => {
-    const result = await UserService.getUserById(req.params.id);
+    const result = await UserService.getUserById(req.user, req.params.id);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -34,7 +37,7 @@ class UserController {
    * POST /api/users
    */
   static createUser = asyncHandler(async (req, res) => {
-    const result = await UserService.createUser(req.body);
+    const result = await UserService.createUser(req.user, req.body);
     
     res.status(HTTP_STATUS.CREATED).json(result);
   });
@@ -44,7 +47,7 @@ class UserController {
    * PUT /api/users/:id
    */
   static updateUser = asyncHandler(async (req, res) => {
-    const result = await UserService.updateUser(req.params.id, req.body);
+    const result = await UserService.updateUser(req.user, req.params.id, req.body);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -54,7 +57,7 @@ class UserController {
    * DELETE /api/users/:id
    */
   static deleteUser = asyncHandler(async (req, res) => {
-    const result = await UserService.deleteUser(req.params.id);
+    const result = await UserService.deleteUser(req.user, req.params.id);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -73,7 +76,7 @@ class UserController {
       });
     }
 
-    const result = await UserService.searchUsersByName(name, req.query);
+    const result = await UserService.searchUsersByName(req.user, name, req.query);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -84,6 +87,7 @@ class UserController {
    */
   static getUsersByUniversity = asyncHandler(async (req, res) => {
     const result = await UserService.getUsersByUniversity(
+      req.user,
       req.params.university, 
       req.query
     );
@@ -99,6 +103,7 @@ class UserController {
     const { minAge, maxAge } = req.query;
     
     const result = await UserService.getUsersByAgeRange(
+      req.user,
       minAge ? parseInt(minAge) : undefined,
       maxAge ? parseInt(maxAge) : undefined,
       req.query
@@ -112,7 +117,7 @@ class UserController {
    * GET /api/users/stats
    */
   static getUserStatistics = asyncHandler(async (req, res) => {
-    const result = await UserService.getUserStatistics();
+    const result = await UserService.getUserStatistics(req.user);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -122,7 +127,7 @@ class UserController {
    * POST /api/users/:id/activate
    */
   static activateUser = asyncHandler(async (req, res) => {
-    const result = await UserService.activateUser(req.params.id);
+    const result = await UserService.activateUser(req.user, req.params.id);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -132,7 +137,17 @@ class UserController {
    * POST /api/users/:id/deactivate
    */
   static deactivateUser = asyncHandler(async (req, res) => {
-    const result = await UserService.deactivateUser(req.params.id);
+    const result = await UserService.deactivateUser(req.user, req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Unlock user locked out by failed logins
+   * POST /api/users/:id/unlock
+   */
+  static unlockUser = asyncHandler(async (req, res) => {
+    const result = await UserService.unlockUser(req.user, req.params.id);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -142,7 +157,37 @@ class UserController {
    * GET /api/users/role/:role
    */
   static getUsersByRole = asyncHandler(async (req, res) => {
-    const result = await UserService.getUsersByRole(req.params.role, req.query);
+    const result = await UserService.getUsersByRole(req.user, req.params.role, req.query);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Revoke all sessions of a user
+   * DELETE /api/users/:id/sessions
+   */
+  static revokeUserSessions = asyncHandler(async (req, res) => {
+    const result = await SessionService.revokeUserSessions(req.user, req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Turn off two-factor authentication for a user
+   * DELETE /api/users/:id/2fa
+   */
+  static resetTwoFactor = asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.resetUserTwoFactor(req.user, req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Assign a role to a user
+   * PUT /api/users/:id/role
+   */
+  static assignRole = asyncHandler(async (req, res) => {
+    const result = await RoleService.assignRole(req.params.id, req.body.role, req.body.universities);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -4,6 +4,8 @@
  * This file defines the base error class for application-specific errors.
  */
 
+const { config } = require('../config/loader');
+
 /**
  * Custom Application Error Class
  * Extends the built-in Error class to provide additional functionality
@@ -30,7 +32,7 @@ class AppError extends Error {
       statusCode: this.statusCode,
       status: this.status,
       isOperational: this.isOperational,
-      stack: process.env.NODE_ENV === 'development' ? this.stack : undefined
+      stack: config.env === 'development' ? this.stack : undefined
     };
   }
 
@@ -134,6 +134,45 @@ class UserInactiveError extends AuthenticationError {
   }
 }
 
+class EmailNotVerifiedError extends AuthorizationError {
+  constructor(message = 'Email address has not been verified') {
+    super(message);
+    this.name = 'EmailNotVerifiedError';
+  }
+}
+
+class PasswordExpiredError extends AuthorizationError {
+  constructor(message = 'Password has expired') {
+    super(message);
+    this.name = 'PasswordExpiredError';
+  }
+}
+
+class AccountLockedError extends AppError {
+  constructor(retryAfter, message = 'Account is temporarily locked due to too many failed login attempts') {
+    super(message, 423);
+    this.name = 'AccountLockedError';
+    this.retryAfter = retryAfter; // seconds until the lock expires
+  }
+}
+
+/**
+ * Role-specific Errors
+ */
+class RoleNotFoundError extends NotFoundError {
+  constructor() {
+    super('Role');
+    this.name = 'RoleNotFoundError';
+  }
+}
+
+class RoleAlreadyExistsError extends ConflictError {
+  constructor() {
+    super('Role already exists');
+    this.name = 'RoleAlreadyExistsError';
+  }
+}
+
 /**
  * University-specific Errors
  */
@@ -188,6 +227,13 @@ class QueryNotFoundError extends NotFoundError {
   }
 }
 
+class QueryVersionNotFoundError extends NotFoundError {
+  constructor() {
+    super('Query version');
+    this.name = 'QueryVersionNotFoundError';
+  }
+}
+
 class QueryAlreadyExistsError extends ConflictError {
   constructor() {
     super('Query already exists');
@@ -203,12 +249,19 @@ class QueryExecutionError extends AppError {
 }
 
 class InvalidParametersError extends ValidationError {
-  constructor(message = 'Invalid query parameters') {
-    super(message);
+  constructor(message = 'Invalid query parameters', details = null) {
+    super(message, details);
     this.name = 'InvalidParametersError';
   }
 }
 
+class UnsafeQueryError extends ValidationError {
+  constructor(message = 'Query uses operators that are not allowed', details = null) {
+    super(message, details);
+    this.name = 'UnsafeQueryError';
+  }
+}
+
 module.exports = {
   AuthenticationError,
   AuthorizationError,
@@ -223,14 +276,21 @@ module.exports = {
   UserNotFoundError,
   UserAlreadyExistsError,
   UserInactiveError,
+  AccountLockedError,
+  EmailNotVerifiedError,
+  PasswordExpiredError,
+  RoleNotFoundError,
+  RoleAlreadyExistsError,
   UniversityNotFoundError,
   UniversityAlreadyExistsError,
   FacultyNotFoundError,
   CartNotFoundError,
   CartItemNotFoundError,
   QueryNotFoundError,
+  QueryVersionNotFoundError,
   QueryAlreadyExistsError,
   QueryExecutionError,
-  InvalidParametersError
+  InvalidParametersError,
+  UnsafeQueryError
 };
 
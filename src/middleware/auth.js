@@ -1,19 +1,50 @@
 /**
  * Authentication Middleware
  * 
- * This file contains JWT authentication middleware and related utilities.
+ * This file contains JWT and API key authentication middleware and related
+ * utilities.
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { jwtConfig, getJwtVerifyOptions } = require('../config/jwt');
+const { getJwtVerifyOptions, getVerificationKey } = require('../config/jwt');
 const { AppError } = require('../exceptions/AppError');
+const { EmailNotVerifiedError } = require('../exceptions');
+const { config } = require('../config/loader');
 const { asyncHandler } = require('./errorHandler');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+const RoleService = require('../services/roleService');
+const ApiKeyService = require('../services/apiKeyService');
+const TwoFactorService = require('../services/twoFactorService');
+const { setRequestContext } = require('../utils/requestContext');
+const { logger } = require('../utils/logger');
+const { hashToken } = require('../utils/helpers');
+const {
+  TOKEN_TYPES,
+  ERROR_MESSAGES,
+  EMAIL_VERIFICATION_POLICIES
+} = require('../utils/constants');
+
+/**
+ * Authentication Middleware
+ * Accepts a Bearer token or, when no token is sent, an X-API-Key header
+ */
+const authenticate = (req, res, next) => {
+  const hasBearerToken = req.headers.authorization && req.headers.authorization.startsWith('Bearer');
+
+  if (!hasBearerToken && req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next);
+  }
+
+  return authenticateToken(req, res, next);
+};
 
 /**
  * JWT Authentication Middleware
+ * Use instead of `authenticate` on routes that need the login session
  */
-const authenticate = asyncHandler(async (req, res, next) => {
+const authenticateToken = asyncHandler(async (req, res, next) => {
   let token;
 
   // Get token from header
@@ -28,7 +59,12 @@ const authenticate = asyncHandler(async (req, res, next) => {
 
   try {
     // Verify token
-    const decoded = jwt.verify(token, jwtConfig.secret, getJwtVerifyOptions());
+    const decoded = jwt.verify(token, getVerificationKey(token), getJwtVerifyOptions());
+
+    // Refresh tokens must not be accepted as access tokens
+    if (decoded.type !== TOKEN_TYPES.ACCESS) {
+      return next(new AppError('Invalid token type', 401));
+    }
     
     // Get user from token
     const user = await User.findById(decoded.userId).select('-password');
@@ -41,8 +77,19 @@ const authenticate = asyncHandler(async (req, res, next) => {
       return next(new AppError('User account is deactivated', 401));
     }
 
-    // Add user to request object
+    // Tokens stop working as soon as their session is revoked
+    const session = await SessionService.validateSession(decoded.sid, req.ip);
+    if (!session) {
+      return next(new AppError(ERROR_MESSAGES.SESSION_REVOKED, 401));
+    }
+
+    // Resolve permissions and university scope from the user's current role
+    Object.assign(user.$locals, await RoleService.resolveAccess(user));
+
+    // Add user and token claims to request object
     req.user = user;
+    req.tokenPayload = decoded;
+    setRequestContext({ user });
     next();
 
   } catch (error) {
@@ -56,6 +103,40 @@ const authenticate = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * API Key Authentication Middleware
+ * The key acts as its owner, limited to the permissions in the key's scopes,
+ * and is rate limited per key
+ */
+const authenticateApiKey = asyncHandler(async (req, res, next) => {
+  const rawKey = req.headers['x-api-key'];
+
+  if (!rawKey) {
+    return next(new AppError('Access denied. No API key provided.', 401));
+  }
+
+  const result = await ApiKeyService.verifyApiKey(rawKey, req.ip);
+  if (!result) {
+    return next(new AppError(ERROR_MESSAGES.API_KEY_INVALID, 401));
+  }
+
+  const { apiKey, user } = result;
+
+  // Owners keep only the permissions the key was issued for; permissions the
+  // owner has since lost are dropped as well
+  const { permissions, universityScope } = await RoleService.resolveAccess(user);
+  Object.assign(user.$locals, {
+    permissions: permissions.filter(permission => apiKey.scopes.includes(permission)),
+    universityScope
+  });
+
+  req.user = user;
+  req.apiKey = apiKey;
+  setRequestContext({ user, apiKey });
+
+  apiKeyRateLimit(req, res, next);
+});
+
 /**
  * Optional Authentication Middleware
  * Adds user to request if token is valid, but doesn't require authentication
@@ -71,17 +152,24 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   if (token) {
     try {
       // Verify token
-      const decoded = jwt.verify(token, jwtConfig.secret, getJwtVerifyOptions());
+      const decoded = jwt.verify(token, getVerificationKey(token), getJwtVerifyOptions());
       
       // Get user from token
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.active) {
+      const session = decoded.type === TOKEN_TYPES.ACCESS && user && user.active
+        ? await SessionService.validateSession(decoded.sid, req.ip)
+        : null;
+
+      if (session) {
+        Object.assign(user.$locals, await RoleService.resolveAccess(user));
         req.user = user;
+        req.tokenPayload = decoded;
+        setRequestContext({ user });
       }
     } catch (error) {
       // Ignore token errors for optional auth
-      console.log('Optional auth token error:', error.message);
+      logger.debug('Optional auth token error', { error: error.message });
     }
   }
 
@@ -89,16 +177,21 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Role-based Authorization Middleware
+ * Permission-based Authorization Middleware
+ * Requires every listed permission
  */
-const authorize = (...roles) => {
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return next(new AppError('Access denied. Authentication required.', 401));
     }
 
-    if (!roles.includes(req.user.role)) {
-      return next(new AppError('Access denied. Insufficient permissions.', 403));
+    if (!permissions.every(permission => req.user.hasPermission(permission))) {
+      return next(new AppError(ERROR_MESSAGES.PERMISSION_DENIED, 403));
+    }
+
+    if (isMissingRequiredTwoFactor(req.user)) {
+      return next(new AppError(ERROR_MESSAGES.TWO_FACTOR_REQUIRED, 403));
     }
 
     next();
@@ -106,41 +199,95 @@ const authorize = (...roles) => {
 };
 
 /**
- * Admin Authorization Middleware
+ * API Key Rejection Middleware
+ * For routes without a permission check: key scopes are only enforced by the
+ * permission middleware, so a key there would have all of its owner's access
  */
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return next(new AppError('Access denied. Authentication required.', 401));
-  }
-
-  if (req.user.role !== 'admin') {
-    return next(new AppError('Access denied. Admin privileges required.', 403));
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new AppError(ERROR_MESSAGES.API_KEY_ROUTE_NOT_ALLOWED, 403));
   }
 
   next();
 };
 
 /**
- * Self or Admin Authorization Middleware
- * Allows users to access their own resources or admins to access any resource
+ * Self or Permission Authorization Middleware
+ * Allows users to access their own resources, or anyone holding the permission
+ * to access any user's resources. API keys always need the permission.
  */
-const selfOrAdmin = (userIdParam = 'id') => {
+const selfOrPermission = (permission, userIdParam = 'id') => {
   return (req, res, next) => {
     if (!req.user) {
       return next(new AppError('Access denied. Authentication required.', 401));
     }
 
-    const requestedUserId = req.params[userIdParam];
-    const currentUserId = req.user._id.toString();
-
-    if (currentUserId === requestedUserId || req.user.role === 'admin') {
+    if (!req.apiKey && req.user._id.toString() === req.params[userIdParam]) {
       return next();
     }
 
-    return next(new AppError('Access denied. You can only access your own resources.', 403));
+    if (!req.user.hasPermission(permission)) {
+      return next(new AppError('Access denied. You can only access your own resources.', 403));
+    }
+
+    if (isMissingRequiredTwoFactor(req.user)) {
+      return next(new AppError(ERROR_MESSAGES.TWO_FACTOR_REQUIRED, 403));
+    }
+
+    next();
   };
 };
 
+/**
+ * Whether policy requires the user to enable two-factor authentication
+ * before using admin privileges (the resolved `*:manage` permissions)
+ */
+const isMissingRequiredTwoFactor = (user) => {
+  return TwoFactorService.isRequiredForPermissions(user.$locals.permissions || []) &&
+    !user.twoFactor.enabled;
+};
+
+/**
+ * Email verification middleware
+ * Blocks unverified accounts unless the email verification policy is off
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Access denied. Authentication required.', 401));
+  }
+
+  if (config.emailVerification.policy === EMAIL_VERIFICATION_POLICIES.OFF || req.user.emailVerified) {
+    return next();
+  }
+
+  return next(new EmailNotVerifiedError(ERROR_MESSAGES.EMAIL_NOT_VERIFIED));
+};
+
+/**
+ * Metrics Token Middleware
+ * Requires `Authorization: Bearer <METRICS_TOKEN>` when a metrics token is configured
+ */
+const requireMetricsToken = (req, res, next) => {
+  if (!config.metrics.token) {
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  // Hashing first gives equal lengths, as timingSafeEqual requires
+  const valid = crypto.timingSafeEqual(
+    Buffer.from(hashToken(token)),
+    Buffer.from(hashToken(config.metrics.token))
+  );
+
+  if (!valid) {
+    return next(new AppError(ERROR_MESSAGES.METRICS_TOKEN_INVALID, 401));
+  }
+
+  next();
+};
+
 /**
  * Rate limiting for authentication endpoints
  */
@@ -156,12 +303,47 @@ const authRateLimit = require('express-rate-limit')({
   skipSuccessfulRequests: true // Don't count successful requests
 });
 
+/**
+ * Rate limiting for resending verification emails
+ */
+const emailVerificationRateLimit = require('express-rate-limit')({
+  windowMs: config.emailVerification.resend.windowMs,
+  max: config.emailVerification.resend.maxRequests,
+  message: {
+    error: 'Too many verification emails requested, please try again later.',
+    retryAfter: Math.ceil(config.emailVerification.resend.windowMs / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Rate limiting for API key requests, counted per key
+ */
+const apiKeyRateLimit = require('express-rate-limit')({
+  windowMs: config.apiKeys.rateLimit.windowMs,
+  max: (req) => req.apiKey.rateLimit || config.apiKeys.rateLimit.maxRequests,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  message: {
+    error: 'Too many requests for this API key, please try again later.',
+    retryAfter: Math.ceil(config.apiKeys.rateLimit.windowMs / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 module.exports = {
   authenticate,
+  authenticateToken,
+  authenticateApiKey,
   optionalAuth,
-  authorize,
-  requireAdmin,
-  selfOrAdmin,
-  authRateLimit
+  requirePermission,
+  rejectApiKey,
+  selfOrPermission,
+  requireVerifiedEmail,
+  requireMetricsToken,
+  authRateLimit,
+  emailVerificationRateLimit,
+  apiKeyRateLimit
 };
 
@@ -5,6 +5,8 @@
  */
 
 const { AppError } = require('../exceptions/AppError');
+const { config } = require('../config/loader');
+const { logger } = require('../utils/logger');
 
 /**
  * Global error handling middleware
@@ -13,9 +15,6 @@ function errorHandler(err, req, res, next) {
   let error = { ...err };
   error.message = err.message;
 
-  // Log error
-  console.error('❌ Error:', err);
-
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     const message = 'Resource not found';
@@ -29,8 +28,8 @@ function errorHandler(err, req, res, next) {
     error = new AppError(message, 400);
   }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
+  // Mongoose validation error (the app's own ValidationError has no `errors` map)
+  if (err.name === 'ValidationError' && err.errors) {
     const message = Object.values(err.errors).map(val => val.message).join(', ');
     error = new AppError(message, 400);
   }
@@ -50,10 +49,25 @@ function errorHandler(err, req, res, next) {
   const statusCode = error.statusCode || 500;
   const message = error.message || 'Internal Server Error';
 
+  // Server errors need attention; client errors are routine
+  if (statusCode >= 500) {
+    logger.error(message, { error: err, method: req.method, path: req.originalUrl, status: statusCode });
+  } else {
+    logger.info(message, { method: req.method, path: req.originalUrl, status: statusCode });
+  }
+
+  // Temporary conditions such as account lockouts tell the client when to retry
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
   const errorResponse = {
     success: false,
     error: message,
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+    ...(error.details && { details: error.details }),
+    ...(error.retryAfter && { retryAfter: error.retryAfter }),
+    ...(req.id && { requestId: req.id }),
+    ...(config.env === 'development' && { stack: err.stack })
   };
 
   res.status(statusCode).json(errorResponse);
@@ -0,0 +1,33 @@
+/**
+ * HTTP Metrics Middleware
+ * 
+ * This file times every request for the Prometheus exporter, under its route
+ * pattern. It runs whenever /metrics is enabled, whether or not performance
+ * monitoring is.
+ */
+
+const MetricsService = require('../services/metricsService');
+const { captureRoutePattern, getRoutePattern } = require('../utils/routePattern');
+
+/**
+ * HTTP Metrics Middleware
+ */
+const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  captureRoutePattern(req, res);
+
+  res.on('finish', () => {
+    MetricsService.recordHttpRequest({
+      method: req.method,
+      route: getRoutePattern(res),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  httpMetrics
+};
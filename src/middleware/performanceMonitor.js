@@ -0,0 +1,35 @@
+/**
+ * Performance Monitoring Middleware
+ * 
+ * This file times every request and records it with the performance service
+ * under its route pattern, so /api/users/1 and /api/users/2 share one entry.
+ */
+
+const PerformanceService = require('../services/performanceService');
+const { captureRoutePattern, getRoutePattern } = require('../utils/routePattern');
+
+/**
+ * Performance Monitoring Middleware
+ */
+const performanceMonitor = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  captureRoutePattern(req, res);
+
+  res.on('finish', () => {
+    PerformanceService.recordRequest({
+      method: req.method,
+      route: getRoutePattern(res),
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      requestId: req.id
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  performanceMonitor
+};
+
@@ -0,0 +1,33 @@
+/**
+ * Request Context Middleware
+ * 
+ * This file gives every request an ID and starts its request context. A valid
+ * X-Request-ID header from the client or a proxy is kept so one request can
+ * be followed across services; otherwise a new ID is generated. The ID is
+ * returned in the X-Request-ID response header.
+ */
+
+const crypto = require('crypto');
+const { runWithRequestContext } = require('../utils/requestContext');
+const { REGEX_PATTERNS } = require('../utils/constants');
+
+/**
+ * Request Context Middleware
+ */
+const requestContext = (req, res, next) => {
+  const incomingId = req.get('x-request-id');
+
+  req.id = incomingId && REGEX_PATTERNS.REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+
+  runWithRequestContext({
+    requestId: req.id,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  }, next);
+};
+
+module.exports = {
+  requestContext
+};
+
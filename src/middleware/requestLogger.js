@@ -0,0 +1,37 @@
+/**
+ * Request Logging Middleware
+ * 
+ * This file logs one `http` entry for every finished request, with its
+ * method, path, status, duration and the user who made it.
+ */
+
+const { logger } = require('../utils/logger');
+
+/**
+ * Request Logging Middleware
+ */
+const requestLogger = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  // 'finish' fires outside the request context, so the IDs are passed along
+  res.on('finish', () => {
+    logger.http(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+      requestId: req.id,
+      userId: req.user ? req.user._id.toString() : undefined,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      contentLength: res.get('content-length'),
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestLogger
+};
+
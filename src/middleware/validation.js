@@ -7,14 +7,20 @@
 const Joi = require('joi');
 const { validationErrorHandler } = require('./errorHandler');
 const { isValidObjectId } = require('../utils/helpers');
-const { AppError } = require('../exceptions');
+const { AppError } = require('../exceptions/AppError');
+const { PERMISSIONS, ROLE_SCOPES, AUDIT_TARGETS } = require('../utils/constants');
 
 /**
  * Generic validation middleware
  */
 const validate = (schema, property = 'body') => {
   return (req, res, next) => {
-    const { error } = schema.validate(req[property], { abortEarly: false });
+    // Query strings carry pagination, filters and search terms side by side,
+    // so each query schema only checks the keys it knows about
+    const { error } = schema.validate(req[property], {
+      abortEarly: false,
+      allowUnknown: property === 'query'
+    });
     
     if (error) {
       return next(validationErrorHandler(error));
@@ -33,7 +39,8 @@ const schemas = {
     name: Joi.string().min(2).max(100).required(),
     username: Joi.string().alphanum().min(3).max(30).required(),
     email: Joi.string().email().required(),
-    password: Joi.string().min(6).max(128).required(),
+    // Length and complexity rules come from the configured password policy
+    password: Joi.string().max(128).required(),
     age: Joi.number().integer().min(13).max(120).required(),
     university: Joi.string().min(2).max(200).required(),
     school: Joi.string().min(2).max(200).optional(),
@@ -45,6 +52,52 @@ const schemas = {
     password: Joi.string().required()
   }),
 
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().max(128).required()
+  }),
+
+  resetPassword: Joi.object({
+    userId: Joi.string().hex().length(24).required(),
+    newPassword: Joi.string().max(128).required()
+  }),
+
+  verifyTwoFactor: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  oidcCallback: Joi.object({
+    code: Joi.string().max(2048).required(),
+    state: Joi.string().max(256).required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  resendVerificationEmail: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  confirmPasswordReset: Joi.object({
+    token: Joi.string().hex().required(),
+    newPassword: Joi.string().max(128).required()
+  }),
+
   updateUser: Joi.object({
     name: Joi.string().min(2).max(100).optional(),
     age: Joi.number().integer().min(13).max(120).optional(),
@@ -53,6 +106,44 @@ const schemas = {
     work: Joi.string().min(2).max(200).optional()
   }),
 
+  updateProfile: Joi.object({
+    name: Joi.string().min(2).max(100).optional(),
+    email: Joi.string().email().optional(),
+    age: Joi.number().integer().min(13).max(120).optional(),
+    university: Joi.string().min(2).max(200).optional(),
+    school: Joi.string().min(2).max(200).optional(),
+    work: Joi.string().min(2).max(200).optional()
+  }),
+
+  // Role validation schemas
+  createRole: Joi.object({
+    name: Joi.string().lowercase().pattern(/^[a-z][a-z0-9_-]*$/).min(2).max(50).required(),
+    description: Joi.string().max(500).allow('').optional(),
+    permissions: Joi.array().items(Joi.string().valid(...Object.values(PERMISSIONS))).optional(),
+    scope: Joi.string().valid(...Object.values(ROLE_SCOPES)).optional()
+  }),
+
+  updateRole: Joi.object({
+    name: Joi.string().lowercase().pattern(/^[a-z][a-z0-9_-]*$/).min(2).max(50).optional(),
+    description: Joi.string().max(500).allow('').optional(),
+    permissions: Joi.array().items(Joi.string().valid(...Object.values(PERMISSIONS))).optional(),
+    scope: Joi.string().valid(...Object.values(ROLE_SCOPES)).optional()
+  }).min(1),
+
+  assignRole: Joi.object({
+    role: Joi.string().lowercase().max(50).required(),
+    universities: Joi.array().items(Joi.string().hex().length(24)).unique().optional()
+  }),
+
+  // API key validation schemas
+  createApiKey: Joi.object({
+    name: Joi.string().max(100).required(),
+    userId: Joi.string().hex().length(24).optional(),
+    scopes: Joi.array().items(Joi.string().valid(...Object.values(PERMISSIONS))).min(1).required(),
+    expiresAt: Joi.date().iso().greater('now').optional(),
+    rateLimit: Joi.number().integer().min(1).optional()
+  }),
+
   // University validation schemas
   createUniversity: Joi.object({
     name: Joi.string().min(2).max(200).required(),
@@ -100,6 +191,16 @@ const schemas = {
     establishedYear: Joi.number().integer().min(1800).max(new Date().getFullYear()).optional()
   }),
 
+  addSubject: Joi.object({
+    name: Joi.string().min(2).max(100).required()
+  }),
+
+  addDepartment: Joi.object({
+    name: Joi.string().min(2).max(200).required(),
+    head: Joi.string().min(2).max(100).optional(),
+    studentCount: Joi.number().integer().min(0).optional()
+  }),
+
   // Cart validation schemas
   createCart: Joi.object({
     name: Joi.string().min(2).max(100).required(),
@@ -108,7 +209,6 @@ const schemas = {
 
   updateCart: Joi.object({
     name: Joi.string().min(2).max(100).optional(),
-    status: Joi.string().valid('ACTIVE', 'COMPLETED', 'CANCELLED').optional(),
     notes: Joi.string().max(500).optional()
   }),
 
@@ -119,6 +219,10 @@ const schemas = {
     price: Joi.number().min(0).required()
   }),
 
+  updateCartItem: Joi.object({
+    quantity: Joi.number().integer().min(1).max(1000).required()
+  }),
+
   // Query validation schemas
   createQuery: Joi.object({
     name: Joi.string().min(2).max(100).required(),
@@ -137,9 +241,37 @@ const schemas = {
     tags: Joi.array().items(Joi.string()).optional()
   }),
 
+  updateQuery: Joi.object({
+    name: Joi.string().min(2).max(100).optional(),
+    description: Joi.string().min(10).max(500).optional(),
+    collection: Joi.string().optional(),
+    query: Joi.alternatives().try(Joi.object(), Joi.array()).optional(),
+    parameters: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      type: Joi.string().valid('string', 'number', 'boolean', 'date', 'objectId').required(),
+      required: Joi.boolean().default(false),
+      description: Joi.string().optional(),
+      defaultValue: Joi.any().optional(),
+      validation: Joi.object().optional()
+    })).optional(),
+    category: Joi.string().valid('search', 'filter', 'aggregate', 'report').optional(),
+    tags: Joi.array().items(Joi.string()).optional(),
+    active: Joi.boolean().optional()
+  }),
+
   executeQuery: Joi.object({
     queryName: Joi.string().required(),
-    parameters: Joi.object().optional()
+    parameters: Joi.object().optional(),
+    version: Joi.number().integer().min(1).optional()
+  }),
+
+  rollbackQuery: Joi.object({
+    version: Joi.number().integer().min(1).required()
+  }),
+
+  versionDiff: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required()
   }),
 
   // Pagination validation
@@ -150,6 +282,17 @@ const schemas = {
     order: Joi.string().valid('asc', 'desc').optional()
   }),
 
+  // Audit log filters
+  auditQuery: Joi.object({
+    action: Joi.string().pattern(/^[a-z_]+(\.[a-z_]+|\.\*)?$/, 'action').optional(),
+    actorId: Joi.string().hex().length(24).optional(),
+    targetType: Joi.string().valid(...Object.values(AUDIT_TARGETS)).optional(),
+    targetId: Joi.string().hex().length(24).optional(),
+    requestId: Joi.string().max(128).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+  }),
+
   // Search validation
   search: Joi.object({
     name: Joi.string().min(1).max(100).required()
@@ -165,18 +308,40 @@ const schemas = {
 // Validation middleware functions
 const validateRegisterUser = validate(schemas.registerUser);
 const validateLoginUser = validate(schemas.loginUser);
+const validateChangePassword = validate(schemas.changePassword);
+const validateResetPassword = validate(schemas.resetPassword);
+const validateVerifyTwoFactor = validate(schemas.verifyTwoFactor);
+const validateTwoFactorCode = validate(schemas.twoFactorCode);
+const validateDisableTwoFactor = validate(schemas.disableTwoFactor);
+const validateOidcCallback = validate(schemas.oidcCallback);
+const validateForgotPassword = validate(schemas.forgotPassword);
+const validateConfirmPasswordReset = validate(schemas.confirmPasswordReset);
+const validateVerifyEmail = validate(schemas.verifyEmail);
+const validateResendVerificationEmail = validate(schemas.resendVerificationEmail);
 const validateUpdateUser = validate(schemas.updateUser);
+const validateUpdateProfile = validate(schemas.updateProfile);
 const validateCreateUser = validate(schemas.registerUser); // Use same schema as register
+const validateCreateRole = validate(schemas.createRole);
+const validateUpdateRole = validate(schemas.updateRole);
+const validateAssignRole = validate(schemas.assignRole);
+const validateCreateApiKey = validate(schemas.createApiKey);
 const validateCreateUniversity = validate(schemas.createUniversity);
 const validateUpdateUniversity = validate(schemas.updateUniversity);
 const validateCreateFaculty = validate(schemas.createFaculty);
 const validateUpdateFaculty = validate(schemas.updateFaculty);
+const validateAddSubject = validate(schemas.addSubject);
+const validateAddDepartment = validate(schemas.addDepartment);
 const validateCreateCart = validate(schemas.createCart);
 const validateUpdateCart = validate(schemas.updateCart);
 const validateAddCartItem = validate(schemas.addCartItem);
+const validateUpdateCartItem = validate(schemas.updateCartItem);
 const validateCreateQuery = validate(schemas.createQuery);
+const validateUpdateQuery = validate(schemas.updateQuery);
 const validateExecuteQuery = validate(schemas.executeQuery);
+const validateRollbackQuery = validate(schemas.rollbackQuery);
+const validateVersionDiff = validate(schemas.versionDiff, 'query');
 const validatePagination = validate(schemas.pagination, 'query');
+const validateAuditQuery = validate(schemas.auditQuery, 'query');
 const validateSearch = validate(schemas.search, 'query');
 const validateAgeRange = validate(schemas.ageRange, 'query');
 
@@ -226,20 +391,42 @@ module.exports = {
   schemas,
   validateRegisterUser,
   validateLoginUser,
+  validateChangePassword,
+  validateResetPassword,
+  validateVerifyTwoFactor,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateOidcCallback,
+  validateForgotPassword,
+  validateConfirmPasswordReset,
+  validateVerifyEmail,
+  validateResendVerificationEmail,
   validateUpdateUser,
+  validateUpdateProfile,
   validateCreateUser,
+  validateCreateRole,
+  validateUpdateRole,
+  validateAssignRole,
+  validateCreateApiKey,
   validateCreateUniversity,
   validateUpdateUniversity,
   validateCreateFaculty,
   validateUpdateFaculty,
+  validateAddSubject,
+  validateAddDepartment,
   validateCreateCart,
   validateUpdateCart,
   validateAddCartItem,
+  validateUpdateCartItem,
   validateCreateQuery,
+  validateUpdateQuery,
   validateExecuteQuery,
+  validateRollbackQuery,
+  validateVersionDiff,
   validateMongoId,
   validatePagination,
   validateAgeRange,
+  validateAuditQuery,
   validateSearch,
   validateObjectId,
   validateAgeRangeLogic
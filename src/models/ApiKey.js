@@ -0,0 +1,95 @@
+/**
+ * API Key Model
+ * 
+ * This file defines the ApiKey schema for MongoDB using Mongoose.
+ * An API key acts as its owner (`userId`), limited to the key's scopes.
+ * Only a SHA-256 hash of each key is stored; the prefix identifies a key in
+ * listings and logs without revealing it.
+ */
+
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../utils/constants');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: [true, 'API key prefix is required'],
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'API key hash is required'],
+    unique: true,
+    select: false
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scopes: [{
+    type: String,
+    enum: {
+      values: Object.values(PERMISSIONS),
+      message: 'Unknown permission: {VALUE}'
+    }
+  }],
+  rateLimit: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1 request per window'],
+    default: null // requests per window; null uses apiKeys.rateLimit.maxRequests
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null means the key does not expire
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance optimization
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtual for key status
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to find a key that has not been revoked or expired
+apiKeySchema.statics.findUsable = function(keyHash) {
+  return this.findOne({
+    keyHash,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
+
@@ -0,0 +1,119 @@
+/**
+ * Audit Log Model
+ * 
+ * This file defines the AuditLog schema for MongoDB using Mongoose.
+ * An entry records who did what to which record, the fields that changed and
+ * the request it happened in. Entries are append-only: the model refuses to
+ * update or delete them, and only the retention period removes them.
+ */
+
+const mongoose = require('mongoose');
+
+const RETENTION_INDEX_NAME = 'createdAt_retention';
+const DAY_SECONDS = 24 * 60 * 60;
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required']
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: String,
+    role: String,
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    }
+  },
+  target: {
+    type: {
+      type: String
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    label: String
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed, // changed fields only
+    after: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// Indexes for performance optimization
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// Entries are append-only
+const MODIFYING_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+auditLogSchema.pre(MODIFYING_OPERATIONS, { document: true, query: true }, function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+});
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified or deleted'));
+  }
+  next();
+});
+
+// Static method to make MongoDB delete entries older than the retention period
+// (0 keeps them forever). The TTL index is kept out of the schema so a changed
+// period is applied to the existing index instead of conflicting with it.
+auditLogSchema.statics.applyRetention = async function(retentionDays) {
+  const indexes = await this.collection.indexes().catch(error => {
+    if (error.codeName === 'NamespaceNotFound') {
+      return [];
+    }
+    throw error;
+  });
+  const existingIndex = indexes.find(index => index.name === RETENTION_INDEX_NAME);
+
+  if (retentionDays === 0) {
+    if (existingIndex) {
+      await this.collection.dropIndex(RETENTION_INDEX_NAME);
+    }
+    return;
+  }
+
+  const expireAfterSeconds = retentionDays * DAY_SECONDS;
+
+  if (!existingIndex) {
+    await this.collection.createIndex(
+      { createdAt: 1 },
+      { name: RETENTION_INDEX_NAME, expireAfterSeconds }
+    );
+  } else if (existingIndex.expireAfterSeconds !== expireAfterSeconds) {
+    await this.db.db.command({
+      collMod: this.collection.collectionName,
+      index: { name: RETENTION_INDEX_NAME, expireAfterSeconds }
+    });
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+
@@ -168,9 +168,10 @@ facultySchema.methods.removeDepartment = function(departmentName) {
   return this.save();
 };
 
-// Static method to get faculty statistics
-facultySchema.statics.getStatistics = async function() {
+// Static method to get faculty statistics, optionally limited by a filter
+facultySchema.statics.getStatistics = async function(filter = {}) {
   const stats = await this.aggregate([
+    { $match: filter },
     {
       $group: {
         _id: null,
@@ -0,0 +1,55 @@
+/**
+ * OIDC Login State Model
+ * 
+ * This file defines the OidcLoginState schema for MongoDB using Mongoose.
+ * A record is kept for every login started at an identity provider, holding
+ * the PKCE code verifier and nonce until the provider redirects back. Only a
+ * SHA-256 hash of the `state` parameter is stored, and each record can be
+ * consumed once.
+ */
+
+const mongoose = require('mongoose');
+
+const oidcLoginStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: [true, 'State hash is required'],
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, 'Code verifier is required']
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+  // Set when an existing user is linking the provider to their account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove logins that were never completed
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to remove and return an unexpired state; returns null if it
+// was already used, has expired or belongs to another provider
+oidcLoginStateSchema.statics.consume = function(stateHash, provider) {
+  return this.findOneAndDelete({ stateHash, provider, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
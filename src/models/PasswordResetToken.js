@@ -0,0 +1,73 @@
+/**
+ * Password Reset Token Model
+ * 
+ * This file defines the PasswordResetToken schema for MongoDB using Mongoose.
+ * Only a SHA-256 hash of each reset token is stored, and a token can be
+ * used at most once before it expires.
+ */
+
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestedIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance optimization
+passwordResetTokenSchema.index({ userId: 1, usedAt: 1 });
+// Let MongoDB remove records once the token could no longer be used anyway
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for token status
+passwordResetTokenSchema.virtual('isUsable').get(function() {
+  return !this.usedAt && this.expiresAt > new Date();
+});
+
+// Static method to find a token that has not been used or expired
+passwordResetTokenSchema.statics.findUsable = function(tokenHash) {
+  return this.findOne({ tokenHash, usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to mark a token as used; returns null if it was already used or expired
+passwordResetTokenSchema.statics.consume = function(tokenHash) {
+  return this.findOneAndUpdate(
+    { tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to invalidate every outstanding token of a user
+passwordResetTokenSchema.statics.invalidateUser = function(userId) {
+  return this.updateMany(
+    { userId, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
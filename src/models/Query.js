@@ -5,6 +5,61 @@
  */
 
 const mongoose = require('mongoose');
+const { validateQuerySafety } = require('../utils/querySafety');
+const { UnsafeQueryError } = require('../exceptions');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const EXACT_PLACEHOLDER_PATTERN = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+/**
+ * Convert a raw parameter value to its declared type
+ */
+function castParameterValue(type, value) {
+  switch (type) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'date':
+      return new Date(value);
+    case 'objectId':
+      return new mongoose.Types.ObjectId(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Walk a query template and replace {{placeholders}} with parameter values.
+ * A string that is exactly one placeholder takes the typed value; placeholders
+ * embedded in a longer string are replaced with the value's string form.
+ */
+function substitutePlaceholders(node, values) {
+  if (typeof node === 'string') {
+    const exactMatch = node.match(EXACT_PLACEHOLDER_PATTERN);
+    if (exactMatch) {
+      return Object.prototype.hasOwnProperty.call(values, exactMatch[1]) ? values[exactMatch[1]] : node;
+    }
+
+    return node.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder;
+    });
+  }
+
+  if (Array.isArray(node)) {
+    return node.map(item => substitutePlaceholders(item, values));
+  }
+
+  if (node && typeof node === 'object' && Object.getPrototypeOf(node) === Object.prototype) {
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      result[key] = substitutePlaceholders(value, values);
+    }
+    return result;
+  }
+
+  return node;
+}
 
 const parameterSchema = new mongoose.Schema({
   name: {
@@ -70,6 +125,11 @@ const querySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  version: {
+    type: Number,
+    default: 1,
+    min: [1, 'Version must be at least 1']
+  },
   category: {
     type: String,
     enum: ['search', 'filter', 'aggregate', 'report'],
@@ -120,10 +180,20 @@ querySchema.virtual('summary').get(function() {
     parameterCount: this.parameters.length,
     executionCount: this.executionCount,
     active: this.active,
+    version: this.version,
     lastExecuted: this.lastExecuted
   };
 });
 
+// Pre-validate middleware to reject templates outside the operator allow-list
+querySchema.pre('validate', function(next) {
+  const violations = validateQuerySafety(this.query, this.collection);
+  if (violations.length > 0) {
+    return next(new UnsafeQueryError('Query template uses operators or stages that are not allowed', violations));
+  }
+  next();
+});
+
 // Static method to find active queries
 querySchema.statics.findActive = function() {
   return this.find({ active: true });
@@ -157,7 +227,7 @@ querySchema.methods.validateParameters = function(providedParams) {
   
   // Check required parameters
   for (const param of this.parameters) {
-    if (param.required && !providedParams.hasOwnProperty(param.name)) {
+    if (param.required && !Object.prototype.hasOwnProperty.call(providedParams, param.name)) {
       errors.push(`Required parameter '${param.name}' is missing`);
     }
   }
@@ -207,8 +277,8 @@ querySchema.methods.validateParameters = function(providedParams) {
       }
     }
     
-    // Enum validation
-    if (paramDef.validation && paramDef.validation.enum) {
+    // Enum validation (mongoose defaults the enum array to empty)
+    if (paramDef.validation && paramDef.validation.enum && paramDef.validation.enum.length > 0) {
       if (!paramDef.validation.enum.includes(paramValue)) {
         errors.push(`Parameter '${paramName}' must be one of: ${paramDef.validation.enum.join(', ')}`);
       }
@@ -220,42 +290,15 @@ querySchema.methods.validateParameters = function(providedParams) {
 
 // Instance method to substitute parameters in query
 querySchema.methods.substituteParameters = function(parameters) {
-  let queryString = JSON.stringify(this.query);
-  
-  // Replace parameter placeholders with actual values
+  const values = {};
+
+  // Convert provided values to their declared types
   for (const [paramName, paramValue] of Object.entries(parameters)) {
-    const placeholder = `{{${paramName}}}`;
-    const regex = new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-    
-    // Handle different parameter types
-    let substitutionValue;
     const paramDef = this.parameters.find(p => p.name === paramName);
-    
-    if (paramDef) {
-      switch (paramDef.type) {
-        case 'number':
-          substitutionValue = Number(paramValue);
-          break;
-        case 'boolean':
-          substitutionValue = Boolean(paramValue);
-          break;
-        case 'date':
-          substitutionValue = new Date(paramValue);
-          break;
-        case 'objectId':
-          substitutionValue = new mongoose.Types.ObjectId(paramValue);
-          break;
-        default:
-          substitutionValue = paramValue;
-      }
-    } else {
-      substitutionValue = paramValue;
-    }
-    
-    queryString = queryString.replace(regex, JSON.stringify(substitutionValue));
+    values[paramName] = paramDef ? castParameterValue(paramDef.type, paramValue) : paramValue;
   }
-  
-  return JSON.parse(queryString);
+
+  return substitutePlaceholders(this.query, values);
 };
 
 // Instance method to record execution
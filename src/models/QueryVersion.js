@@ -0,0 +1,86 @@
+/**
+ * Query Version Model
+ * 
+ * This file defines the QueryVersion schema for MongoDB using Mongoose.
+ * Each document is an immutable snapshot of a saved query template.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Template fields captured in every version
+ */
+const VERSIONED_FIELDS = ['name', 'description', 'collection', 'query', 'parameters', 'category', 'tags'];
+
+const queryVersionSchema = new mongoose.Schema({
+  queryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Query',
+    required: [true, 'Query ID is required']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version number is required'],
+    min: [1, 'Version number must be at least 1']
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'rollback'],
+    required: [true, 'Version action is required']
+  },
+  restoredFrom: {
+    type: Number
+  },
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Template snapshot is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance optimization
+queryVersionSchema.index({ queryId: 1, version: -1 }, { unique: true });
+
+// Versions are append-only
+queryVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Query versions cannot be modified'));
+  }
+  next();
+});
+
+queryVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Query versions cannot be modified'));
+});
+
+// Static method to snapshot the current state of a query
+queryVersionSchema.statics.recordVersion = function(queryDoc, author, action, restoredFrom) {
+  const source = queryDoc.toObject({ virtuals: false });
+  const template = {};
+
+  for (const field of VERSIONED_FIELDS) {
+    template[field] = source[field];
+  }
+
+  return this.create({
+    queryId: queryDoc._id,
+    version: queryDoc.version,
+    action,
+    restoredFrom,
+    template,
+    author
+  });
+};
+
+// Static method to find a specific version of a query
+queryVersionSchema.statics.findVersion = function(queryId, version) {
+  return this.findOne({ queryId, version });
+};
+
+module.exports = mongoose.model('QueryVersion', queryVersionSchema);
+
@@ -0,0 +1,86 @@
+/**
+ * Refresh Token Model
+ * 
+ * This file defines the RefreshToken schema for MongoDB using Mongoose.
+ * Only a SHA-256 hash of each refresh token is stored. Tokens issued from one
+ * login share a family ID (the session ID) so the whole chain can be revoked at once.
+ */
+
+const mongoose = require('mongoose');
+const { TOKEN_REVOCATION_REASONS } = require('../utils/constants');
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  familyId: {
+    type: String,
+    required: [true, 'Family ID is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: Object.values(TOKEN_REVOCATION_REASONS)
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance optimization
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove records once the token could no longer be used anyway
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for token status
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to revoke every active token in a family
+refreshTokenSchema.statics.revokeFamily = function(familyId, reason) {
+  return this.updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke every active token of a user
+refreshTokenSchema.statics.revokeUser = function(userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to mark a token as used; returns null if it was already revoked
+refreshTokenSchema.statics.consume = function(tokenHash) {
+  return this.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: TOKEN_REVOCATION_REASONS.ROTATED } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
+
@@ -0,0 +1,83 @@
+/**
+ * Role Model
+ * 
+ * This file defines the Role schema for MongoDB using Mongoose.
+ * A role is a named set of permissions. Users reference their role by name
+ * in `User.role`. A university-scoped role only grants its permissions for
+ * the universities listed in the holder's `managedUniversities`.
+ */
+
+const mongoose = require('mongoose');
+const {
+  PERMISSIONS,
+  ROLE_SCOPES,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_ROLE_SCOPES
+} = require('../utils/constants');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: [2, 'Role name must be at least 2 characters long'],
+    maxlength: [50, 'Role name cannot exceed 50 characters'],
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name can only contain lowercase letters, numbers, hyphens and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: Object.values(PERMISSIONS),
+      message: 'Unknown permission: {VALUE}'
+    }
+  }],
+  scope: {
+    type: String,
+    enum: Object.values(ROLE_SCOPES),
+    default: ROLE_SCOPES.GLOBAL
+  },
+  system: {
+    type: Boolean,
+    default: false // built-in roles cannot be renamed or deleted
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to find a role by name
+roleSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).toLowerCase() });
+};
+
+// Static method to create any built-in roles that do not exist yet
+roleSchema.statics.ensureSystemRoles = async function() {
+  const operations = Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+    updateOne: {
+      filter: { name },
+      update: {
+        $setOnInsert: {
+          name,
+          description: `Built-in ${name} role`,
+          permissions,
+          scope: DEFAULT_ROLE_SCOPES[name] || ROLE_SCOPES.GLOBAL,
+          system: true
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  return this.bulkWrite(operations);
+};
+
+module.exports = mongoose.model('Role', roleSchema);
+
@@ -6,6 +6,38 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ACCOUNT_LOCKOUT } = require('../utils/constants');
+const { config } = require('../config/loader');
+
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true // id of an oidc.providers entry
+  },
+  subject: {
+    type: String,
+    required: true // the provider's `sub` claim
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const recoveryCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -35,13 +67,22 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through an identity provider start without a password
+    required: [function() { return this.identities.length === 0; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
+  // Earlier password hashes, newest first, for the password reuse check
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
   age: {
     type: Number,
-    required: [true, 'Age is required'],
+    required: [function() { return this.identities.length === 0; }, 'Age is required'],
     min: [13, 'Age must be at least 13'],
     max: [120, 'Age cannot exceed 120']
   },
@@ -64,19 +105,74 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    trim: true,
+    lowercase: true,
+    default: 'user' // name of a Role document
   },
+  managedUniversities: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'University' // universities administered under a university-scoped role
+  }],
   active: {
     type: Boolean,
     default: true
   },
+  // Logins at OpenID Connect identity providers linked to this account
+  identities: {
+    type: [identitySchema],
+    default: []
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    // TOTP secrets are stored encrypted and never selected by default
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [recoveryCodeSchema],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   lastLogin: {
     type: Date
   },
   loginCount: {
     type: Number,
     default: 0
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  lockCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true,
@@ -92,6 +188,10 @@ userSchema.index({ university: 1 });
 userSchema.index({ age: 1 });
 userSchema.index({ createdAt: 1 });
 userSchema.index({ active: 1, university: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Virtual for user's full profile
 userSchema.virtual('profile').get(function() {
@@ -106,6 +206,9 @@ userSchema.virtual('profile').get(function() {
     work: this.work,
     role: this.role,
     active: this.active,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: Boolean(this.twoFactor && this.twoFactor.enabled),
+    identities: this.identities,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
     lastLogin: this.lastLogin,
@@ -113,14 +216,24 @@ userSchema.virtual('profile').get(function() {
   };
 });
 
-// Pre-save middleware to hash password
+// Virtual for whether the account is currently locked out
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Pre-save middleware to hash password. Services assign the plain-text
+// password and leave hashing to this hook.
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified('password')) return next();
 
   try {
-    // Hash password with cost of 12
-    const salt = await bcrypt.genSalt(12);
+    if (this.isNew && !this.passwordChangedAt) {
+      this.passwordChangedAt = new Date();
+    }
+
+    // Hash password with the configured cost factor
+    const salt = await bcrypt.genSalt(config.password.saltRounds);
     this.password = await bcrypt.hash(this.password, salt);
     next();
   } catch (error) {
@@ -137,13 +250,83 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Instance method to update login info
+// Instance method to replace the password, keeping the previous hash in the
+// history. Load the user with '+password +passwordHistory' first.
+userSchema.methods.setPassword = function(newPassword, historySize = 0) {
+  if (!this.isNew && (!this.isSelected('password') || !this.isSelected('passwordHistory'))) {
+    throw new Error('setPassword requires password and passwordHistory to be selected');
+  }
+
+  // Only a saved hash goes into the history, never an unsaved plain-text value
+  if (!this.isNew && this.password && !this.isModified('password')) {
+    // The current password counts towards historySize
+    this.passwordHistory = historySize > 1
+      ? [this.password, ...(this.passwordHistory || [])].slice(0, historySize - 1)
+      : [];
+  }
+
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+};
+
+// Static method to find the user linked to an identity provider login
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// Instance method to check a permission resolved by the authenticate middleware
+userSchema.methods.hasPermission = function(permission) {
+  return (this.$locals.permissions || []).includes(permission);
+};
+
+// Instance method to update login info and clear failed attempts
 userSchema.methods.updateLoginInfo = async function() {
   this.lastLogin = new Date();
   this.loginCount += 1;
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
   return await this.save();
 };
 
+// Instance method to record a failed login, locking the account once the
+// threshold is reached. Each lock doubles in length up to the maximum.
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS) {
+    return updated;
+  }
+
+  const lockDuration = Math.min(
+    ACCOUNT_LOCKOUT.BASE_LOCK_MS * 2 ** updated.lockCount,
+    ACCOUNT_LOCKOUT.MAX_LOCK_MS
+  );
+
+  // Conditional so concurrent failures that cross the threshold lock only once
+  const locked = await User.findOneAndUpdate(
+    { _id: this._id, failedLoginAttempts: { $gte: ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS } },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockDuration) },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+
+  return locked || User.findById(this._id);
+};
+
+// Instance method to get the seconds remaining on a lockout
+userSchema.methods.getLockRetryAfter = function() {
+  return this.isLocked ? Math.ceil((this.lockUntil - Date.now()) / 1000) : 0;
+};
+
 // Static method to find active users
 userSchema.statics.findActive = function() {
   return this.find({ active: true });
@@ -177,9 +360,10 @@ userSchema.statics.searchByName = function(name) {
   });
 };
 
-// Static method to get user statistics
-userSchema.statics.getStatistics = async function() {
+// Static method to get user statistics, optionally limited by a filter
+userSchema.statics.getStatistics = async function(filter = {}) {
   const stats = await this.aggregate([
+    { $match: filter },
     {
       $group: {
         _id: null,
@@ -211,7 +395,7 @@ userSchema.statics.getStatistics = async function() {
   sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
   
   const recentRegistrations = await this.countDocuments({
-    createdAt: { $gte: sevenDaysAgo }
+    $and: [filter, { createdAt: { $gte: sevenDaysAgo } }]
   });
 
   return {
@@ -220,10 +404,17 @@ userSchema.statics.getStatistics = async function() {
   };
 };
 
-// Remove password from JSON output
+// Remove password and two-factor secrets from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
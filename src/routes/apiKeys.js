@@ -0,0 +1,48 @@
+/**
+ * API Key Routes
+ * 
+ * This file defines routes for API key management endpoints.
+ */
+
+const express = require('express');
+const ApiKeyController = require('../controllers/apiKeyController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateCreateApiKey, validateObjectId } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication and API key management permission to all API key routes
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Get API keys (filter with ?userId= and ?includeRevoked=true)
+ * @access  Private (api_keys:manage)
+ */
+router.get('/', ApiKeyController.getApiKeys);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Issue an API key; the key is only returned in this response
+ * @access  Private (api_keys:manage)
+ */
+router.post('/', validateCreateApiKey, ApiKeyController.createApiKey);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Get API key by ID
+ * @access  Private (api_keys:manage)
+ */
+router.get('/:id', validateObjectId, ApiKeyController.getApiKeyById);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke API key
+ * @access  Private (api_keys:manage)
+ */
+router.delete('/:id', validateObjectId, ApiKeyController.revokeApiKey);
+
+module.exports = router;
+
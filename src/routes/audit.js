@@ -0,0 +1,36 @@
+/**
+ * Audit Routes
+ * 
+ * This file defines routes for reading the audit log. The log cannot be
+ * changed through the API.
+ */
+
+const express = require('express');
+const AuditController = require('../controllers/auditController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validatePagination, validateAuditQuery, validateObjectId } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication and audit permission to all audit routes
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.AUDIT_READ));
+
+/**
+ * @route   GET /api/audit
+ * @desc    Get audit entries, newest first (filter with ?action=, ?actorId=,
+ *          ?targetType=, ?targetId=, ?requestId=, ?from= and ?to=)
+ * @access  Private (audit:read)
+ */
+router.get('/', validatePagination, validateAuditQuery, AuditController.getAuditLogs);
+
+/**
+ * @route   GET /api/audit/:id
+ * @desc    Get audit entry by ID
+ * @access  Private (audit:read)
+ */
+router.get('/:id', validateObjectId, AuditController.getAuditLogById);
+
+module.exports = router;
+
@@ -6,12 +6,31 @@
 
 const express = require('express');
 const AuthController = require('../controllers/authController');
-const { authenticate, authRateLimit } = require('../middleware/auth');
+const OidcController = require('../controllers/oidcController');
+const {
+  authenticate,
+  authenticateToken,
+  requirePermission,
+  authRateLimit,
+  emailVerificationRateLimit
+} = require('../middleware/auth');
 const { 
   validateRegisterUser, 
   validateLoginUser, 
-  validateUpdateUser 
+  validateChangePassword,
+  validateResetPassword,
+  validateVerifyTwoFactor,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateOidcCallback,
+  validateForgotPassword,
+  validateConfirmPasswordReset,
+  validateVerifyEmail,
+  validateResendVerificationEmail,
+  validateUpdateProfile,
+  validateObjectId
 } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -32,6 +51,52 @@ router.post('/register', validateRegisterUser, AuthController.register);
  */
 router.post('/login', validateLoginUser, AuthController.login);
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a two-factor login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/2fa/verify', validateVerifyTwoFactor, AuthController.verifyTwoFactor);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status of the current user
+ * @access  Private
+ */
+router.get('/2fa', authenticateToken, AuthController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticateToken, AuthController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a TOTP code and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, AuthController.enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticateToken, validateDisableTwoFactor, AuthController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+  authenticateToken,
+  validateTwoFactorCode,
+  AuthController.regenerateRecoveryCodes
+);
+
 /**
  * @route   POST /api/auth/validate
  * @desc    Validate JWT token
@@ -51,35 +116,139 @@ router.post('/refresh', AuthController.refresh);
  * @desc    Logout user
  * @access  Private
  */
-router.post('/logout', authenticate, AuthController.logout);
+router.post('/logout', authenticateToken, AuthController.logout);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, AuthController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all sessions of the current user (log out everywhere)
+ * @access  Private
+ */
+router.delete('/sessions', authenticateToken, AuthController.revokeAllSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticateToken, validateObjectId, AuthController.revokeSession);
 
 /**
  * @route   POST /api/auth/change-password
  * @desc    Change user password
  * @access  Private
  */
-router.post('/change-password', authenticate, AuthController.changePassword);
+router.post('/change-password', authenticateToken, validateChangePassword, AuthController.changePassword);
 
 /**
  * @route   POST /api/auth/reset-password
  * @desc    Reset user password (admin only)
- * @access  Private (Admin)
+ * @access  Private (users:manage)
+ */
+router.post('/reset-password',
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateResetPassword,
+  AuthController.resetPassword
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a one-time password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', validateForgotPassword, AuthController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password/confirm
+ * @desc    Reset password with a one-time token
+ * @access  Public
+ */
+router.post('/reset-password/confirm', validateConfirmPasswordReset, AuthController.confirmPasswordReset);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address with a signed token
+ * @access  Public
+ */
+router.post('/verify-email', validateVerifyEmail, AuthController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Resend email verification link
+ * @access  Public
+ */
+router.post('/verify-email/resend',
+  emailVerificationRateLimit,
+  validateResendVerificationEmail,
+  AuthController.resendVerificationEmail
+);
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List identity providers that can be used to log in
+ * @access  Public
+ */
+router.get('/oidc/providers', OidcController.getProviders);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/authorize
+ * @desc    Start a login at an identity provider; returns the URL to send the user to
+ * @access  Public
+ */
+router.post('/oidc/:provider/authorize', OidcController.authorize);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/callback
+ * @desc    Complete a login with the code and state the provider redirected back with
+ * @access  Public
+ */
+router.post('/oidc/:provider/callback', validateOidcCallback, OidcController.callback);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/link
+ * @desc    Start linking an identity provider to the current user
+ * @access  Private
+ */
+router.post('/oidc/:provider/link', authenticateToken, OidcController.startLink);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/link/callback
+ * @desc    Complete linking an identity provider to the current user
+ * @access  Private
+ */
+router.post('/oidc/:provider/link/callback',
+  authenticateToken,
+  validateOidcCallback,
+  OidcController.linkCallback
+);
+
+/**
+ * @route   DELETE /api/auth/oidc/:provider/link
+ * @desc    Unlink an identity provider from the current user
+ * @access  Private
  */
-router.post('/reset-password', authenticate, AuthController.resetPassword);
+router.delete('/oidc/:provider/link', authenticateToken, OidcController.unlink);
 
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
  * @access  Private
  */
-router.get('/profile', authenticate, AuthController.getProfile);
+router.get('/profile', authenticateToken, AuthController.getProfile);
 
 /**
  * @route   PUT /api/auth/profile
  * @desc    Update current user profile
  * @access  Private
  */
-router.put('/profile', authenticate, validateUpdateUser, AuthController.updateProfile);
+router.put('/profile', authenticateToken, validateUpdateProfile, AuthController.updateProfile);
 
 module.exports = router;
 
@@ -0,0 +1,135 @@
+/**
+ * Cart Routes
+ * 
+ * This file defines routes for shopping cart endpoints.
+ */
+
+const express = require('express');
+const CartController = require('../controllers/cartController');
+const { authenticate, requirePermission, requireVerifiedEmail, rejectApiKey } = require('../middleware/auth');
+const {
+  validateCreateCart,
+  validateUpdateCart,
+  validateAddCartItem,
+  validateUpdateCartItem,
+  validateObjectId,
+  validateMongoId,
+  validatePagination
+} = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication to all cart routes
+router.use(authenticate);
+router.use(requireVerifiedEmail);
+
+/**
+ * @route   GET /api/carts
+ * @desc    Get own carts (admins: all carts, filterable by userId)
+ * @access  Private (no API keys)
+ */
+router.get('/', rejectApiKey, validatePagination, CartController.getCarts);
+
+/**
+ * @route   GET /api/carts/stats
+ * @desc    Get cart statistics
+ * @access  Private (carts:manage)
+ */
+router.get('/stats', requirePermission(PERMISSIONS.CARTS_MANAGE), CartController.getCartStatistics);
+
+/**
+ * @route   GET /api/carts/user/:userId
+ * @desc    Get carts of a user
+ * @access  Private (Self or carts:manage, no API keys)
+ */
+router.get('/user/:userId',
+  rejectApiKey,
+  validateMongoId('userId'),
+  validatePagination,
+  CartController.getCartsByUser
+);
+
+/**
+ * @route   POST /api/carts
+ * @desc    Create new cart
+ * @access  Private (no API keys)
+ */
+router.post('/', rejectApiKey, validateCreateCart, CartController.createCart);
+
+/**
+ * @route   GET /api/carts/:id
+ * @desc    Get cart by ID
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.get('/:id', rejectApiKey, validateObjectId, CartController.getCartById);
+
+/**
+ * @route   PUT /api/carts/:id
+ * @desc    Update cart
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.put('/:id', rejectApiKey, validateObjectId, validateUpdateCart, CartController.updateCart);
+
+/**
+ * @route   DELETE /api/carts/:id
+ * @desc    Delete cart (soft delete)
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.delete('/:id', rejectApiKey, validateObjectId, CartController.deleteCart);
+
+/**
+ * @route   POST /api/carts/:id/items
+ * @desc    Add item to cart
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.post('/:id/items', rejectApiKey, validateObjectId, validateAddCartItem, CartController.addItem);
+
+/**
+ * @route   DELETE /api/carts/:id/items
+ * @desc    Remove all items from cart
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.delete('/:id/items', rejectApiKey, validateObjectId, CartController.clearItems);
+
+/**
+ * @route   PUT /api/carts/:id/items/:itemId
+ * @desc    Update cart item quantity
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.put('/:id/items/:itemId',
+  rejectApiKey,
+  validateObjectId,
+  validateMongoId('itemId'),
+  validateUpdateCartItem,
+  CartController.updateItemQuantity
+);
+
+/**
+ * @route   DELETE /api/carts/:id/items/:itemId
+ * @desc    Remove item from cart
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.delete('/:id/items/:itemId',
+  rejectApiKey,
+  validateObjectId,
+  validateMongoId('itemId'),
+  CartController.removeItem
+);
+
+/**
+ * @route   POST /api/carts/:id/complete
+ * @desc    Complete cart
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.post('/:id/complete', rejectApiKey, validateObjectId, CartController.completeCart);
+
+/**
+ * @route   POST /api/carts/:id/cancel
+ * @desc    Cancel cart
+ * @access  Private (Owner or Admin, no API keys)
+ */
+router.post('/:id/cancel', rejectApiKey, validateObjectId, CartController.cancelCart);
+
+module.exports = router;
+
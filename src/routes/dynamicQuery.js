@@ -0,0 +1,53 @@
+/**
+ * Dynamic Query Routes
+ * 
+ * This file defines routes for dynamic query execution endpoints.
+ */
+
+const express = require('express');
+const DynamicQueryController = require('../controllers/dynamicQueryController');
+const { authenticate, requirePermission, requireVerifiedEmail, rejectApiKey } = require('../middleware/auth');
+const { validateExecuteQuery, validatePagination } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication to all dynamic query routes
+router.use(authenticate);
+
+/**
+ * @route   POST /api/dynamic-query/execute
+ * @desc    Execute a named query with parameters
+ * @access  Private (queries:execute)
+ */
+router.post('/execute',
+  requirePermission(PERMISSIONS.QUERIES_EXECUTE),
+  requireVerifiedEmail,
+  validatePagination,
+  validateExecuteQuery,
+  DynamicQueryController.executeQuery
+);
+
+/**
+ * @route   GET /api/dynamic-query/mappings
+ * @desc    List executable queries and their parameters
+ * @access  Private (no API keys)
+ */
+router.get('/mappings', rejectApiKey, DynamicQueryController.getMappings);
+
+/**
+ * @route   GET /api/dynamic-query/samples
+ * @desc    Get sample query executions
+ * @access  Private (no API keys)
+ */
+router.get('/samples', rejectApiKey, DynamicQueryController.getSamples);
+
+/**
+ * @route   POST /api/dynamic-query/validate
+ * @desc    Validate query parameters without executing
+ * @access  Private (no API keys)
+ */
+router.post('/validate', rejectApiKey, validateExecuteQuery, DynamicQueryController.validateQuery);
+
+module.exports = router;
+
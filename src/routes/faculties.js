@@ -0,0 +1,143 @@
+/**
+ * Faculty Routes
+ * 
+ * This file defines routes for faculty management endpoints.
+ */
+
+const express = require('express');
+const FacultyController = require('../controllers/facultyController');
+const { authenticate, requirePermission, rejectApiKey } = require('../middleware/auth');
+const {
+  validateCreateFaculty,
+  validateUpdateFaculty,
+  validateAddSubject,
+  validateAddDepartment,
+  validateObjectId,
+  validateMongoId,
+  validatePagination,
+  validateSearch
+} = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication to all faculty routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/faculties
+ * @desc    Get all faculties with pagination and filtering
+ * @access  Private (no API keys)
+ */
+router.get('/', rejectApiKey, validatePagination, FacultyController.getAllFaculties);
+
+/**
+ * @route   GET /api/faculties/stats
+ * @desc    Get faculty statistics
+ * @access  Private (no API keys)
+ */
+router.get('/stats', rejectApiKey, FacultyController.getFacultyStatistics);
+
+/**
+ * @route   GET /api/faculties/search
+ * @desc    Search faculties by name
+ * @access  Private (no API keys)
+ */
+router.get('/search', rejectApiKey, validateSearch, validatePagination, FacultyController.searchFacultiesByName);
+
+/**
+ * @route   GET /api/faculties/university/:universityId
+ * @desc    Get faculties of a university
+ * @access  Private (no API keys)
+ */
+router.get('/university/:universityId',
+  rejectApiKey,
+  validateMongoId('universityId'),
+  validatePagination,
+  FacultyController.getFacultiesByUniversity
+);
+
+/**
+ * @route   GET /api/faculties/subject/:subject
+ * @desc    Get faculties teaching a subject
+ * @access  Private (no API keys)
+ */
+router.get('/subject/:subject', rejectApiKey, validatePagination, FacultyController.getFacultiesBySubject);
+
+/**
+ * @route   POST /api/faculties
+ * @desc    Create new faculty
+ * @access  Private (faculties:manage)
+ */
+router.post('/', requirePermission(PERMISSIONS.FACULTIES_MANAGE), validateCreateFaculty, FacultyController.createFaculty);
+
+/**
+ * @route   GET /api/faculties/:id
+ * @desc    Get faculty by ID
+ * @access  Private (no API keys)
+ */
+router.get('/:id', rejectApiKey, validateObjectId, FacultyController.getFacultyById);
+
+/**
+ * @route   PUT /api/faculties/:id
+ * @desc    Update faculty
+ * @access  Private (faculties:manage)
+ */
+router.put('/:id',
+  validateObjectId,
+  requirePermission(PERMISSIONS.FACULTIES_MANAGE),
+  validateUpdateFaculty,
+  FacultyController.updateFaculty
+);
+
+/**
+ * @route   DELETE /api/faculties/:id
+ * @desc    Delete faculty (soft delete)
+ * @access  Private (faculties:manage)
+ */
+router.delete('/:id', validateObjectId, requirePermission(PERMISSIONS.FACULTIES_MANAGE), FacultyController.deleteFaculty);
+
+/**
+ * @route   POST /api/faculties/:id/subjects
+ * @desc    Add subject to faculty
+ * @access  Private (faculties:manage)
+ */
+router.post('/:id/subjects',
+  validateObjectId,
+  requirePermission(PERMISSIONS.FACULTIES_MANAGE),
+  validateAddSubject,
+  FacultyController.addSubject
+);
+
+/**
+ * @route   DELETE /api/faculties/:id/subjects/:subject
+ * @desc    Remove subject from faculty
+ * @access  Private (faculties:manage)
+ */
+router.delete('/:id/subjects/:subject', validateObjectId, requirePermission(PERMISSIONS.FACULTIES_MANAGE), FacultyController.removeSubject);
+
+/**
+ * @route   POST /api/faculties/:id/departments
+ * @desc    Add department to faculty
+ * @access  Private (faculties:manage)
+ */
+router.post('/:id/departments',
+  validateObjectId,
+  requirePermission(PERMISSIONS.FACULTIES_MANAGE),
+  validateAddDepartment,
+  FacultyController.addDepartment
+);
+
+/**
+ * @route   DELETE /api/faculties/:id/departments/:department
+ * @desc    Remove department from faculty
+ * @access  Private (faculties:manage)
+ */
+router.delete('/:id/departments/:department',
+  validateObjectId,
+  requirePermission(PERMISSIONS.FACULTIES_MANAGE),
+  FacultyController.removeDepartment
+);
+
+module.exports = router;
+
@@ -5,11 +5,21 @@
  */
 
 const express = require('express');
+const { config } = require('../config/loader');
 
 // Import route modules
 const authRoutes = require('./auth');
 const userRoutes = require('./users');
 const healthRoutes = require('./health');
+const universityRoutes = require('./universities');
+const facultyRoutes = require('./faculties');
+const cartRoutes = require('./carts');
+const dynamicQueryRoutes = require('./dynamicQuery');
+const queryRoutes = require('./queries');
+const roleRoutes = require('./roles');
+const apiKeyRoutes = require('./apiKeys');
+const auditRoutes = require('./audit');
+const performanceRoutes = require('./performance');
 
 const router = express.Router();
 
@@ -18,7 +28,7 @@ router.get('/', (req, res) => {
   res.json({
     message: 'Diyawanna Sup Backend API',
     version: process.env.npm_package_version || '1.0.0',
-    environment: process.env.NODE_ENV || 'development',
+    environment: config.env,
     endpoints: {
       authentication: '/api/auth',
       users: '/api/users',
@@ -26,6 +36,9 @@ router.get('/', (req, res) => {
       faculties: '/api/faculties',
       carts: '/api/carts',
       queries: '/api/queries',
+      roles: '/api/roles',
+      apiKeys: '/api/api-keys',
+      audit: '/api/audit',
       dynamicQuery: '/api/dynamic-query',
       performance: '/api/performance',
       health: '/api/health'
@@ -41,94 +54,15 @@ router.get('/', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/health', healthRoutes);
-
-// Placeholder routes for other modules (to be implemented)
-router.use('/universities', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Universities endpoints not yet implemented',
-    availableEndpoints: [
-      'GET /api/universities',
-      'POST /api/universities',
-      'GET /api/universities/:id',
-      'PUT /api/universities/:id',
-      'DELETE /api/universities/:id',
-      'GET /api/universities/location/:location',
-      'GET /api/universities/search'
-    ]
-  });
-});
-
-router.use('/faculties', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Faculties endpoints not yet implemented',
-    availableEndpoints: [
-      'GET /api/faculties',
-      'POST /api/faculties',
-      'GET /api/faculties/:id',
-      'PUT /api/faculties/:id',
-      'DELETE /api/faculties/:id',
-      'GET /api/faculties/university/:universityId',
-      'GET /api/faculties/search'
-    ]
-  });
-});
-
-router.use('/carts', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Carts endpoints not yet implemented',
-    availableEndpoints: [
-      'GET /api/carts/user/:userId',
-      'POST /api/carts',
-      'PUT /api/carts/:id',
-      'DELETE /api/carts/:id',
-      'POST /api/carts/:id/items',
-      'DELETE /api/carts/:id/items/:itemId'
-    ]
-  });
-});
-
-router.use('/queries', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Queries endpoints not yet implemented',
-    availableEndpoints: [
-      'GET /api/queries',
-      'POST /api/queries',
-      'GET /api/queries/:id',
-      'PUT /api/queries/:id',
-      'DELETE /api/queries/:id'
-    ]
-  });
-});
-
-router.use('/dynamic-query', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Dynamic query endpoints not yet implemented',
-    availableEndpoints: [
-      'POST /api/dynamic-query/execute',
-      'GET /api/dynamic-query/mappings',
-      'GET /api/dynamic-query/samples',
-      'POST /api/dynamic-query/validate'
-    ]
-  });
-});
-
-router.use('/performance', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Performance endpoints not yet implemented',
-    availableEndpoints: [
-      'GET /api/performance/metrics',
-      'GET /api/performance/health',
-      'DELETE /api/performance/cache/all',
-      'DELETE /api/performance/cache/:name'
-    ]
-  });
-});
+router.use('/universities', universityRoutes);
+router.use('/faculties', facultyRoutes);
+router.use('/carts', cartRoutes);
+router.use('/dynamic-query', dynamicQueryRoutes);
+router.use('/queries', queryRoutes);
+router.use('/roles', roleRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/audit', auditRoutes);
+router.use('/performance', performanceRoutes);
 
 module.exports = router;
 
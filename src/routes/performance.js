@@ -0,0 +1,53 @@
+/**
+ * Performance Routes
+ * 
+ * This file defines routes for performance metrics and cache management.
+ */
+
+const express = require('express');
+const PerformanceController = require('../controllers/performanceController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication to all performance routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/performance/metrics
+ * @desc    Get request, route, system and cache metrics
+ * @access  Private (performance:read)
+ */
+router.get('/metrics', requirePermission(PERMISSIONS.PERFORMANCE_READ), PerformanceController.getMetrics);
+
+/**
+ * @route   GET /api/performance/health
+ * @desc    Check metrics against the performance thresholds
+ * @access  Private (performance:read)
+ */
+router.get('/health', requirePermission(PERMISSIONS.PERFORMANCE_READ), PerformanceController.getHealth);
+
+/**
+ * @route   GET /api/performance/cache
+ * @desc    Get cache statistics
+ * @access  Private (performance:read)
+ */
+router.get('/cache', requirePermission(PERMISSIONS.PERFORMANCE_READ), PerformanceController.getCacheStats);
+
+/**
+ * @route   DELETE /api/performance/cache/all
+ * @desc    Clear every cache
+ * @access  Private (cache:manage)
+ */
+router.delete('/cache/all', requirePermission(PERMISSIONS.CACHE_MANAGE), PerformanceController.clearAllCaches);
+
+/**
+ * @route   DELETE /api/performance/cache/:name
+ * @desc    Clear one cache
+ * @access  Private (cache:manage)
+ */
+router.delete('/cache/:name', requirePermission(PERMISSIONS.CACHE_MANAGE), PerformanceController.clearCache);
+
+module.exports = router;
+
@@ -0,0 +1,113 @@
+/**
+ * Query Routes
+ * 
+ * This file defines routes for saved query template management endpoints.
+ */
+
+const express = require('express');
+const QueryController = require('../controllers/queryController');
+const { authenticate, requirePermission, rejectApiKey } = require('../middleware/auth');
+const {
+  validateCreateQuery,
+  validateUpdateQuery,
+  validateRollbackQuery,
+  validateVersionDiff,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication to all query routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/queries
+ * @desc    Get all queries (filter by collection, category, tag or search)
+ * @access  Private (no API keys)
+ */
+router.get('/', rejectApiKey, validatePagination, QueryController.getAllQueries);
+
+/**
+ * @route   GET /api/queries/popular
+ * @desc    Get the most executed queries
+ * @access  Private (no API keys)
+ */
+router.get('/popular', rejectApiKey, validatePagination, QueryController.getPopularQueries);
+
+/**
+ * @route   GET /api/queries/stats
+ * @desc    Get query statistics
+ * @access  Private (queries:manage)
+ */
+router.get('/stats', requirePermission(PERMISSIONS.QUERIES_MANAGE), QueryController.getQueryStatistics);
+
+/**
+ * @route   POST /api/queries
+ * @desc    Create new query
+ * @access  Private (queries:manage)
+ */
+router.post('/', requirePermission(PERMISSIONS.QUERIES_MANAGE), validateCreateQuery, QueryController.createQuery);
+
+/**
+ * @route   GET /api/queries/:id
+ * @desc    Get query by ID
+ * @access  Private (no API keys)
+ */
+router.get('/:id', rejectApiKey, validateObjectId, QueryController.getQueryById);
+
+/**
+ * @route   PUT /api/queries/:id
+ * @desc    Update query
+ * @access  Private (queries:manage)
+ */
+router.put('/:id',
+  validateObjectId,
+  requirePermission(PERMISSIONS.QUERIES_MANAGE),
+  validateUpdateQuery,
+  QueryController.updateQuery
+);
+
+/**
+ * @route   DELETE /api/queries/:id
+ * @desc    Delete query (soft delete)
+ * @access  Private (queries:manage)
+ */
+router.delete('/:id', validateObjectId, requirePermission(PERMISSIONS.QUERIES_MANAGE), QueryController.deleteQuery);
+
+/**
+ * @route   GET /api/queries/:id/versions
+ * @desc    Get query version history
+ * @access  Private (no API keys)
+ */
+router.get('/:id/versions', rejectApiKey, validateObjectId, validatePagination, QueryController.getQueryVersions);
+
+/**
+ * @route   GET /api/queries/:id/versions/diff
+ * @desc    Diff two query versions (?from=1&to=2)
+ * @access  Private (no API keys)
+ */
+router.get('/:id/versions/diff', rejectApiKey, validateObjectId, validateVersionDiff, QueryController.diffQueryVersions);
+
+/**
+ * @route   GET /api/queries/:id/versions/:version
+ * @desc    Get a single query version
+ * @access  Private (no API keys)
+ */
+router.get('/:id/versions/:version', rejectApiKey, validateObjectId, QueryController.getQueryVersion);
+
+/**
+ * @route   POST /api/queries/:id/rollback
+ * @desc    Restore an earlier version as the current version
+ * @access  Private (queries:manage)
+ */
+router.post('/:id/rollback',
+  validateObjectId,
+  requirePermission(PERMISSIONS.QUERIES_MANAGE),
+  validateRollbackQuery,
+  QueryController.rollbackQuery
+);
+
+module.exports = router;
+
@@ -0,0 +1,66 @@
+/**
+ * Role Routes
+ * 
+ * This file defines routes for role and permission management endpoints.
+ */
+
+const express = require('express');
+const RoleController = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateCreateRole,
+  validateUpdateRole,
+  validateObjectId
+} = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication and role management permission to all role routes
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get all roles
+ * @access  Private (roles:manage)
+ */
+router.get('/', RoleController.getAllRoles);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    Get every permission that can be granted
+ * @access  Private (roles:manage)
+ */
+router.get('/permissions', RoleController.getPermissions);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create role
+ * @access  Private (roles:manage)
+ */
+router.post('/', validateCreateRole, RoleController.createRole);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get role by ID
+ * @access  Private (roles:manage)
+ */
+router.get('/:id', validateObjectId, RoleController.getRoleById);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update role
+ * @access  Private (roles:manage)
+ */
+router.put('/:id', validateObjectId, validateUpdateRole, RoleController.updateRole);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete role
+ * @access  Private (roles:manage)
+ */
+router.delete('/:id', validateObjectId, RoleController.deleteRole);
+
+module.exports = router;
+
@@ -0,0 +1,100 @@
+/**
+ * University Routes
+ * 
+ * This file defines routes for university management endpoints.
+ */
+
+const express = require('express');
+const UniversityController = require('../controllers/universityController');
+const { authenticate, requirePermission, rejectApiKey } = require('../middleware/auth');
+const {
+  validateCreateUniversity,
+  validateUpdateUniversity,
+  validateObjectId,
+  validatePagination,
+  validateSearch
+} = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication to all university routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/universities
+ * @desc    Get all universities with pagination and filtering
+ * @access  Private (no API keys)
+ */
+router.get('/', rejectApiKey, validatePagination, UniversityController.getAllUniversities);
+
+/**
+ * @route   GET /api/universities/stats
+ * @desc    Get university statistics
+ * @access  Private (no API keys)
+ */
+router.get('/stats', rejectApiKey, UniversityController.getUniversityStatistics);
+
+/**
+ * @route   GET /api/universities/search
+ * @desc    Search universities by name
+ * @access  Private (no API keys)
+ */
+router.get('/search', rejectApiKey, validateSearch, validatePagination, UniversityController.searchUniversitiesByName);
+
+/**
+ * @route   GET /api/universities/location/:location
+ * @desc    Get universities by location
+ * @access  Private (no API keys)
+ */
+router.get('/location/:location', rejectApiKey, validatePagination, UniversityController.getUniversitiesByLocation);
+
+/**
+ * @route   GET /api/universities/type/:type
+ * @desc    Get universities by type
+ * @access  Private (no API keys)
+ */
+router.get('/type/:type', rejectApiKey, validatePagination, UniversityController.getUniversitiesByType);
+
+/**
+ * @route   GET /api/universities/faculty/:faculty
+ * @desc    Get universities offering a faculty
+ * @access  Private (no API keys)
+ */
+router.get('/faculty/:faculty', rejectApiKey, validatePagination, UniversityController.getUniversitiesWithFaculty);
+
+/**
+ * @route   POST /api/universities
+ * @desc    Create new university
+ * @access  Private (universities:manage)
+ */
+router.post('/', requirePermission(PERMISSIONS.UNIVERSITIES_MANAGE), validateCreateUniversity, UniversityController.createUniversity);
+
+/**
+ * @route   GET /api/universities/:id
+ * @desc    Get university by ID
+ * @access  Private (no API keys)
+ */
+router.get('/:id', rejectApiKey, validateObjectId, UniversityController.getUniversityById);
+
+/**
+ * @route   PUT /api/universities/:id
+ * @desc    Update university
+ * @access  Private (universities:manage)
+ */
+router.put('/:id',
+  validateObjectId,
+  requirePermission(PERMISSIONS.UNIVERSITIES_MANAGE),
+  validateUpdateUniversity,
+  UniversityController.updateUniversity
+);
+
+/**
+ * @route   DELETE /api/universities/:id
+ * @desc    Delete university (soft delete)
+ * @access  Private (universities:manage)
+ */
+router.delete('/:id', validateObjectId, requirePermission(PERMISSIONS.UNIVERSITIES_MANAGE), UniversityController.deleteUniversity);
+
+module.exports = router;
+
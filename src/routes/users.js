@@ -6,7 +6,7 @@
 
 const express = require('express');
 const UserController = require('../controllers/userController');
-const { authenticate, requireAdmin, selfOrAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission, selfOrPermission, rejectApiKey } = require('../middleware/auth');
 const { 
   validateCreateUser, 
   validateUpdateUser,
@@ -14,8 +14,10 @@ const {
   validatePagination,
   validateAgeRange,
   validateAgeRangeLogic,
-  validateSearch
+  validateSearch,
+  validateAssignRole
 } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -25,37 +27,38 @@ router.use(authenticate);
 /**
  * @route   GET /api/users
  * @desc    Get all users with pagination and filtering
- * @access  Private
+ * @access  Private (no API keys)
  */
-router.get('/', validatePagination, UserController.getAllUsers);
+router.get('/', rejectApiKey, validatePagination, UserController.getAllUsers);
 
 /**
  * @route   GET /api/users/stats
  * @desc    Get user statistics
- * @access  Private
+ * @access  Private (no API keys)
  */
-router.get('/stats', UserController.getUserStatistics);
+router.get('/stats', rejectApiKey, UserController.getUserStatistics);
 
 /**
  * @route   GET /api/users/search/name
  * @desc    Search users by name
- * @access  Private
+ * @access  Private (no API keys)
  */
-router.get('/search/name', validateSearch, validatePagination, UserController.searchUsersByName);
+router.get('/search/name', rejectApiKey, validateSearch, validatePagination, UserController.searchUsersByName);
 
 /**
  * @route   GET /api/users/university/:university
  * @desc    Get users by university
- * @access  Private
+ * @access  Private (no API keys)
  */
-router.get('/university/:university', validatePagination, UserController.getUsersByUniversity);
+router.get('/university/:university', rejectApiKey, validatePagination, UserController.getUsersByUniversity);
 
 /**
  * @route   GET /api/users/age-range
  * @desc    Get users by age range
- * @access  Private
+ * @access  Private (no API keys)
  */
 router.get('/age-range', 
+  rejectApiKey,
   validateAgeRange, 
   validateAgeRangeLogic, 
   validatePagination, 
@@ -65,32 +68,32 @@ router.get('/age-range',
 /**
  * @route   GET /api/users/role/:role
  * @desc    Get users by role
- * @access  Private (Admin)
+ * @access  Private (users:read)
  */
-router.get('/role/:role', requireAdmin, validatePagination, UserController.getUsersByRole);
+router.get('/role/:role', requirePermission(PERMISSIONS.USERS_READ), validatePagination, UserController.getUsersByRole);
 
 /**
  * @route   POST /api/users
  * @desc    Create new user
- * @access  Private (Admin)
+ * @access  Private (users:manage)
  */
-router.post('/', requireAdmin, validateCreateUser, UserController.createUser);
+router.post('/', requirePermission(PERMISSIONS.USERS_MANAGE), validateCreateUser, UserController.createUser);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Private (Self or Admin)
+ * @access  Private (Self or users:read)
  */
-router.get('/:id', validateObjectId, selfOrAdmin(), UserController.getUserById);
+router.get('/:id', validateObjectId, selfOrPermission(PERMISSIONS.USERS_READ), UserController.getUserById);
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user
- * @access  Private (Self or Admin)
+ * @access  Private (Self or users:manage)
  */
 router.put('/:id', 
   validateObjectId, 
-  selfOrAdmin(), 
+  selfOrPermission(PERMISSIONS.USERS_MANAGE), 
   validateUpdateUser, 
   UserController.updateUser
 );
@@ -98,23 +101,56 @@ router.put('/:id',
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user (soft delete)
- * @access  Private (Admin)
+ * @access  Private (users:manage)
  */
-router.delete('/:id', validateObjectId, requireAdmin, UserController.deleteUser);
+router.delete('/:id', validateObjectId, requirePermission(PERMISSIONS.USERS_MANAGE), UserController.deleteUser);
 
 /**
  * @route   POST /api/users/:id/activate
  * @desc    Activate user
- * @access  Private (Admin)
+ * @access  Private (users:manage)
  */
-router.post('/:id/activate', validateObjectId, requireAdmin, UserController.activateUser);
+router.post('/:id/activate', validateObjectId, requirePermission(PERMISSIONS.USERS_MANAGE), UserController.activateUser);
 
 /**
  * @route   POST /api/users/:id/deactivate
  * @desc    Deactivate user
- * @access  Private (Admin)
+ * @access  Private (users:manage)
  */
-router.post('/:id/deactivate', validateObjectId, requireAdmin, UserController.deactivateUser);
+router.post('/:id/deactivate', validateObjectId, requirePermission(PERMISSIONS.USERS_MANAGE), UserController.deactivateUser);
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Clear failed login attempts and lift an account lockout
+ * @access  Private (users:manage)
+ */
+router.post('/:id/unlock', validateObjectId, requirePermission(PERMISSIONS.USERS_MANAGE), UserController.unlockUser);
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Revoke all sessions of a user
+ * @access  Private (users:manage)
+ */
+router.delete('/:id/sessions', validateObjectId, requirePermission(PERMISSIONS.USERS_MANAGE), UserController.revokeUserSessions);
+
+/**
+ * @route   DELETE /api/users/:id/2fa
+ * @desc    Turn off two-factor authentication for a user who lost their device
+ * @access  Private (users:manage)
+ */
+router.delete('/:id/2fa', validateObjectId, requirePermission(PERMISSIONS.USERS_MANAGE), UserController.resetTwoFactor);
+
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Assign a role to a user
+ * @access  Private (roles:manage)
+ */
+router.put('/:id/role',
+  validateObjectId,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateAssignRole,
+  UserController.assignRole
+);
 
 module.exports = router;
 
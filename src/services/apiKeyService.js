@@ -0,0 +1,265 @@
+/**
+ * API Key Service
+ * 
+ * This file contains business logic for issuing, listing, revoking and
+ * verifying API keys. A key is shown once when it is created; only its
+ * SHA-256 hash is stored, so lost keys have to be revoked and reissued.
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const RoleService = require('./roleService');
+const AuditService = require('./auditService');
+const { config } = require('../config/loader');
+const { logger } = require('../utils/logger');
+const {
+  hashToken,
+  isValidObjectId,
+  parsePagination,
+  createPaginationMeta
+} = require('../utils/helpers');
+const {
+  ConflictError,
+  NotFoundError,
+  UserNotFoundError,
+  ValidationError
+} = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+  API_KEY,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS
+} = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Issue an API key for a user (the current user by default).
+   * The key itself is only returned by this call.
+   */
+  static async createApiKey(currentUser, keyData) {
+    try {
+      const ownerId = keyData.userId || currentUser._id.toString();
+      if (!isValidObjectId(ownerId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+
+      const owner = await User.findById(ownerId);
+      if (!owner || !owner.active) {
+        throw new UserNotFoundError();
+      }
+
+      // A key can never do more than its owner's role allows
+      const scopes = [...new Set(keyData.scopes)];
+      const ownerPermissions = await RoleService.getPermissions(owner.role);
+      const notGranted = scopes.filter(scope => !ownerPermissions.includes(scope));
+      if (notGranted.length > 0) {
+        throw new ValidationError(ERROR_MESSAGES.API_KEY_SCOPE_NOT_GRANTED, notGranted);
+      }
+
+      const keyId = crypto.randomBytes(API_KEY.ID_BYTES).toString('hex');
+      const secret = crypto.randomBytes(API_KEY.SECRET_BYTES).toString('base64url');
+      const prefix = `${API_KEY.PREFIX}_${keyId}`;
+      const key = `${prefix}_${secret}`;
+
+      const apiKey = new ApiKey({
+        name: keyData.name,
+        prefix,
+        keyHash: hashToken(key),
+        userId: owner._id,
+        createdBy: currentUser._id,
+        scopes,
+        rateLimit: keyData.rateLimit || null,
+        expiresAt: ApiKeyService.getExpiryDate(keyData.expiresAt)
+      });
+      await apiKey.save();
+
+      await AuditService.record(AUDIT_ACTIONS.API_KEY_CREATE, {
+        target: AuditService.target(AUDIT_TARGETS.API_KEY, apiKey._id, apiKey.prefix),
+        after: apiKey,
+        metadata: { owner: owner.username }
+      });
+
+      const apiKeyData = apiKey.toJSON();
+      delete apiKeyData.keyHash;
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.API_KEY_CREATED,
+        data: {
+          key,
+          apiKey: apiKeyData
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get API keys with pagination, optionally for one user
+   */
+  static async getApiKeys(query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const filter = {};
+
+      if (query.userId) {
+        if (!isValidObjectId(query.userId)) {
+          throw new ValidationError('Invalid user ID format');
+        }
+        filter.userId = query.userId;
+      }
+
+      if (query.includeRevoked !== 'true') {
+        filter.revokedAt = null;
+      }
+
+      const [apiKeys, total] = await Promise.all([
+        ApiKey.find(filter)
+          .populate('userId', 'name username email')
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        ApiKey.countDocuments(filter)
+      ]);
+
+      return {
+        success: true,
+        data: apiKeys,
+        meta: createPaginationMeta(page, limit, total)
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get API key by ID
+   */
+  static async getApiKeyById(keyId) {
+    try {
+      const apiKey = await ApiKeyService.findApiKey(keyId);
+
+      return {
+        success: true,
+        data: apiKey
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key. Revoked keys stop working on their next request.
+   */
+  static async revokeApiKey(currentUser, keyId) {
+    try {
+      const apiKey = await ApiKeyService.findApiKey(keyId);
+
+      if (apiKey.revokedAt) {
+        throw new ConflictError(ERROR_MESSAGES.API_KEY_ALREADY_REVOKED);
+      }
+
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = currentUser._id;
+      await apiKey.save();
+
+      await AuditService.record(AUDIT_ACTIONS.API_KEY_REVOKE, {
+        target: AuditService.target(AUDIT_TARGETS.API_KEY, apiKey._id, apiKey.prefix),
+        before: { revokedAt: null },
+        after: { revokedAt: apiKey.revokedAt }
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.API_KEY_REVOKED,
+        data: apiKey
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the key and its active owner for a raw API key, recording usage on it.
+   * Returns null for unknown, revoked or expired keys and inactive owners.
+   */
+  static async verifyApiKey(rawKey, ip) {
+    try {
+      if (typeof rawKey !== 'string' || !rawKey.startsWith(`${API_KEY.PREFIX}_`)) {
+        return null;
+      }
+
+      const apiKey = await ApiKey.findUsable(hashToken(rawKey)).lean();
+      if (!apiKey) {
+        return null;
+      }
+
+      const user = await User.findById(apiKey.userId).select('-password');
+      if (!user || !user.active) {
+        return null;
+      }
+
+      // Throttle usage writes so every request doesn't update the key
+      if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() >= API_KEY.TOUCH_INTERVAL_MS) {
+        ApiKey.updateOne(
+          { _id: apiKey._id },
+          { $set: { lastUsedAt: new Date(), lastUsedIp: ip } }
+        ).catch(error => logger.error('Failed to record API key usage', { error }));
+      }
+
+      return { apiKey, user };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the expiry of a new key against apiKeys.maxExpiryDays.
+   * Keys without an expiry get the maximum, or never expire when there is none.
+   */
+  static getExpiryDate(expiresAt) {
+    const { maxExpiryDays } = config.apiKeys;
+    const latestExpiry = maxExpiryDays > 0 ? new Date(Date.now() + maxExpiryDays * DAY_MS) : null;
+
+    if (!expiresAt) {
+      return latestExpiry;
+    }
+
+    const expiryDate = new Date(expiresAt);
+    if (latestExpiry && expiryDate > latestExpiry) {
+      throw new ValidationError(ERROR_MESSAGES.API_KEY_EXPIRY_TOO_LONG);
+    }
+
+    return expiryDate;
+  }
+
+  /**
+   * Find an API key by ID or throw
+   */
+  static async findApiKey(keyId) {
+    if (!isValidObjectId(keyId)) {
+      throw new ValidationError('Invalid API key ID format');
+    }
+
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) {
+      throw new NotFoundError('API key');
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = ApiKeyService;
+
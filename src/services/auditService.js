@@ -0,0 +1,210 @@
+/**
+ * Audit Service
+ * 
+ * This file contains business logic for the audit log. Services record their
+ * security-sensitive and administrative actions here; the actor, client IP
+ * and request ID are taken from the current request context. Entries store
+ * only the fields an action changed, with secrets redacted.
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('../utils/requestContext');
+const { logger } = require('../utils/logger');
+const { parsePagination, createPaginationMeta, isValidObjectId } = require('../utils/helpers');
+const { NotFoundError, ValidationError } = require('../exceptions');
+const { AUDIT } = require('../utils/constants');
+
+class AuditService {
+  /**
+   * Record an audited action.
+   * `actor` is only needed when nobody is authenticated, e.g. for a password
+   * reset by email. Recording never fails the action, which has already
+   * happened; failures are logged instead.
+   */
+  static async record(action, { target, before, after, metadata, actor } = {}) {
+    try {
+      const context = getRequestContext();
+
+      await AuditLog.create({
+        action,
+        actor: AuditService.buildActor(actor || context.user, actor ? null : context.apiKey),
+        target,
+        changes: AuditService.diff(before, after),
+        ip: context.ip,
+        userAgent: context.userAgent,
+        requestId: context.requestId,
+        metadata
+      });
+
+    } catch (error) {
+      logger.error('Failed to record audit entry', { action, error });
+    }
+  }
+
+  /**
+   * Get audit entries with pagination, newest first, filtered by action
+   * (`user.*` matches every user action), actor, target, request and time
+   */
+  static async getAuditLogs(query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const filter = {};
+
+      if (query.action) {
+        // Validation only lets letters, underscores and dots through
+        filter.action = query.action.endsWith('.*')
+          ? new RegExp(`^${query.action.slice(0, -2)}\\.`)
+          : query.action;
+      }
+
+      if (query.actorId) {
+        if (!isValidObjectId(query.actorId)) {
+          throw new ValidationError('Invalid actor ID format');
+        }
+        filter['actor.userId'] = query.actorId;
+      }
+
+      if (query.targetType) {
+        filter['target.type'] = query.targetType;
+      }
+
+      if (query.targetId) {
+        if (!isValidObjectId(query.targetId)) {
+          throw new ValidationError('Invalid target ID format');
+        }
+        filter['target.id'] = query.targetId;
+      }
+
+      if (query.requestId) {
+        filter.requestId = query.requestId;
+      }
+
+      if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = new Date(query.from);
+        if (query.to) filter.createdAt.$lte = new Date(query.to);
+      }
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        AuditLog.countDocuments(filter)
+      ]);
+
+      return {
+        success: true,
+        data: entries,
+        meta: createPaginationMeta(page, limit, total)
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get audit entry by ID
+   */
+  static async getAuditLogById(entryId) {
+    try {
+      if (!isValidObjectId(entryId)) {
+        throw new ValidationError('Invalid audit entry ID format');
+      }
+
+      const entry = await AuditLog.findById(entryId).lean();
+      if (!entry) {
+        throw new NotFoundError('Audit entry');
+      }
+
+      return {
+        success: true,
+        data: entry
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the record an action was performed on
+   */
+  static target(type, id, label) {
+    return { type, id, label };
+  }
+
+  /**
+   * Describe who performed an action
+   */
+  static buildActor(user, apiKey) {
+    if (!user) {
+      return undefined;
+    }
+
+    return {
+      userId: user._id,
+      username: user.username,
+      role: user.role,
+      apiKeyId: apiKey ? apiKey._id : undefined
+    };
+  }
+
+  /**
+   * Compare two versions of a record and keep only the fields that differ.
+   * Leave out `before` for created records and `after` for deleted ones.
+   */
+  static diff(before, after) {
+    if (!before && !after) {
+      return undefined;
+    }
+
+    const previous = AuditService.toPlainObject(before);
+    const current = AuditService.toPlainObject(after);
+    const changes = { before: {}, after: {} };
+
+    const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    for (const field of fields) {
+      if (AUDIT.IGNORED_FIELDS.includes(field)) {
+        continue;
+      }
+
+      if (JSON.stringify(previous[field]) === JSON.stringify(current[field])) {
+        continue;
+      }
+
+      const redact = AUDIT.REDACTED_FIELDS.includes(field);
+
+      if (field in previous) {
+        changes.before[field] = redact ? AUDIT.REDACTED_VALUE : previous[field];
+      }
+      if (field in current) {
+        changes.after[field] = redact ? AUDIT.REDACTED_VALUE : current[field];
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Convert a document or object to plain JSON values (IDs and dates as strings)
+   */
+  static toPlainObject(value) {
+    if (!value) {
+      return {};
+    }
+
+    const object = typeof value.toObject === 'function'
+      ? value.toObject({ virtuals: false, depopulate: true })
+      : value;
+
+    return JSON.parse(JSON.stringify(object));
+  }
+}
+
+module.exports = AuditService;
+
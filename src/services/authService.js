@@ -4,18 +4,49 @@
  * This file contains business logic for user authentication and authorization.
  */
 
+const crypto = require('crypto');
 const User = require('../models/User');
-const { generateTokenPair, verifyToken, refreshAccessToken } = require('../utils/jwt');
-const { hashPassword, comparePassword } = require('../utils/password');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const TokenService = require('./tokenService');
+const SessionService = require('./sessionService');
+const MailService = require('./mailService');
+const TwoFactorService = require('./twoFactorService');
+const PasswordService = require('./passwordService');
+const RoleService = require('./roleService');
+const AuditService = require('./auditService');
+const {
+  verifyToken,
+  generateEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  getTimeUntilExpiration
+} = require('../utils/jwt');
+const { comparePassword } = require('../utils/password');
+const { hashToken } = require('../utils/helpers');
+const { assertUserManageable } = require('../utils/universityScope');
 const { CacheManager } = require('../config/cache');
+const { config } = require('../config/loader');
+const { logger } = require('../utils/logger');
 const { 
   AuthenticationError, 
   UserNotFoundError, 
   UserAlreadyExistsError,
   UserInactiveError,
+  AccountLockedError,
+  EmailNotVerifiedError,
+  PasswordExpiredError,
+  TokenError,
   ValidationError 
 } = require('../exceptions');
-const { SUCCESS_MESSAGES, ERROR_MESSAGES } = require('../utils/constants');
+const {
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+  TOKEN_TYPES,
+  TOKEN_REVOCATION_REASONS,
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION_POLICIES,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS
+} = require('../utils/constants');
 
 class AuthenticationService {
   /**
@@ -40,17 +71,15 @@ class AuthenticationService {
         }
       }
 
-      // Hash password
-      const hashedPassword = await hashPassword(userData.password);
+      PasswordService.assertPasswordPolicy(userData.password, userData);
 
-      // Create new user
-      const user = new User({
-        ...userData,
-        password: hashedPassword
-      });
+      // Create new user (the model hashes the password)
+      const user = new User(userData);
 
       await user.save();
 
+      await AuthenticationService.sendVerificationEmail(user);
+
       // Remove password from response
       const userResponse = user.toJSON();
       delete userResponse.password;
@@ -76,7 +105,7 @@ class AuthenticationService {
   /**
    * Login user
    */
-  static async login(credentials) {
+  static async login(credentials, context = {}) {
     try {
       const { username, password } = credentials;
 
@@ -97,50 +126,153 @@ class AuthenticationService {
         throw new UserInactiveError();
       }
 
+      // Refuse locked accounts before checking the password
+      if (user.isLocked) {
+        throw new AccountLockedError(user.getLockRetryAfter(), ERROR_MESSAGES.ACCOUNT_LOCKED);
+      }
+
       // Verify password
       const isPasswordValid = await comparePassword(password, user.password);
       if (!isPasswordValid) {
+        await AuthenticationService.recordFailedLogin(user);
         throw new AuthenticationError(ERROR_MESSAGES.INVALID_CREDENTIALS);
       }
 
-      // Update login info
-      await user.updateLoginInfo();
+      if (PasswordService.isPasswordExpired(user)) {
+        throw new PasswordExpiredError(ERROR_MESSAGES.PASSWORD_EXPIRED);
+      }
+
+      // Upgrade hashes made with a lower cost factor while the plain-text
+      // password is at hand (the pre-save hook hashes it again)
+      if (PasswordService.needsRehash(user.password)) {
+        user.password = password;
+        await user.save();
+      }
 
-      // Generate tokens
-      const tokenPayload = {
-        userId: user._id.toString(),
-        username: user.username,
-        email: user.email,
-        role: user.role
-      };
+      return await AuthenticationService.continueLogin(user, context);
+
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      const tokens = generateTokenPair(tokenPayload);
+  /**
+   * Finish a login once the user has proven who they are (with a password or
+   * at an identity provider): apply the email verification policy, then
+   * either issue a two-factor challenge or complete the login
+   */
+  static async continueLogin(user, context = {}) {
+    if (config.emailVerification.policy === EMAIL_VERIFICATION_POLICIES.LOGIN && !user.emailVerified) {
+      throw new EmailNotVerifiedError(ERROR_MESSAGES.EMAIL_NOT_VERIFIED);
+    }
 
-      // Cache user data
-      const userCache = user.toJSON();
-      delete userCache.password;
-      CacheManager.set('users', `user:${user._id}`, userCache, 1800); // 30 minutes
+    // Accounts with two-factor authentication finish logging in at /2fa/verify
+    if (user.twoFactor.enabled) {
+      const challengeToken = generateTwoFactorChallengeToken(user);
 
       return {
         success: true,
-        message: SUCCESS_MESSAGES.LOGIN_SUCCESS,
-        token: tokens.accessToken,
-        refreshToken: tokens.refreshToken,
-        expiresIn: tokens.expiresIn,
-        user: userCache
+        message: SUCCESS_MESSAGES.TWO_FACTOR_CHALLENGE,
+        requiresTwoFactor: true,
+        challengeToken,
+        expiresIn: getTimeUntilExpiration(challengeToken)
       };
+    }
+
+    return await AuthenticationService.completeLogin(user, context);
+  }
+
+  /**
+   * Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+   */
+  static async verifyTwoFactorLogin(challengeToken, code, context = {}) {
+    try {
+      let decoded;
+      try {
+        decoded = verifyToken(challengeToken, TOKEN_TYPES.TWO_FACTOR_CHALLENGE);
+      } catch (error) {
+        throw new TokenError(ERROR_MESSAGES.TWO_FACTOR_CHALLENGE_INVALID);
+      }
+
+      const user = await TwoFactorService.findUserWithSecrets(decoded.userId);
+      if (!user || !user.twoFactor.enabled) {
+        throw new TokenError(ERROR_MESSAGES.TWO_FACTOR_CHALLENGE_INVALID);
+      }
+
+      if (!user.active) {
+        throw new UserInactiveError();
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (user.isLocked) {
+        throw new AccountLockedError(user.getLockRetryAfter(), ERROR_MESSAGES.ACCOUNT_LOCKED);
+      }
+
+      const isCodeValid = await TwoFactorService.verifyCode(user, code);
+      if (!isCodeValid) {
+        await AuthenticationService.recordFailedLogin(user);
+        throw new AuthenticationError(ERROR_MESSAGES.TWO_FACTOR_CODE_INVALID);
+      }
+
+      return await AuthenticationService.completeLogin(user, context);
 
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Record login info, start a session and build the login response
+   */
+  static async completeLogin(user, context = {}) {
+    // Update login info
+    await user.updateLoginInfo();
+
+    // Generate tokens and start a new session
+    const tokens = await TokenService.issueTokens(user, context);
+
+    // Cache user data
+    const userCache = user.toJSON();
+    delete userCache.password;
+    CacheManager.set('users', `user:${user._id}`, userCache, 1800); // 30 minutes
+
+    const permissions = await RoleService.getPermissions(user.role);
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.LOGIN_SUCCESS,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      user: userCache,
+      permissions,
+      // Admin routes stay closed until a required second factor is enrolled
+      ...(TwoFactorService.isRequiredForPermissions(permissions) &&
+        !user.twoFactor.enabled && { twoFactorSetupRequired: true })
+    };
+  }
+
+  /**
+   * Count a failed login attempt and throw AccountLockedError if it locked the account
+   */
+  static async recordFailedLogin(user) {
+    const updatedUser = await user.registerFailedLogin();
+    if (updatedUser && updatedUser.isLocked) {
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_LOCK, {
+        target: AuditService.target(AUDIT_TARGETS.USER, updatedUser._id, updatedUser.username),
+        metadata: { lockUntil: updatedUser.lockUntil, lockCount: updatedUser.lockCount }
+      });
+
+      throw new AccountLockedError(updatedUser.getLockRetryAfter(), ERROR_MESSAGES.ACCOUNT_LOCKED);
+    }
+  }
+
   /**
    * Validate token
    */
   static async validateToken(token) {
     try {
-      const decoded = verifyToken(token);
+      const decoded = verifyToken(token, TOKEN_TYPES.ACCESS);
       
       // Check if user still exists and is active
       const user = await User.findById(decoded.userId);
@@ -154,7 +286,8 @@ class AuthenticationService {
           id: user._id,
           username: user.username,
           email: user.email,
-          role: user.role
+          role: user.role,
+          permissions: await RoleService.getPermissions(user.role)
         },
         expiresAt: new Date(decoded.exp * 1000)
       };
@@ -168,29 +301,34 @@ class AuthenticationService {
   }
 
   /**
-   * Refresh access token
+   * Refresh access token (the refresh token is rotated and can only be used once)
    */
-  static async refreshToken(refreshToken) {
+  static async refreshToken(refreshToken, context = {}) {
     try {
-      const newTokens = refreshAccessToken(refreshToken);
+      const tokens = await TokenService.rotateRefreshToken(refreshToken, context);
       
       return {
         success: true,
         message: SUCCESS_MESSAGES.TOKEN_REFRESHED,
-        token: newTokens.accessToken,
-        expiresIn: newTokens.expiresIn
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       };
 
     } catch (error) {
-      throw new AuthenticationError(error.message);
+      throw error;
     }
   }
 
   /**
-   * Logout user (invalidate token)
+   * Logout user (revoke the session's refresh tokens)
    */
-  static async logout(userId) {
+  static async logout(userId, sessionId) {
     try {
+      if (sessionId) {
+        await SessionService.revokeSession(sessionId, TOKEN_REVOCATION_REASONS.LOGOUT);
+      }
+
       // Remove user from cache
       CacheManager.del('users', `user:${userId}`);
 
@@ -209,8 +347,8 @@ class AuthenticationService {
    */
   static async changePassword(userId, currentPassword, newPassword) {
     try {
-      // Find user with password
-      const user = await User.findById(userId).select('+password');
+      // Find user with password and password history
+      const user = await User.findById(userId).select(PasswordService.PASSWORD_FIELDS);
       if (!user) {
         throw new UserNotFoundError();
       }
@@ -221,13 +359,16 @@ class AuthenticationService {
         throw new AuthenticationError('Current password is incorrect');
       }
 
-      // Hash new password
-      const hashedNewPassword = await hashPassword(newPassword);
+      await PasswordService.assertPasswordAllowed(newPassword, user);
 
-      // Update password
-      user.password = hashedNewPassword;
+      // Update password (the model hashes it)
+      user.setPassword(newPassword, config.password.historySize);
       await user.save();
 
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_PASSWORD_CHANGE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username)
+      });
+
       // Clear user cache
       CacheManager.del('users', `user:${userId}`);
 
@@ -244,20 +385,25 @@ class AuthenticationService {
   /**
    * Reset password (admin only)
    */
-  static async resetPassword(userId, newPassword) {
+  static async resetPassword(currentUser, userId, newPassword) {
     try {
-      const user = await User.findById(userId);
+      const user = await User.findById(userId).select(PasswordService.PASSWORD_FIELDS);
       if (!user) {
         throw new UserNotFoundError();
       }
 
-      // Hash new password
-      const hashedPassword = await hashPassword(newPassword);
+      assertUserManageable(currentUser, user);
+
+      await PasswordService.assertPasswordAllowed(newPassword, user);
 
-      // Update password
-      user.password = hashedPassword;
+      // Update password (the model hashes it)
+      user.setPassword(newPassword, config.password.historySize);
       await user.save();
 
+      await AuditService.record(AUDIT_ACTIONS.USER_PASSWORD_RESET, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username)
+      });
+
       // Clear user cache
       CacheManager.del('users', `user:${userId}`);
 
@@ -271,6 +417,182 @@ class AuthenticationService {
     }
   }
 
+  /**
+   * Start a self-service password reset by emailing a one-time link.
+   * The response is the same whether or not the email belongs to an account.
+   */
+  static async requestPasswordReset(email, context = {}) {
+    try {
+      const response = {
+        success: true,
+        message: SUCCESS_MESSAGES.PASSWORD_RESET_REQUESTED
+      };
+
+      const user = await User.findOne({ email: email.toLowerCase(), active: true });
+      if (!user) {
+        return response;
+      }
+
+      // Only the most recent link stays valid
+      await PasswordResetToken.invalidateUser(user._id);
+
+      const token = crypto.randomBytes(PASSWORD_RESET.TOKEN_BYTES).toString('hex');
+      await PasswordResetToken.create({
+        tokenHash: hashToken(token),
+        userId: user._id,
+        expiresAt: new Date(Date.now() + PASSWORD_RESET.TOKEN_TTL_MS),
+        requestedIp: context.ip,
+        userAgent: context.userAgent
+      });
+
+      try {
+        await MailService.sendPasswordReset(user, token);
+      } catch (error) {
+        // A delivery failure must not reveal that the account exists
+        logger.error('Failed to send password reset email', { error });
+      }
+
+      return response;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a password reset with a one-time token and sign out every session
+   */
+  static async confirmPasswordReset(token, newPassword) {
+    try {
+      const tokenHash = hashToken(token);
+
+      const resetToken = await PasswordResetToken.findUsable(tokenHash);
+      if (!resetToken) {
+        throw new TokenError(ERROR_MESSAGES.RESET_TOKEN_INVALID);
+      }
+
+      const user = await User.findById(resetToken.userId).select(PasswordService.PASSWORD_FIELDS);
+      if (!user || !user.active) {
+        throw new TokenError(ERROR_MESSAGES.RESET_TOKEN_INVALID);
+      }
+
+      // Check the new password before the token is spent so the user can retry
+      await PasswordService.assertPasswordAllowed(newPassword, user);
+
+      // Atomic so the same link cannot be used twice concurrently
+      const consumed = await PasswordResetToken.consume(tokenHash);
+      if (!consumed) {
+        throw new TokenError(ERROR_MESSAGES.RESET_TOKEN_INVALID);
+      }
+
+      // The pre-save hook hashes the new password; proving control of the
+      // email also lifts any lockout from failed logins
+      user.setPassword(newPassword, config.password.historySize);
+      user.failedLoginAttempts = 0;
+      user.lockCount = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      await Promise.all([
+        PasswordResetToken.invalidateUser(user._id),
+        SessionService.revokeAllSessions(user._id, TOKEN_REVOCATION_REASONS.PASSWORD_RESET)
+      ]);
+
+      // Nobody is logged in; the reset link proves the request came from the user
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_PASSWORD_RESET, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        actor: user
+      });
+
+      // Clear user cache
+      CacheManager.del('users', `user:${user._id}`);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.PASSWORD_RESET_SUCCESS
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Email a verification link for the user's current email address.
+   * Delivery failures are logged; the user can ask for the link again.
+   */
+  static async sendVerificationEmail(user) {
+    try {
+      const token = generateEmailVerificationToken(user);
+      await MailService.sendEmailVerification(user, token);
+    } catch (error) {
+      logger.error('Failed to send verification email', { error });
+    }
+  }
+
+  /**
+   * Verify an email address with a signed verification token
+   */
+  static async verifyEmail(token) {
+    try {
+      let decoded;
+      try {
+        decoded = verifyToken(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+      } catch (error) {
+        throw new TokenError(ERROR_MESSAGES.VERIFICATION_TOKEN_INVALID);
+      }
+
+      // Tokens issued for an earlier email address stop working once it changes
+      const user = await User.findById(decoded.userId);
+      if (!user || user.email !== decoded.email) {
+        throw new TokenError(ERROR_MESSAGES.VERIFICATION_TOKEN_INVALID);
+      }
+
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+
+      const userData = user.toJSON();
+
+      // Update cache
+      CacheManager.set('users', `user:${user._id}`, userData, 1800);
+      CacheManager.clear('users'); // Clear users list cache
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.EMAIL_VERIFIED,
+        user: userData
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Send a new verification link. The response is the same whether or not the
+   * email belongs to an unverified account.
+   */
+  static async resendVerificationEmail(email) {
+    try {
+      const user = await User.findOne({ email: email.toLowerCase(), active: true });
+
+      if (user && !user.emailVerified) {
+        await AuthenticationService.sendVerificationEmail(user);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.VERIFICATION_EMAIL_SENT
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get user profile
    */
@@ -305,7 +627,27 @@ class AuthenticationService {
   static async updateProfile(userId, updateData) {
     try {
       // Remove sensitive fields that shouldn't be updated via this method
-      const { password, role, active, ...safeUpdateData } = updateData;
+      const {
+        password,
+        role,
+        active,
+        emailVerified,
+        emailVerifiedAt,
+        ...safeUpdateData
+      } = updateData;
+
+      const currentUser = await User.findById(userId).select('email');
+      if (!currentUser) {
+        throw new UserNotFoundError();
+      }
+
+      // A new email address has to be verified again
+      const emailChanged = safeUpdateData.email !== undefined &&
+        safeUpdateData.email.toLowerCase() !== currentUser.email;
+      if (emailChanged) {
+        safeUpdateData.emailVerified = false;
+        safeUpdateData.emailVerifiedAt = null;
+      }
 
       const user = await User.findByIdAndUpdate(
         userId,
@@ -317,6 +659,10 @@ class AuthenticationService {
         throw new UserNotFoundError();
       }
 
+      if (emailChanged) {
+        await AuthenticationService.sendVerificationEmail(user);
+      }
+
       const userProfile = user.toJSON();
 
       // Update cache
@@ -0,0 +1,451 @@
+/**
+ * Cart Service
+ * 
+ * This file contains business logic for shopping cart operations.
+ * Every operation receives the requesting user so that regular users can
+ * only reach their own carts, while users with the carts:manage permission
+ * can reach any cart.
+ */
+
+const Cart = require('../models/Cart');
+const { CacheManager } = require('../config/cache');
+const { parsePagination, createPaginationMeta, isValidObjectId } = require('../utils/helpers');
+const {
+  CartNotFoundError,
+  CartItemNotFoundError,
+  AuthorizationError,
+  ValidationError
+} = require('../exceptions');
+const { SUCCESS_MESSAGES, CART_STATUS, PERMISSIONS } = require('../utils/constants');
+
+class CartService {
+  /**
+   * Get carts with pagination (own carts, or any user's carts with carts:manage)
+   */
+  static async getCarts(currentUser, query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      // Build filter
+      const filter = { active: true };
+
+      if (CartService.canManageAllCarts(currentUser)) {
+        if (query.userId) {
+          if (!isValidObjectId(query.userId)) {
+            throw new ValidationError('Invalid user ID format');
+          }
+          filter.userId = query.userId;
+        }
+      } else {
+        filter.userId = currentUser._id;
+      }
+
+      if (query.status) {
+        if (!Object.values(CART_STATUS).includes(query.status)) {
+          throw new ValidationError(`Status must be one of: ${Object.values(CART_STATUS).join(', ')}`);
+        }
+        filter.status = query.status;
+      }
+
+      return await CartService.findPaginated(filter, { page, limit, skip, sort });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get carts of a specific user
+   */
+  static async getCartsByUser(currentUser, userId, query = {}) {
+    try {
+      if (!isValidObjectId(userId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+
+      if (!CartService.canManageAllCarts(currentUser) && currentUser._id.toString() !== userId) {
+        throw new AuthorizationError('Access denied. You can only access your own carts.');
+      }
+
+      const { page, limit, skip, sort } = parsePagination(query);
+      const filter = { userId, active: true };
+
+      if (query.status) {
+        filter.status = query.status;
+      }
+
+      return await CartService.findPaginated(filter, { page, limit, skip, sort });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get cart by ID
+   */
+  static async getCartById(currentUser, cartId) {
+    try {
+      if (!isValidObjectId(cartId)) {
+        throw new ValidationError('Invalid cart ID format');
+      }
+
+      // Check cache first
+      let cartData = CacheManager.get('carts', `cart:${cartId}`);
+
+      if (!cartData) {
+        const cart = await Cart.findOne({ _id: cartId, active: true });
+        if (!cart) {
+          throw new CartNotFoundError();
+        }
+
+        cartData = cart.toJSON();
+
+        // Cache cart data
+        CacheManager.set('carts', `cart:${cartId}`, cartData);
+      }
+
+      CartService.assertOwnership(currentUser, cartData);
+
+      return {
+        success: true,
+        data: cartData
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create new cart for the current user
+   */
+  static async createCart(currentUser, cartData) {
+    try {
+      const cart = new Cart({
+        ...cartData,
+        userId: currentUser._id
+      });
+
+      await cart.save();
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_CREATED,
+        data: cart.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update cart name and notes (status changes go through complete and cancel)
+   */
+  static async updateCart(currentUser, cartId, updateData) {
+    try {
+      const cart = await CartService.getCartDocument(currentUser, cartId, { requireActiveStatus: true });
+      const { status, ...safeUpdateData } = updateData;
+
+      Object.assign(cart, safeUpdateData);
+      await cart.save();
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_UPDATED,
+        data: cart.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete cart (soft delete)
+   */
+  static async deleteCart(currentUser, cartId) {
+    try {
+      const cart = await CartService.getCartDocument(currentUser, cartId);
+
+      cart.active = false;
+      await cart.save();
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_DELETED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add item to cart (merges quantity if the product is already in the cart)
+   */
+  static async addItem(currentUser, cartId, item) {
+    try {
+      const cart = await CartService.getCartDocument(currentUser, cartId, { requireActiveStatus: true });
+
+      await cart.addItem(item);
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_ITEM_ADDED,
+        data: cart.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update quantity of a cart item
+   */
+  static async updateItemQuantity(currentUser, cartId, itemId, quantity) {
+    try {
+      const cart = await CartService.getCartDocument(currentUser, cartId, { requireActiveStatus: true });
+
+      if (!cart.items.id(itemId)) {
+        throw new CartItemNotFoundError();
+      }
+
+      await cart.updateItemQuantity(itemId, quantity);
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_ITEM_UPDATED,
+        data: cart.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove item from cart
+   */
+  static async removeItem(currentUser, cartId, itemId) {
+    try {
+      const cart = await CartService.getCartDocument(currentUser, cartId, { requireActiveStatus: true });
+
+      if (!cart.items.id(itemId)) {
+        throw new CartItemNotFoundError();
+      }
+
+      await cart.removeItem(itemId);
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_ITEM_REMOVED,
+        data: cart.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove all items from cart
+   */
+  static async clearItems(currentUser, cartId) {
+    try {
+      const cart = await CartService.getCartDocument(currentUser, cartId, { requireActiveStatus: true });
+
+      await cart.clearItems();
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_CLEARED,
+        data: cart.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Complete cart (checkout)
+   */
+  static async completeCart(currentUser, cartId) {
+    try {
+      const cart = await CartService.getCartDocument(currentUser, cartId, { requireActiveStatus: true });
+
+      if (cart.items.length === 0) {
+        throw new ValidationError('Cannot complete an empty cart');
+      }
+
+      await cart.complete();
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_COMPLETED,
+        data: cart.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel cart
+   */
+  static async cancelCart(currentUser, cartId) {
+    try {
+      const cart = await CartService.getCartDocument(currentUser, cartId, { requireActiveStatus: true });
+
+      await cart.cancel();
+
+      // Clear carts cache
+      CacheManager.clear('carts');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CART_CANCELLED,
+        data: cart.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get cart statistics
+   */
+  static async getCartStatistics() {
+    try {
+      const cacheKey = 'carts:statistics';
+      const cachedStats = CacheManager.get('carts', cacheKey);
+      if (cachedStats) {
+        return {
+          success: true,
+          data: cachedStats
+        };
+      }
+
+      const stats = await Cart.getStatistics();
+
+      // Cache statistics
+      CacheManager.set('carts', cacheKey, stats, 300); // 5 minutes
+
+      return {
+        success: true,
+        data: stats
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Run a paginated, cached cart listing for a filter
+   */
+  static async findPaginated(filter, { page, limit, skip, sort }) {
+    const cacheKey = `carts:list:${JSON.stringify({ filter, page, limit, sort })}`;
+    const cachedResult = CacheManager.get('carts', cacheKey);
+    if (cachedResult) {
+      return cachedResult;
+    }
+
+    const [carts, total] = await Promise.all([
+      Cart.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Cart.countDocuments(filter)
+    ]);
+
+    const meta = createPaginationMeta(page, limit, total);
+
+    const result = {
+      success: true,
+      data: carts,
+      meta,
+      count: carts.length
+    };
+
+    // Cache result
+    CacheManager.set('carts', cacheKey, result, 300); // 5 minutes
+
+    return result;
+  }
+
+  /**
+   * Load a cart document the current user is allowed to modify
+   */
+  static async getCartDocument(currentUser, cartId, { requireActiveStatus = false } = {}) {
+    if (!isValidObjectId(cartId)) {
+      throw new ValidationError('Invalid cart ID format');
+    }
+
+    const cart = await Cart.findOne({ _id: cartId, active: true });
+    if (!cart) {
+      throw new CartNotFoundError();
+    }
+
+    CartService.assertOwnership(currentUser, cart);
+
+    if (requireActiveStatus && cart.status !== CART_STATUS.ACTIVE) {
+      throw new ValidationError(`Cart is ${cart.status.toLowerCase()} and can no longer be modified`);
+    }
+
+    return cart;
+  }
+
+  /**
+   * Ensure the current user owns the cart (carts:manage grants access to any cart)
+   */
+  static assertOwnership(currentUser, cart) {
+    if (CartService.canManageAllCarts(currentUser)) {
+      return;
+    }
+
+    if (cart.userId.toString() !== currentUser._id.toString()) {
+      throw new AuthorizationError('Access denied. You can only access your own carts.');
+    }
+  }
+
+  /**
+   * Check whether the user may manage every user's carts
+   */
+  static canManageAllCarts(user) {
+    return user.hasPermission(PERMISSIONS.CARTS_MANAGE);
+  }
+}
+
+module.exports = CartService;
+
@@ -0,0 +1,433 @@
+/**
+ * Dynamic Query Service
+ * 
+ * This file contains the execution engine for named query templates. Templates
+ * are resolved from the queries collection first and from config/query-config.json
+ * second; object templates run as `find` filters and array templates run as
+ * aggregation pipelines against the template's target collection.
+ */
+
+const User = require('../models/User');
+const University = require('../models/University');
+const Faculty = require('../models/Faculty');
+const Cart = require('../models/Cart');
+const Query = require('../models/Query');
+const QueryVersion = require('../models/QueryVersion');
+const queryConfig = require('../../config/query-config.json');
+const { parsePagination, createPaginationMeta } = require('../utils/helpers');
+const { assertQuerySafety } = require('../utils/querySafety');
+const { logger } = require('../utils/logger');
+const { getUniversityScope, scopeUserFilter, scopeFacultyFilter, scopeUniversityFilter } = require('../utils/universityScope');
+const MetricsService = require('./metricsService');
+const {
+  QueryNotFoundError,
+  QueryVersionNotFoundError,
+  QueryExecutionError,
+  InvalidParametersError,
+  AuthorizationError
+} = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+  COLLECTIONS,
+  DYNAMIC_QUERY,
+  METRICS,
+  PERMISSIONS,
+  HIDDEN_QUERY_FIELDS
+} = require('../utils/constants');
+
+/**
+ * Models that dynamic queries may target, keyed by collection name
+ */
+const COLLECTION_MODELS = {
+  [COLLECTIONS.USERS]: User,
+  [COLLECTIONS.UNIVERSITIES]: University,
+  [COLLECTIONS.FACULTIES]: Faculty,
+  [COLLECTIONS.CARTS]: Cart
+};
+
+/**
+ * Permissions needed, on top of queries:execute, to query a collection
+ */
+const COLLECTION_PERMISSIONS = {
+  [COLLECTIONS.USERS]: PERMISSIONS.USERS_READ
+};
+
+/**
+ * University scope filters of the collections that belong to a university
+ */
+const SCOPE_FILTERS = {
+  [COLLECTIONS.USERS]: scopeUserFilter,
+  [COLLECTIONS.FACULTIES]: scopeFacultyFilter,
+  [COLLECTIONS.UNIVERSITIES]: scopeUniversityFilter
+};
+
+const UNRESOLVED_PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+class DynamicQueryService {
+  /**
+   * Execute a named query with parameters and pagination, optionally at an earlier version.
+   * Results are limited to what the current user may read.
+   */
+  static async executeQuery(queryName, parameters = {}, query = {}, version, currentUser) {
+    const { queryDoc, source, isHistorical } = await DynamicQueryService.resolveQuery(queryName, version);
+    const recordExecution = outcome => MetricsService.recordQueryExecution({
+      query: queryDoc.name,
+      type: Array.isArray(queryDoc.query) ? 'aggregate' : 'find',
+      source,
+      outcome
+    });
+
+    let resolvedQuery;
+    try {
+      resolvedQuery = DynamicQueryService.prepareQuery(queryDoc, parameters);
+      resolvedQuery = DynamicQueryService.restrictQuery(queryDoc.collection, resolvedQuery, currentUser);
+    } catch (error) {
+      recordExecution(METRICS.QUERY_OUTCOMES.REJECTED);
+      throw error;
+    }
+
+    const pagination = parsePagination(query);
+
+    const startTime = Date.now();
+    let execution;
+
+    try {
+      execution = Array.isArray(resolvedQuery)
+        ? await DynamicQueryService.runAggregate(queryDoc.collection, resolvedQuery, pagination)
+        : await DynamicQueryService.runFind(queryDoc.collection, resolvedQuery, pagination);
+    } catch (error) {
+      recordExecution(METRICS.QUERY_OUTCOMES.ERROR);
+      throw new QueryExecutionError(`${ERROR_MESSAGES.QUERY_EXECUTION_FAILED}: ${error.message}`);
+    }
+
+    const executionTime = Date.now() - startTime;
+    recordExecution(METRICS.QUERY_OUTCOMES.SUCCESS);
+
+    // Only the current version of stored templates keeps execution statistics
+    if (source === DYNAMIC_QUERY.SOURCES.DATABASE && !isHistorical) {
+      try {
+        await queryDoc.recordExecution(executionTime);
+      } catch (error) {
+        logger.error('Failed to record query execution', { error });
+      }
+    }
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.QUERY_EXECUTED,
+      data: execution.data,
+      meta: createPaginationMeta(pagination.page, pagination.limit, execution.total),
+      count: execution.data.length,
+      query: {
+        name: queryDoc.name,
+        collection: queryDoc.collection,
+        type: Array.isArray(resolvedQuery) ? 'aggregate' : 'find',
+        source,
+        ...(source === DYNAMIC_QUERY.SOURCES.DATABASE && { version: queryDoc.version })
+      },
+      executionTime: `${executionTime}ms`
+    };
+  }
+
+  /**
+   * Validate parameters for a named query without executing it
+   */
+  static async validateQuery(queryName, parameters = {}, version) {
+    const { queryDoc, source } = await DynamicQueryService.resolveQuery(queryName, version);
+
+    try {
+      const resolvedQuery = DynamicQueryService.prepareQuery(queryDoc, parameters);
+
+      return {
+        success: true,
+        valid: true,
+        query: {
+          name: queryDoc.name,
+          collection: queryDoc.collection,
+          type: Array.isArray(resolvedQuery) ? 'aggregate' : 'find',
+          source,
+          ...(source === DYNAMIC_QUERY.SOURCES.DATABASE && { version: queryDoc.version })
+        },
+        resolvedQuery
+      };
+    } catch (error) {
+      if (error instanceof InvalidParametersError) {
+        return {
+          success: true,
+          valid: false,
+          errors: error.details
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List every query that can be executed, with its parameter definitions
+   */
+  static async getMappings() {
+    const storedQueries = await Query.findActive()
+      .select('name description collection category query parameters')
+      .lean();
+
+    const mappings = {};
+
+    for (const configQuery of Object.values(queryConfig.queries)) {
+      mappings[configQuery.name] = DynamicQueryService.toMapping(configQuery, DYNAMIC_QUERY.SOURCES.CONFIG);
+    }
+
+    // Stored templates take precedence over config templates with the same name
+    for (const storedQuery of storedQueries) {
+      mappings[storedQuery.name] = DynamicQueryService.toMapping(storedQuery, DYNAMIC_QUERY.SOURCES.DATABASE);
+    }
+
+    const data = Object.values(mappings).sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      success: true,
+      data,
+      count: data.length
+    };
+  }
+
+  /**
+   * Get sample executions from the query configuration
+   */
+  static getSamples() {
+    const samples = queryConfig.samples || [];
+
+    return {
+      success: true,
+      data: samples,
+      count: samples.length
+    };
+  }
+
+  /**
+   * Resolve a query template by name from the database or the JSON configuration.
+   * A version number selects an earlier snapshot of a stored template.
+   */
+  static async resolveQuery(queryName, version) {
+    const storedQuery = await Query.findOne({ name: queryName, active: true });
+
+    if (version !== undefined) {
+      if (!storedQuery) {
+        throw new QueryNotFoundError();
+      }
+
+      if (version !== storedQuery.version) {
+        const queryVersion = await QueryVersion.findVersion(storedQuery._id, version).lean();
+        if (!queryVersion) {
+          throw new QueryVersionNotFoundError();
+        }
+
+        // Unsaved document so historical templates share the model's validation and substitution
+        const queryDoc = new Query({ ...queryVersion.template, version: queryVersion.version });
+        return { queryDoc, source: DYNAMIC_QUERY.SOURCES.DATABASE, isHistorical: true };
+      }
+    }
+
+    if (storedQuery) {
+      return { queryDoc: storedQuery, source: DYNAMIC_QUERY.SOURCES.DATABASE };
+    }
+
+    const configQuery = queryConfig.queries[queryName];
+    if (configQuery) {
+      // Unsaved document so config templates share the model's validation and substitution
+      return { queryDoc: new Query(configQuery), source: DYNAMIC_QUERY.SOURCES.CONFIG };
+    }
+
+    throw new QueryNotFoundError();
+  }
+
+  /**
+   * Apply defaults, validate parameters and substitute them into the template
+   */
+  static prepareQuery(queryDoc, parameters = {}) {
+    const providedParameters = { ...parameters };
+
+    for (const param of queryDoc.parameters) {
+      if (!Object.prototype.hasOwnProperty.call(providedParameters, param.name) &&
+          param.defaultValue !== undefined) {
+        providedParameters[param.name] = param.defaultValue;
+      }
+    }
+
+    // Parameters are scalars; objects could smuggle operators into the template
+    const structuredParameters = Object.entries(providedParameters)
+      .filter(([, value]) => value !== null && typeof value === 'object');
+    if (structuredParameters.length > 0) {
+      throw new InvalidParametersError(
+        ERROR_MESSAGES.INVALID_PARAMETERS,
+        structuredParameters.map(([name]) => `Parameter '${name}' must be a scalar value`)
+      );
+    }
+
+    const errors = queryDoc.validateParameters(providedParameters);
+    if (errors.length > 0) {
+      throw new InvalidParametersError(ERROR_MESSAGES.INVALID_PARAMETERS, errors);
+    }
+
+    const resolvedQuery = queryDoc.substituteParameters(providedParameters);
+
+    const unresolved = DynamicQueryService.findUnresolvedPlaceholders(resolvedQuery);
+    if (unresolved.length > 0) {
+      throw new InvalidParametersError(
+        ERROR_MESSAGES.INVALID_PARAMETERS,
+        unresolved.map(name => `No value provided for placeholder '{{${name}}}'`)
+      );
+    }
+
+    // Re-check the template once parameter values are in place
+    assertQuerySafety(resolvedQuery, queryDoc.collection);
+
+    return resolvedQuery;
+  }
+
+  /**
+   * Apply the access rules of the target collection: users need users:read,
+   * carts are limited to the current user's own unless they hold
+   * carts:manage, and everything is limited to the user's universities
+   */
+  static restrictQuery(collection, resolvedQuery, currentUser) {
+    const permission = COLLECTION_PERMISSIONS[collection];
+    if (permission && !currentUser.hasPermission(permission)) {
+      throw new AuthorizationError(ERROR_MESSAGES.PERMISSION_DENIED);
+    }
+
+    let restrictedQuery = resolvedQuery;
+    if (collection === COLLECTIONS.CARTS && !currentUser.hasPermission(PERMISSIONS.CARTS_MANAGE)) {
+      const ownCarts = { userId: currentUser._id };
+      restrictedQuery = Array.isArray(resolvedQuery)
+        ? [{ $match: ownCarts }, ...resolvedQuery]
+        : { $and: [resolvedQuery, ownCarts] };
+    }
+
+    return DynamicQueryService.scopeQuery(collection, restrictedQuery, currentUser);
+  }
+
+  /**
+   * Limit a resolved query to the current user's universities: find filters
+   * are combined with the scope filter and pipelines start with it as a
+   * $match, so no later stage sees documents out of scope. Carts have no
+   * university of their own and are refused.
+   */
+  static scopeQuery(collection, resolvedQuery, currentUser) {
+    if (!getUniversityScope(currentUser)) {
+      return resolvedQuery;
+    }
+
+    const scopeFilter = SCOPE_FILTERS[collection];
+    if (!scopeFilter) {
+      throw new AuthorizationError(ERROR_MESSAGES.QUERY_OUTSIDE_UNIVERSITY_SCOPE);
+    }
+
+    return Array.isArray(resolvedQuery)
+      ? [{ $match: scopeFilter(currentUser) }, ...resolvedQuery]
+      : scopeFilter(currentUser, resolvedQuery);
+  }
+
+  /**
+   * Run a find query with pagination
+   */
+  static async runFind(collection, filter, { skip, limit, sort }) {
+    const Model = DynamicQueryService.getModel(collection);
+    const projection = (HIDDEN_QUERY_FIELDS[collection] || []).map(field => `-${field}`).join(' ');
+
+    const [data, total] = await Promise.all([
+      Model.find(filter)
+        .select(projection)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .maxTimeMS(DYNAMIC_QUERY.MAX_EXECUTION_TIME_MS)
+        .lean(),
+      Model.countDocuments(filter).maxTimeMS(DYNAMIC_QUERY.MAX_EXECUTION_TIME_MS)
+    ]);
+
+    return { data, total };
+  }
+
+  /**
+   * Run an aggregation pipeline with pagination
+   */
+  static async runAggregate(collection, pipeline, { skip, limit }) {
+    const Model = DynamicQueryService.getModel(collection);
+    const hiddenFields = HIDDEN_QUERY_FIELDS[collection] || [];
+
+    // Hidden fields are removed before the template runs, so no stage can
+    // copy them into a field of its own
+    const stages = [...pipeline];
+    if (hiddenFields.length > 0) {
+      stages.unshift({ $project: Object.fromEntries(hiddenFields.map(field => [field, 0])) });
+    }
+
+    stages.push({
+      $facet: {
+        data: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    });
+
+    const [result] = await Model.aggregate(stages)
+      .option({ maxTimeMS: DYNAMIC_QUERY.MAX_EXECUTION_TIME_MS });
+
+    return {
+      data: result.data,
+      total: result.total.length > 0 ? result.total[0].count : 0
+    };
+  }
+
+  /**
+   * Get the model for a target collection
+   */
+  static getModel(collection) {
+    const Model = COLLECTION_MODELS[collection];
+    if (!Model) {
+      throw new QueryExecutionError(`Collection '${collection}' is not available for dynamic queries`);
+    }
+    return Model;
+  }
+
+  /**
+   * Collect placeholder names that are still present after substitution
+   */
+  static findUnresolvedPlaceholders(node, found = new Set()) {
+    if (typeof node === 'string') {
+      for (const match of node.matchAll(UNRESOLVED_PLACEHOLDER_PATTERN)) {
+        found.add(match[1]);
+      }
+    } else if (Array.isArray(node)) {
+      node.forEach(item => DynamicQueryService.findUnresolvedPlaceholders(item, found));
+    } else if (node && typeof node === 'object' && Object.getPrototypeOf(node) === Object.prototype) {
+      Object.values(node).forEach(value => DynamicQueryService.findUnresolvedPlaceholders(value, found));
+    }
+
+    return [...found];
+  }
+
+  /**
+   * Shape a query template for the mappings listing
+   */
+  static toMapping(queryTemplate, source) {
+    return {
+      name: queryTemplate.name,
+      description: queryTemplate.description,
+      collection: queryTemplate.collection,
+      category: queryTemplate.category,
+      type: Array.isArray(queryTemplate.query) ? 'aggregate' : 'find',
+      parameters: (queryTemplate.parameters || []).map(param => ({
+        name: param.name,
+        type: param.type,
+        required: Boolean(param.required),
+        description: param.description,
+        ...(param.defaultValue !== undefined && { defaultValue: param.defaultValue })
+      })),
+      source
+    };
+  }
+}
+
+module.exports = DynamicQueryService;
+
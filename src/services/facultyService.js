@@ -0,0 +1,594 @@
+/**
+ * Faculty Service
+ * 
+ * This file contains business logic for faculty management operations.
+ * Faculty changes receive the requesting user, and holders of a
+ * university-scoped role can only change faculties of their universities.
+ */
+
+const Faculty = require('../models/Faculty');
+const University = require('../models/University');
+const AuditService = require('./auditService');
+const { CacheManager } = require('../config/cache');
+const { parsePagination, createPaginationMeta, isValidObjectId } = require('../utils/helpers');
+const {
+  scopeFacultyFilter,
+  getScopeCacheKey,
+  assertUniversityIdInScope
+} = require('../utils/universityScope');
+const {
+  FacultyNotFoundError,
+  UniversityNotFoundError,
+  NotFoundError,
+  ValidationError
+} = require('../exceptions');
+const { SUCCESS_MESSAGES, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
+
+class FacultyService {
+  /**
+   * Get all faculties with pagination and filtering
+   */
+  static async getAllFaculties(query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      // Build filter
+      const filter = { active: true };
+
+      if (query.universityId) {
+        if (!isValidObjectId(query.universityId)) {
+          throw new ValidationError('Invalid university ID format');
+        }
+        filter.universityId = query.universityId;
+      }
+
+      if (query.subject) {
+        filter.subjects = new RegExp(query.subject, 'i');
+      }
+
+      // Check cache for this specific query (RegExp filters don't serialize, so key on the raw values)
+      const { universityId, subject } = query;
+      const cacheKey = `faculties:list:${JSON.stringify({ universityId, subject, page, limit, sort })}`;
+      const cachedResult = CacheManager.get('faculties', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      // Get faculties and total count
+      const [faculties, total] = await Promise.all([
+        Faculty.find(filter)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Faculty.countDocuments(filter)
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: faculties,
+        meta,
+        count: faculties.length
+      };
+
+      // Cache result
+      CacheManager.set('faculties', cacheKey, result, 1800); // 30 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get faculty by ID
+   */
+  static async getFacultyById(facultyId) {
+    try {
+      if (!isValidObjectId(facultyId)) {
+        throw new ValidationError('Invalid faculty ID format');
+      }
+
+      // Check cache first
+      const cachedFaculty = CacheManager.get('faculties', `faculty:${facultyId}`);
+      if (cachedFaculty) {
+        return {
+          success: true,
+          data: cachedFaculty
+        };
+      }
+
+      const faculty = await Faculty.findById(facultyId)
+        .populate('university', 'name location type');
+
+      if (!faculty) {
+        throw new FacultyNotFoundError();
+      }
+
+      const facultyData = faculty.toJSON();
+
+      // Cache faculty data
+      CacheManager.set('faculties', `faculty:${facultyId}`, facultyData);
+
+      return {
+        success: true,
+        data: facultyData
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create new faculty
+   */
+  static async createFaculty(currentUser, facultyData) {
+    try {
+      assertUniversityIdInScope(currentUser, facultyData.universityId);
+
+      const university = await FacultyService.getActiveUniversity(facultyData.universityId);
+
+      const faculty = new Faculty(facultyData);
+      await faculty.save();
+
+      await AuditService.record(AUDIT_ACTIONS.FACULTY_CREATE, {
+        target: AuditService.target(AUDIT_TARGETS.FACULTY, faculty._id, faculty.name),
+        after: faculty
+      });
+
+      // Keep the university's faculty name list in sync
+      await university.addFaculty(faculty.name);
+
+      // Clear caches
+      CacheManager.clear('faculties');
+      CacheManager.clear('universities');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.FACULTY_CREATED,
+        data: faculty.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update faculty
+   */
+  static async updateFaculty(currentUser, facultyId, updateData) {
+    try {
+      const existingFaculty = await FacultyService.getFacultyDocument(currentUser, facultyId);
+
+      // Deleted faculties stay deleted, even if deleted since they were read
+      const faculty = await Faculty.findOneAndUpdate(
+        { _id: facultyId, active: true },
+        updateData,
+        { new: true, runValidators: true }
+      );
+
+      if (!faculty) {
+        throw new FacultyNotFoundError();
+      }
+
+      await AuditService.record(AUDIT_ACTIONS.FACULTY_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.FACULTY, faculty._id, faculty.name),
+        before: existingFaculty,
+        after: faculty
+      });
+
+      // Rename the faculty in the university's faculty name list
+      if (updateData.name && updateData.name !== existingFaculty.name) {
+        await University.findByIdAndUpdate(
+          faculty.universityId,
+          { $pull: { faculties: existingFaculty.name } }
+        );
+        await University.findByIdAndUpdate(
+          faculty.universityId,
+          { $addToSet: { faculties: faculty.name } }
+        );
+        CacheManager.clear('universities');
+      }
+
+      // Clear cache
+      CacheManager.clear('faculties');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.FACULTY_UPDATED,
+        data: faculty.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete faculty (soft delete)
+   */
+  static async deleteFaculty(currentUser, facultyId) {
+    try {
+      if (!isValidObjectId(facultyId)) {
+        throw new ValidationError('Invalid faculty ID format');
+      }
+
+      const existingFaculty = await Faculty.findById(facultyId).select('universityId');
+      if (!existingFaculty) {
+        throw new FacultyNotFoundError();
+      }
+
+      assertUniversityIdInScope(currentUser, existingFaculty.universityId);
+
+      const faculty = await Faculty.findByIdAndUpdate(
+        facultyId,
+        { active: false },
+        { new: true }
+      );
+
+      if (!faculty) {
+        throw new FacultyNotFoundError();
+      }
+
+      await AuditService.record(AUDIT_ACTIONS.FACULTY_DELETE, {
+        target: AuditService.target(AUDIT_TARGETS.FACULTY, faculty._id, faculty.name)
+      });
+
+      // Remove the faculty from the university's faculty name list
+      await University.findByIdAndUpdate(
+        faculty.universityId,
+        { $pull: { faculties: faculty.name } }
+      );
+
+      // Clear caches
+      CacheManager.clear('faculties');
+      CacheManager.clear('universities');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.FACULTY_DELETED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get faculties by university
+   */
+  static async getFacultiesByUniversity(universityId, query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const cacheKey = `faculties:university:${universityId}:${JSON.stringify({ page, limit, sort })}`;
+      const cachedResult = CacheManager.get('faculties', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      await FacultyService.getActiveUniversity(universityId);
+
+      const [faculties, total] = await Promise.all([
+        Faculty.findByUniversity(universityId)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Faculty.countDocuments({ universityId, active: true })
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: faculties,
+        meta,
+        count: faculties.length
+      };
+
+      // Cache result
+      CacheManager.set('faculties', cacheKey, result, 1800); // 30 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Search faculties by name
+   */
+  static async searchFacultiesByName(name, query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const cacheKey = `faculties:search:${name}:${JSON.stringify({ page, limit, sort })}`;
+      const cachedResult = CacheManager.get('faculties', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const [faculties, total] = await Promise.all([
+        Faculty.searchByName(name)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Faculty.countDocuments({
+          name: new RegExp(name, 'i'),
+          active: true
+        })
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: faculties,
+        meta,
+        count: faculties.length
+      };
+
+      // Cache result
+      CacheManager.set('faculties', cacheKey, result, 600); // 10 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get faculties teaching a subject
+   */
+  static async getFacultiesBySubject(subject, query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const cacheKey = `faculties:subject:${subject}:${JSON.stringify({ page, limit, sort })}`;
+      const cachedResult = CacheManager.get('faculties', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const [faculties, total] = await Promise.all([
+        Faculty.findBySubject(subject)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Faculty.countDocuments({
+          subjects: new RegExp(subject, 'i'),
+          active: true
+        })
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: faculties,
+        meta,
+        count: faculties.length
+      };
+
+      // Cache result
+      CacheManager.set('faculties', cacheKey, result, 1800); // 30 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add subject to faculty
+   */
+  static async addSubject(currentUser, facultyId, subjectName) {
+    try {
+      const faculty = await FacultyService.getFacultyDocument(currentUser, facultyId);
+
+      const previousSubjects = faculty.toObject().subjects;
+
+      await faculty.addSubject(subjectName);
+
+      await AuditService.record(AUDIT_ACTIONS.FACULTY_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.FACULTY, faculty._id, faculty.name),
+        before: { subjects: previousSubjects },
+        after: { subjects: faculty.subjects }
+      });
+
+      // Clear cache
+      CacheManager.clear('faculties');
+
+      return {
+        success: true,
+        message: 'Subject added successfully',
+        data: faculty.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove subject from faculty
+   */
+  static async removeSubject(currentUser, facultyId, subjectName) {
+    try {
+      const faculty = await FacultyService.getFacultyDocument(currentUser, facultyId);
+
+      if (!faculty.subjects.includes(subjectName)) {
+        throw new NotFoundError('Subject');
+      }
+
+      const previousSubjects = faculty.toObject().subjects;
+
+      await faculty.removeSubject(subjectName);
+
+      await AuditService.record(AUDIT_ACTIONS.FACULTY_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.FACULTY, faculty._id, faculty.name),
+        before: { subjects: previousSubjects },
+        after: { subjects: faculty.subjects }
+      });
+
+      // Clear cache
+      CacheManager.clear('faculties');
+
+      return {
+        success: true,
+        message: 'Subject removed successfully',
+        data: faculty.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add department to faculty
+   */
+  static async addDepartment(currentUser, facultyId, department) {
+    try {
+      const faculty = await FacultyService.getFacultyDocument(currentUser, facultyId);
+
+      const previousDepartments = faculty.toObject().departments;
+
+      await faculty.addDepartment(department);
+
+      await AuditService.record(AUDIT_ACTIONS.FACULTY_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.FACULTY, faculty._id, faculty.name),
+        before: { departments: previousDepartments },
+        after: { departments: faculty.departments }
+      });
+
+      // Clear cache
+      CacheManager.clear('faculties');
+
+      return {
+        success: true,
+        message: 'Department added successfully',
+        data: faculty.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove department from faculty
+   */
+  static async removeDepartment(currentUser, facultyId, departmentName) {
+    try {
+      const faculty = await FacultyService.getFacultyDocument(currentUser, facultyId);
+
+      if (!faculty.departments.some(dept => dept.name === departmentName)) {
+        throw new NotFoundError('Department');
+      }
+
+      const previousDepartments = faculty.toObject().departments;
+
+      await faculty.removeDepartment(departmentName);
+
+      await AuditService.record(AUDIT_ACTIONS.FACULTY_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.FACULTY, faculty._id, faculty.name),
+        before: { departments: previousDepartments },
+        after: { departments: faculty.departments }
+      });
+
+      // Clear cache
+      CacheManager.clear('faculties');
+
+      return {
+        success: true,
+        message: 'Department removed successfully',
+        data: faculty.toJSON()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get faculty statistics
+   */
+  static async getFacultyStatistics(currentUser) {
+    try {
+      const cacheKey = `faculties:statistics:${getScopeCacheKey(currentUser)}`;
+      const cachedStats = CacheManager.get('faculties', cacheKey);
+      if (cachedStats) {
+        return {
+          success: true,
+          data: cachedStats
+        };
+      }
+
+      const stats = await Faculty.getStatistics(scopeFacultyFilter(currentUser));
+
+      // Cache statistics
+      CacheManager.set('faculties', cacheKey, stats, 300); // 5 minutes
+
+      return {
+        success: true,
+        data: stats
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Load an active faculty document the current user may modify
+   */
+  static async getFacultyDocument(currentUser, facultyId) {
+    if (!isValidObjectId(facultyId)) {
+      throw new ValidationError('Invalid faculty ID format');
+    }
+
+    const faculty = await Faculty.findOne({ _id: facultyId, active: true });
+    if (!faculty) {
+      throw new FacultyNotFoundError();
+    }
+
+    assertUniversityIdInScope(currentUser, faculty.universityId);
+
+    return faculty;
+  }
+
+  /**
+   * Ensure a university exists and is active
+   */
+  static async getActiveUniversity(universityId) {
+    if (!isValidObjectId(universityId)) {
+      throw new ValidationError('Invalid university ID format');
+    }
+
+    const university = await University.findById(universityId);
+    if (!university) {
+      throw new UniversityNotFoundError();
+    }
+
+    if (!university.active) {
+      throw new ValidationError('University is inactive');
+    }
+
+    return university;
+  }
+}
+
+module.exports = FacultyService;
+
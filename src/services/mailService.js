@@ -0,0 +1,140 @@
+/**
+ * Mail Service
+ * 
+ * This file contains the mailer used for account emails. Messages are handed
+ * to the transport named by `mail.transport`. The built-in console and file
+ * transports need no mail server and are refused in production; others
+ * (SMTP, a provider API) can be added with `MailService.registerTransport`.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { config } = require('../config/loader');
+const { logger } = require('../utils/logger');
+const { PASSWORD_RESET } = require('../utils/constants');
+
+/**
+ * Transport that logs messages. The logger redacts the tokens in links; use
+ * the file transport to follow them.
+ */
+const consoleTransport = {
+  async send(message) {
+    logger.info('Mail sent', { to: message.to, subject: message.subject, text: message.text });
+    return { messageId: message.id };
+  }
+};
+
+/**
+ * Transport that writes each message to a JSON file, so tests and local
+ * development can read what would have been sent
+ */
+const fileTransport = {
+  async send(message) {
+    const directory = path.resolve(config.mail.fileDirectory);
+    const filePath = path.join(directory, `${Date.now()}-${message.id}.json`);
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    return { messageId: message.id, path: filePath };
+  }
+};
+
+const transports = new Map([
+  ['console', consoleTransport],
+  ['file', fileTransport]
+]);
+
+class MailService {
+  /**
+   * Register a transport. A transport is an object with an async `send(message)`.
+   */
+  static registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Mail transport '${name}' must implement send(message)`);
+    }
+    transports.set(name, transport);
+  }
+
+  /**
+   * Get the configured transport
+   */
+  static getTransport() {
+    const transport = transports.get(config.mail.transport);
+    if (!transport) {
+      throw new Error(`Mail transport '${config.mail.transport}' is not registered`);
+    }
+    return transport;
+  }
+
+  /**
+   * Send a message through the configured transport
+   */
+  static async send({ to, subject, text, html }) {
+    try {
+      const message = {
+        id: randomUUID(),
+        from: config.mail.from,
+        to,
+        subject,
+        text,
+        ...(html && { html }),
+        sentAt: new Date().toISOString()
+      };
+
+      return await MailService.getTransport().send(message);
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Send a password reset link
+   */
+  static async sendPasswordReset(user, token) {
+    const resetUrl = `${config.client.url}/reset-password?token=${encodeURIComponent(token)}`;
+    const validMinutes = Math.round(PASSWORD_RESET.TOKEN_TTL_MS / 60000);
+
+    return MailService.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        '',
+        resetUrl,
+        '',
+        `The link expires in ${validMinutes} minutes and can only be used once.`,
+        'If you did not request a password reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   */
+  static async sendEmailVerification(user, token) {
+    const verifyUrl = `${config.client.url}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return MailService.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm that this is your email address by opening the link below:',
+        '',
+        verifyUrl,
+        '',
+        `The link expires in ${config.emailVerification.expiresIn}.`,
+        'If you did not create an account or change your email, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = MailService;
+
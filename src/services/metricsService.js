@@ -0,0 +1,260 @@
+/**
+ * Metrics Service
+ * 
+ * This file renders the application's metrics in the Prometheus text
+ * exposition format: HTTP requests and their latency by route and status,
+ * process memory and event loop lag, the MongoDB connection pool and command
+ * durations, cache statistics and dynamic query executions.
+ */
+
+const PerformanceService = require('./performanceService');
+const { CacheManager } = require('../config/cache');
+const { getDatabaseMetrics } = require('../config/database');
+const { createHistogram, observe, formatMetric, histogramSamples } = require('../utils/metrics');
+const { METRICS } = require('../utils/constants');
+
+const MS_TO_SECONDS = 0.001;
+
+// HTTP request durations, keyed by method, route pattern and status
+const httpRequests = new Map();
+
+// Dynamic query executions, keyed by query, type, source and outcome
+const queryExecutions = new Map();
+
+class MetricsService {
+  /**
+   * Count an HTTP request and its duration
+   */
+  static recordHttpRequest({ method, route, status, durationMs }) {
+    const key = [method, route, status].join('|');
+    let request = httpRequests.get(key);
+
+    if (!request) {
+      request = {
+        labels: { method, route, status },
+        duration: createHistogram(METRICS.HTTP_REQUEST_BUCKETS_MS)
+      };
+      httpRequests.set(key, request);
+    }
+
+    observe(request.duration, durationMs);
+  }
+
+  /**
+   * Count a dynamic query execution
+   */
+  static recordQueryExecution({ query, type, source, outcome }) {
+    const key = [query, type, source, outcome].join('|');
+    const execution = queryExecutions.get(key) || { labels: { query, type, source, outcome }, value: 0 };
+
+    execution.value++;
+    queryExecutions.set(key, execution);
+  }
+
+  /**
+   * Get HTTP request metrics
+   */
+  static getHttpMetrics() {
+    const requests = [];
+    const durations = [];
+
+    httpRequests.forEach(({ labels, duration }) => {
+      requests.push({ labels, value: duration.count });
+      durations.push(...histogramSamples(duration, labels, MS_TO_SECONDS));
+    });
+
+    return [
+      {
+        name: 'http_requests_total',
+        help: 'HTTP requests by method, route pattern and status code',
+        type: 'counter',
+        samples: requests
+      },
+      {
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request duration by method, route pattern and status code',
+        type: 'histogram',
+        samples: durations
+      }
+    ];
+  }
+
+  /**
+   * Get process memory, uptime and event loop lag metrics
+   */
+  static getProcessMetrics() {
+    const memory = process.memoryUsage();
+    const sample = PerformanceService.getLatestSample();
+
+    return [
+      {
+        name: 'process_uptime_seconds',
+        help: 'Time since the process started',
+        type: 'gauge',
+        samples: [{ value: process.uptime() }]
+      },
+      {
+        name: 'process_resident_memory_bytes',
+        help: 'Resident memory size',
+        type: 'gauge',
+        samples: [{ value: memory.rss }]
+      },
+      {
+        name: 'nodejs_heap_used_bytes',
+        help: 'V8 heap in use',
+        type: 'gauge',
+        samples: [{ value: memory.heapUsed }]
+      },
+      {
+        name: 'nodejs_heap_total_bytes',
+        help: 'V8 heap allocated',
+        type: 'gauge',
+        samples: [{ value: memory.heapTotal }]
+      },
+      {
+        name: 'nodejs_eventloop_lag_p99_seconds',
+        help: 'P99 event loop lag over the last sampling interval',
+        type: 'gauge',
+        samples: [{ value: sample.eventLoopLagMs.p99 * MS_TO_SECONDS }]
+      }
+    ];
+  }
+
+  /**
+   * Get MongoDB connection, pool and command metrics
+   */
+  static getDatabaseMetrics() {
+    const { connected, pool, commands } = getDatabaseMetrics();
+    const durations = [];
+    const failures = [];
+
+    commands.forEach(({ duration, failures: failed }, command) => {
+      durations.push(...histogramSamples(duration, { command }, MS_TO_SECONDS));
+      failures.push({ labels: { command }, value: failed });
+    });
+
+    return [
+      {
+        name: 'mongodb_up',
+        help: 'Whether the MongoDB connection is open (1) or not (0)',
+        type: 'gauge',
+        samples: [{ value: connected ? 1 : 0 }]
+      },
+      {
+        name: 'mongodb_pool_connections',
+        help: 'Open connections in the MongoDB connection pool',
+        type: 'gauge',
+        samples: [{ value: pool.open }]
+      },
+      {
+        name: 'mongodb_pool_connections_in_use',
+        help: 'MongoDB connections checked out of the pool',
+        type: 'gauge',
+        samples: [{ value: pool.inUse }]
+      },
+      {
+        name: 'mongodb_pool_waiting_requests',
+        help: 'Operations waiting for a MongoDB connection',
+        type: 'gauge',
+        samples: [{ value: pool.waiting }]
+      },
+      {
+        name: 'mongodb_pool_max_size',
+        help: 'Maximum size of the MongoDB connection pool (MONGODB_MAX_POOL_SIZE)',
+        type: 'gauge',
+        samples: [{ value: pool.maxSize }]
+      },
+      {
+        name: 'mongodb_pool_checkout_failures_total',
+        help: 'Failed attempts to check a connection out of the MongoDB pool',
+        type: 'counter',
+        samples: [{ value: pool.checkoutFailures }]
+      },
+      {
+        name: 'mongodb_pool_cleared_total',
+        help: 'Times the MongoDB connection pool was cleared after an error',
+        type: 'counter',
+        samples: [{ value: pool.cleared }]
+      },
+      {
+        name: 'mongodb_command_duration_seconds',
+        help: 'MongoDB command duration by command name',
+        type: 'histogram',
+        samples: durations
+      },
+      {
+        name: 'mongodb_command_failures_total',
+        help: 'Failed MongoDB commands by command name',
+        type: 'counter',
+        samples: failures
+      }
+    ];
+  }
+
+  /**
+   * Get cache statistics. node-cache resets hits and misses when a cache is
+   * cleared, so they are gauges rather than counters.
+   */
+  static getCacheMetrics() {
+    const stats = CacheManager.getStats();
+    const samples = field => Object.keys(stats).map(cache => ({ labels: { cache }, value: stats[cache][field] }));
+
+    return [
+      {
+        name: 'cache_hits',
+        help: 'Cache hits since the cache was last cleared',
+        type: 'gauge',
+        samples: samples('hits')
+      },
+      {
+        name: 'cache_misses',
+        help: 'Cache misses since the cache was last cleared',
+        type: 'gauge',
+        samples: samples('misses')
+      },
+      {
+        name: 'cache_keys',
+        help: 'Keys in the cache',
+        type: 'gauge',
+        samples: samples('keys')
+      }
+    ];
+  }
+
+  /**
+   * Get dynamic query execution metrics
+   */
+  static getQueryMetrics() {
+    return [
+      {
+        name: 'dynamic_query_executions_total',
+        help: 'Dynamic query executions by query, type, source and outcome',
+        type: 'counter',
+        samples: [...queryExecutions.values()]
+      }
+    ];
+  }
+
+  /**
+   * Get every metric in the Prometheus text exposition format
+   */
+  static async getPrometheusMetrics() {
+    try {
+      const families = [
+        ...MetricsService.getHttpMetrics(),
+        ...MetricsService.getProcessMetrics(),
+        ...MetricsService.getDatabaseMetrics(),
+        ...MetricsService.getCacheMetrics(),
+        ...MetricsService.getQueryMetrics()
+      ];
+
+      return `${families.map(formatMetric).join('\n')}\n`;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = MetricsService;
+
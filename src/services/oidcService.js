@@ -0,0 +1,451 @@
+/**
+ * OpenID Connect Service
+ * 
+ * This file contains business logic for logging in through OpenID Connect
+ * identity providers (authorization code flow with PKCE). A provider login is
+ * matched to a user by the provider's `sub` claim; unknown users are linked by
+ * email or provisioned from the claims, depending on the provider's settings.
+ * Users can also link and unlink providers from their own account. A completed
+ * login issues the same token pair as a password login.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+const AuthenticationService = require('./authService');
+const AuditService = require('./auditService');
+const { CacheManager } = require('../config/cache');
+const { config } = require('../config/loader');
+const { logger } = require('../utils/logger');
+const { hashToken } = require('../utils/helpers');
+const {
+  generatePkcePair,
+  getDiscoveryDocument,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  fetchUserInfo
+} = require('../utils/oidc');
+const {
+  AccountLockedError,
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  TokenError,
+  UserInactiveError,
+  UserNotFoundError,
+  ValidationError
+} = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+  OIDC,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS
+} = require('../utils/constants');
+
+const USERNAME_MAX_LENGTH = 30;
+
+class OidcService {
+  /**
+   * List the configured identity providers
+   */
+  static getProviders() {
+    return {
+      success: true,
+      data: config.oidc.providers.map(provider => ({ id: provider.id, name: provider.name }))
+    };
+  }
+
+  /**
+   * Start a login at an identity provider
+   */
+  static async startLogin(providerId) {
+    try {
+      return await OidcService.createAuthorizationRequest(OidcService.getProvider(providerId), null);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Start linking an identity provider to the current user's account
+   */
+  static async startLink(userId, providerId) {
+    try {
+      const provider = OidcService.getProvider(providerId);
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      if (user.identities.some(identity => identity.provider === provider.id)) {
+        throw new ConflictError(ERROR_MESSAGES.OIDC_PROVIDER_ALREADY_LINKED);
+      }
+
+      return await OidcService.createAuthorizationRequest(provider, user._id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a login with the code and state the provider redirected back with
+   */
+  static async completeLogin(providerId, { code, state }, context = {}) {
+    try {
+      const provider = OidcService.getProvider(providerId);
+      const loginState = await OidcService.consumeState(provider, state);
+
+      // Linking states can only be completed by the user who started them
+      if (loginState.userId) {
+        throw new TokenError(ERROR_MESSAGES.OIDC_STATE_INVALID);
+      }
+
+      const claims = await OidcService.fetchClaims(provider, code, loginState);
+      const user = await OidcService.findOrProvisionUser(provider, claims);
+
+      if (!user.active) {
+        throw new UserInactiveError();
+      }
+
+      if (user.isLocked) {
+        throw new AccountLockedError(user.getLockRetryAfter(), ERROR_MESSAGES.ACCOUNT_LOCKED);
+      }
+
+      return await AuthenticationService.continueLogin(user, context);
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Complete linking a provider with the code and state it redirected back with
+   */
+  static async completeLink(userId, providerId, { code, state }) {
+    try {
+      const provider = OidcService.getProvider(providerId);
+      const loginState = await OidcService.consumeState(provider, state);
+
+      if (!loginState.userId || loginState.userId.toString() !== userId.toString()) {
+        throw new TokenError(ERROR_MESSAGES.OIDC_STATE_INVALID);
+      }
+
+      const claims = await OidcService.fetchClaims(provider, code, loginState);
+
+      const linkedUser = await User.findByIdentity(provider.id, claims.sub);
+      if (linkedUser) {
+        throw new ConflictError(linkedUser._id.equals(userId)
+          ? ERROR_MESSAGES.OIDC_PROVIDER_ALREADY_LINKED
+          : ERROR_MESSAGES.OIDC_IDENTITY_IN_USE);
+      }
+
+      const user = await User.findOneAndUpdate(
+        { _id: userId, 'identities.provider': { $ne: provider.id } },
+        { $push: { identities: OidcService.buildIdentity(provider, claims) } },
+        { new: true }
+      );
+      if (!user) {
+        throw new ConflictError(ERROR_MESSAGES.OIDC_PROVIDER_ALREADY_LINKED);
+      }
+
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_PROVIDER_LINK, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        metadata: { provider: provider.id, subject: claims.sub }
+      });
+
+      CacheManager.del('users', `user:${userId}`);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.OIDC_PROVIDER_LINKED,
+        data: {
+          identities: user.identities
+        }
+      };
+
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(ERROR_MESSAGES.OIDC_IDENTITY_IN_USE);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Unlink an identity provider from a user's account
+   */
+  static async unlinkProvider(userId, providerId) {
+    try {
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      const remaining = user.identities.filter(identity => identity.provider !== providerId);
+      if (remaining.length === user.identities.length) {
+        throw new NotFoundError('Linked identity provider');
+      }
+
+      // Keep at least one way to log in
+      if (remaining.length === 0 && !user.password) {
+        throw new ValidationError(ERROR_MESSAGES.OIDC_LAST_LOGIN_METHOD);
+      }
+
+      await User.updateOne({ _id: user._id }, { $pull: { identities: { provider: providerId } } });
+
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_PROVIDER_UNLINK, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        metadata: { provider: providerId }
+      });
+
+      CacheManager.del('users', `user:${userId}`);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.OIDC_PROVIDER_UNLINKED,
+        data: {
+          identities: remaining
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a configured provider by ID or throw
+   */
+  static getProvider(providerId) {
+    const provider = config.oidc.providers.find(candidate => candidate.id === providerId);
+    if (!provider) {
+      throw new NotFoundError('Identity provider');
+    }
+
+    return provider;
+  }
+
+  /**
+   * Redirect URI registered with a provider
+   */
+  static getRedirectUri(provider) {
+    return provider.redirectUri || `${config.client.url.replace(/\/$/, '')}/auth/oidc/${provider.id}/callback`;
+  }
+
+  /**
+   * Store a new login state and build the provider's authorization URL
+   */
+  static async createAuthorizationRequest(provider, userId) {
+    const discovery = await OidcService.discover(provider);
+
+    const state = crypto.randomBytes(OIDC.STATE_BYTES).toString('base64url');
+    const nonce = crypto.randomBytes(OIDC.STATE_BYTES).toString('base64url');
+    const { codeVerifier, codeChallenge } = generatePkcePair();
+    const expiresAt = new Date(Date.now() + config.oidc.stateTtlMinutes * 60 * 1000);
+
+    await OidcLoginState.create({
+      stateHash: hashToken(state),
+      provider: provider.id,
+      codeVerifier,
+      nonce,
+      userId,
+      expiresAt
+    });
+
+    return {
+      success: true,
+      data: {
+        authorizationUrl: buildAuthorizationUrl(discovery, {
+          clientId: provider.clientId,
+          redirectUri: OidcService.getRedirectUri(provider),
+          scopes: provider.scopes,
+          state,
+          nonce,
+          codeChallenge
+        }),
+        state,
+        expiresAt
+      }
+    };
+  }
+
+  /**
+   * Use up a login state, or throw if it is unknown, used or expired
+   */
+  static async consumeState(provider, state) {
+    const loginState = await OidcLoginState.consume(hashToken(state), provider.id);
+    if (!loginState) {
+      throw new TokenError(ERROR_MESSAGES.OIDC_STATE_INVALID);
+    }
+
+    return loginState;
+  }
+
+  /**
+   * Exchange the code and return the verified ID token claims merged with userinfo
+   */
+  static async fetchClaims(provider, code, loginState) {
+    try {
+      const discovery = await OidcService.discover(provider);
+
+      const tokens = await exchangeAuthorizationCode(discovery, provider, {
+        code,
+        redirectUri: OidcService.getRedirectUri(provider),
+        codeVerifier: loginState.codeVerifier
+      });
+
+      if (!tokens.id_token) {
+        throw new Error('Token response did not include an ID token');
+      }
+
+      const claims = await verifyIdToken(tokens.id_token, discovery, {
+        clientId: provider.clientId,
+        nonce: loginState.nonce
+      });
+
+      if (!discovery.userinfo_endpoint || !tokens.access_token) {
+        return claims;
+      }
+
+      // Userinfo may only be trusted for the subject of the ID token
+      const userInfo = await fetchUserInfo(discovery, tokens.access_token);
+      if (userInfo.sub !== claims.sub) {
+        throw new Error('Userinfo subject does not match the ID token');
+      }
+
+      return { ...userInfo, ...claims };
+
+    } catch (error) {
+      logger.warn('OIDC login failed', { provider: provider.id, error: error.message });
+      throw new AuthenticationError(ERROR_MESSAGES.OIDC_LOGIN_FAILED);
+    }
+  }
+
+  /**
+   * Get a provider's discovery document, reporting failures as a failed login
+   */
+  static async discover(provider) {
+    try {
+      return await getDiscoveryDocument(provider.issuer);
+    } catch (error) {
+      logger.error('OIDC discovery failed', { provider: provider.id, error: error.message });
+      throw new AuthenticationError(ERROR_MESSAGES.OIDC_LOGIN_FAILED);
+    }
+  }
+
+  /**
+   * Find the user linked to the claims' subject, linking an existing account
+   * by verified email or creating one when the provider allows it
+   */
+  static async findOrProvisionUser(provider, claims) {
+    const linkedUser = await User.findByIdentity(provider.id, claims.sub);
+    if (linkedUser) {
+      return linkedUser;
+    }
+
+    const email = OidcService.getClaim(claims, provider.claims.email);
+    if (!email) {
+      throw new ValidationError(ERROR_MESSAGES.OIDC_EMAIL_REQUIRED);
+    }
+
+    const emailVerified = claims.email_verified === true;
+    const identity = OidcService.buildIdentity(provider, claims);
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      if (!provider.linkByEmail || !emailVerified) {
+        throw new ConflictError(ERROR_MESSAGES.OIDC_ACCOUNT_EXISTS);
+      }
+
+      existingUser.identities.push(identity);
+      await existingUser.save();
+      CacheManager.del('users', `user:${existingUser._id}`);
+
+      return existingUser;
+    }
+
+    if (!provider.allowSignup) {
+      throw new AuthenticationError(ERROR_MESSAGES.OIDC_SIGNUP_DISABLED);
+    }
+
+    const university = provider.university || OidcService.getClaim(claims, provider.claims.university);
+    if (!university) {
+      throw new ValidationError(ERROR_MESSAGES.OIDC_UNIVERSITY_REQUIRED);
+    }
+
+    try {
+      const user = new User({
+        name: OidcService.getClaim(claims, provider.claims.name) || email.split('@')[0],
+        username: await OidcService.generateUsername(
+          OidcService.getClaim(claims, provider.claims.username) || email.split('@')[0]
+        ),
+        email,
+        university,
+        identities: [identity],
+        emailVerified,
+        emailVerifiedAt: emailVerified ? new Date() : undefined
+      });
+      await user.save();
+
+      if (!emailVerified) {
+        await AuthenticationService.sendVerificationEmail(user);
+      }
+
+      CacheManager.clear('users');
+
+      return user;
+
+    } catch (error) {
+      // Another login for the same identity or email won the race
+      if (error.code === 11000) {
+        throw new ConflictError(ERROR_MESSAGES.OIDC_ACCOUNT_EXISTS);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the identity stored on a user for a provider login
+   */
+  static buildIdentity(provider, claims) {
+    const email = OidcService.getClaim(claims, provider.claims.email);
+
+    return {
+      provider: provider.id,
+      subject: claims.sub,
+      email: email ? email.toLowerCase() : undefined,
+      linkedAt: new Date()
+    };
+  }
+
+  /**
+   * Read a string claim, ignoring empty and non-string values
+   */
+  static getClaim(claims, name) {
+    const value = claims[name];
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  /**
+   * Derive an unused alphanumeric username from a claim
+   */
+  static async generateUsername(source) {
+    let base = String(source).toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, USERNAME_MAX_LENGTH - 4);
+    if (base.length < 3) {
+      base = `user${base}`;
+    }
+
+    let username = base;
+    while (await User.exists({ username })) {
+      username = `${base}${crypto.randomInt(1000, 10000)}`;
+    }
+
+    return username;
+  }
+}
+
+module.exports = OidcService;
+
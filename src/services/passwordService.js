@@ -0,0 +1,105 @@
+/**
+ * Password Service
+ * 
+ * This file applies the configured password policy. Every path that sets a
+ * password (registration, user creation, change, admin reset and self-service
+ * reset) checks the new password here before assigning it.
+ */
+
+const { config } = require('../config/loader');
+const {
+  comparePassword,
+  validatePasswordStrength,
+  validatePasswordAgainstUserInfo,
+  needsRehashing
+} = require('../utils/password');
+const { ValidationError } = require('../exceptions');
+const { ERROR_MESSAGES } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PasswordService {
+  /**
+   * Fields to select on a user before checking history or calling setPassword
+   */
+  static PASSWORD_FIELDS = '+password +passwordHistory';
+
+  /**
+   * Throw a ValidationError listing every strength and user info rule the new
+   * password breaks. Use this alone for new accounts, which have no history;
+   * `userInfo` is the registration data.
+   */
+  static assertPasswordPolicy(newPassword, userInfo = {}) {
+    const policy = config.password;
+
+    const errors = [...validatePasswordStrength(newPassword, policy).errors];
+
+    if (policy.disallowUserInfo) {
+      errors.push(...validatePasswordAgainstUserInfo(newPassword, userInfo).errors);
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(ERROR_MESSAGES.WEAK_PASSWORD, errors);
+    }
+  }
+
+  /**
+   * Throw a ValidationError unless the new password meets the policy and is
+   * not one of the saved user's recent passwords
+   */
+  static async assertPasswordAllowed(newPassword, user) {
+    PasswordService.assertPasswordPolicy(newPassword, user);
+
+    // Only compare against history once the cheaper checks pass; each comparison is a bcrypt hash
+    if (await PasswordService.isRecentlyUsed(newPassword, user)) {
+      throw new ValidationError(ERROR_MESSAGES.WEAK_PASSWORD, [
+        `Password cannot be one of your last ${config.password.historySize} passwords`
+      ]);
+    }
+  }
+
+  /**
+   * Check the new password against the current hash and the stored history
+   */
+  static async isRecentlyUsed(newPassword, user) {
+    const { historySize } = config.password;
+
+    if (historySize === 0 || !user.password) {
+      return false;
+    }
+
+    const recentHashes = [user.password, ...(user.passwordHistory || [])].slice(0, historySize);
+
+    for (const hash of recentHashes) {
+      if (await comparePassword(newPassword, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether the user's password is older than the configured expiry
+   */
+  static isPasswordExpired(user) {
+    const { expiryDays } = config.password;
+    if (expiryDays === 0) {
+      return false;
+    }
+
+    // Accounts that predate passwordChangedAt are measured from their creation
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return Boolean(changedAt) && Date.now() - changedAt.getTime() > expiryDays * DAY_MS;
+  }
+
+  /**
+   * Whether a stored hash uses a lower cost factor than configured
+   */
+  static needsRehash(hash) {
+    return needsRehashing(hash, config.password.saltRounds);
+  }
+}
+
+module.exports = PasswordService;
+
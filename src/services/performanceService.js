@@ -0,0 +1,392 @@
+/**
+ * Performance Service
+ * 
+ * This file contains the in-memory performance metrics of this process:
+ * per-route latency histograms, status code counts and error rates, recent
+ * slow requests, and periodic samples of memory, CPU and event loop lag.
+ * Metrics start empty when the process starts and are not shared between
+ * instances.
+ */
+
+const v8 = require('v8');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const AuditService = require('./auditService');
+const { caches, CacheManager } = require('../config/cache');
+const { config } = require('../config/loader');
+const { logger } = require('../utils/logger');
+const { createHistogram, observe, estimatePercentile } = require('../utils/metrics');
+const { NotFoundError } = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  PERFORMANCE_METRICS,
+  AUDIT_ACTIONS
+} = require('../utils/constants');
+
+const EVENT_LOOP_RESOLUTION_MS = 20;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+
+const metrics = createMetrics();
+const samples = [];
+let sampleTimer = null;
+let lastCpuUsage = null;
+let lastSampledAt = null;
+
+/**
+ * Create an empty set of request metrics
+ */
+function createMetrics() {
+  return {
+    since: new Date(),
+    total: 0,
+    errors: 0,
+    totalMs: 0,
+    statusCodes: {},
+    routes: new Map(),
+    slowRequests: []
+  };
+}
+
+/**
+ * Round a number of milliseconds to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Percentage of part in total, 0 when there is no total
+ */
+function percentage(part, total) {
+  return total > 0 ? round((part / total) * 100) : 0;
+}
+
+/**
+ * Convert an event loop delay in nanoseconds to lag in milliseconds. The
+ * histogram measures the whole timer interval, so the resolution is removed.
+ */
+function toLagMs(delayNanos) {
+  return round(Math.max(0, delayNanos / 1e6 - EVENT_LOOP_RESOLUTION_MS));
+}
+
+class PerformanceService {
+  /**
+   * Start sampling memory, CPU and event loop lag
+   */
+  static start() {
+    if (sampleTimer) {
+      return;
+    }
+
+    eventLoopDelay.enable();
+    lastCpuUsage = process.cpuUsage();
+    lastSampledAt = process.hrtime.bigint();
+
+    // unref() so sampling never keeps the process alive
+    sampleTimer = setInterval(PerformanceService.takeSample, PERFORMANCE_METRICS.SAMPLE_INTERVAL_MS);
+    sampleTimer.unref();
+  }
+
+  /**
+   * Stop sampling
+   */
+  static stop() {
+    clearInterval(sampleTimer);
+    sampleTimer = null;
+    eventLoopDelay.disable();
+  }
+
+  /**
+   * Take one sample of memory, CPU and event loop lag since the last sample
+   */
+  static takeSample() {
+    const memory = process.memoryUsage();
+    const cpuUsage = process.cpuUsage(lastCpuUsage);
+    const now = process.hrtime.bigint();
+    const elapsedMicros = Number(now - lastSampledAt) / 1000;
+
+    const sample = {
+      timestamp: new Date().toISOString(),
+      memory: {
+        heapUsedMb: round(memory.heapUsed / 1024 / 1024),
+        heapTotalMb: round(memory.heapTotal / 1024 / 1024),
+        rssMb: round(memory.rss / 1024 / 1024),
+        externalMb: round(memory.external / 1024 / 1024),
+        heapUsagePercent: percentage(memory.heapUsed, v8.getHeapStatistics().heap_size_limit)
+      },
+      // Share of one core; a busy event loop stays at or below 100
+      cpuPercent: percentage(cpuUsage.user + cpuUsage.system, elapsedMicros),
+      eventLoopLagMs: {
+        mean: toLagMs(eventLoopDelay.mean || 0),
+        p50: toLagMs(eventLoopDelay.percentile(50)),
+        p99: toLagMs(eventLoopDelay.percentile(99)),
+        max: toLagMs(eventLoopDelay.max)
+      }
+    };
+
+    eventLoopDelay.reset();
+    lastCpuUsage = process.cpuUsage();
+    lastSampledAt = now;
+
+    samples.push(sample);
+    if (samples.length > PERFORMANCE_METRICS.SAMPLE_LIMIT) {
+      samples.shift();
+    }
+
+    return sample;
+  }
+
+  /**
+   * Record a finished request. `route` is the route pattern, such as
+   * /api/users/:id, so every user shares one entry.
+   */
+  static recordRequest({ method, route, path, status, durationMs, requestId }) {
+    const key = `${method} ${route}`;
+    let routeMetrics = metrics.routes.get(key);
+
+    if (!routeMetrics) {
+      routeMetrics = {
+        method,
+        route,
+        errors: 0,
+        latency: createHistogram(PERFORMANCE_METRICS.LATENCY_BUCKETS_MS),
+        // Latency by status code
+        statuses: new Map()
+      };
+      metrics.routes.set(key, routeMetrics);
+    }
+
+    if (!routeMetrics.statuses.has(status)) {
+      routeMetrics.statuses.set(status, createHistogram(PERFORMANCE_METRICS.LATENCY_BUCKETS_MS));
+    }
+
+    observe(routeMetrics.latency, durationMs);
+    observe(routeMetrics.statuses.get(status), durationMs);
+
+    metrics.total++;
+    metrics.totalMs += durationMs;
+    metrics.statusCodes[status] = (metrics.statusCodes[status] || 0) + 1;
+
+    if (status >= 500) {
+      routeMetrics.errors++;
+      metrics.errors++;
+    }
+
+    if (durationMs > PERFORMANCE_METRICS.RESPONSE_TIME_THRESHOLD) {
+      const slowRequest = {
+        timestamp: new Date().toISOString(),
+        method,
+        route,
+        path,
+        status,
+        durationMs: round(durationMs),
+        requestId
+      };
+
+      metrics.slowRequests.push(slowRequest);
+      if (metrics.slowRequests.length > PERFORMANCE_METRICS.SLOW_REQUEST_LIMIT) {
+        metrics.slowRequests.shift();
+      }
+
+      logger.warn('Slow request', slowRequest);
+    }
+  }
+
+  /**
+   * Get the raw request metrics of every route
+   */
+  static getRouteMetrics() {
+    return [...metrics.routes.values()];
+  }
+
+  /**
+   * Get the latest system sample, taking one if sampling has not started
+   */
+  static getLatestSample() {
+    if (samples.length > 0) {
+      return samples[samples.length - 1];
+    }
+
+    if (!lastSampledAt) {
+      lastCpuUsage = process.cpuUsage();
+      lastSampledAt = process.hrtime.bigint();
+    }
+
+    return PerformanceService.takeSample();
+  }
+
+  /**
+   * Get request, route, system and cache metrics
+   */
+  static async getMetrics() {
+    try {
+      const routes = PerformanceService.getRouteMetrics()
+        .map(({ method, route, errors, latency, statuses }) => ({
+          method,
+          route,
+          count: latency.count,
+          errors,
+          errorRate: percentage(errors, latency.count),
+          statusCodes: Object.fromEntries([...statuses].map(([status, histogram]) => [status, histogram.count])),
+          latencyMs: {
+            avg: round(latency.sum / latency.count),
+            p50: round(estimatePercentile(latency, 50)),
+            p95: round(estimatePercentile(latency, 95)),
+            p99: round(estimatePercentile(latency, 99)),
+            max: round(latency.max)
+          },
+          histogram: [...latency.buckets, '+Inf'].map((le, i) => ({
+            le,
+            count: latency.counts[i]
+          }))
+        }))
+        .sort((a, b) => b.count - a.count);
+
+      return {
+        success: true,
+        data: {
+          enabled: config.performance.enabled,
+          since: metrics.since,
+          uptime: Math.floor(process.uptime()),
+          requests: {
+            total: metrics.total,
+            errors: metrics.errors,
+            errorRate: percentage(metrics.errors, metrics.total),
+            avgResponseTimeMs: metrics.total > 0 ? round(metrics.totalMs / metrics.total) : 0,
+            statusCodes: metrics.statusCodes
+          },
+          routes,
+          slowRequests: {
+            thresholdMs: PERFORMANCE_METRICS.RESPONSE_TIME_THRESHOLD,
+            recent: [...metrics.slowRequests].reverse()
+          },
+          system: {
+            current: PerformanceService.getLatestSample(),
+            samples
+          },
+          cache: PerformanceService.getCacheSummary()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the metrics with the PERFORMANCE_METRICS thresholds
+   */
+  static async getHealth() {
+    try {
+      const sample = PerformanceService.getLatestSample();
+      const avgResponseTimeMs = metrics.total > 0 ? round(metrics.totalMs / metrics.total) : 0;
+
+      const check = (value, threshold) => ({
+        status: value > threshold ? 'WARN' : 'OK',
+        value,
+        threshold
+      });
+
+      const checks = {
+        responseTime: check(avgResponseTimeMs, PERFORMANCE_METRICS.RESPONSE_TIME_THRESHOLD),
+        errorRate: check(percentage(metrics.errors, metrics.total), PERFORMANCE_METRICS.ERROR_RATE_THRESHOLD),
+        memory: check(sample.memory.heapUsagePercent, PERFORMANCE_METRICS.MEMORY_USAGE_THRESHOLD),
+        cpu: check(sample.cpuPercent, PERFORMANCE_METRICS.CPU_USAGE_THRESHOLD),
+        eventLoopLag: check(sample.eventLoopLagMs.p99, PERFORMANCE_METRICS.EVENT_LOOP_LAG_THRESHOLD)
+      };
+
+      const healthy = Object.values(checks).every(result => result.status === 'OK');
+
+      return {
+        success: true,
+        data: {
+          status: healthy ? 'OK' : 'DEGRADED',
+          timestamp: new Date().toISOString(),
+          checks
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the statistics and size of every cache
+   */
+  static getCacheSummary() {
+    const stats = CacheManager.getStats();
+
+    return Object.keys(stats).reduce((summary, name) => {
+      const { hits, misses } = stats[name];
+      summary[name] = {
+        ...stats[name],
+        hitRate: percentage(hits, hits + misses)
+      };
+      return summary;
+    }, {});
+  }
+
+  /**
+   * Get cache statistics
+   */
+  static async getCacheStats() {
+    try {
+      return {
+        success: true,
+        data: PerformanceService.getCacheSummary()
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Clear one cache by name
+   */
+  static async clearCache(cacheName) {
+    try {
+      if (!Object.prototype.hasOwnProperty.call(caches, cacheName)) {
+        throw new NotFoundError(`Cache '${cacheName}'`);
+      }
+
+      CacheManager.clear(cacheName);
+
+      await AuditService.record(AUDIT_ACTIONS.CACHE_CLEAR, {
+        metadata: { cache: cacheName }
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CACHE_CLEARED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Clear every cache
+   */
+  static async clearAllCaches() {
+    try {
+      CacheManager.clearAll();
+
+      await AuditService.record(AUDIT_ACTIONS.CACHE_CLEAR, {
+        metadata: { cache: 'all' }
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.CACHE_CLEARED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = PerformanceService;
+
@@ -0,0 +1,534 @@
+/**
+ * Query Service
+ * 
+ * This file contains business logic for managing saved query templates.
+ */
+
+const Query = require('../models/Query');
+const QueryVersion = require('../models/QueryVersion');
+const AuditService = require('./auditService');
+const { CacheManager } = require('../config/cache');
+const { parsePagination, createPaginationMeta, isValidObjectId, diffObjects } = require('../utils/helpers');
+const {
+  QueryNotFoundError,
+  QueryVersionNotFoundError,
+  QueryAlreadyExistsError,
+  ConflictError,
+  ValidationError
+} = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  QUERY_CATEGORIES,
+  COLLECTIONS,
+  PAGINATION,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS
+} = require('../utils/constants');
+
+/**
+ * Collections a saved query may target
+ */
+const QUERYABLE_COLLECTIONS = [
+  COLLECTIONS.USERS,
+  COLLECTIONS.UNIVERSITIES,
+  COLLECTIONS.FACULTIES,
+  COLLECTIONS.CARTS
+];
+
+class QueryService {
+  /**
+   * Get all queries with pagination and filtering
+   */
+  static async getAllQueries(query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+      const { collection, category, tag, search } = query;
+
+      // Build filter
+      const filter = { active: true };
+
+      if (collection) {
+        if (!QUERYABLE_COLLECTIONS.includes(collection)) {
+          throw new ValidationError(`Collection must be one of: ${QUERYABLE_COLLECTIONS.join(', ')}`);
+        }
+        filter.collection = collection;
+      }
+
+      if (category) {
+        if (!Object.values(QUERY_CATEGORIES).includes(category)) {
+          throw new ValidationError(`Category must be one of: ${Object.values(QUERY_CATEGORIES).join(', ')}`);
+        }
+        filter.category = category;
+      }
+
+      if (tag) {
+        filter.tags = String(tag).toLowerCase();
+      }
+
+      if (search) {
+        filter.$or = [
+          { name: new RegExp(search, 'i') },
+          { description: new RegExp(search, 'i') },
+          { tags: new RegExp(search, 'i') }
+        ];
+      }
+
+      // Check cache for this specific query (RegExp filters don't serialize, so key on the raw values)
+      const cacheKey = `queries:list:${JSON.stringify({ collection, category, tag, search, page, limit, sort })}`;
+      const cachedResult = CacheManager.get('queries', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const [queries, total] = await Promise.all([
+        Query.find(filter)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Query.countDocuments(filter)
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: queries,
+        meta,
+        count: queries.length
+      };
+
+      // Cache result
+      CacheManager.set('queries', cacheKey, result, 600); // 10 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get query by ID
+   */
+  static async getQueryById(queryId) {
+    try {
+      if (!isValidObjectId(queryId)) {
+        throw new ValidationError('Invalid query ID format');
+      }
+
+      // Check cache first
+      const cachedQuery = CacheManager.get('queries', `query:${queryId}`);
+      if (cachedQuery) {
+        return {
+          success: true,
+          data: cachedQuery
+        };
+      }
+
+      const queryDoc = await Query.findOne({ _id: queryId, active: true })
+        .populate('createdBy', 'name username');
+      if (!queryDoc) {
+        throw new QueryNotFoundError();
+      }
+
+      const queryData = queryDoc.toJSON();
+
+      // Cache query data
+      CacheManager.set('queries', `query:${queryId}`, queryData);
+
+      return {
+        success: true,
+        data: queryData
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create new query
+   */
+  static async createQuery(currentUser, queryData) {
+    try {
+      // Check if query already exists
+      const existingQuery = await Query.findOne({ name: queryData.name });
+      if (existingQuery) {
+        throw new QueryAlreadyExistsError();
+      }
+
+      const queryDoc = new Query({
+        ...queryData,
+        createdBy: currentUser._id
+      });
+      await queryDoc.save();
+      await QueryVersion.recordVersion(queryDoc, currentUser._id, 'create');
+
+      await AuditService.record(AUDIT_ACTIONS.QUERY_CREATE, {
+        target: AuditService.target(AUDIT_TARGETS.QUERY, queryDoc._id, queryDoc.name),
+        after: queryDoc
+      });
+
+      // Clear queries cache
+      CacheManager.clear('queries');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.QUERY_CREATED,
+        data: queryDoc.toJSON()
+      };
+
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new QueryAlreadyExistsError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update query, recording the result as a new version
+   */
+  static async updateQuery(currentUser, queryId, updateData) {
+    try {
+      const queryDoc = await QueryService.getQueryDocument(queryId);
+
+      await QueryService.ensureBaselineVersion(queryDoc);
+
+      const previousQuery = queryDoc.toObject();
+
+      // Save through the document so the template sandbox check runs
+      queryDoc.set(updateData);
+      await QueryService.saveNewVersion(queryDoc, currentUser, 'update');
+
+      await AuditService.record(AUDIT_ACTIONS.QUERY_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.QUERY, queryDoc._id, queryDoc.name),
+        before: previousQuery,
+        after: queryDoc
+      });
+
+      // Clear cache (list and popular results may contain the old document)
+      CacheManager.clear('queries');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.QUERY_UPDATED,
+        data: queryDoc.toJSON()
+      };
+
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new QueryAlreadyExistsError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete query (soft delete)
+   */
+  static async deleteQuery(queryId) {
+    try {
+      if (!isValidObjectId(queryId)) {
+        throw new ValidationError('Invalid query ID format');
+      }
+
+      const queryDoc = await Query.findByIdAndUpdate(
+        queryId,
+        { active: false },
+        { new: true }
+      );
+
+      if (!queryDoc) {
+        throw new QueryNotFoundError();
+      }
+
+      await AuditService.record(AUDIT_ACTIONS.QUERY_DELETE, {
+        target: AuditService.target(AUDIT_TARGETS.QUERY, queryDoc._id, queryDoc.name)
+      });
+
+      // Clear cache
+      CacheManager.clear('queries');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.QUERY_DELETED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most executed queries
+   */
+  static async getPopularQueries(query = {}) {
+    try {
+      const limit = Math.min(
+        parseInt(query.limit) || PAGINATION.DEFAULT_LIMIT,
+        PAGINATION.MAX_LIMIT
+      );
+
+      const queries = await Query.getPopularQueries(limit).lean();
+
+      return {
+        success: true,
+        data: queries,
+        count: queries.length
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get query statistics
+   */
+  static async getQueryStatistics() {
+    try {
+      const cacheKey = 'queries:statistics';
+      const cachedStats = CacheManager.get('queries', cacheKey);
+      if (cachedStats) {
+        return {
+          success: true,
+          data: cachedStats
+        };
+      }
+
+      const stats = await Query.getStatistics();
+
+      // Cache statistics
+      CacheManager.set('queries', cacheKey, stats, 300); // 5 minutes
+
+      return {
+        success: true,
+        data: stats
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the version history of a query, newest first
+   */
+  static async getQueryVersions(queryId, query = {}) {
+    try {
+      const { page, limit, skip } = parsePagination(query);
+      const queryDoc = await QueryService.getQueryDocument(queryId);
+
+      await QueryService.ensureBaselineVersion(queryDoc);
+
+      const filter = { queryId: queryDoc._id };
+
+      const [versions, total] = await Promise.all([
+        QueryVersion.find(filter)
+          .select('-template')
+          .populate('author', 'name username')
+          .sort({ version: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        QueryVersion.countDocuments(filter)
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      return {
+        success: true,
+        data: versions,
+        meta,
+        count: versions.length,
+        currentVersion: queryDoc.version
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single version of a query with its full template
+   */
+  static async getQueryVersion(queryId, version) {
+    try {
+      const queryDoc = await QueryService.getQueryDocument(queryId);
+
+      await QueryService.ensureBaselineVersion(queryDoc);
+
+      const queryVersion = await QueryService.getVersionDocument(queryDoc, version);
+
+      return {
+        success: true,
+        data: queryVersion
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Diff the templates of two versions of a query
+   */
+  static async diffQueryVersions(queryId, from, to) {
+    try {
+      const queryDoc = await QueryService.getQueryDocument(queryId);
+
+      await QueryService.ensureBaselineVersion(queryDoc);
+
+      const [fromVersion, toVersion] = await Promise.all([
+        QueryService.getVersionDocument(queryDoc, from),
+        QueryService.getVersionDocument(queryDoc, to)
+      ]);
+
+      const changes = diffObjects(fromVersion.template, toVersion.template);
+
+      return {
+        success: true,
+        data: {
+          from: fromVersion.version,
+          to: toVersion.version,
+          changes
+        },
+        count: changes.length
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the template of an earlier version as a new version
+   */
+  static async rollbackQuery(currentUser, queryId, version) {
+    try {
+      const queryDoc = await QueryService.getQueryDocument(queryId);
+
+      await QueryService.ensureBaselineVersion(queryDoc);
+
+      const targetVersion = await QueryService.getVersionDocument(queryDoc, version);
+      if (targetVersion.version === queryDoc.version) {
+        throw new ValidationError(`Version ${targetVersion.version} is already the current version`);
+      }
+
+      const previousQuery = queryDoc.toObject();
+
+      queryDoc.set(targetVersion.template);
+      await QueryService.saveNewVersion(queryDoc, currentUser, 'rollback', targetVersion.version);
+
+      await AuditService.record(AUDIT_ACTIONS.QUERY_ROLLBACK, {
+        target: AuditService.target(AUDIT_TARGETS.QUERY, queryDoc._id, queryDoc.name),
+        before: previousQuery,
+        after: queryDoc,
+        metadata: { restoredVersion: targetVersion.version }
+      });
+
+      // Clear cache
+      CacheManager.clear('queries');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.QUERY_ROLLED_BACK,
+        data: queryDoc.toJSON()
+      };
+
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new QueryAlreadyExistsError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find an active query document by ID; deleted queries have no history to
+   * read or roll back
+   */
+  static async getQueryDocument(queryId) {
+    if (!isValidObjectId(queryId)) {
+      throw new ValidationError('Invalid query ID format');
+    }
+
+    const queryDoc = await Query.findOne({ _id: queryId, active: true });
+    if (!queryDoc) {
+      throw new QueryNotFoundError();
+    }
+
+    return queryDoc;
+  }
+
+  /**
+   * Find a version of a query by number
+   */
+  static async getVersionDocument(queryDoc, version) {
+    const versionNumber = Number(version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      throw new ValidationError('Version must be a positive integer');
+    }
+
+    const queryVersion = await QueryVersion.findVersion(queryDoc._id, versionNumber)
+      .populate('author', 'name username')
+      .lean();
+    if (!queryVersion) {
+      throw new QueryVersionNotFoundError();
+    }
+
+    return queryVersion;
+  }
+
+  /**
+   * Snapshot queries saved before versioning existed so they have a history to diff against
+   */
+  static async ensureBaselineVersion(queryDoc) {
+    const hasVersions = await QueryVersion.exists({ queryId: queryDoc._id });
+    if (hasVersions) {
+      return;
+    }
+
+    try {
+      await QueryVersion.recordVersion(queryDoc, queryDoc.createdBy, 'create');
+    } catch (error) {
+      // A concurrent request recorded the same baseline first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Bump the version of a modified query, record it and save the new head
+   */
+  static async saveNewVersion(queryDoc, currentUser, action, restoredFrom) {
+    queryDoc.version += 1;
+    await queryDoc.validate();
+
+    // The unique (queryId, version) index rejects concurrent edits of the same head
+    let queryVersion;
+    try {
+      queryVersion = await QueryVersion.recordVersion(queryDoc, currentUser._id, action, restoredFrom);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Query was modified by another request, please retry');
+      }
+      throw error;
+    }
+
+    // A version left behind by a failed save (such as a rename to a taken
+    // name) would hold the next version number and block every later edit
+    try {
+      await queryDoc.save();
+    } catch (error) {
+      await QueryVersion.deleteOne({ _id: queryVersion._id });
+      throw error;
+    }
+  }
+}
+
+module.exports = QueryService;
+
@@ -0,0 +1,409 @@
+/**
+ * Role Service
+ * 
+ * This file contains business logic for roles and permissions. Permissions
+ * (and, for university-scoped roles, the universities they apply to) are
+ * resolved from the user's role on every authenticated request and cached,
+ * so role changes apply without users having to log in again.
+ */
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const University = require('../models/University');
+const AuditService = require('./auditService');
+const { CacheManager } = require('../config/cache');
+const { isValidObjectId } = require('../utils/helpers');
+const {
+  ConflictError,
+  RoleNotFoundError,
+  RoleAlreadyExistsError,
+  UserNotFoundError,
+  UniversityNotFoundError,
+  ValidationError
+} = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+  USER_ROLES,
+  ROLE_SCOPES,
+  PERMISSIONS,
+  UNIVERSITY_SCOPED_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_ROLE_SCOPES,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS
+} = require('../utils/constants');
+
+class RoleService {
+  /**
+   * Get all roles
+   */
+  static async getAllRoles() {
+    try {
+      const roles = await Role.find().sort({ name: 1 });
+
+      return {
+        success: true,
+        data: roles,
+        count: roles.length
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get role by ID
+   */
+  static async getRoleById(roleId) {
+    try {
+      const role = await RoleService.findRole(roleId);
+
+      return {
+        success: true,
+        data: role
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List every permission that can be granted
+   */
+  static getAvailablePermissions() {
+    return {
+      success: true,
+      data: Object.values(PERMISSIONS)
+    };
+  }
+
+  /**
+   * Create a role
+   */
+  static async createRole(roleData) {
+    try {
+      const existingRole = await Role.findByName(roleData.name);
+      if (existingRole) {
+        throw new RoleAlreadyExistsError();
+      }
+
+      const scope = roleData.scope || ROLE_SCOPES.GLOBAL;
+      const permissions = [...new Set(roleData.permissions)];
+      RoleService.assertScopeAllowsPermissions(scope, permissions);
+
+      const role = new Role({
+        name: roleData.name,
+        description: roleData.description,
+        permissions,
+        scope
+      });
+      await role.save();
+
+      await AuditService.record(AUDIT_ACTIONS.ROLE_CREATE, {
+        target: AuditService.target(AUDIT_TARGETS.ROLE, role._id, role.name),
+        after: role
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.ROLE_CREATED,
+        data: role
+      };
+
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new RoleAlreadyExistsError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a role's name, description, scope or permissions
+   */
+  static async updateRole(roleId, updateData) {
+    try {
+      const role = await RoleService.findRole(roleId);
+      const previousRole = role.toObject();
+      const previousName = role.name;
+
+      if (updateData.name !== undefined && updateData.name !== role.name) {
+        if (role.system) {
+          throw new ValidationError(ERROR_MESSAGES.SYSTEM_ROLE_PROTECTED);
+        }
+
+        if (await User.exists({ role: role.name })) {
+          throw new ConflictError(ERROR_MESSAGES.ROLE_IN_USE);
+        }
+
+        role.name = updateData.name;
+      }
+
+      if (updateData.scope !== undefined && updateData.scope !== role.scope) {
+        if (role.system) {
+          throw new ValidationError(ERROR_MESSAGES.SYSTEM_ROLE_PROTECTED);
+        }
+
+        // Holders of a newly scoped role would have no universities yet
+        if (await User.exists({ role: role.name })) {
+          throw new ConflictError(ERROR_MESSAGES.ROLE_IN_USE);
+        }
+
+        role.scope = updateData.scope;
+      }
+
+      if (updateData.permissions !== undefined) {
+        if (role.name === USER_ROLES.ADMIN) {
+          throw new ValidationError(ERROR_MESSAGES.ADMIN_ROLE_PROTECTED);
+        }
+        role.permissions = [...new Set(updateData.permissions)];
+      }
+
+      RoleService.assertScopeAllowsPermissions(role.scope, role.permissions);
+
+      if (updateData.description !== undefined) {
+        role.description = updateData.description;
+      }
+
+      await role.save();
+
+      await AuditService.record(AUDIT_ACTIONS.ROLE_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.ROLE, role._id, role.name),
+        before: previousRole,
+        after: role
+      });
+
+      CacheManager.del('roles', `role:${previousName}`);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.ROLE_UPDATED,
+        data: role
+      };
+
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new RoleAlreadyExistsError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a custom role that no user holds
+   */
+  static async deleteRole(roleId) {
+    try {
+      const role = await RoleService.findRole(roleId);
+
+      if (role.system) {
+        throw new ValidationError(ERROR_MESSAGES.SYSTEM_ROLE_PROTECTED);
+      }
+
+      if (await User.exists({ role: role.name })) {
+        throw new ConflictError(ERROR_MESSAGES.ROLE_IN_USE);
+      }
+
+      await Role.deleteOne({ _id: role._id });
+
+      await AuditService.record(AUDIT_ACTIONS.ROLE_DELETE, {
+        target: AuditService.target(AUDIT_TARGETS.ROLE, role._id, role.name),
+        before: role
+      });
+
+      CacheManager.del('roles', `role:${role.name}`);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.ROLE_DELETED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a role to a user. University-scoped roles also need the IDs of
+   * the universities the user will administer.
+   */
+  static async assignRole(userId, roleName, universityIds = []) {
+    try {
+      if (!isValidObjectId(userId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+
+      const role = await Role.findByName(roleName);
+      if (!role) {
+        throw new RoleNotFoundError();
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      // Never leave the system without an active admin
+      if (user.role === USER_ROLES.ADMIN && role.name !== USER_ROLES.ADMIN) {
+        const otherAdmins = await User.countDocuments({
+          _id: { $ne: user._id },
+          role: USER_ROLES.ADMIN,
+          active: true
+        });
+        if (otherAdmins === 0) {
+          throw new ConflictError(ERROR_MESSAGES.LAST_ADMIN);
+        }
+      }
+
+      const previousAccess = { role: user.role, managedUniversities: user.managedUniversities };
+
+      user.role = role.name;
+      user.managedUniversities = role.scope === ROLE_SCOPES.UNIVERSITY
+        ? await RoleService.getManagedUniversityIds(universityIds)
+        : [];
+      await user.save();
+
+      await AuditService.record(AUDIT_ACTIONS.USER_ROLE_ASSIGN, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        before: previousAccess,
+        after: { role: user.role, managedUniversities: user.managedUniversities }
+      });
+
+      const userData = user.toJSON();
+
+      CacheManager.set('users', `user:${userId}`, userData, 1800);
+      CacheManager.clear('users'); // Clear list cache
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.ROLE_ASSIGNED,
+        data: userData
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the permissions and the university scope of a user
+   */
+  static async resolveAccess(user) {
+    const { permissions, scope } = await RoleService.getRoleAccess(user.role);
+
+    const universityScope = scope === ROLE_SCOPES.UNIVERSITY
+      ? await RoleService.getUniversityScope(user.managedUniversities)
+      : null;
+
+    return { permissions, universityScope };
+  }
+
+  /**
+   * Resolve the permissions granted by a role name
+   */
+  static async getPermissions(roleName) {
+    const { permissions } = await RoleService.getRoleAccess(roleName);
+    return permissions;
+  }
+
+  /**
+   * Resolve the permissions and scope of a role name.
+   * Built-in roles fall back to their defaults until they are stored in the
+   * database, and the admin role always has every permission.
+   */
+  static async getRoleAccess(roleName) {
+    if (roleName === USER_ROLES.ADMIN) {
+      return { permissions: Object.values(PERMISSIONS), scope: ROLE_SCOPES.GLOBAL };
+    }
+
+    const cacheKey = `role:${roleName}`;
+    const cachedAccess = CacheManager.get('roles', cacheKey);
+    if (cachedAccess) {
+      return cachedAccess;
+    }
+
+    const role = await Role.findByName(roleName).lean();
+    const access = role
+      ? { permissions: role.permissions, scope: role.scope || ROLE_SCOPES.GLOBAL }
+      : {
+        permissions: DEFAULT_ROLE_PERMISSIONS[roleName] || [],
+        scope: DEFAULT_ROLE_SCOPES[roleName] || ROLE_SCOPES.GLOBAL
+      };
+
+    CacheManager.set('roles', cacheKey, access);
+
+    return access;
+  }
+
+  /**
+   * Look up the active universities a scoped user administers
+   */
+  static async getUniversityScope(universityIds = []) {
+    if (universityIds.length === 0) {
+      return [];
+    }
+
+    const universities = await University.find({ _id: { $in: universityIds }, active: true })
+      .select('name')
+      .lean();
+
+    return universities.map(university => ({ id: university._id.toString(), name: university.name }));
+  }
+
+  /**
+   * Check that university IDs for a scoped role exist and are active
+   */
+  static async getManagedUniversityIds(universityIds = []) {
+    const uniqueIds = [...new Set(universityIds.map(String))];
+    if (uniqueIds.length === 0) {
+      throw new ValidationError(ERROR_MESSAGES.UNIVERSITIES_REQUIRED);
+    }
+
+    if (!uniqueIds.every(isValidObjectId)) {
+      throw new ValidationError('Invalid university ID format');
+    }
+
+    const found = await University.countDocuments({ _id: { $in: uniqueIds }, active: true });
+    if (found !== uniqueIds.length) {
+      throw new UniversityNotFoundError();
+    }
+
+    return uniqueIds;
+  }
+
+  /**
+   * Throw if a university-scoped role would grant a permission that cannot be scoped
+   */
+  static assertScopeAllowsPermissions(scope, permissions) {
+    if (scope !== ROLE_SCOPES.UNIVERSITY) {
+      return;
+    }
+
+    const unscopable = permissions.filter(permission => !UNIVERSITY_SCOPED_PERMISSIONS.includes(permission));
+    if (unscopable.length > 0) {
+      throw new ValidationError(ERROR_MESSAGES.PERMISSION_NOT_SCOPABLE, unscopable);
+    }
+  }
+
+  /**
+   * Find a role by ID or throw
+   */
+  static async findRole(roleId) {
+    if (!isValidObjectId(roleId)) {
+      throw new ValidationError('Invalid role ID format');
+    }
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      throw new RoleNotFoundError();
+    }
+
+    return role;
+  }
+}
+
+module.exports = RoleService;
+
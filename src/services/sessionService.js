@@ -0,0 +1,197 @@
+/**
+ * Session Service
+ * 
+ * This file contains business logic for tracking and revoking login sessions.
+ * Revoking a session also revokes every refresh token in its family.
+ */
+
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const AuditService = require('./auditService');
+const { isValidObjectId } = require('../utils/helpers');
+const { logger } = require('../utils/logger');
+const { assertUserManageable } = require('../utils/universityScope');
+const { UserNotFoundError, NotFoundError, ValidationError } = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  TOKEN_REVOCATION_REASONS,
+  SESSION,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS
+} = require('../utils/constants');
+
+class SessionService {
+  /**
+   * Find a session that can still authenticate requests, recording activity on it.
+   * Returns null for unknown, revoked or expired sessions.
+   */
+  static async validateSession(sessionId, ip) {
+    try {
+      if (!isValidObjectId(sessionId)) {
+        return null;
+      }
+
+      const session = await Session.findById(sessionId).lean();
+      if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return null;
+      }
+
+      // Throttle activity writes so every request doesn't update the session
+      if (Date.now() - session.lastUsedAt.getTime() >= SESSION.TOUCH_INTERVAL_MS) {
+        Session.updateOne(
+          { _id: session._id },
+          { $set: { lastUsedAt: new Date(), lastUsedIp: ip } }
+        ).catch(error => logger.error('Failed to record session activity', { error }));
+      }
+
+      return session;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a refresh on a session and extend it to the new refresh token's expiry
+   */
+  static async extendSession(sessionId, context = {}, expiresAt) {
+    try {
+      await Session.updateOne(
+        { _id: sessionId },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: context.ip, expiresAt } }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List the active sessions of a user, flagging the one making the request
+   */
+  static async getUserSessions(userId, currentSessionId) {
+    try {
+      const sessions = await Session.findActiveByUser(userId)
+        .select('userAgent ip lastUsedAt lastUsedIp expiresAt createdAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+      const data = sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        lastUsedIp: session.lastUsedIp,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === currentSessionId
+      }));
+
+      return {
+        success: true,
+        data,
+        count: data.length
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   */
+  static async revokeOwnSession(currentUser, sessionId) {
+    try {
+      if (!isValidObjectId(sessionId)) {
+        throw new ValidationError('Invalid session ID format');
+      }
+
+      // Sessions of other users are reported as missing rather than forbidden
+      const session = await Session.findOne({ _id: sessionId, userId: currentUser._id, revokedAt: null });
+      if (!session) {
+        throw new NotFoundError('Session');
+      }
+
+      await SessionService.revokeSession(session._id, TOKEN_REVOCATION_REASONS.USER_REVOKED);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SESSION_REVOKED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of a user ("log out everywhere")
+   */
+  static async revokeAllSessions(userId, reason = TOKEN_REVOCATION_REASONS.LOGOUT_ALL) {
+    try {
+      const [sessionResult] = await Promise.all([
+        Session.revoke({ userId }, reason),
+        RefreshToken.revokeUser(userId, reason)
+      ]);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SESSIONS_REVOKED,
+        data: {
+          revokedSessions: sessionResult.modifiedCount
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of another user (admin only)
+   */
+  static async revokeUserSessions(currentUser, userId) {
+    try {
+      if (!isValidObjectId(userId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+
+      const user = await User.findById(userId).select('university username role');
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      assertUserManageable(currentUser, user);
+
+      const result = await SessionService.revokeAllSessions(userId, TOKEN_REVOCATION_REASONS.ADMIN_REVOKED);
+
+      await AuditService.record(AUDIT_ACTIONS.USER_SESSIONS_REVOKE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        metadata: { revokedSessions: result.data.revokedSessions }
+      });
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session and its refresh token family
+   */
+  static async revokeSession(sessionId, reason) {
+    try {
+      await Promise.all([
+        Session.revoke({ _id: sessionId }, reason),
+        RefreshToken.revokeFamily(sessionId.toString(), reason)
+      ]);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = SessionService;
+
@@ -0,0 +1,113 @@
+/**
+ * Token Service
+ * 
+ * This file contains business logic for issuing, rotating and revoking
+ * refresh tokens. Every refresh token can be exchanged exactly once; presenting
+ * a token that was already rotated revokes its whole family.
+ */
+
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const SessionService = require('./sessionService');
+const { generateTokenPair, verifyToken, createTokenPayload } = require('../utils/jwt');
+const { hashToken } = require('../utils/helpers');
+const { logger } = require('../utils/logger');
+const { AuthenticationError } = require('../exceptions');
+const { ERROR_MESSAGES, TOKEN_TYPES, TOKEN_REVOCATION_REASONS } = require('../utils/constants');
+
+class TokenService {
+  /**
+   * Issue an access/refresh token pair and store the refresh token hash.
+   * A new session is started unless an existing session ID is passed.
+   */
+  static async issueTokens(user, context = {}, sessionId = null) {
+    try {
+      const session = sessionId ? null : new Session({
+        userId: user._id,
+        userAgent: context.userAgent,
+        ip: context.ip,
+        lastUsedIp: context.ip
+      });
+      const familyId = sessionId ? sessionId.toString() : session._id.toString();
+
+      const tokens = generateTokenPair({
+        ...createTokenPayload(user),
+        sid: familyId
+      });
+
+      if (session) {
+        session.expiresAt = tokens.refreshExpiresAt;
+        await session.save();
+      } else {
+        await SessionService.extendSession(sessionId, context, tokens.refreshExpiresAt);
+      }
+
+      await RefreshToken.create({
+        tokenHash: hashToken(tokens.refreshToken),
+        userId: user._id,
+        familyId,
+        expiresAt: tokens.refreshExpiresAt,
+        createdByIp: context.ip,
+        userAgent: context.userAgent
+      });
+
+      return {
+        ...tokens,
+        sessionId: familyId
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair in the same family
+   */
+  static async rotateRefreshToken(refreshToken, context = {}) {
+    try {
+      try {
+        verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+      } catch (error) {
+        throw new AuthenticationError(error.message);
+      }
+
+      const tokenHash = hashToken(refreshToken);
+
+      // Consuming atomically means two concurrent refreshes cannot both succeed
+      const consumed = await RefreshToken.consume(tokenHash);
+
+      if (!consumed) {
+        const record = await RefreshToken.findOne({ tokenHash });
+        if (!record) {
+          throw new AuthenticationError(ERROR_MESSAGES.REFRESH_TOKEN_INVALID);
+        }
+
+        if (record.revokedReason === TOKEN_REVOCATION_REASONS.ROTATED) {
+          await SessionService.revokeSession(record.familyId, TOKEN_REVOCATION_REASONS.REUSE_DETECTED);
+          logger.warn('Refresh token reuse detected; session revoked', {
+            userId: record.userId,
+            sessionId: record.familyId
+          });
+          throw new AuthenticationError(ERROR_MESSAGES.REFRESH_TOKEN_REUSED);
+        }
+
+        throw new AuthenticationError(ERROR_MESSAGES.SESSION_REVOKED);
+      }
+
+      const user = await User.findById(consumed.userId);
+      if (!user || !user.active) {
+        throw new AuthenticationError(ERROR_MESSAGES.TOKEN_INVALID);
+      }
+
+      return await TokenService.issueTokens(user, context, consumed.familyId);
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TokenService;
+
@@ -0,0 +1,372 @@
+/**
+ * Two-Factor Authentication Service
+ * 
+ * This file contains business logic for TOTP enrollment, verification and
+ * recovery codes. Secrets are stored encrypted; recovery codes are stored as
+ * SHA-256 hashes and each can be used once.
+ */
+
+const User = require('../models/User');
+const AuditService = require('./auditService');
+const RoleService = require('./roleService');
+const { CacheManager } = require('../config/cache');
+const { config } = require('../config/loader');
+const { comparePassword } = require('../utils/password');
+const { hashToken, isValidObjectId } = require('../utils/helpers');
+const { assertUserManageable } = require('../utils/universityScope');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+const {
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  UserNotFoundError,
+  ValidationError
+} = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS
+} = require('../utils/constants');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+class TwoFactorService {
+  /**
+   * Get two-factor status for a user
+   */
+  static async getStatus(userId) {
+    try {
+      const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      const recoveryCodes = user.twoFactor.recoveryCodes || [];
+
+      return {
+        success: true,
+        data: {
+          enabled: user.twoFactor.enabled,
+          enabledAt: user.twoFactor.enabledAt,
+          recoveryCodesRemaining: recoveryCodes.filter(code => !code.usedAt).length,
+          required: await TwoFactorService.isRequiredFor(user)
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Start enrollment: generate a pending secret and its otpauth URI
+   */
+  static async setup(userId) {
+    try {
+      const user = await User.findById(userId).select(SECRET_FIELDS);
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      if (user.twoFactor.enabled) {
+        throw new ConflictError(ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED);
+      }
+
+      const secret = generateSecret();
+      user.twoFactor.pendingSecret = encryptSecret(secret, TwoFactorService.getEncryptionKey());
+      await user.save();
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR_SETUP_STARTED,
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri({
+            secret,
+            accountName: user.email,
+            issuer: config.twoFactor.issuer
+          })
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app and issue recovery codes
+   */
+  static async enable(userId, code) {
+    try {
+      const user = await User.findById(userId).select(SECRET_FIELDS);
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      if (user.twoFactor.enabled) {
+        throw new ConflictError(ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED);
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        throw new ValidationError(ERROR_MESSAGES.TWO_FACTOR_SETUP_REQUIRED);
+      }
+
+      const secret = decryptSecret(user.twoFactor.pendingSecret, TwoFactorService.getEncryptionKey());
+      const step = verifyTotp(secret, code);
+      if (step === null) {
+        throw new AuthenticationError(ERROR_MESSAGES.TWO_FACTOR_CODE_INVALID);
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.recoveryCodes = TwoFactorService.hashRecoveryCodes(recoveryCodes);
+      await user.save();
+
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_TWO_FACTOR_ENABLE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username)
+      });
+
+      CacheManager.del('users', `user:${userId}`);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR_ENABLED,
+        data: {
+          recoveryCodes
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off after re-checking the password and a code
+   */
+  static async disable(userId, password, code) {
+    try {
+      const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      if (!user.twoFactor.enabled) {
+        throw new ValidationError(ERROR_MESSAGES.TWO_FACTOR_NOT_ENABLED);
+      }
+
+      if (await TwoFactorService.isRequiredFor(user)) {
+        throw new AuthorizationError(ERROR_MESSAGES.TWO_FACTOR_REQUIRED);
+      }
+
+      const isPasswordValid = await comparePassword(password, user.password);
+      if (!isPasswordValid) {
+        throw new AuthenticationError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+      }
+
+      if (!(await TwoFactorService.verifyCode(user, code))) {
+        throw new AuthenticationError(ERROR_MESSAGES.TWO_FACTOR_CODE_INVALID);
+      }
+
+      await TwoFactorService.clearTwoFactor(user._id);
+
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_TWO_FACTOR_DISABLE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username)
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR_DISABLED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all recovery codes after checking a current code
+   */
+  static async regenerateRecoveryCodes(userId, code) {
+    try {
+      const user = await User.findById(userId).select(SECRET_FIELDS);
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      if (!user.twoFactor.enabled) {
+        throw new ValidationError(ERROR_MESSAGES.TWO_FACTOR_NOT_ENABLED);
+      }
+
+      if (!(await TwoFactorService.verifyCode(user, code))) {
+        throw new AuthenticationError(ERROR_MESSAGES.TWO_FACTOR_CODE_INVALID);
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.recoveryCodes': TwoFactorService.hashRecoveryCodes(recoveryCodes) } }
+      );
+
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_RECOVERY_CODES_REGENERATE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username)
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.RECOVERY_CODES_REGENERATED,
+        data: {
+          recoveryCodes
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication for a user who lost their device (admin only)
+   */
+  static async resetUserTwoFactor(currentUser, userId) {
+    try {
+      if (!isValidObjectId(userId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      assertUserManageable(currentUser, user);
+
+      await TwoFactorService.clearTwoFactor(user._id);
+
+      await AuditService.record(AUDIT_ACTIONS.USER_TWO_FACTOR_RESET, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        before: { twoFactorEnabled: user.twoFactor.enabled },
+        after: { twoFactorEnabled: false }
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR_DISABLED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP code or an unused recovery code for a user loaded with SECRET_FIELDS.
+   * Accepted codes are spent atomically so they cannot be replayed.
+   */
+  static async verifyCode(user, code) {
+    if (!code || !user.twoFactor.secret) {
+      return false;
+    }
+
+    const secret = decryptSecret(user.twoFactor.secret, TwoFactorService.getEncryptionKey());
+    const step = verifyTotp(secret, code);
+
+    if (step !== null) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': { $exists: false } }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    const codeHash = hashToken(normalizeRecoveryCode(code));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Load a user together with the two-factor secrets needed by verifyCode
+   */
+  static findUserWithSecrets(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Whether policy requires two-factor authentication for a user, based on
+   * the permissions of their role
+   */
+  static async isRequiredFor(user) {
+    return TwoFactorService.isRequiredForPermissions(await RoleService.getPermissions(user.role));
+  }
+
+  /**
+   * Whether policy requires two-factor authentication for these permissions:
+   * any `*:manage` permission counts as admin privileges
+   */
+  static isRequiredForPermissions(permissions) {
+    return config.twoFactor.requireForAdmins &&
+      permissions.some(permission => permission.endsWith(':manage'));
+  }
+
+  /**
+   * Remove every two-factor setting from a user
+   */
+  static async clearTwoFactor(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1
+        }
+      }
+    );
+
+    CacheManager.del('users', `user:${userId}`);
+  }
+
+  /**
+   * Hash recovery codes for storage
+   */
+  static hashRecoveryCodes(recoveryCodes) {
+    return recoveryCodes.map(code => ({ codeHash: hashToken(normalizeRecoveryCode(code)) }));
+  }
+
+  /**
+   * Key used to encrypt stored TOTP secrets
+   */
+  static getEncryptionKey() {
+    return config.twoFactor.encryptionKey || config.jwt.secret;
+  }
+}
+
+module.exports = TwoFactorService;
+
@@ -0,0 +1,450 @@
+/**
+ * University Service
+ * 
+ * This file contains business logic for university management operations.
+ */
+
+const University = require('../models/University');
+const AuditService = require('./auditService');
+const { CacheManager } = require('../config/cache');
+const { parsePagination, createPaginationMeta, isValidObjectId } = require('../utils/helpers');
+const {
+  UniversityNotFoundError,
+  UniversityAlreadyExistsError,
+  ValidationError
+} = require('../exceptions');
+const {
+  SUCCESS_MESSAGES,
+  UNIVERSITY_TYPES,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS
+} = require('../utils/constants');
+
+class UniversityService {
+  /**
+   * Get all universities with pagination and filtering
+   */
+  static async getAllUniversities(query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      // Build filter
+      const filter = { active: true };
+
+      if (query.location) {
+        filter.location = new RegExp(query.location, 'i');
+      }
+
+      if (query.type) {
+        filter.type = query.type;
+      }
+
+      if (query.faculty) {
+        filter.faculties = new RegExp(query.faculty, 'i');
+      }
+
+      // Check cache for this specific query (RegExp filters don't serialize, so key on the raw values)
+      const { location, type, faculty } = query;
+      const cacheKey = `universities:list:${JSON.stringify({ location, type, faculty, page, limit, sort })}`;
+      const cachedResult = CacheManager.get('universities', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      // Get universities and total count
+      const [universities, total] = await Promise.all([
+        University.find(filter)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        University.countDocuments(filter)
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: universities,
+        meta,
+        count: universities.length
+      };
+
+      // Cache result
+      CacheManager.set('universities', cacheKey, result, 1800); // 30 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get university by ID
+   */
+  static async getUniversityById(universityId) {
+    try {
+      if (!isValidObjectId(universityId)) {
+        throw new ValidationError('Invalid university ID format');
+      }
+
+      // Check cache first
+      const cachedUniversity = CacheManager.get('universities', `university:${universityId}`);
+      if (cachedUniversity) {
+        return {
+          success: true,
+          data: cachedUniversity
+        };
+      }
+
+      const university = await University.findById(universityId);
+      if (!university) {
+        throw new UniversityNotFoundError();
+      }
+
+      const universityData = university.toJSON();
+
+      // Cache university data
+      CacheManager.set('universities', `university:${universityId}`, universityData);
+
+      return {
+        success: true,
+        data: universityData
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create new university
+   */
+  static async createUniversity(universityData) {
+    try {
+      // Check if university already exists
+      const existingUniversity = await University.findOne({ name: universityData.name });
+      if (existingUniversity) {
+        throw new UniversityAlreadyExistsError();
+      }
+
+      const university = new University(universityData);
+      await university.save();
+
+      await AuditService.record(AUDIT_ACTIONS.UNIVERSITY_CREATE, {
+        target: AuditService.target(AUDIT_TARGETS.UNIVERSITY, university._id, university.name),
+        after: university
+      });
+
+      // Clear universities cache
+      CacheManager.clear('universities');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.UNIVERSITY_CREATED,
+        data: university.toJSON()
+      };
+
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new UniversityAlreadyExistsError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update university
+   */
+  static async updateUniversity(universityId, updateData) {
+    try {
+      if (!isValidObjectId(universityId)) {
+        throw new ValidationError('Invalid university ID format');
+      }
+
+      const previousUniversity = await University.findById(universityId);
+      if (!previousUniversity) {
+        throw new UniversityNotFoundError();
+      }
+
+      const university = await University.findByIdAndUpdate(
+        universityId,
+        updateData,
+        { new: true, runValidators: true }
+      );
+
+      if (!university) {
+        throw new UniversityNotFoundError();
+      }
+
+      await AuditService.record(AUDIT_ACTIONS.UNIVERSITY_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.UNIVERSITY, university._id, university.name),
+        before: previousUniversity,
+        after: university
+      });
+
+      const universityData = university.toJSON();
+
+      // Clear cache (list and search results may contain the old document)
+      CacheManager.clear('universities');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.UNIVERSITY_UPDATED,
+        data: universityData
+      };
+
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new UniversityAlreadyExistsError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete university (soft delete)
+   */
+  static async deleteUniversity(universityId) {
+    try {
+      if (!isValidObjectId(universityId)) {
+        throw new ValidationError('Invalid university ID format');
+      }
+
+      const university = await University.findByIdAndUpdate(
+        universityId,
+        { active: false },
+        { new: true }
+      );
+
+      if (!university) {
+        throw new UniversityNotFoundError();
+      }
+
+      await AuditService.record(AUDIT_ACTIONS.UNIVERSITY_DELETE, {
+        target: AuditService.target(AUDIT_TARGETS.UNIVERSITY, university._id, university.name)
+      });
+
+      // Clear cache
+      CacheManager.clear('universities');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.UNIVERSITY_DELETED
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Search universities by name
+   */
+  static async searchUniversitiesByName(name, query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const cacheKey = `universities:search:${name}:${JSON.stringify({ page, limit, sort })}`;
+      const cachedResult = CacheManager.get('universities', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const [universities, total] = await Promise.all([
+        University.searchByName(name)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        University.countDocuments({
+          name: new RegExp(name, 'i'),
+          active: true
+        })
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: universities,
+        meta,
+        count: universities.length
+      };
+
+      // Cache result
+      CacheManager.set('universities', cacheKey, result, 600); // 10 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get universities by location
+   */
+  static async getUniversitiesByLocation(location, query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const cacheKey = `universities:location:${location}:${JSON.stringify({ page, limit, sort })}`;
+      const cachedResult = CacheManager.get('universities', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const [universities, total] = await Promise.all([
+        University.findByLocation(location)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        University.countDocuments({
+          location: new RegExp(location, 'i'),
+          active: true
+        })
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: universities,
+        meta,
+        count: universities.length
+      };
+
+      // Cache result
+      CacheManager.set('universities', cacheKey, result, 1800); // 30 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get universities by type
+   */
+  static async getUniversitiesByType(type, query = {}) {
+    try {
+      if (!Object.values(UNIVERSITY_TYPES).includes(type)) {
+        throw new ValidationError(`Type must be one of: ${Object.values(UNIVERSITY_TYPES).join(', ')}`);
+      }
+
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const cacheKey = `universities:type:${type}:${JSON.stringify({ page, limit, sort })}`;
+      const cachedResult = CacheManager.get('universities', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const [universities, total] = await Promise.all([
+        University.findByType(type)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        University.countDocuments({ type, active: true })
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: universities,
+        meta,
+        count: universities.length
+      };
+
+      // Cache result
+      CacheManager.set('universities', cacheKey, result, 1800); // 30 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get universities offering a faculty
+   */
+  static async getUniversitiesWithFaculty(faculty, query = {}) {
+    try {
+      const { page, limit, skip, sort } = parsePagination(query);
+
+      const cacheKey = `universities:faculty:${faculty}:${JSON.stringify({ page, limit, sort })}`;
+      const cachedResult = CacheManager.get('universities', cacheKey);
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const [universities, total] = await Promise.all([
+        University.findWithFaculty(faculty)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        University.countDocuments({
+          faculties: new RegExp(faculty, 'i'),
+          active: true
+        })
+      ]);
+
+      const meta = createPaginationMeta(page, limit, total);
+
+      const result = {
+        success: true,
+        data: universities,
+        meta,
+        count: universities.length
+      };
+
+      // Cache result
+      CacheManager.set('universities', cacheKey, result, 1800); // 30 minutes
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get university statistics
+   */
+  static async getUniversityStatistics() {
+    try {
+      const cacheKey = 'universities:statistics';
+      const cachedStats = CacheManager.get('universities', cacheKey);
+      if (cachedStats) {
+        return {
+          success: true,
+          data: cachedStats
+        };
+      }
+
+      const stats = await University.getStatistics();
+
+      // Cache statistics
+      CacheManager.set('universities', cacheKey, stats, 300); // 5 minutes
+
+      return {
+        success: true,
+        data: stats
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = UniversityService;
+
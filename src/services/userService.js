@@ -2,24 +2,34 @@
  * User Service
  * 
  * This file contains business logic for user management operations.
+ * Every operation receives the requesting user, and holders of a
+ * university-scoped role only reach users of the universities they administer.
  */
 
 const User = require('../models/User');
 const { CacheManager } = require('../config/cache');
-const { hashPassword } = require('../utils/password');
+const PasswordService = require('./passwordService');
+const AuditService = require('./auditService');
 const { parsePagination, createPaginationMeta, isValidObjectId } = require('../utils/helpers');
+const {
+  scopeUserFilter,
+  getScopeCacheKey,
+  assertUserInScope,
+  assertUserManageable,
+  assertUniversityNameInScope
+} = require('../utils/universityScope');
 const { 
   UserNotFoundError, 
   UserAlreadyExistsError,
   ValidationError 
 } = require('../exceptions');
-const { SUCCESS_MESSAGES } = require('../utils/constants');
+const { SUCCESS_MESSAGES, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
 
 class UserService {
   /**
    * Get all users with pagination and filtering
    */
-  static async getAllUsers(query = {}) {
+  static async getAllUsers(currentUser, query = {}) {
     try {
       const { page, limit, skip, sort } = parsePagination(query);
       
@@ -40,8 +50,10 @@ class UserService {
         filter.role = query.role;
       }
 
+      const scopedFilter = scopeUserFilter(currentUser, filter);
+
       // Check cache for this specific query
-      const cacheKey = `users:list:${JSON.stringify({ filter, page, limit, sort })}`;
+      const cacheKey = `users:list:${JSON.stringify({ filter: scopedFilter, page, limit, sort })}`;
       const cachedResult = CacheManager.get('users', cacheKey);
       if (cachedResult) {
         return cachedResult;
@@ -49,12 +61,12 @@ class UserService {
 
       // Get users and total count
       const [users, total] = await Promise.all([
-        User.find(filter)
+        User.find(scopedFilter)
           .sort(sort)
           .skip(skip)
           .limit(limit)
           .lean(),
-        User.countDocuments(filter)
+        User.countDocuments(scopedFilter)
       ]);
 
       const meta = createPaginationMeta(page, limit, total);
@@ -79,7 +91,7 @@ class UserService {
   /**
    * Get user by ID
    */
-  static async getUserById(userId) {
+  static async getUserById(currentUser, userId) {
     try {
       if (!isValidObjectId(userId)) {
         throw new ValidationError('Invalid user ID format');
@@ -88,6 +100,7 @@ class UserService {
       // Check cache first
       const cachedUser = CacheManager.get('users', `user:${userId}`);
       if (cachedUser) {
+        assertUserInScope(currentUser, cachedUser);
         return {
           success: true,
           data: cachedUser
@@ -99,6 +112,8 @@ class UserService {
         throw new UserNotFoundError();
       }
 
+      assertUserInScope(currentUser, user);
+
       const userData = user.toJSON();
 
       // Cache user data
@@ -117,8 +132,10 @@ class UserService {
   /**
    * Create new user
    */
-  static async createUser(userData) {
+  static async createUser(currentUser, userData) {
     try {
+      assertUniversityNameInScope(currentUser, userData.university);
+
       // Check if user already exists
       const existingUser = await User.findOne({
         $or: [
@@ -136,14 +153,17 @@ class UserService {
         }
       }
 
-      // Hash password if provided
-      if (userData.password) {
-        userData.password = await hashPassword(userData.password);
-      }
+      PasswordService.assertPasswordPolicy(userData.password, userData);
 
+      // The model hashes the password
       const user = new User(userData);
       await user.save();
 
+      await AuditService.record(AUDIT_ACTIONS.USER_CREATE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        after: user
+      });
+
       const userResponse = user.toJSON();
 
       // Clear users cache
@@ -167,15 +187,18 @@ class UserService {
   /**
    * Update user
    */
-  static async updateUser(userId, updateData) {
+  static async updateUser(currentUser, userId, updateData) {
     try {
-      if (!isValidObjectId(userId)) {
-        throw new ValidationError('Invalid user ID format');
-      }
+      const previousUser = await UserService.findUserInScope(currentUser, userId, null);
 
       // Remove sensitive fields that shouldn't be updated directly
       const { password, ...safeUpdateData } = updateData;
 
+      // Scoped admins cannot move a user to a university they do not administer
+      if (safeUpdateData.university !== undefined) {
+        assertUniversityNameInScope(currentUser, safeUpdateData.university);
+      }
+
       const user = await User.findByIdAndUpdate(
         userId,
         safeUpdateData,
@@ -186,6 +209,12 @@ class UserService {
         throw new UserNotFoundError();
       }
 
+      await AuditService.record(AUDIT_ACTIONS.USER_UPDATE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        before: previousUser,
+        after: user
+      });
+
       const userData = user.toJSON();
 
       // Update cache
@@ -210,11 +239,9 @@ class UserService {
   /**
    * Delete user (soft delete)
    */
-  static async deleteUser(userId) {
+  static async deleteUser(currentUser, userId) {
     try {
-      if (!isValidObjectId(userId)) {
-        throw new ValidationError('Invalid user ID format');
-      }
+      const previousUser = await UserService.findUserInScope(currentUser, userId, 'university active');
 
       const user = await User.findByIdAndUpdate(
         userId,
@@ -226,6 +253,12 @@ class UserService {
         throw new UserNotFoundError();
       }
 
+      await AuditService.record(AUDIT_ACTIONS.USER_DELETE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        before: { active: previousUser.active },
+        after: { active: user.active }
+      });
+
       // Remove from cache
       CacheManager.del('users', `user:${userId}`);
       CacheManager.clear('users'); // Clear list cache
@@ -243,26 +276,29 @@ class UserService {
   /**
    * Search users by name
    */
-  static async searchUsersByName(name, query = {}) {
+  static async searchUsersByName(currentUser, name, query = {}) {
     try {
       const { page, limit, skip, sort } = parsePagination(query);
 
-      const cacheKey = `users:search:${name}:${JSON.stringify({ page, limit, sort })}`;
+      const scopeKey = getScopeCacheKey(currentUser);
+      const cacheKey = `users:search:${name}:${JSON.stringify({ scopeKey, page, limit, sort })}`;
       const cachedResult = CacheManager.get('users', cacheKey);
       if (cachedResult) {
         return cachedResult;
       }
 
-      const users = await User.searchByName(name)
+      const filter = scopeUserFilter(currentUser, {
+        name: new RegExp(name, 'i'),
+        active: true
+      });
+
+      const users = await User.find(filter)
         .sort(sort)
         .skip(skip)
         .limit(limit)
         .lean();
 
-      const total = await User.countDocuments({
-        name: new RegExp(name, 'i'),
-        active: true
-      });
+      const total = await User.countDocuments(filter);
 
       const meta = createPaginationMeta(page, limit, total);
 
@@ -286,26 +322,29 @@ class UserService {
   /**
    * Get users by university
    */
-  static async getUsersByUniversity(university, query = {}) {
+  static async getUsersByUniversity(currentUser, university, query = {}) {
     try {
       const { page, limit, skip, sort } = parsePagination(query);
 
-      const cacheKey = `users:university:${university}:${JSON.stringify({ page, limit, sort })}`;
+      const scopeKey = getScopeCacheKey(currentUser);
+      const cacheKey = `users:university:${university}:${JSON.stringify({ scopeKey, page, limit, sort })}`;
       const cachedResult = CacheManager.get('users', cacheKey);
       if (cachedResult) {
         return cachedResult;
       }
 
-      const users = await User.findByUniversity(university)
+      const filter = scopeUserFilter(currentUser, {
+        university: new RegExp(university, 'i'),
+        active: true
+      });
+
+      const users = await User.find(filter)
         .sort(sort)
         .skip(skip)
         .limit(limit)
         .lean();
 
-      const total = await User.countDocuments({
-        university: new RegExp(university, 'i'),
-        active: true
-      });
+      const total = await User.countDocuments(filter);
 
       const meta = createPaginationMeta(page, limit, total);
 
@@ -329,30 +368,33 @@ class UserService {
   /**
    * Get users by age range
    */
-  static async getUsersByAgeRange(minAge, maxAge, query = {}) {
+  static async getUsersByAgeRange(currentUser, minAge, maxAge, query = {}) {
     try {
       const { page, limit, skip, sort } = parsePagination(query);
 
-      const cacheKey = `users:age:${minAge}-${maxAge}:${JSON.stringify({ page, limit, sort })}`;
+      const scopeKey = getScopeCacheKey(currentUser);
+      const cacheKey = `users:age:${minAge}-${maxAge}:${JSON.stringify({ scopeKey, page, limit, sort })}`;
       const cachedResult = CacheManager.get('users', cacheKey);
       if (cachedResult) {
         return cachedResult;
       }
 
-      const users = await User.findByAgeRange(minAge, maxAge)
+      // Build filter
+      const ageFilter = { active: true };
+      if (minAge !== undefined) ageFilter.age = { $gte: minAge };
+      if (maxAge !== undefined) {
+        ageFilter.age = ageFilter.age ? { ...ageFilter.age, $lte: maxAge } : { $lte: maxAge };
+      }
+
+      const filter = scopeUserFilter(currentUser, ageFilter);
+
+      const users = await User.find(filter)
         .sort(sort)
         .skip(skip)
         .limit(limit)
         .lean();
 
-      // Build count filter
-      const countFilter = { active: true };
-      if (minAge !== undefined) countFilter.age = { $gte: minAge };
-      if (maxAge !== undefined) {
-        countFilter.age = countFilter.age ? { ...countFilter.age, $lte: maxAge } : { $lte: maxAge };
-      }
-
-      const total = await User.countDocuments(countFilter);
+      const total = await User.countDocuments(filter);
       const meta = createPaginationMeta(page, limit, total);
 
       const result = {
@@ -375,9 +417,9 @@ class UserService {
   /**
    * Get user statistics
    */
-  static async getUserStatistics() {
+  static async getUserStatistics(currentUser) {
     try {
-      const cacheKey = 'users:statistics';
+      const cacheKey = `users:statistics:${getScopeCacheKey(currentUser)}`;
       const cachedStats = CacheManager.get('users', cacheKey);
       if (cachedStats) {
         return {
@@ -386,7 +428,7 @@ class UserService {
         };
       }
 
-      const stats = await User.getStatistics();
+      const stats = await User.getStatistics(scopeUserFilter(currentUser));
 
       // Cache statistics
       CacheManager.set('users', cacheKey, stats, 300); // 5 minutes
@@ -404,11 +446,9 @@ class UserService {
   /**
    * Activate user
    */
-  static async activateUser(userId) {
+  static async activateUser(currentUser, userId) {
     try {
-      if (!isValidObjectId(userId)) {
-        throw new ValidationError('Invalid user ID format');
-      }
+      const previousUser = await UserService.findUserInScope(currentUser, userId, 'university active');
 
       const user = await User.findByIdAndUpdate(
         userId,
@@ -420,6 +460,12 @@ class UserService {
         throw new UserNotFoundError();
       }
 
+      await AuditService.record(AUDIT_ACTIONS.USER_ACTIVATE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        before: { active: previousUser.active },
+        after: { active: user.active }
+      });
+
       const userData = user.toJSON();
 
       // Update cache
@@ -440,11 +486,9 @@ class UserService {
   /**
    * Deactivate user
    */
-  static async deactivateUser(userId) {
+  static async deactivateUser(currentUser, userId) {
     try {
-      if (!isValidObjectId(userId)) {
-        throw new ValidationError('Invalid user ID format');
-      }
+      const previousUser = await UserService.findUserInScope(currentUser, userId, 'university active');
 
       const user = await User.findByIdAndUpdate(
         userId,
@@ -456,6 +500,12 @@ class UserService {
         throw new UserNotFoundError();
       }
 
+      await AuditService.record(AUDIT_ACTIONS.USER_DEACTIVATE, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        before: { active: previousUser.active },
+        after: { active: user.active }
+      });
+
       // Remove from cache
       CacheManager.del('users', `user:${userId}`);
       CacheManager.clear('users'); // Clear list cache
@@ -470,26 +520,76 @@ class UserService {
     }
   }
 
+  /**
+   * Unlock user account locked out by failed logins
+   */
+  static async unlockUser(currentUser, userId) {
+    try {
+      const previousUser = await UserService.findUserInScope(currentUser, userId, 'university failedLoginAttempts lockCount lockUntil');
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockUntil: 1 } },
+        { new: true }
+      );
+
+      if (!user) {
+        throw new UserNotFoundError();
+      }
+
+      await AuditService.record(AUDIT_ACTIONS.USER_UNLOCK, {
+        target: AuditService.target(AUDIT_TARGETS.USER, user._id, user.username),
+        before: {
+          failedLoginAttempts: previousUser.failedLoginAttempts,
+          lockCount: previousUser.lockCount,
+          lockUntil: previousUser.lockUntil
+        },
+        after: {
+          failedLoginAttempts: user.failedLoginAttempts,
+          lockCount: user.lockCount
+        }
+      });
+
+      const userData = user.toJSON();
+
+      // Update cache
+      CacheManager.set('users', `user:${userId}`, userData, 1800);
+      CacheManager.clear('users'); // Clear list cache
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.USER_UNLOCKED,
+        data: userData
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get users by role
    */
-  static async getUsersByRole(role, query = {}) {
+  static async getUsersByRole(currentUser, role, query = {}) {
     try {
       const { page, limit, skip, sort } = parsePagination(query);
 
-      const cacheKey = `users:role:${role}:${JSON.stringify({ page, limit, sort })}`;
+      const scopeKey = getScopeCacheKey(currentUser);
+      const cacheKey = `users:role:${role}:${JSON.stringify({ scopeKey, page, limit, sort })}`;
       const cachedResult = CacheManager.get('users', cacheKey);
       if (cachedResult) {
         return cachedResult;
       }
 
-      const users = await User.find({ role, active: true })
+      const filter = scopeUserFilter(currentUser, { role, active: true });
+
+      const users = await User.find(filter)
         .sort(sort)
         .skip(skip)
         .limit(limit)
         .lean();
 
-      const total = await User.countDocuments({ role, active: true });
+      const total = await User.countDocuments(filter);
       const meta = createPaginationMeta(page, limit, total);
 
       const result = {
@@ -508,6 +608,25 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Find a user the current user is allowed to manage, or throw.
+   * Only the given fields and the role are loaded (null loads the whole user).
+   */
+  static async findUserInScope(currentUser, userId, fields = 'university') {
+    if (!isValidObjectId(userId)) {
+      throw new ValidationError('Invalid user ID format');
+    }
+
+    const user = await User.findById(userId).select(fields && `${fields} role`);
+    if (!user) {
+      throw new UserNotFoundError();
+    }
+
+    assertUserManageable(currentUser, user);
+
+    return user;
+  }
 }
 
 module.exports = UserService;
@@ -15,6 +15,7 @@ const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  LOCKED: 423,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
 };
@@ -22,7 +23,186 @@ const HTTP_STATUS = {
 // User Roles
 const USER_ROLES = {
   USER: 'user',
-  ADMIN: 'admin'
+  ADMIN: 'admin',
+  UNIVERSITY_ADMIN: 'university_admin'
+};
+
+// Role scopes: a university-scoped role only applies to the universities its
+// holder administers (User.managedUniversities)
+const ROLE_SCOPES = {
+  GLOBAL: 'global',
+  UNIVERSITY: 'university'
+};
+
+// Permissions granted through roles
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  UNIVERSITIES_MANAGE: 'universities:manage',
+  FACULTIES_MANAGE: 'faculties:manage',
+  CARTS_MANAGE: 'carts:manage',
+  QUERIES_EXECUTE: 'queries:execute',
+  QUERIES_MANAGE: 'queries:manage',
+  API_KEYS_MANAGE: 'api_keys:manage',
+  AUDIT_READ: 'audit:read',
+  PERFORMANCE_READ: 'performance:read',
+  CACHE_MANAGE: 'cache:manage'
+};
+
+// Permissions a university-scoped role may grant; the others always apply to every university
+const UNIVERSITY_SCOPED_PERMISSIONS = [
+  PERMISSIONS.USERS_READ,
+  PERMISSIONS.USERS_MANAGE,
+  PERMISSIONS.FACULTIES_MANAGE,
+  PERMISSIONS.QUERIES_EXECUTE
+];
+
+// Permissions of the built-in roles, used to seed them and as a fallback until they exist.
+// queries:execute alone reaches universities, faculties and the user's own carts;
+// the query engine requires users:read for users and carts:manage for other carts.
+const DEFAULT_ROLE_PERMISSIONS = {
+  [USER_ROLES.USER]: [PERMISSIONS.QUERIES_EXECUTE],
+  [USER_ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [USER_ROLES.UNIVERSITY_ADMIN]: UNIVERSITY_SCOPED_PERMISSIONS
+};
+
+// Scopes of the built-in roles (roles not listed here are global)
+const DEFAULT_ROLE_SCOPES = {
+  [USER_ROLES.UNIVERSITY_ADMIN]: ROLE_SCOPES.UNIVERSITY
+};
+
+// JWT Token Types
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+  EMAIL_VERIFICATION: 'email_verification',
+  TWO_FACTOR_CHALLENGE: 'two_factor_challenge'
+};
+
+// JWT signing algorithms: HS256 uses the shared secret, RS256 and ES256 use key pairs
+const JWT_ALGORITHMS = {
+  HS256: 'HS256',
+  RS256: 'RS256',
+  ES256: 'ES256'
+};
+
+// Email verification enforcement: 'routes' blocks routes guarded by
+// requireVerifiedEmail, 'login' also refuses to log unverified users in
+const EMAIL_VERIFICATION_POLICIES = {
+  OFF: 'off',
+  ROUTES: 'routes',
+  LOGIN: 'login'
+};
+
+// Refresh Token and Session Revocation Reasons
+const TOKEN_REVOCATION_REASONS = {
+  ROTATED: 'rotated',
+  REUSE_DETECTED: 'reuse_detected',
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  USER_REVOKED: 'user_revoked',
+  ADMIN_REVOKED: 'admin_revoked',
+  PASSWORD_RESET: 'password_reset'
+};
+
+// Session Tracking
+const SESSION = {
+  TOUCH_INTERVAL_MS: 60 * 1000 // update lastUsedAt at most once a minute per session
+};
+
+// Account Lockout
+const ACCOUNT_LOCKOUT = {
+  MAX_FAILED_ATTEMPTS: 5, // consecutive failures before the account is locked
+  BASE_LOCK_MS: 60 * 1000, // first lock lasts 1 minute and doubles on each further lock
+  MAX_LOCK_MS: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+// API Keys
+const API_KEY = {
+  PREFIX: 'dsk', // keys look like dsk_<8 hex id>_<secret>
+  ID_BYTES: 4,
+  SECRET_BYTES: 32,
+  TOUCH_INTERVAL_MS: 60 * 1000 // update lastUsedAt at most once a minute per key
+};
+
+// Password Reset
+const PASSWORD_RESET = {
+  TOKEN_BYTES: 32,
+  TOKEN_TTL_MS: 30 * 60 * 1000 // 30 minutes
+};
+
+// OpenID Connect login (authorization code flow with PKCE)
+const OIDC = {
+  STATE_BYTES: 32,
+  CODE_VERIFIER_BYTES: 32,
+  ID_TOKEN_ALGORITHMS: ['RS256', 'ES256'],
+  REQUEST_TIMEOUT_MS: 10 * 1000,
+  METADATA_TTL_SECONDS: 3600 // discovery documents and provider keys
+};
+
+// Two-Factor Authentication (RFC 6238 TOTP)
+const TWO_FACTOR = {
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  WINDOW: 1, // accept codes from one step before and after the current one
+  SECRET_BYTES: 20,
+  RECOVERY_CODE_COUNT: 10
+};
+
+// Audit log actions, named <area>.<verb>
+const AUDIT_ACTIONS = {
+  USER_CREATE: 'user.create',
+  USER_UPDATE: 'user.update',
+  USER_DELETE: 'user.delete',
+  USER_ACTIVATE: 'user.activate',
+  USER_DEACTIVATE: 'user.deactivate',
+  USER_UNLOCK: 'user.unlock',
+  USER_PASSWORD_RESET: 'user.password_reset',
+  USER_SESSIONS_REVOKE: 'user.sessions_revoke',
+  USER_TWO_FACTOR_RESET: 'user.two_factor_reset',
+  USER_ROLE_ASSIGN: 'user.role_assign',
+  ACCOUNT_LOCK: 'account.lock',
+  ACCOUNT_PASSWORD_CHANGE: 'account.password_change',
+  ACCOUNT_PASSWORD_RESET: 'account.password_reset',
+  ACCOUNT_TWO_FACTOR_ENABLE: 'account.two_factor_enable',
+  ACCOUNT_TWO_FACTOR_DISABLE: 'account.two_factor_disable',
+  ACCOUNT_RECOVERY_CODES_REGENERATE: 'account.recovery_codes_regenerate',
+  ACCOUNT_PROVIDER_LINK: 'account.provider_link',
+  ACCOUNT_PROVIDER_UNLINK: 'account.provider_unlink',
+  ROLE_CREATE: 'role.create',
+  ROLE_UPDATE: 'role.update',
+  ROLE_DELETE: 'role.delete',
+  API_KEY_CREATE: 'api_key.create',
+  API_KEY_REVOKE: 'api_key.revoke',
+  UNIVERSITY_CREATE: 'university.create',
+  UNIVERSITY_UPDATE: 'university.update',
+  UNIVERSITY_DELETE: 'university.delete',
+  FACULTY_CREATE: 'faculty.create',
+  FACULTY_UPDATE: 'faculty.update',
+  FACULTY_DELETE: 'faculty.delete',
+  QUERY_CREATE: 'query.create',
+  QUERY_UPDATE: 'query.update',
+  QUERY_DELETE: 'query.delete',
+  QUERY_ROLLBACK: 'query.rollback',
+  CACHE_CLEAR: 'cache.clear'
+};
+
+// Kinds of records an audit entry can be about
+const AUDIT_TARGETS = {
+  USER: 'user',
+  ROLE: 'role',
+  API_KEY: 'api_key',
+  UNIVERSITY: 'university',
+  FACULTY: 'faculty',
+  QUERY: 'query'
+};
+
+// Audit Log
+const AUDIT = {
+  IGNORED_FIELDS: ['_id', '__v', 'createdAt', 'updatedAt'], // never reported as changes
+  REDACTED_FIELDS: ['password', 'passwordHistory', 'twoFactor', 'keyHash'], // reported as changed, without values
+  REDACTED_VALUE: '[REDACTED]'
 };
 
 // Cart Status
@@ -40,6 +220,22 @@ const QUERY_CATEGORIES = {
   REPORT: 'report'
 };
 
+// Dynamic Query Execution
+const DYNAMIC_QUERY = {
+  MAX_EXECUTION_TIME_MS: 10000, // 10 seconds
+  SOURCES: {
+    DATABASE: 'database',
+    CONFIG: 'config'
+  }
+};
+
+// Query Template Sandbox
+const QUERY_SAFETY = {
+  MAX_DEPTH: 10, // nesting of objects, arrays and $facet pipelines
+  MAX_PIPELINE_STAGES: 20,
+  MAX_LIMIT: 1000 // upper bound for $limit and $sample sizes
+};
+
 // Parameter Types
 const PARAMETER_TYPES = {
   STRING: 'string',
@@ -65,6 +261,21 @@ const COLLECTIONS = {
   QUERIES: 'queries'
 };
 
+// Fields that dynamic queries may neither return nor reference, by collection
+const HIDDEN_QUERY_FIELDS = {
+  [COLLECTIONS.USERS]: [
+    'password',
+    'twoFactor.secret',
+    'twoFactor.pendingSecret',
+    'twoFactor.recoveryCodes',
+    'passwordHistory',
+    'failedLoginAttempts',
+    'lockUntil',
+    'lockCount',
+    'identities'
+  ]
+};
+
 // Cache Names
 const CACHE_NAMES = {
   USERS: 'users',
@@ -72,6 +283,8 @@ const CACHE_NAMES = {
   FACULTIES: 'faculties',
   CARTS: 'carts',
   QUERIES: 'queries',
+  ROLES: 'roles',
+  OIDC: 'oidc',
   PERFORMANCE: 'performance'
 };
 
@@ -132,6 +345,31 @@ const ERROR_MESSAGES = {
   TOKEN_REQUIRED: 'Access token is required',
   TOKEN_INVALID: 'Invalid token',
   TOKEN_EXPIRED: 'Token has expired',
+  REFRESH_TOKEN_INVALID: 'Invalid refresh token',
+  REFRESH_TOKEN_REUSED: 'Refresh token reuse detected. The session has been revoked',
+  SESSION_REVOKED: 'Session has been revoked',
+  SESSION_NOT_FOUND: 'Session not found',
+  RESET_TOKEN_INVALID: 'Password reset token is invalid or has expired',
+  WEAK_PASSWORD: 'Password does not meet the password requirements',
+  PASSWORD_EXPIRED: 'Password has expired. Use forgot-password to set a new one',
+  VERIFICATION_TOKEN_INVALID: 'Email verification token is invalid or has expired',
+  EMAIL_NOT_VERIFIED: 'Email address has not been verified',
+  TWO_FACTOR_CODE_INVALID: 'Invalid two-factor authentication code',
+  TWO_FACTOR_CHALLENGE_INVALID: 'Two-factor challenge is invalid or has expired',
+  TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+  TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+  TWO_FACTOR_SETUP_REQUIRED: 'Start two-factor setup before enabling it',
+  TWO_FACTOR_REQUIRED: 'Two-factor authentication must be enabled for admin accounts',
+  OIDC_STATE_INVALID: 'Login request is invalid or has expired. Start again',
+  OIDC_LOGIN_FAILED: 'Could not complete login with the identity provider',
+  OIDC_EMAIL_REQUIRED: 'The identity provider did not share an email address',
+  OIDC_UNIVERSITY_REQUIRED: 'The identity provider did not share a university',
+  OIDC_ACCOUNT_EXISTS: 'An account with this email already exists. Log in and link the provider from your profile',
+  OIDC_SIGNUP_DISABLED: 'No account is linked to this login. Ask an administrator to create one',
+  OIDC_IDENTITY_IN_USE: 'This login is already linked to another account',
+  OIDC_PROVIDER_ALREADY_LINKED: 'A login from this provider is already linked to your account',
+  OIDC_PROVIDER_NOT_LINKED: 'No login from this provider is linked to your account',
+  OIDC_LAST_LOGIN_METHOD: 'Set a password before unlinking your only way to log in',
   UNAUTHORIZED: 'Unauthorized access',
   FORBIDDEN: 'Access forbidden',
   
@@ -139,8 +377,29 @@ const ERROR_MESSAGES = {
   USER_NOT_FOUND: 'User not found',
   USER_ALREADY_EXISTS: 'User already exists',
   USER_INACTIVE: 'User account is inactive',
+  ACCOUNT_LOCKED: 'Account is temporarily locked due to too many failed login attempts',
   USERNAME_TAKEN: 'Username is already taken',
   EMAIL_TAKEN: 'Email is already taken',
+  PERMISSION_DENIED: 'Access denied. Insufficient permissions.',
+  
+  // Role
+  ROLE_NOT_FOUND: 'Role not found',
+  ROLE_ALREADY_EXISTS: 'Role already exists',
+  ROLE_IN_USE: 'Role is assigned to users. Assign them another role first',
+  SYSTEM_ROLE_PROTECTED: 'Built-in roles cannot be renamed, rescoped or deleted',
+  ADMIN_ROLE_PROTECTED: 'The admin role always has every permission',
+  LAST_ADMIN: 'Cannot remove the admin role from the last active admin',
+  PERMISSION_NOT_SCOPABLE: 'University-scoped roles can only grant user, faculty and query execution permissions',
+  UNIVERSITIES_REQUIRED: 'A university-scoped role needs at least one university',
+  API_KEY_INVALID: 'Invalid, expired or revoked API key',
+  API_KEY_ALREADY_REVOKED: 'API key has already been revoked',
+  API_KEY_SCOPE_NOT_GRANTED: 'API key scopes must be permissions the key owner has',
+  API_KEY_ROUTE_NOT_ALLOWED: 'Access denied. This route cannot be used with an API key.',
+  API_KEY_EXPIRY_TOO_LONG: 'API key expiry exceeds the maximum allowed lifetime',
+  METRICS_TOKEN_INVALID: 'Invalid or missing metrics token',
+  OUTSIDE_UNIVERSITY_SCOPE: 'Access denied. You can only manage users and faculties of your universities.',
+  QUERY_OUTSIDE_UNIVERSITY_SCOPE: 'Access denied. University-scoped users can only query users, faculties and universities.',
+  OUTSIDE_ROLE_SCOPE: 'Access denied. University administrators can only manage users with the user role.',
   
   // University
   UNIVERSITY_NOT_FOUND: 'University not found',
@@ -174,11 +433,33 @@ const SUCCESS_MESSAGES = {
   LOGOUT_SUCCESS: 'Logout successful',
   REGISTER_SUCCESS: 'User registered successfully',
   TOKEN_REFRESHED: 'Token refreshed successfully',
+  SESSION_REVOKED: 'Session revoked successfully',
+  SESSIONS_REVOKED: 'All sessions revoked successfully',
+  PASSWORD_RESET_REQUESTED: 'If an account with that email exists, a password reset link has been sent',
+  PASSWORD_RESET_SUCCESS: 'Password has been reset successfully. Please log in with your new password',
+  EMAIL_VERIFIED: 'Email address verified successfully',
+  VERIFICATION_EMAIL_SENT: 'If the account exists and is not yet verified, a verification email has been sent',
+  TWO_FACTOR_CHALLENGE: 'Two-factor authentication required',
+  TWO_FACTOR_SETUP_STARTED: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+  TWO_FACTOR_ENABLED: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+  TWO_FACTOR_DISABLED: 'Two-factor authentication disabled',
+  RECOVERY_CODES_REGENERATED: 'Recovery codes regenerated. Previous codes no longer work',
+  OIDC_PROVIDER_LINKED: 'Identity provider linked successfully',
+  OIDC_PROVIDER_UNLINKED: 'Identity provider unlinked successfully',
   
   // User
   USER_CREATED: 'User created successfully',
   USER_UPDATED: 'User updated successfully',
   USER_DELETED: 'User deleted successfully',
+  USER_UNLOCKED: 'User unlocked successfully',
+  ROLE_ASSIGNED: 'Role assigned successfully',
+  API_KEY_CREATED: 'API key created. Store it now; it cannot be shown again',
+  API_KEY_REVOKED: 'API key revoked successfully',
+  
+  // Role
+  ROLE_CREATED: 'Role created successfully',
+  ROLE_UPDATED: 'Role updated successfully',
+  ROLE_DELETED: 'Role deleted successfully',
   
   // University
   UNIVERSITY_CREATED: 'University created successfully',
@@ -196,13 +477,17 @@ const SUCCESS_MESSAGES = {
   CART_DELETED: 'Cart deleted successfully',
   CART_ITEM_ADDED: 'Item added to cart successfully',
   CART_ITEM_REMOVED: 'Item removed from cart successfully',
+  CART_ITEM_UPDATED: 'Cart item updated successfully',
+  CART_CLEARED: 'Cart cleared successfully',
   CART_COMPLETED: 'Cart completed successfully',
+  CART_CANCELLED: 'Cart cancelled successfully',
   
   // Query
   QUERY_CREATED: 'Query created successfully',
   QUERY_UPDATED: 'Query updated successfully',
   QUERY_DELETED: 'Query deleted successfully',
   QUERY_EXECUTED: 'Query executed successfully',
+  QUERY_ROLLED_BACK: 'Query rolled back successfully',
   
   // Cache
   CACHE_CLEARED: 'Cache cleared successfully',
@@ -223,9 +508,16 @@ const LOG_LEVELS = {
   ERROR: 'error',
   WARN: 'warn',
   INFO: 'info',
+  HTTP: 'http',
   DEBUG: 'debug'
 };
 
+// Log Formats: one JSON object per line, or readable lines for development
+const LOG_FORMATS = {
+  JSON: 'json',
+  PRETTY: 'pretty'
+};
+
 // Date Formats
 const DATE_FORMATS = {
   ISO: 'YYYY-MM-DDTHH:mm:ss.SSSZ',
@@ -247,7 +539,25 @@ const PERFORMANCE_METRICS = {
   RESPONSE_TIME_THRESHOLD: 1000, // 1 second
   MEMORY_USAGE_THRESHOLD: 80, // 80%
   CPU_USAGE_THRESHOLD: 80, // 80%
-  ERROR_RATE_THRESHOLD: 5 // 5%
+  ERROR_RATE_THRESHOLD: 5, // 5%
+  EVENT_LOOP_LAG_THRESHOLD: 100, // 100 ms (p99)
+  LATENCY_BUCKETS_MS: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+  SLOW_REQUEST_LIMIT: 50, // slow requests kept for inspection
+  SAMPLE_INTERVAL_MS: 10000, // memory, CPU and event loop sampling
+  SAMPLE_LIMIT: 60, // samples kept (10 minutes)
+  UNMATCHED_ROUTE: '(unmatched)' // requests that matched no route, e.g. 404s
+};
+
+// Prometheus Exporter
+const METRICS = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  HTTP_REQUEST_BUCKETS_MS: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+  DATABASE_COMMAND_BUCKETS_MS: [1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500],
+  QUERY_OUTCOMES: {
+    SUCCESS: 'success',
+    REJECTED: 'rejected', // invalid parameters, or parameters that made the query unsafe
+    ERROR: 'error'
+  }
 };
 
 // Regular Expressions
@@ -257,17 +567,39 @@ const REGEX_PATTERNS = {
   USERNAME: /^[a-zA-Z0-9]+$/,
   URL: /^https?:\/\/.+/,
   MONGO_ID: /^[0-9a-fA-F]{24}$/,
+  REQUEST_ID: /^[A-Za-z0-9._:-]{1,128}$/,
   PASSWORD_STRONG: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*])[A-Za-z\d!@#$%^&*]/
 };
 
 module.exports = {
   HTTP_STATUS,
   USER_ROLES,
+  ROLE_SCOPES,
+  PERMISSIONS,
+  UNIVERSITY_SCOPED_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_ROLE_SCOPES,
+  TOKEN_TYPES,
+  JWT_ALGORITHMS,
+  EMAIL_VERIFICATION_POLICIES,
+  TOKEN_REVOCATION_REASONS,
+  SESSION,
+  ACCOUNT_LOCKOUT,
+  PASSWORD_RESET,
+  API_KEY,
+  OIDC,
+  TWO_FACTOR,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS,
+  AUDIT,
   CART_STATUS,
   QUERY_CATEGORIES,
+  DYNAMIC_QUERY,
+  QUERY_SAFETY,
   PARAMETER_TYPES,
   UNIVERSITY_TYPES,
   COLLECTIONS,
+  HIDDEN_QUERY_FIELDS,
   CACHE_NAMES,
   PAGINATION,
   VALIDATION_LIMITS,
@@ -276,9 +608,11 @@ module.exports = {
   SUCCESS_MESSAGES,
   ENVIRONMENTS,
   LOG_LEVELS,
+  LOG_FORMATS,
   DATE_FORMATS,
   FILE_TYPES,
   PERFORMANCE_METRICS,
+  METRICS,
   REGEX_PATTERNS
 };
 
@@ -4,6 +4,7 @@
  * This file contains utility helper functions used throughout the application.
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { PAGINATION, HTTP_STATUS } = require('./constants');
 
@@ -162,6 +163,13 @@ function generateUniqueId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Hash an opaque token (refresh token, API key, reset token) for storage
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 /**
  * Format date to ISO string
  */
@@ -218,8 +226,8 @@ function slugify(text) {
     .toString()
     .toLowerCase()
     .replace(/\s+/g, '-')           // Replace spaces with -
-    .replace(/[^\w\-]+/g, '')       // Remove all non-word chars
-    .replace(/\-\-+/g, '-')         // Replace multiple - with single -
+    .replace(/[^\w-]+/g, '')        // Remove all non-word chars
+    .replace(/--+/g, '-')           // Replace multiple - with single -
     .replace(/^-+/, '')             // Trim - from start of text
     .replace(/-+$/, '');            // Trim - from end of text
 }
@@ -318,7 +326,7 @@ function deepClone(obj) {
   
   const cloned = {};
   for (const key in obj) {
-    if (obj.hasOwnProperty(key)) {
+    if (Object.prototype.hasOwnProperty.call(obj, key)) {
       cloned[key] = deepClone(obj[key]);
     }
   }
@@ -344,7 +352,7 @@ function getNestedValue(obj, path, defaultValue = null) {
   let current = obj;
   
   for (const key of keys) {
-    if (current === null || current === undefined || !current.hasOwnProperty(key)) {
+    if (current === null || current === undefined || !Object.prototype.hasOwnProperty.call(current, key)) {
       return defaultValue;
     }
     current = current[key];
@@ -372,6 +380,41 @@ function setNestedValue(obj, path, value) {
   return obj;
 }
 
+/**
+ * Compare two values and list every path that was added, removed or changed
+ */
+function diffObjects(before, after, path = '', changes = []) {
+  const isPlainObject = value => value !== null && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype;
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      diffObjects(before[i], after[i], `${path}[${i}]`, changes);
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diffObjects(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    if (before === undefined) {
+      changes.push({ path, type: 'added', to: after });
+    } else if (after === undefined) {
+      changes.push({ path, type: 'removed', from: before });
+    } else {
+      changes.push({ path, type: 'changed', from: before, to: after });
+    }
+  }
+
+  return changes;
+}
+
 /**
  * Format file size in human readable format
  */
@@ -418,6 +461,7 @@ module.exports = {
   sanitizeObject,
   generateRandomString,
   generateUniqueId,
+  hashToken,
   formatDate,
   calculateAge,
   isValidEmail,
@@ -434,6 +478,7 @@ module.exports = {
   isEmpty,
   getNestedValue,
   setNestedValue,
+  diffObjects,
   formatFileSize,
   getStatusText
 };
@@ -4,8 +4,15 @@
  * This file contains utility functions for JWT token generation and validation.
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { jwtConfig, getJwtOptions, getJwtVerifyOptions } = require('../config/jwt');
+const {
+  getJwtOptions,
+  getJwtVerifyOptions,
+  getSigningKey,
+  getVerificationKey
+} = require('../config/jwt');
+const { TOKEN_TYPES } = require('./constants');
 
 /**
  * Generate JWT access token
@@ -13,7 +20,7 @@ const { jwtConfig, getJwtOptions, getJwtVerifyOptions } = require('../config/jwt
 function generateAccessToken(payload) {
   try {
     const options = getJwtOptions('access');
-    return jwt.sign(payload, jwtConfig.secret, options);
+    return jwt.sign({ ...payload, type: TOKEN_TYPES.ACCESS }, getSigningKey(), options);
   } catch (error) {
     throw new Error(`Failed to generate access token: ${error.message}`);
   }
@@ -24,20 +31,56 @@ function generateAccessToken(payload) {
  */
 function generateRefreshToken(payload) {
   try {
-    const options = getJwtOptions('refresh');
-    return jwt.sign(payload, jwtConfig.secret, options);
+    // A unique jwtid keeps two refresh tokens issued in the same second distinct
+    const options = { ...getJwtOptions('refresh'), jwtid: crypto.randomUUID() };
+    return jwt.sign({ ...payload, type: TOKEN_TYPES.REFRESH }, getSigningKey(), options);
   } catch (error) {
     throw new Error(`Failed to generate refresh token: ${error.message}`);
   }
 }
 
 /**
- * Verify JWT token
+ * Generate a signed email verification token bound to the user's current email
  */
-function verifyToken(token) {
+function generateEmailVerificationToken(user) {
+  try {
+    const options = getJwtOptions(TOKEN_TYPES.EMAIL_VERIFICATION);
+    const payload = {
+      userId: user._id.toString(),
+      email: user.email,
+      type: TOKEN_TYPES.EMAIL_VERIFICATION
+    };
+    return jwt.sign(payload, getSigningKey(), options);
+  } catch (error) {
+    throw new Error(`Failed to generate email verification token: ${error.message}`);
+  }
+}
+
+/**
+ * Generate a short-lived token for the second step of a two-factor login
+ */
+function generateTwoFactorChallengeToken(user) {
+  try {
+    const options = getJwtOptions(TOKEN_TYPES.TWO_FACTOR_CHALLENGE);
+    const payload = {
+      userId: user._id.toString(),
+      type: TOKEN_TYPES.TWO_FACTOR_CHALLENGE
+    };
+    return jwt.sign(payload, getSigningKey(), options);
+  } catch (error) {
+    throw new Error(`Failed to generate two-factor challenge token: ${error.message}`);
+  }
+}
+
+/**
+ * Verify JWT token, optionally requiring a token type (see TOKEN_TYPES)
+ */
+function verifyToken(token, expectedType = null) {
+  let decoded;
+
   try {
     const options = getJwtVerifyOptions();
-    return jwt.verify(token, jwtConfig.secret, options);
+    decoded = jwt.verify(token, getVerificationKey(token), options);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Token has expired');
@@ -47,6 +90,12 @@ function verifyToken(token) {
     }
     throw new Error(`Token verification failed: ${error.message}`);
   }
+
+  if (expectedType && decoded.type !== expectedType) {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
 }
 
 /**
@@ -126,6 +175,7 @@ function generateTokenPair(payload) {
       accessToken,
       refreshToken,
       expiresIn: getTimeUntilExpiration(accessToken),
+      refreshExpiresAt: getTokenExpiration(refreshToken),
       tokenType: 'Bearer'
     };
   } catch (error) {
@@ -133,33 +183,6 @@ function generateTokenPair(payload) {
   }
 }
 
-/**
- * Refresh access token using refresh token
- */
-function refreshAccessToken(refreshToken) {
-  try {
-    // Verify refresh token
-    const decoded = verifyToken(refreshToken);
-    
-    // Generate new access token with same payload
-    const newPayload = {
-      userId: decoded.userId,
-      username: decoded.username,
-      role: decoded.role
-    };
-    
-    const accessToken = generateAccessToken(newPayload);
-    
-    return {
-      accessToken,
-      expiresIn: getTimeUntilExpiration(accessToken),
-      tokenType: 'Bearer'
-    };
-  } catch (error) {
-    throw new Error(`Failed to refresh token: ${error.message}`);
-  }
-}
-
 /**
  * Create token payload from user object
  */
@@ -229,6 +252,8 @@ function getTokenInfo(token) {
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
+  generateEmailVerificationToken,
+  generateTwoFactorChallengeToken,
   verifyToken,
   decodeToken,
   getTokenExpiration,
@@ -236,7 +261,6 @@ module.exports = {
   getTimeUntilExpiration,
   getUserIdFromToken,
   generateTokenPair,
-  refreshAccessToken,
   createTokenPayload,
   isValidTokenFormat,
   extractTokenFromHeader,
@@ -0,0 +1,161 @@
+/**
+ * Logger
+ * 
+ * This file contains the application logger. Every entry is written to
+ * stdout as one JSON object (or a readable line with the `pretty` format),
+ * carrying the ID of the request it belongs to. Entries below the configured
+ * level are dropped, and passwords, tokens and keys are redacted from both the
+ * message and the fields.
+ */
+
+const { getRequestContext } = require('./requestContext');
+const { LOG_LEVELS, LOG_FORMATS, API_KEY } = require('./constants');
+
+// Lower numbers are more severe; a level includes everything above it
+const LEVEL_PRIORITY = {
+  [LOG_LEVELS.ERROR]: 0,
+  [LOG_LEVELS.WARN]: 1,
+  [LOG_LEVELS.INFO]: 2,
+  [LOG_LEVELS.HTTP]: 3,
+  [LOG_LEVELS.DEBUG]: 4
+};
+
+const REDACTED = '[REDACTED]';
+
+// Field names (lowercased, letters only) whose values are never logged
+const SENSITIVE_FIELD_PATTERN = /(password|passwordhistory|secret|token|hash|authorization|cookie|apikey|codeverifier|recoverycodes?)$/;
+
+// Secrets that can appear inside strings, e.g. in URLs and error messages
+const SENSITIVE_TEXT_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [new RegExp(`(${API_KEY.PREFIX}_[0-9a-f]+_)[A-Za-z0-9_-]+`, 'g'), `$1${REDACTED}`],
+  [/([?&](?:token|code|state|password)=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+
+const MAX_DEPTH = 5;
+
+const settings = {
+  level: LOG_LEVELS.INFO,
+  format: LOG_FORMATS.JSON
+};
+
+/**
+ * Apply the logging configuration (`logging.level` and `logging.format`)
+ */
+function configureLogger({ level, format } = {}) {
+  if (level) settings.level = level;
+  if (format) settings.format = format;
+}
+
+/**
+ * Check whether entries of a level are written
+ */
+function isLevelEnabled(level) {
+  return LEVEL_PRIORITY[level] <= LEVEL_PRIORITY[settings.level];
+}
+
+/**
+ * Remove secrets from a string
+ */
+function redactText(text) {
+  return SENSITIVE_TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Copy a value for logging with secrets removed. Errors become plain objects.
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.statusCode !== undefined && { statusCode: value.statusCode }),
+      stack: value.stack
+    }, depth);
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  // ObjectIds, Buffers and other values that define their own JSON form
+  if (typeof value.toJSON === 'function' && !Array.isArray(value)) {
+    return redact(value.toJSON(), depth + 1);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    result[key] = SENSITIVE_FIELD_PATTERN.test(key.toLowerCase().replace(/[^a-z]/g, ''))
+      ? REDACTED
+      : redact(fieldValue, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Build and write a log entry
+ */
+function write(level, message, fields = {}) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  const context = getRequestContext();
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message: redactText(String(message)),
+    ...(context.requestId && { requestId: context.requestId }),
+    ...(context.user && { userId: context.user._id.toString() }),
+    ...redact(fields)
+  };
+
+  process.stdout.write(`${settings.format === LOG_FORMATS.PRETTY ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Format an entry as one readable line for local development
+ */
+function formatPretty({ timestamp, level, message, requestId, ...fields }) {
+  const request = requestId ? ` [${requestId}]` : '';
+  const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+
+  return `${timestamp} ${level.toUpperCase().padEnd(5)}${request} ${message}${details}`;
+}
+
+/**
+ * Application logger: logger.<level>(message, fields)
+ */
+const logger = {
+  error: (message, fields) => write(LOG_LEVELS.ERROR, message, fields),
+  warn: (message, fields) => write(LOG_LEVELS.WARN, message, fields),
+  info: (message, fields) => write(LOG_LEVELS.INFO, message, fields),
+  http: (message, fields) => write(LOG_LEVELS.HTTP, message, fields),
+  debug: (message, fields) => write(LOG_LEVELS.DEBUG, message, fields)
+};
+
+module.exports = {
+  logger,
+  configureLogger,
+  isLevelEnabled,
+  redact
+};
+
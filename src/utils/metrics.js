@@ -0,0 +1,126 @@
+/**
+ * Metric Utilities
+ * 
+ * This file contains the latency histograms kept by the performance and
+ * database metrics, and the formatting of metrics in the Prometheus text
+ * exposition format (version 0.0.4).
+ */
+
+/**
+ * Create an empty histogram with the given bucket upper bounds
+ */
+function createHistogram(buckets) {
+  return {
+    buckets,
+    // One count per bucket, plus one for values above the last bucket
+    counts: new Array(buckets.length + 1).fill(0),
+    count: 0,
+    sum: 0,
+    max: 0
+  };
+}
+
+/**
+ * Add a value to a histogram
+ */
+function observe(histogram, value) {
+  const bucket = histogram.buckets.findIndex(limit => value <= limit);
+
+  histogram.counts[bucket === -1 ? histogram.buckets.length : bucket]++;
+  histogram.count++;
+  histogram.sum += value;
+  histogram.max = Math.max(histogram.max, value);
+}
+
+/**
+ * Estimate a percentile as the upper bound of the bucket it falls in
+ * (never more than the largest value seen)
+ */
+function estimatePercentile(histogram, percentile) {
+  const rank = Math.ceil((percentile / 100) * histogram.count);
+  let seen = 0;
+
+  for (let i = 0; i < histogram.buckets.length; i++) {
+    seen += histogram.counts[i];
+    if (seen >= rank) {
+      return Math.min(histogram.buckets[i], histogram.max);
+    }
+  }
+
+  return histogram.max;
+}
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {name="value",...}, or nothing when it is empty
+ */
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Format one metric family. Each sample is { labels, value } plus an optional
+ * name suffix such as _bucket.
+ */
+function formatMetric({ name, help, type, samples }) {
+  const lines = [
+    `# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+    `# TYPE ${name} ${type}`
+  ];
+
+  samples.forEach(({ suffix = '', labels, value }) => {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Get the _bucket, _sum and _count samples of a histogram. `scale` converts
+ * the stored unit, e.g. 0.001 for milliseconds kept and seconds exported.
+ */
+function histogramSamples(histogram, labels = {}, scale = 1) {
+  const samples = [];
+  let cumulative = 0;
+
+  histogram.buckets.forEach((limit, i) => {
+    cumulative += histogram.counts[i];
+    samples.push({ suffix: '_bucket', labels: { ...labels, le: formatValue(limit * scale) }, value: cumulative });
+  });
+
+  samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: histogram.count });
+  samples.push({ suffix: '_sum', labels, value: histogram.sum * scale });
+  samples.push({ suffix: '_count', labels, value: histogram.count });
+
+  return samples;
+}
+
+module.exports = {
+  createHistogram,
+  observe,
+  estimatePercentile,
+  formatMetric,
+  histogramSamples
+};
+
@@ -0,0 +1,180 @@
+/**
+ * OpenID Connect Utilities
+ * 
+ * This file contains the client side of the OpenID Connect authorization
+ * code flow with PKCE (RFC 7636): provider discovery, authorization URLs,
+ * the code exchange, ID token verification against the provider's JWKS and
+ * the userinfo request. Discovery documents and keys are cached.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { CacheManager } = require('../config/cache');
+const { OIDC } = require('./constants');
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ */
+function generatePkcePair() {
+  const codeVerifier = crypto.randomBytes(OIDC.CODE_VERIFIER_BYTES).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Request a URL and parse the JSON response, throwing on HTTP errors
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(OIDC.REQUEST_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw new Error(`${url} responded with ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+
+  if (!body) {
+    throw new Error(`${url} did not return JSON`);
+  }
+
+  return body;
+}
+
+/**
+ * Get a provider's discovery document (/.well-known/openid-configuration)
+ */
+async function getDiscoveryDocument(issuer) {
+  const cacheKey = `discovery:${issuer}`;
+  const cached = CacheManager.get('oidc', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const discovery = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+  if (discovery.issuer !== issuer) {
+    throw new Error(`Discovery document issuer '${discovery.issuer}' does not match '${issuer}'`);
+  }
+
+  CacheManager.set('oidc', cacheKey, discovery, OIDC.METADATA_TTL_SECONDS);
+
+  return discovery;
+}
+
+/**
+ * Build the URL that sends the user to the provider to log in
+ */
+function buildAuthorizationUrl(discovery, { clientId, redirectUri, scopes, state, nonce, codeChallenge }) {
+  const url = new URL(discovery.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens at the provider's token endpoint
+ */
+async function exchangeAuthorizationCode(discovery, provider, { code, redirectUri, codeVerifier }) {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (provider.tokenEndpointAuthMethod === 'client_secret_basic') {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', provider.clientId);
+    if (provider.tokenEndpointAuthMethod === 'client_secret_post') {
+      params.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  return fetchJson(discovery.token_endpoint, { method: 'POST', headers, body: params });
+}
+
+/**
+ * Find the provider's public key for a key ID, refreshing the JWKS once when
+ * the key is unknown (the provider may have rotated its keys)
+ */
+async function getProviderKey(jwksUri, kid) {
+  const cacheKey = `jwks:${jwksUri}`;
+
+  for (const refresh of [false, true]) {
+    let jwks = refresh ? null : CacheManager.get('oidc', cacheKey);
+    if (!jwks) {
+      jwks = await fetchJson(jwksUri);
+      CacheManager.set('oidc', cacheKey, jwks, OIDC.METADATA_TTL_SECONDS);
+    }
+
+    const signingKeys = (jwks.keys || []).filter(key => !key.use || key.use === 'sig');
+    const jwk = kid ? signingKeys.find(key => key.kid === kid) : signingKeys.length === 1 && signingKeys[0];
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error(`No signing key '${kid}' in the provider's JWKS`);
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce and return its claims
+ */
+async function verifyIdToken(idToken, discovery, { clientId, nonce }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is not a JWT');
+  }
+
+  const key = await getProviderKey(discovery.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: OIDC.ID_TOKEN_ALGORITHMS,
+    issuer: discovery.issuer,
+    audience: clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+}
+
+/**
+ * Fetch the userinfo claims for an access token
+ */
+async function fetchUserInfo(discovery, accessToken) {
+  return fetchJson(discovery.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+}
+
+module.exports = {
+  generatePkcePair,
+  getDiscoveryDocument,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  getProviderKey,
+  verifyIdToken,
+  fetchUserInfo
+};
+
@@ -5,6 +5,21 @@
  */
 
 const bcrypt = require('bcryptjs');
+const { logger } = require('./logger');
+
+/**
+ * Strength rules used when no policy is passed in
+ */
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 6,
+  maxLength: 128,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: true,
+  disallowCommon: true,
+  disallowRepeated: true
+};
 
 /**
  * Hash password using bcrypt
@@ -37,15 +52,16 @@ async function comparePassword(password, hash) {
     
     return await bcrypt.compare(password, hash);
   } catch (error) {
-    console.error('Password comparison error:', error);
+    logger.error('Password comparison error', { error });
     return false;
   }
 }
 
 /**
- * Validate password strength
+ * Validate password strength against a policy (see DEFAULT_PASSWORD_POLICY)
  */
-function validatePasswordStrength(password) {
+function validatePasswordStrength(password, policy = {}) {
+  const rules = { ...DEFAULT_PASSWORD_POLICY, ...policy };
   const errors = [];
   
   if (!password || typeof password !== 'string') {
@@ -54,32 +70,32 @@ function validatePasswordStrength(password) {
   }
   
   // Minimum length
-  if (password.length < 6) {
-    errors.push('Password must be at least 6 characters long');
+  if (password.length < rules.minLength) {
+    errors.push(`Password must be at least ${rules.minLength} characters long`);
   }
   
   // Maximum length
-  if (password.length > 128) {
-    errors.push('Password cannot exceed 128 characters');
+  if (password.length > rules.maxLength) {
+    errors.push(`Password cannot exceed ${rules.maxLength} characters`);
   }
   
   // Check for at least one lowercase letter
-  if (!/[a-z]/.test(password)) {
+  if (rules.requireLowercase && !/[a-z]/.test(password)) {
     errors.push('Password must contain at least one lowercase letter');
   }
   
   // Check for at least one uppercase letter
-  if (!/[A-Z]/.test(password)) {
+  if (rules.requireUppercase && !/[A-Z]/.test(password)) {
     errors.push('Password must contain at least one uppercase letter');
   }
   
   // Check for at least one number
-  if (!/\d/.test(password)) {
+  if (rules.requireNumber && !/\d/.test(password)) {
     errors.push('Password must contain at least one number');
   }
   
   // Check for at least one special character
-  if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
+  if (rules.requireSymbol && !/[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]/.test(password)) {
     errors.push('Password must contain at least one special character');
   }
   
@@ -89,12 +105,12 @@ function validatePasswordStrength(password) {
     'password123', 'admin', 'letmein', 'welcome', 'monkey'
   ];
   
-  if (commonPasswords.includes(password.toLowerCase())) {
+  if (rules.disallowCommon && commonPasswords.includes(password.toLowerCase())) {
     errors.push('Password is too common and easily guessable');
   }
   
   // Check for repeated characters
-  if (/(.)\1{2,}/.test(password)) {
+  if (rules.disallowRepeated && /(.)\1{2,}/.test(password)) {
     errors.push('Password should not contain repeated characters');
   }
   
@@ -120,7 +136,7 @@ function calculatePasswordStrength(password) {
   if (/[a-z]/.test(password)) score += 5;
   if (/[A-Z]/.test(password)) score += 5;
   if (/\d/.test(password)) score += 5;
-  if (/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) score += 10;
+  if (/[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]/.test(password)) score += 10;
   
   // Complexity bonus
   if (password.length >= 8) score += 5;
@@ -233,6 +249,7 @@ function validatePasswordAgainstUserInfo(password, userInfo = {}) {
 }
 
 module.exports = {
+  DEFAULT_PASSWORD_POLICY,
   hashPassword,
   comparePassword,
   validatePasswordStrength,
@@ -0,0 +1,262 @@
+/**
+ * Query Safety Utilities
+ * 
+ * This file contains the operator allow-list used to sandbox stored query
+ * templates. Templates are checked when they are saved and again after
+ * parameter substitution, right before execution. Templates of a collection
+ * with hidden fields may not reference those fields either.
+ */
+
+const { UnsafeQueryError } = require('../exceptions');
+const { QUERY_SAFETY, HIDDEN_QUERY_FIELDS } = require('./constants');
+
+/**
+ * Pipeline stages a template may use
+ */
+const ALLOWED_STAGES = new Set([
+  '$match', '$project', '$group', '$sort', '$limit', '$skip', '$count',
+  '$unwind', '$addFields', '$set', '$unset', '$replaceRoot', '$replaceWith',
+  '$sortByCount', '$bucket', '$bucketAuto', '$facet', '$sample'
+]);
+
+/**
+ * Stages that write data, read other collections or inspect the server
+ */
+const FORBIDDEN_STAGES = new Set([
+  '$out', '$merge', '$lookup', '$graphLookup', '$unionWith',
+  '$currentOp', '$listSessions', '$listLocalSessions', '$collStats',
+  '$indexStats', '$planCacheStats'
+]);
+
+/**
+ * Query, expression and accumulator operators a template may use
+ */
+const ALLOWED_OPERATORS = new Set([
+  // Comparison and logical query operators
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+  '$and', '$or', '$nor', '$not', '$exists', '$type', '$regex', '$options',
+  '$elemMatch', '$size', '$all', '$mod', '$expr',
+  // Accumulators
+  '$sum', '$avg', '$min', '$max', '$first', '$last', '$push', '$addToSet', '$count',
+  // Arithmetic, string, array and conditional expressions
+  '$add', '$subtract', '$multiply', '$divide', '$round', '$abs', '$ceil', '$floor',
+  '$concat', '$toLower', '$toUpper', '$trim', '$split', '$substrCP', '$strLenCP',
+  '$arrayElemAt', '$filter', '$map', '$slice', '$isArray', '$indexOfArray',
+  '$cond', '$ifNull', '$switch', '$literal', '$mergeObjects',
+  '$toString', '$toInt', '$toDouble', '$toDate', '$toObjectId',
+  '$dateToString', '$year', '$month', '$dayOfMonth', '$dayOfWeek', '$week',
+  '$hour', '$minute', '$second'
+]);
+
+/**
+ * Operators that run server-side JavaScript
+ */
+const FORBIDDEN_OPERATORS = new Set(['$where', '$function', '$accumulator']);
+
+const PLACEHOLDER_PATTERN = /^\{\{\s*[\w.]+\s*\}\}$/;
+const ROOT_REFERENCE_PATTERN = /^\$\$(?:ROOT|CURRENT)\.(.+)$/;
+
+/**
+ * Check if a value is a plain object (not an ObjectId, Date, etc.)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Validate a find filter or aggregation pipeline on a collection and return
+ * every violation as `{ path, message }`, with paths rooted at `query`
+ */
+function validateQuerySafety(query, collection) {
+  const violations = [];
+  const hiddenFields = HIDDEN_QUERY_FIELDS[collection] || [];
+
+  if (Array.isArray(query)) {
+    inspectPipeline(query, 'query', 1, violations, hiddenFields);
+  } else if (isPlainObject(query)) {
+    inspectValue(query, 'query', 1, violations, hiddenFields);
+  } else {
+    violations.push({
+      path: 'query',
+      message: 'Query must be a filter object or an array of pipeline stages'
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Throw an UnsafeQueryError if the query violates the sandbox rules
+ */
+function assertQuerySafety(query, collection) {
+  const violations = validateQuerySafety(query, collection);
+
+  if (violations.length > 0) {
+    throw new UnsafeQueryError('Query uses operators or stages that are not allowed', violations);
+  }
+}
+
+/**
+ * Inspect an aggregation pipeline
+ */
+function inspectPipeline(stages, path, depth, violations, hiddenFields) {
+  if (depth > QUERY_SAFETY.MAX_DEPTH) {
+    violations.push({ path, message: `Query exceeds the maximum nesting depth of ${QUERY_SAFETY.MAX_DEPTH}` });
+    return;
+  }
+
+  if (stages.length > QUERY_SAFETY.MAX_PIPELINE_STAGES) {
+    violations.push({
+      path,
+      message: `Pipeline cannot have more than ${QUERY_SAFETY.MAX_PIPELINE_STAGES} stages`
+    });
+  }
+
+  stages.forEach((stage, index) => {
+    const stagePath = `${path}[${index}]`;
+
+    if (!isPlainObject(stage) || Object.keys(stage).length !== 1) {
+      violations.push({ path: stagePath, message: 'Pipeline stage must be an object with exactly one stage operator' });
+      return;
+    }
+
+    const [stageName] = Object.keys(stage);
+    const stageValue = stage[stageName];
+    const stageValuePath = `${stagePath}.${stageName}`;
+
+    if (FORBIDDEN_STAGES.has(stageName)) {
+      violations.push({ path: stageValuePath, message: `Stage '${stageName}' is not allowed` });
+      return;
+    }
+
+    if (!ALLOWED_STAGES.has(stageName)) {
+      violations.push({ path: stageValuePath, message: `Stage '${stageName}' is not supported` });
+      return;
+    }
+
+    switch (stageName) {
+      case '$limit':
+        inspectLimit(stageValue, stageValuePath, violations);
+        break;
+      case '$sample':
+        inspectLimit(isPlainObject(stageValue) ? stageValue.size : stageValue, `${stageValuePath}.size`, violations);
+        break;
+      case '$facet':
+        if (!isPlainObject(stageValue)) {
+          violations.push({ path: stageValuePath, message: 'Stage \'$facet\' must be an object of pipelines' });
+          break;
+        }
+        for (const [facetName, facetPipeline] of Object.entries(stageValue)) {
+          const facetPath = `${stageValuePath}.${facetName}`;
+          if (!Array.isArray(facetPipeline)) {
+            violations.push({ path: facetPath, message: 'Facet must be an array of pipeline stages' });
+            continue;
+          }
+          inspectPipeline(facetPipeline, facetPath, depth + 1, violations, hiddenFields);
+        }
+        return;
+    }
+
+    inspectValue(stageValue, stageValuePath, depth + 1, violations, hiddenFields);
+  });
+}
+
+/**
+ * Inspect a filter or expression value
+ */
+function inspectValue(node, path, depth, violations, hiddenFields) {
+  if (depth > QUERY_SAFETY.MAX_DEPTH) {
+    violations.push({ path, message: `Query exceeds the maximum nesting depth of ${QUERY_SAFETY.MAX_DEPTH}` });
+    return;
+  }
+
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => inspectValue(item, `${path}[${index}]`, depth + 1, violations, hiddenFields));
+    return;
+  }
+
+  if (typeof node === 'string') {
+    inspectFieldPath(getReferencedField(node), path, violations, hiddenFields);
+    return;
+  }
+
+  if (!isPlainObject(node)) {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    const keyPath = `${path}.${key}`;
+
+    if (key.startsWith('$')) {
+      if (FORBIDDEN_OPERATORS.has(key)) {
+        violations.push({ path: keyPath, message: `Operator '${key}' is not allowed` });
+        continue;
+      }
+
+      if (!ALLOWED_OPERATORS.has(key)) {
+        violations.push({ path: keyPath, message: `Operator '${key}' is not supported` });
+        continue;
+      }
+    } else {
+      inspectFieldPath(key, keyPath, violations, hiddenFields);
+    }
+
+    inspectValue(value, keyPath, depth + 1, violations, hiddenFields);
+  }
+}
+
+/**
+ * Get the field path a `$field` or `$$ROOT.field` expression refers to
+ */
+function getReferencedField(value) {
+  const rootReference = value.match(ROOT_REFERENCE_PATTERN);
+  if (rootReference) {
+    return rootReference[1];
+  }
+
+  return value.startsWith('$') && !value.startsWith('$$') ? value.slice(1) : null;
+}
+
+/**
+ * Reject a field path that is, contains or lies within a hidden field
+ */
+function inspectFieldPath(fieldPath, path, violations, hiddenFields) {
+  if (!fieldPath) {
+    return;
+  }
+
+  const hiddenField = hiddenFields.find(hidden =>
+    fieldPath === hidden || fieldPath.startsWith(`${hidden}.`) || hidden.startsWith(`${fieldPath}.`)
+  );
+
+  if (hiddenField) {
+    violations.push({ path, message: `Field '${hiddenField}' cannot be used in queries` });
+  }
+}
+
+/**
+ * Inspect a $limit or $sample size value
+ */
+function inspectLimit(value, path, violations) {
+  // Placeholders are checked again after substitution
+  if (typeof value === 'string' && PLACEHOLDER_PATTERN.test(value)) {
+    return;
+  }
+
+  if (!Number.isInteger(value) || value < 1 || value > QUERY_SAFETY.MAX_LIMIT) {
+    violations.push({
+      path,
+      message: `Limit must be an integer between 1 and ${QUERY_SAFETY.MAX_LIMIT}`
+    });
+  }
+}
+
+module.exports = {
+  validateQuerySafety,
+  assertQuerySafety,
+  ALLOWED_STAGES,
+  FORBIDDEN_STAGES,
+  ALLOWED_OPERATORS,
+  FORBIDDEN_OPERATORS
+};
+
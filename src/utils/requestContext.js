@@ -0,0 +1,43 @@
+/**
+ * Request Context Utilities
+ * 
+ * Each request runs inside its own context (AsyncLocalStorage), holding the
+ * request ID, client IP and user agent, and the user and API key once the
+ * request is authenticated. Code deep inside services, such as the audit log,
+ * reads it without the request being passed down.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback, and everything it starts, inside a request context
+ */
+function runWithRequestContext(context, callback) {
+  return storage.run(context, callback);
+}
+
+/**
+ * Get the current request context (empty outside of a request)
+ */
+function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Add values to the current request context
+ */
+function setRequestContext(values) {
+  const context = storage.getStore();
+  if (context) {
+    Object.assign(context, values);
+  }
+}
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext,
+  setRequestContext
+};
+
@@ -0,0 +1,82 @@
+/**
+ * Route Pattern Utilities
+ * 
+ * This file labels requests with the route pattern they matched, e.g.
+ * /api/users/:id, so request metrics do not grow with every ID or unknown path.
+ */
+
+const { PERFORMANCE_METRICS } = require('./constants');
+
+/**
+ * Join a router's mount path and a route path, e.g. /api/users and /:id
+ */
+function toRoutePattern(baseUrl, routePath) {
+  const pattern = `${baseUrl}${routePath}`;
+  return pattern.length > 1 ? pattern.replace(/\/$/, '') : pattern;
+}
+
+/**
+ * Stash the route pattern on res.locals when Express matches a route. Express
+ * resets req.baseUrl as requests leave a router, e.g. after next(err), so it
+ * cannot be read once the response has finished. The deepest router mount
+ * path is kept too, for requests that router-level middleware answers before
+ * a route matches.
+ */
+function captureRoutePattern(req, res) {
+  // Already captured by another middleware
+  if (Object.prototype.hasOwnProperty.call(res.locals, 'routerPath')) {
+    return;
+  }
+
+  res.locals.routerPath = null;
+  let route = req.route;
+  let baseUrl = req.baseUrl;
+
+  Object.defineProperties(req, {
+    route: {
+      configurable: true,
+      enumerable: true,
+      get: () => route,
+      set(value) {
+        route = value;
+        if (route) {
+          res.locals.routePattern = toRoutePattern(baseUrl || '', route.path);
+        }
+      }
+    },
+    baseUrl: {
+      configurable: true,
+      enumerable: true,
+      get: () => baseUrl,
+      set(value) {
+        baseUrl = value;
+        if (baseUrl && baseUrl.length > (res.locals.routerPath || '').length) {
+          res.locals.routerPath = baseUrl;
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Get the route pattern a request matched, e.g. /api/users/:id, or the
+ * router that answered it, e.g. /api/carts/*
+ */
+function getRoutePattern(res) {
+  if (res.locals.routePattern) {
+    return res.locals.routePattern;
+  }
+
+  // Routers are mounted on fixed paths, so this cannot grow the metrics either
+  if (res.locals.routerPath && res.statusCode !== 404) {
+    return `${res.locals.routerPath}/*`;
+  }
+
+  // Unmatched paths are not recorded one by one, so scanners cannot grow the metrics
+  return PERFORMANCE_METRICS.UNMATCHED_ROUTE;
+}
+
+module.exports = {
+  captureRoutePattern,
+  getRoutePattern
+};
@@ -0,0 +1,207 @@
+/**
+ * TOTP Utilities
+ * 
+ * This file contains an RFC 6238 time-based one-time password implementation
+ * (HMAC-SHA1, compatible with common authenticator apps), recovery code
+ * helpers and encryption for stored TOTP secrets.
+ */
+
+const crypto = require('crypto');
+const { TWO_FACTOR } = require('./constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character '${char}'`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 TOTP secret
+ */
+function generateSecret(bytes = TWO_FACTOR.SECRET_BYTES) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Generate an RFC 4226 HOTP code for a counter
+ */
+function generateHotp(secret, counter, digits = TWO_FACTOR.DIGITS) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ */
+function getTimeStep(timestamp = Date.now(), period = TWO_FACTOR.PERIOD_SECONDS) {
+  return Math.floor(timestamp / 1000 / period);
+}
+
+/**
+ * Generate the TOTP code for a timestamp
+ */
+function generateTotp(secret, timestamp = Date.now()) {
+  return generateHotp(secret, getTimeStep(timestamp));
+}
+
+/**
+ * Check a TOTP code against the current time step and its neighbours.
+ * Returns the matching time step (for replay protection) or null.
+ */
+function verifyTotp(secret, code, timestamp = Date.now(), window = TWO_FACTOR.WINDOW) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TWO_FACTOR.DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR.DIGITS),
+    period: String(TWO_FACTOR.PERIOD_SECONDS)
+  });
+
+  // Some authenticator apps do not decode '+' as a space
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * Generate single-use recovery codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes(count = TWO_FACTOR.RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * Normalize a recovery code as typed by a user before hashing
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Encrypt a TOTP secret for storage with AES-256-GCM
+ */
+function encryptSecret(secret, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a TOTP secret produced by encryptSecret
+ */
+function decryptSecret(payload, key) {
+  const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Derive a 256-bit key from a configured secret string
+ */
+function deriveKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret
+};
+
@@ -0,0 +1,127 @@
+/**
+ * University Scope Utilities
+ * 
+ * Holders of a university-scoped role (see Role.scope) can only reach the
+ * users and faculties of the universities they administer. The authenticate
+ * middleware resolves those universities into `user.$locals.universityScope`
+ * as `{ id, name }` pairs; it is null for everyone else, who is not limited.
+ */
+
+const mongoose = require('mongoose');
+const { AuthorizationError } = require('../exceptions');
+const { ERROR_MESSAGES, USER_ROLES } = require('./constants');
+
+/**
+ * Get the universities a user is limited to, or null when unrestricted
+ */
+function getUniversityScope(user) {
+  return (user && user.$locals && user.$locals.universityScope) || null;
+}
+
+/**
+ * Limit a user filter to the current user's universities (users reference
+ * their university by name)
+ */
+function scopeUserFilter(currentUser, filter = {}) {
+  const scope = getUniversityScope(currentUser);
+  if (!scope) {
+    return filter;
+  }
+
+  return { $and: [filter, { university: { $in: scope.map(university => university.name) } }] };
+}
+
+/**
+ * Limit a faculty filter to the current user's universities. IDs are cast so
+ * the filter also works in aggregation pipelines.
+ */
+function scopeFacultyFilter(currentUser, filter = {}) {
+  const scope = getUniversityScope(currentUser);
+  if (!scope) {
+    return filter;
+  }
+
+  const universityIds = scope.map(university => new mongoose.Types.ObjectId(university.id));
+  return { $and: [filter, { universityId: { $in: universityIds } }] };
+}
+
+/**
+ * Limit a university filter to the current user's universities
+ */
+function scopeUniversityFilter(currentUser, filter = {}) {
+  const scope = getUniversityScope(currentUser);
+  if (!scope) {
+    return filter;
+  }
+
+  const universityIds = scope.map(university => new mongoose.Types.ObjectId(university.id));
+  return { $and: [filter, { _id: { $in: universityIds } }] };
+}
+
+/**
+ * Key that separates cached results of differently scoped users
+ */
+function getScopeCacheKey(currentUser) {
+  const scope = getUniversityScope(currentUser);
+  return scope ? scope.map(university => university.id).sort().join(',') : 'all';
+}
+
+/**
+ * Throw unless the current user may see the target user. Users can always
+ * reach their own record.
+ */
+function assertUserInScope(currentUser, user) {
+  const scope = getUniversityScope(currentUser);
+  if (!scope || String(currentUser._id) === String(user._id)) {
+    return;
+  }
+
+  assertUniversityNameInScope(currentUser, user.university);
+}
+
+/**
+ * Throw unless the current user may manage the target user. Scoped admins
+ * only manage plain users: an admin who happens to belong to one of their
+ * universities is out of reach. `user` must include its role.
+ */
+function assertUserManageable(currentUser, user) {
+  assertUserInScope(currentUser, user);
+
+  const scope = getUniversityScope(currentUser);
+  if (scope && String(currentUser._id) !== String(user._id) && user.role !== USER_ROLES.USER) {
+    throw new AuthorizationError(ERROR_MESSAGES.OUTSIDE_ROLE_SCOPE);
+  }
+}
+
+/**
+ * Throw unless a university (by name, as stored on users) is in scope
+ */
+function assertUniversityNameInScope(currentUser, universityName) {
+  const scope = getUniversityScope(currentUser);
+  if (scope && !scope.some(university => university.name === universityName)) {
+    throw new AuthorizationError(ERROR_MESSAGES.OUTSIDE_UNIVERSITY_SCOPE);
+  }
+}
+
+/**
+ * Throw unless a university (by ID, as stored on faculties) is in scope
+ */
+function assertUniversityIdInScope(currentUser, universityId) {
+  const scope = getUniversityScope(currentUser);
+  if (scope && !scope.some(university => university.id === String(universityId))) {
+    throw new AuthorizationError(ERROR_MESSAGES.OUTSIDE_UNIVERSITY_SCOPE);
+  }
+}
+
+module.exports = {
+  getUniversityScope,
+  scopeUserFilter,
+  scopeFacultyFilter,
+  scopeUniversityFilter,
+  getScopeCacheKey,
+  assertUserInScope,
+  assertUserManageable,
+  assertUniversityNameInScope,
+  assertUniversityIdInScope
+};
+
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Role = require('../../src/models/Role');
+const AuditLog = require('../../src/models/AuditLog');
+const ApiKeyService = require('../../src/services/apiKeyService');
+const RoleService = require('../../src/services/roleService');
+const { PERMISSIONS, USER_ROLES, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../../src/utils/constants');
+
+const API_KEY = 'dsk_1a2b3c4d_secret';
+
+describe('Audit log', () => {
+  let owner;
+  let apiKey;
+
+  /**
+   * Accept API_KEY as a key of `owner` (an admin) limited to `scopes`
+   */
+  function mockApiKey(scopes) {
+    apiKey = { _id: new mongoose.Types.ObjectId(), scopes };
+    jest.spyOn(ApiKeyService, 'verifyApiKey').mockResolvedValue({ apiKey, user: owner });
+  }
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    owner = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'integration',
+      role: USER_ROLES.ADMIN,
+      active: true,
+      emailVerified: true,
+      twoFactor: { enabled: true }
+    });
+
+    jest.spyOn(RoleService, 'resolveAccess').mockResolvedValue({
+      permissions: Object.values(PERMISSIONS),
+      universityScope: null
+    });
+  });
+
+  describe('recording', () => {
+    it('should record the actor, key, IP and request ID of an audited request', async () => {
+      mockApiKey([PERMISSIONS.ROLES_MANAGE]);
+      jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+      jest.spyOn(Role.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/roles')
+        .set('X-API-Key', API_KEY)
+        .set('X-Request-ID', 'req-audit-1')
+        .send({ name: 'librarian', permissions: [PERMISSIONS.QUERIES_EXECUTE] });
+
+      expect(response.status).toBe(201);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: AUDIT_ACTIONS.ROLE_CREATE,
+        actor: { userId: owner._id, username: 'integration', role: USER_ROLES.ADMIN, apiKeyId: apiKey._id },
+        target: expect.objectContaining({ type: AUDIT_TARGETS.ROLE, label: 'librarian' }),
+        changes: {
+          before: {},
+          after: expect.objectContaining({ name: 'librarian', permissions: [PERMISSIONS.QUERIES_EXECUTE] })
+        },
+        ip: expect.any(String),
+        requestId: 'req-audit-1'
+      }));
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    let query;
+
+    beforeEach(() => {
+      query = { sort: () => query, skip: () => query, limit: () => query, lean: async () => [] };
+      jest.spyOn(AuditLog, 'find').mockReturnValue(query);
+      jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(0);
+    });
+
+    it('should list entries to holders of audit:read', async () => {
+      mockApiKey([PERMISSIONS.AUDIT_READ]);
+
+      const response = await request(app)
+        .get('/api/audit?action=user.*&targetType=user&page=2&limit=5')
+        .set('X-API-Key', API_KEY);
+
+      expect(response.status).toBe(200);
+      expect(response.body.meta).toMatchObject({ currentPage: 2, itemsPerPage: 5 });
+      expect(AuditLog.find.mock.calls[0][0]).toMatchObject({ 'target.type': AUDIT_TARGETS.USER });
+    });
+
+    it('should refuse callers without audit:read', async () => {
+      mockApiKey([PERMISSIONS.USERS_READ]);
+
+      const response = await request(app).get('/api/audit').set('X-API-Key', API_KEY);
+
+      expect(response.status).toBe(403);
+      expect(AuditLog.find).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['an action pattern that is not an action', 'action=user.*.*'],
+      ['an unknown target type', 'targetType=cart'],
+      ['a range that ends before it starts', 'from=2026-02-01&to=2026-01-01']
+    ])('should reject %s', async (description, queryString) => {
+      mockApiKey([PERMISSIONS.AUDIT_READ]);
+
+      const response = await request(app).get(`/api/audit?${queryString}`).set('X-API-Key', API_KEY);
+
+      expect(response.status).toBe(400);
+      expect(AuditLog.find).not.toHaveBeenCalled();
+    });
+  });
+});
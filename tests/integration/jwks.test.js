@@ -0,0 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const request = require('supertest');
+
+describe('JWKS endpoint', () => {
+  let directory;
+  let publicKey;
+  let app;
+
+  beforeAll(() => {
+    const keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    publicKey = keyPair.publicKey;
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    fs.writeFileSync(path.join(directory, 'current.pem'), keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+    // The app reads the algorithm and keys directory when the config loads
+    process.env.JWT_ALGORITHM = 'ES256';
+    process.env.JWT_KEYS_DIRECTORY = directory;
+    app = require('../../src/app');
+  });
+
+  afterAll(() => {
+    delete process.env.JWT_ALGORITHM;
+    delete process.env.JWT_KEYS_DIRECTORY;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should publish the public keys without authentication', async () => {
+    const response = await request(app).get('/.well-known/jwks.json');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe('public, max-age=300');
+    expect(response.body).toEqual({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'current', use: 'sig', alg: 'ES256' }]
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../../src/app');
+const User = require('../../../src/models/User');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const RoleService = require('../../../src/services/roleService');
+const UserService = require('../../../src/services/userService');
+const { PERMISSIONS, USER_ROLES, ERROR_MESSAGES } = require('../../../src/utils/constants');
+
+const API_KEY = 'dsk_1a2b3c4d_secret';
+
+describe('API key scopes', () => {
+  let owner;
+
+  /**
+   * Accept API_KEY as a key of `owner` (an admin) limited to `scopes`
+   */
+  function mockApiKey(scopes) {
+    jest.spyOn(ApiKeyService, 'verifyApiKey').mockResolvedValue({
+      apiKey: { _id: new mongoose.Types.ObjectId(), scopes },
+      user: owner
+    });
+  }
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    owner = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'integration',
+      role: USER_ROLES.ADMIN,
+      active: true,
+      emailVerified: true,
+      twoFactor: { enabled: true }
+    });
+
+    jest.spyOn(RoleService, 'resolveAccess').mockResolvedValue({
+      permissions: Object.values(PERMISSIONS),
+      universityScope: null
+    });
+  });
+
+  it.each([
+    ['GET', '/api/universities'],
+    ['GET', '/api/faculties/stats'],
+    ['GET', '/api/queries'],
+    ['GET', `/api/queries/${new mongoose.Types.ObjectId()}/versions`],
+    ['GET', '/api/users'],
+    ['GET', '/api/dynamic-query/mappings'],
+    ['POST', '/api/carts']
+  ])('should reject a key on %s %s, which checks no permission', async (method, path) => {
+    mockApiKey(Object.values(PERMISSIONS));
+
+    const response = await request(app)[method.toLowerCase()](path).set('X-API-Key', API_KEY);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(ERROR_MESSAGES.API_KEY_ROUTE_NOT_ALLOWED);
+  });
+
+  it('should require the permission for the key owner\'s own record', async () => {
+    mockApiKey([PERMISSIONS.QUERIES_EXECUTE]);
+
+    const response = await request(app)
+      .get(`/api/users/${owner._id}`)
+      .set('X-API-Key', API_KEY);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should accept a key on a route its scopes allow', async () => {
+    mockApiKey([PERMISSIONS.USERS_READ]);
+    jest.spyOn(UserService, 'getUsersByRole').mockResolvedValue({ success: true, data: [] });
+
+    const response = await request(app)
+      .get('/api/users/role/user')
+      .set('X-API-Key', API_KEY);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should reject a key on a route its scopes do not allow', async () => {
+    mockApiKey([PERMISSIONS.QUERIES_EXECUTE]);
+
+    const response = await request(app)
+      .get('/api/users/role/user')
+      .set('X-API-Key', API_KEY);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,84 @@
+// The policy and resend limit are read from the environment when the config loads
+process.env.EMAIL_VERIFICATION_POLICY = 'routes';
+process.env.EMAIL_VERIFICATION_RESEND_MAX_REQUESTS = '2';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../../src/app');
+const User = require('../../../src/models/User');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const RoleService = require('../../../src/services/roleService');
+const AuthenticationService = require('../../../src/services/authService');
+const CartService = require('../../../src/services/cartService');
+const UserService = require('../../../src/services/userService');
+const { PERMISSIONS, USER_ROLES, ERROR_MESSAGES } = require('../../../src/utils/constants');
+
+const API_KEY = 'dsk_1a2b3c4d_secret';
+
+describe('Email verification policy', () => {
+  /**
+   * Authenticate requests as an admin whose email is `emailVerified`
+   */
+  function mockUser(emailVerified) {
+    const user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'integration',
+      role: USER_ROLES.ADMIN,
+      active: true,
+      emailVerified,
+      twoFactor: { enabled: true }
+    });
+
+    jest.spyOn(ApiKeyService, 'verifyApiKey').mockResolvedValue({
+      apiKey: { _id: new mongoose.Types.ObjectId(), scopes: Object.values(PERMISSIONS) },
+      user
+    });
+    jest.spyOn(RoleService, 'resolveAccess').mockResolvedValue({
+      permissions: Object.values(PERMISSIONS),
+      universityScope: null
+    });
+  }
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(CartService, 'getCartStatistics').mockResolvedValue({ success: true, data: {} });
+    jest.spyOn(UserService, 'getUsersByRole').mockResolvedValue({ success: true, data: [] });
+  });
+
+  it('should close protected routes to unverified accounts', async () => {
+    mockUser(false);
+
+    const response = await request(app).get('/api/carts/stats').set('X-API-Key', API_KEY);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(ERROR_MESSAGES.EMAIL_NOT_VERIFIED);
+  });
+
+  it('should open them once the email is verified', async () => {
+    mockUser(true);
+
+    const response = await request(app).get('/api/carts/stats').set('X-API-Key', API_KEY);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should leave other routes open to unverified accounts', async () => {
+    mockUser(false);
+
+    const response = await request(app).get('/api/users/role/user').set('X-API-Key', API_KEY);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should rate limit resending the verification email', async () => {
+    jest.spyOn(AuthenticationService, 'resendVerificationEmail').mockResolvedValue({ success: true });
+
+    const send = () => request(app)
+      .post('/api/auth/verify-email/resend')
+      .send({ email: 'student@university.lk' });
+
+    expect((await send()).status).toBe(200);
+    expect((await send()).status).toBe(200);
+    expect((await send()).status).toBe(429);
+  });
+});
@@ -0,0 +1,56 @@
+// Performance monitoring is read from the environment when the config loads
+process.env.ENABLE_PERFORMANCE_MONITORING = 'false';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../../src/app');
+const User = require('../../../src/models/User');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const RoleService = require('../../../src/services/roleService');
+const PerformanceService = require('../../../src/services/performanceService');
+const { PERMISSIONS, USER_ROLES } = require('../../../src/utils/constants');
+
+describe('HTTP metrics', () => {
+  /**
+   * Send requests, then scrape /metrics
+   */
+  async function scrapeAfter(...sends) {
+    for (const send of sends) {
+      await send(request(app));
+    }
+
+    // Requests are recorded on 'finish', which can follow the client's read
+    await new Promise(resolve => setImmediate(resolve));
+
+    const response = await request(app).get('/metrics');
+    return response.text;
+  }
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(PerformanceService, 'recordRequest');
+  });
+
+  it('should count requests while performance monitoring is off', async () => {
+    jest.spyOn(ApiKeyService, 'verifyApiKey').mockResolvedValue({
+      apiKey: { _id: new mongoose.Types.ObjectId(), scopes: [PERMISSIONS.USERS_READ] },
+      user: User.hydrate({ _id: new mongoose.Types.ObjectId(), role: USER_ROLES.ADMIN, active: true })
+    });
+    jest.spyOn(RoleService, 'resolveAccess').mockResolvedValue({
+      permissions: Object.values(PERMISSIONS),
+      universityScope: null
+    });
+
+    const metrics = await scrapeAfter(
+      agent => agent.get('/api/users/bad').set('X-API-Key', 'dsk_1a2b3c4d_secret'),
+      agent => agent.get('/api/carts/mine'),
+      agent => agent.get('/api/wp-admin/setup.php')
+    );
+
+    expect(metrics).toContain('http_requests_total{method="GET",route="/api/users/:id",status="400"} 1');
+    expect(metrics).toContain('http_request_duration_seconds_count{method="GET",route="/api/users/:id",status="400"} 1');
+    expect(metrics).toContain('http_requests_total{method="GET",route="/api/carts/*",status="401"} 1');
+    expect(metrics).toContain('http_requests_total{method="GET",route="(unmatched)",status="404"} 1');
+    expect(PerformanceService.recordRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../../src/app');
+const User = require('../../../src/models/User');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const RoleService = require('../../../src/services/roleService');
+const PerformanceService = require('../../../src/services/performanceService');
+const { PERMISSIONS, USER_ROLES, PERFORMANCE_METRICS } = require('../../../src/utils/constants');
+
+describe('Performance monitoring', () => {
+  /**
+   * Send a request and return the route it was recorded under
+   */
+  async function recordedRoute(send) {
+    await send(request(app));
+
+    // The response is recorded on 'finish', which can follow the client's read
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [[{ route }]] = PerformanceService.recordRequest.mock.calls;
+    return route;
+  }
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(PerformanceService, 'recordRequest').mockImplementation(() => {});
+  });
+
+  it('should record an error response under the matched route pattern', async () => {
+    jest.spyOn(ApiKeyService, 'verifyApiKey').mockResolvedValue({
+      apiKey: { _id: new mongoose.Types.ObjectId(), scopes: [PERMISSIONS.USERS_READ] },
+      user: User.hydrate({ _id: new mongoose.Types.ObjectId(), role: USER_ROLES.ADMIN, active: true })
+    });
+    jest.spyOn(RoleService, 'resolveAccess').mockResolvedValue({
+      permissions: Object.values(PERMISSIONS),
+      universityScope: null
+    });
+
+    const route = await recordedRoute(agent => agent.get('/api/users/bad').set('X-API-Key', 'dsk_1a2b3c4d_secret'));
+
+    expect(PerformanceService.recordRequest).toHaveBeenCalledWith(expect.objectContaining({ status: 400 }));
+    expect(route).toBe('/api/users/:id');
+  });
+
+  it('should record a router-level rejection under the router', async () => {
+    const route = await recordedRoute(agent => agent.get('/api/carts/mine'));
+
+    expect(PerformanceService.recordRequest).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+    expect(route).toBe('/api/carts/*');
+  });
+
+  it('should record unknown paths under one route', async () => {
+    const route = await recordedRoute(agent => agent.get('/api/wp-admin/setup.php'));
+
+    expect(route).toBe(PERFORMANCE_METRICS.UNMATCHED_ROUTE);
+  });
+});
@@ -0,0 +1,29 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+
+describe('Request IDs', () => {
+  it('should keep a valid X-Request-ID and echo it back', async () => {
+    const response = await request(app).get('/health').set('X-Request-ID', 'lb-7f3a.42:1');
+
+    expect(response.headers['x-request-id']).toBe('lb-7f3a.42:1');
+  });
+
+  it('should generate an ID when none is sent', async () => {
+    const response = await request(app).get('/health');
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should replace an ID that could forge log lines', async () => {
+    const response = await request(app).get('/health').set('X-Request-ID', 'id\tlevel=error');
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should include the ID in error responses', async () => {
+    const response = await request(app).get('/api/no-such-route').set('X-Request-ID', 'req-404');
+
+    expect(response.status).toBe(404);
+    expect(response.body.requestId).toBe('req-404');
+  });
+});
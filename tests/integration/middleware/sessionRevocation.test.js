@@ -0,0 +1,67 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../../src/app');
+const User = require('../../../src/models/User');
+const Session = require('../../../src/models/Session');
+const RoleService = require('../../../src/services/roleService');
+const { generateTokenPair, createTokenPayload } = require('../../../src/utils/jwt');
+const { DEFAULT_ROLE_PERMISSIONS, USER_ROLES, ERROR_MESSAGES } = require('../../../src/utils/constants');
+
+describe('Session revocation', () => {
+  let user;
+  let session;
+  let accessToken;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'student',
+      email: 'student@university.lk',
+      role: USER_ROLES.USER,
+      active: true,
+      emailVerified: true,
+      twoFactor: { enabled: false }
+    });
+    session = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: user._id,
+      userAgent: 'Firefox',
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      lastUsedAt: new Date()
+    };
+    ({ accessToken } = generateTokenPair({ ...createTokenPayload(user), sid: session._id.toString() }));
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(Session, 'findById').mockReturnValue({ lean: async () => session });
+    jest.spyOn(RoleService, 'resolveAccess').mockResolvedValue({
+      permissions: DEFAULT_ROLE_PERMISSIONS[USER_ROLES.USER],
+      universityScope: null
+    });
+  });
+
+  it('should accept a token of an active session', async () => {
+    const query = { select: () => query, sort: () => query, lean: async () => [session] };
+    jest.spyOn(Session, 'findActiveByUser').mockReturnValue(query);
+
+    const response = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data[0].current).toBe(true);
+  });
+
+  it('should reject a token of a revoked session before it expires', async () => {
+    session.revokedAt = new Date();
+
+    const response = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe(ERROR_MESSAGES.SESSION_REVOKED);
+  });
+});
@@ -0,0 +1,68 @@
+// The policy is read from the environment when the config loads
+process.env.TWO_FACTOR_REQUIRE_FOR_ADMINS = 'true';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../../src/app');
+const User = require('../../../src/models/User');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const RoleService = require('../../../src/services/roleService');
+const UserService = require('../../../src/services/userService');
+const {
+  PERMISSIONS,
+  USER_ROLES,
+  ERROR_MESSAGES,
+  UNIVERSITY_SCOPED_PERMISSIONS
+} = require('../../../src/utils/constants');
+
+describe('Two-factor admin policy', () => {
+  /**
+   * Authenticate requests as a user of `role` with `permissions` and 2FA `enabled`
+   */
+  function mockUser(role, permissions, enabled) {
+    const user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'integration',
+      role,
+      active: true,
+      emailVerified: true,
+      twoFactor: { enabled }
+    });
+
+    jest.spyOn(ApiKeyService, 'verifyApiKey').mockResolvedValue({
+      apiKey: { _id: new mongoose.Types.ObjectId(), scopes: permissions },
+      user
+    });
+    jest.spyOn(RoleService, 'resolveAccess').mockResolvedValue({ permissions, universityScope: null });
+  }
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(UserService, 'getUsersByRole').mockResolvedValue({ success: true, data: [] });
+  });
+
+  it('should close permission routes to a university_admin without two-factor', async () => {
+    mockUser(USER_ROLES.UNIVERSITY_ADMIN, UNIVERSITY_SCOPED_PERMISSIONS, false);
+
+    const response = await request(app).get('/api/users/role/user').set('X-API-Key', 'dsk_1a2b3c4d_secret');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(ERROR_MESSAGES.TWO_FACTOR_REQUIRED);
+  });
+
+  it('should allow them once two-factor is enabled', async () => {
+    mockUser(USER_ROLES.UNIVERSITY_ADMIN, UNIVERSITY_SCOPED_PERMISSIONS, true);
+
+    const response = await request(app).get('/api/users/role/user').set('X-API-Key', 'dsk_1a2b3c4d_secret');
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should not apply to roles without manage permissions', async () => {
+    mockUser(USER_ROLES.USER, [PERMISSIONS.QUERIES_EXECUTE, PERMISSIONS.USERS_READ], false);
+
+    const response = await request(app).get('/api/users/role/user').set('X-API-Key', 'dsk_1a2b3c4d_secret');
+
+    expect(response.status).toBe(200);
+  });
+});
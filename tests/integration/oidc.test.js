@@ -0,0 +1,219 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+const CLIENT_ID = 'diyawanna-sup';
+const CLIENT_SECRET = 'stub-client-secret';
+
+/**
+ * A local OpenID Connect provider that logs in one user. It checks the PKCE
+ * verifier and client credentials of the code exchange like a real provider.
+ */
+function createStubProvider(claims) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const authorizations = new Map();
+  const stub = { issuer: null };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { pathname } = new URL(req.url, stub.issuer);
+
+      if (pathname === '/.well-known/openid-configuration') {
+        return send(res, 200, {
+          issuer: stub.issuer,
+          authorization_endpoint: `${stub.issuer}/authorize`,
+          token_endpoint: `${stub.issuer}/token`,
+          userinfo_endpoint: `${stub.issuer}/userinfo`,
+          jwks_uri: `${stub.issuer}/jwks`
+        });
+      }
+
+      if (pathname === '/jwks') {
+        return send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'stub-key', use: 'sig' }] });
+      }
+
+      if (pathname === '/token') {
+        const params = new URLSearchParams(body);
+
+        const authorization = authorizations.get(params.get('code'));
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        const credentials = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
+
+        if (!authorization || challenge !== authorization.code_challenge || req.headers.authorization !== `Basic ${credentials}`) {
+          return send(res, 400, { error: 'invalid_grant' });
+        }
+
+        return send(res, 200, {
+          access_token: 'stub-access-token',
+          token_type: 'Bearer',
+          id_token: jwt.sign({ sub: claims.sub, email: claims.email, email_verified: true, nonce: authorization.nonce }, privateKey, {
+            algorithm: 'ES256',
+            keyid: 'stub-key',
+            issuer: stub.issuer,
+            audience: CLIENT_ID,
+            expiresIn: '5m'
+          })
+        });
+      }
+
+      if (pathname === '/userinfo' && req.headers.authorization === 'Bearer stub-access-token') {
+        return send(res, 200, claims);
+      }
+
+      send(res, 404, { error: 'not_found' });
+    });
+  });
+
+  // Stand in for the user logging in at the provider, which redirects back with a code
+  stub.authorize = (authorizationUrl) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    authorizations.set(code, Object.fromEntries(new URL(authorizationUrl).searchParams));
+    return code;
+  };
+
+  return stub;
+}
+
+describe('OpenID Connect login against a stub provider', () => {
+  const claims = {
+    sub: 'stub-user-1',
+    email: 'Kasun@Colombo.ac.lk',
+    name: 'Kasun Silva',
+    preferred_username: 'kasun.s',
+    university: 'University of Colombo'
+  };
+  let stub;
+  let app;
+  let User;
+  let OidcLoginState;
+
+  beforeAll(async () => {
+    stub = createStubProvider(claims);
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    stub.issuer = `http://127.0.0.1:${stub.server.address().port}`;
+
+    // The providers are read from the environment when the config loads
+    process.env.OIDC_PROVIDERS = JSON.stringify([{
+      id: 'stub',
+      name: 'Stub University',
+      issuer: stub.issuer,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET
+    }]);
+    app = require('../../src/app');
+    User = require('../../src/models/User');
+    OidcLoginState = require('../../src/models/OidcLoginState');
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_PROVIDERS;
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    const Session = require('../../src/models/Session');
+    const RefreshToken = require('../../src/models/RefreshToken');
+    const RoleService = require('../../src/services/roleService');
+    const AuditService = require('../../src/services/auditService');
+
+    // In-memory login states, keyed by state hash
+    const states = new Map();
+    jest.spyOn(OidcLoginState, 'create').mockImplementation(async data => {
+      states.set(data.stateHash, data);
+    });
+    jest.spyOn(OidcLoginState, 'consume').mockImplementation(async (stateHash, provider) => {
+      const loginState = states.get(stateHash);
+      states.delete(stateHash);
+      return loginState && loginState.provider === provider ? loginState : null;
+    });
+
+    jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User.prototype, 'updateLoginInfo').mockResolvedValue();
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(RoleService, 'getPermissions').mockResolvedValue([]);
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+  });
+
+  /**
+   * Start a login and return the authorization URL and state
+   */
+  async function startLogin() {
+    const response = await request(app).post('/api/auth/oidc/stub/authorize');
+    expect(response.status).toBe(200);
+    return response.body.data;
+  }
+
+  it('should send the user to the provider with a PKCE challenge', async () => {
+    const { authorizationUrl, state } = await startLogin();
+
+    const url = new URL(authorizationUrl);
+    expect(url.origin + url.pathname).toBe(`${stub.issuer}/authorize`);
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      response_type: 'code',
+      client_id: CLIENT_ID,
+      scope: 'openid email profile',
+      state,
+      code_challenge_method: 'S256'
+    });
+    expect(url.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  });
+
+  it('should provision a user from the claims and issue our token pair', async () => {
+    const { authorizationUrl, state } = await startLogin();
+    const code = stub.authorize(authorizationUrl);
+
+    const response = await request(app).post('/api/auth/oidc/stub/callback').send({ code, state });
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toEqual(expect.any(String));
+    expect(response.body.refreshToken).toEqual(expect.any(String));
+    expect(response.body.user).toMatchObject({
+      name: 'Kasun Silva',
+      username: 'kasuns',
+      email: 'kasun@colombo.ac.lk',
+      university: 'University of Colombo',
+      emailVerified: true
+    });
+    expect(response.body.user.identities).toEqual([
+      expect.objectContaining({ provider: 'stub', subject: 'stub-user-1' })
+    ]);
+  });
+
+  it('should accept a state only once', async () => {
+    const { authorizationUrl, state } = await startLogin();
+    const code = stub.authorize(authorizationUrl);
+
+    const first = await request(app).post('/api/auth/oidc/stub/callback').send({ code, state });
+    const replay = await request(app).post('/api/auth/oidc/stub/callback').send({ code, state });
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+  });
+
+  it('should fail the login when the provider rejects the code', async () => {
+    const { state } = await startLogin();
+
+    const response = await request(app).post('/api/auth/oidc/stub/callback').send({ code: 'forged', state });
+
+    expect(response.status).toBe(401);
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Load the JWT modules with a fresh config built from these environment variables
+ */
+function loadJwt(env = {}) {
+  let modules;
+
+  Object.assign(process.env, env);
+  try {
+    jest.isolateModules(() => {
+      modules = {
+        jwtConfig: require('../../../src/config/jwt'),
+        jwtUtils: require('../../../src/utils/jwt')
+      };
+    });
+  } finally {
+    Object.keys(env).forEach(variable => delete process.env[variable]);
+  }
+
+  return modules;
+}
+
+/**
+ * Create a keys directory holding the given files, as { fileName: KeyObject }
+ */
+function createKeysDirectory(files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+
+  for (const [fileName, key] of Object.entries(files)) {
+    const type = key.type === 'private' ? 'pkcs8' : 'spki';
+    fs.writeFileSync(path.join(directory, fileName), key.export({ type, format: 'pem' }));
+  }
+
+  return directory;
+}
+
+const ecKey = () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+const payload = { userId: '64b7f0c2a1e4b5d6c7f8a9b0', type: 'access' };
+
+describe('JWT Configuration', () => {
+  const directories = [];
+  const keysDirectory = (files) => {
+    const directory = createKeysDirectory(files);
+    directories.push(directory);
+    return directory;
+  };
+
+  afterAll(() => {
+    directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+  });
+
+  describe('HS256', () => {
+    it('should sign with the shared secret and publish no keys', () => {
+      const { jwtConfig, jwtUtils } = loadJwt();
+
+      const token = jwtUtils.generateAccessToken(payload);
+
+      expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+      expect(jwtUtils.verifyToken(token).userId).toBe(payload.userId);
+      expect(jwtConfig.getJwks()).toEqual({ keys: [] });
+    });
+  });
+
+  describe('ES256', () => {
+    it('should sign with the active key and name it in the kid header', () => {
+      const { privateKey } = ecKey();
+      const { jwtUtils } = loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ '2026-01.pem': privateKey })
+      });
+
+      const token = jwtUtils.generateAccessToken(payload);
+
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: '2026-01' });
+      expect(jwtUtils.verifyToken(token).userId).toBe(payload.userId);
+      expect(jwt.verify(token, crypto.createPublicKey(privateKey), { algorithms: ['ES256'] }).userId)
+        .toBe(payload.userId);
+    });
+
+    it('should publish only the public part of every key', () => {
+      const current = ecKey();
+      const previous = ecKey();
+      const { jwtConfig } = loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ '2026-01.pem': current.privateKey, '2025-07.pub.pem': previous.publicKey }),
+        JWT_ACTIVE_KEY_ID: '2026-01'
+      });
+
+      const { keys } = jwtConfig.getJwks();
+
+      expect(keys.map(key => key.kid)).toEqual(['2025-07', '2026-01']);
+      keys.forEach(key => {
+        expect(key).toMatchObject({ kty: 'EC', crv: 'P-256', use: 'sig', alg: 'ES256' });
+        expect(key.d).toBeUndefined();
+      });
+      expect(keys[1]).toMatchObject(current.publicKey.export({ format: 'jwk' }));
+    });
+
+    it('should keep verifying tokens of a rotated-out key', () => {
+      const previous = ecKey();
+      const { jwtUtils: before } = loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ '2025-07.pem': previous.privateKey })
+      });
+      const issuedBeforeRotation = before.generateAccessToken(payload);
+
+      const { jwtUtils: after } = loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ '2026-01.pem': ecKey().privateKey, '2025-07.pub.pem': previous.publicKey })
+      });
+
+      expect(after.verifyToken(issuedBeforeRotation).userId).toBe(payload.userId);
+      expect(jwt.decode(after.generateAccessToken(payload), { complete: true }).header.kid).toBe('2026-01');
+    });
+
+    it('should reject tokens of unknown keys and HS256 tokens', () => {
+      const { jwtUtils } = loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ '2026-01.pem': ecKey().privateKey })
+      });
+      const { privateKey } = ecKey();
+      const options = { algorithm: 'ES256', issuer: 'diyawanna-sup-backend', audience: 'diyawanna-sup-users' };
+
+      expect(() => jwtUtils.verifyToken(jwt.sign(payload, privateKey, { ...options, keyid: 'removed' })))
+        .toThrow('Invalid token');
+      expect(() => jwtUtils.verifyToken(jwt.sign(payload, privateKey, options))).toThrow('Invalid token');
+      expect(() => jwtUtils.verifyToken(jwt.sign(payload, 'test-secret-key', {
+        ...options,
+        algorithm: 'HS256',
+        keyid: '2026-01'
+      }))).toThrow('Invalid token');
+    });
+  });
+
+  describe('key loading', () => {
+    it('should refuse keys of the wrong type for the algorithm', () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+      expect(() => loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ 'rsa.pem': privateKey })
+      })).toThrow("JWT key 'rsa' cannot be used with ES256");
+    });
+
+    it('should require an active key ID when several private keys exist', () => {
+      expect(() => loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ 'a.pem': ecKey().privateKey, 'b.pem': ecKey().privateKey })
+      })).toThrow('Set JWT_ACTIVE_KEY_ID');
+    });
+
+    it('should refuse an active key without a private key', () => {
+      expect(() => loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ 'a.pem': ecKey().privateKey, 'b.pub.pem': ecKey().publicKey }),
+        JWT_ACTIVE_KEY_ID: 'b'
+      })).toThrow("JWT key 'b' has no private key");
+    });
+
+    it('should refuse a kid with both a private and a public key file', () => {
+      const { privateKey, publicKey } = ecKey();
+
+      expect(() => loadJwt({
+        JWT_ALGORITHM: 'ES256',
+        JWT_KEYS_DIRECTORY: keysDirectory({ 'a.pem': privateKey, 'a.pub.pem': publicKey })
+      })).toThrow("JWT key 'a' has both a private and a public key file");
+    });
+
+    it('should refuse an empty keys directory', () => {
+      expect(() => loadJwt({ JWT_ALGORITHM: 'ES256', JWT_KEYS_DIRECTORY: keysDirectory({}) }))
+        .toThrow('No JWT keys found');
+    });
+  });
+});
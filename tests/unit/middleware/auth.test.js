@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const User = require('../../../src/models/User');
+const { requirePermission, selfOrPermission } = require('../../../src/middleware/auth');
+const { PERMISSIONS, USER_ROLES, ERROR_MESSAGES } = require('../../../src/utils/constants');
+
+/**
+ * A user holding the given resolved permissions
+ */
+function createUser(permissions) {
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    role: USER_ROLES.USER,
+    twoFactor: { enabled: false }
+  });
+  user.$locals.permissions = permissions;
+  return user;
+}
+
+/**
+ * Run a middleware and return what it passed to next
+ */
+function run(middleware, req) {
+  const next = jest.fn();
+  middleware({ params: {}, ...req }, {}, next);
+  return next.mock.calls[0][0];
+}
+
+describe('Authorization Middleware', () => {
+  describe('requirePermission', () => {
+    it('should allow a user holding every listed permission', () => {
+      const user = createUser([PERMISSIONS.USERS_READ, PERMISSIONS.QUERIES_EXECUTE]);
+
+      expect(run(requirePermission(PERMISSIONS.USERS_READ, PERMISSIONS.QUERIES_EXECUTE), { user }))
+        .toBeUndefined();
+    });
+
+    it('should refuse a user missing one of them', () => {
+      const user = createUser([PERMISSIONS.USERS_READ]);
+
+      const error = run(requirePermission(PERMISSIONS.USERS_READ, PERMISSIONS.QUERIES_EXECUTE), { user });
+
+      expect(error.statusCode).toBe(403);
+      expect(error.message).toBe(ERROR_MESSAGES.PERMISSION_DENIED);
+    });
+
+    it('should refuse unauthenticated requests', () => {
+      expect(run(requirePermission(PERMISSIONS.USERS_READ), {}).statusCode).toBe(401);
+    });
+  });
+
+  describe('selfOrPermission', () => {
+    it('should let users access their own record without the permission', () => {
+      const user = createUser([]);
+
+      expect(run(selfOrPermission(PERMISSIONS.USERS_READ), { user, params: { id: user._id.toString() } }))
+        .toBeUndefined();
+    });
+
+    it('should let holders of the permission access any record', () => {
+      const user = createUser([PERMISSIONS.USERS_READ]);
+
+      expect(run(selfOrPermission(PERMISSIONS.USERS_READ), {
+        user,
+        params: { id: new mongoose.Types.ObjectId().toString() }
+      })).toBeUndefined();
+    });
+
+    it('should refuse other records without the permission', () => {
+      const user = createUser([]);
+
+      expect(run(selfOrPermission(PERMISSIONS.USERS_READ), {
+        user,
+        params: { id: new mongoose.Types.ObjectId().toString() }
+      }).statusCode).toBe(403);
+    });
+
+    it('should always require the permission from API keys', () => {
+      const user = createUser([]);
+
+      expect(run(selfOrPermission(PERMISSIONS.USERS_READ), {
+        user,
+        apiKey: { scopes: [] },
+        params: { id: user._id.toString() }
+      }).statusCode).toBe(403);
+    });
+  });
+});
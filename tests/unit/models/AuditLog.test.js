@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../../src/models/AuditLog');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+describe('AuditLog', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('append-only', () => {
+    it.each([
+      ['updateOne', () => AuditLog.updateOne({}, { action: 'user.create' })],
+      ['updateMany', () => AuditLog.updateMany({}, { action: 'user.create' })],
+      ['findOneAndUpdate', () => AuditLog.findOneAndUpdate({}, { action: 'user.create' })],
+      ['replaceOne', () => AuditLog.replaceOne({}, { action: 'user.create' })],
+      ['deleteOne', () => AuditLog.deleteOne({})],
+      ['deleteMany', () => AuditLog.deleteMany({})],
+      ['findOneAndDelete', () => AuditLog.findOneAndDelete({})]
+    ])('should refuse %s', async (operation, run) => {
+      await expect(run()).rejects.toThrow('Audit log entries cannot be modified or deleted');
+    });
+
+    it('should refuse to save an existing entry', async () => {
+      const entry = AuditLog.hydrate({ _id: new mongoose.Types.ObjectId(), action: 'user.create' });
+      entry.action = 'user.delete';
+
+      await expect(entry.save()).rejects.toThrow('Audit log entries cannot be modified or deleted');
+    });
+  });
+
+  describe('applyRetention', () => {
+    /**
+     * Stand in for the collection's index commands, starting with these indexes
+     */
+    function mockIndexes(indexes) {
+      jest.spyOn(AuditLog.collection, 'indexes').mockResolvedValue(indexes);
+      jest.spyOn(AuditLog.collection, 'createIndex').mockResolvedValue();
+      jest.spyOn(AuditLog.collection, 'dropIndex').mockResolvedValue();
+      const command = jest.fn().mockResolvedValue({});
+      // The native database handle only exists once connected
+      AuditLog.db.db = { command };
+      return command;
+    }
+
+    afterEach(() => {
+      delete AuditLog.db.db;
+    });
+
+    it('should create a TTL index for the retention period', async () => {
+      mockIndexes([]);
+
+      await AuditLog.applyRetention(90);
+
+      expect(AuditLog.collection.createIndex).toHaveBeenCalledWith(
+        { createdAt: 1 },
+        { name: 'createdAt_retention', expireAfterSeconds: 90 * DAY_SECONDS }
+      );
+    });
+
+    it('should change the period of an existing index in place', async () => {
+      const command = mockIndexes([{ name: 'createdAt_retention', expireAfterSeconds: 365 * DAY_SECONDS }]);
+
+      await AuditLog.applyRetention(30);
+
+      expect(AuditLog.collection.createIndex).not.toHaveBeenCalled();
+      expect(command).toHaveBeenCalledWith({
+        collMod: AuditLog.collection.collectionName,
+        index: { name: 'createdAt_retention', expireAfterSeconds: 30 * DAY_SECONDS }
+      });
+    });
+
+    it('should leave an index with the same period alone', async () => {
+      const command = mockIndexes([{ name: 'createdAt_retention', expireAfterSeconds: 30 * DAY_SECONDS }]);
+
+      await AuditLog.applyRetention(30);
+
+      expect(AuditLog.collection.createIndex).not.toHaveBeenCalled();
+      expect(command).not.toHaveBeenCalled();
+    });
+
+    it('should drop the index to keep entries forever', async () => {
+      mockIndexes([{ name: 'createdAt_retention', expireAfterSeconds: 30 * DAY_SECONDS }]);
+
+      await AuditLog.applyRetention(0);
+
+      expect(AuditLog.collection.dropIndex).toHaveBeenCalledWith('createdAt_retention');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { parseArgs, loadMigrations, migrateUp, migrateDown } = require('../../../scripts/migrate');
+
+/**
+ * A migration that records its runs in `log`
+ */
+function createMigration(name, log) {
+  return {
+    name,
+    description: `Migration ${name}`,
+    up: async () => log.push(`up ${name}`),
+    down: async () => log.push(`down ${name}`)
+  };
+}
+
+/**
+ * In-memory stand-in for the native database handle
+ */
+function createDb() {
+  const records = [];
+
+  return {
+    records,
+    collection: () => ({
+      insertOne: async record => records.push(record),
+      deleteOne: async ({ name }) => records.splice(records.findIndex(record => record.name === name), 1)
+    })
+  };
+}
+
+describe('Migration runner', () => {
+  let log;
+  let migrations;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    log = [];
+    migrations = ['001-a', '002-b', '003-c'].map(name => createMigration(name, log));
+  });
+
+  describe('parseArgs', () => {
+    it('should default to applying every pending migration', () => {
+      expect(parseArgs([])).toEqual({ command: 'up', dryRun: false, to: null, steps: 1 });
+    });
+
+    it('should read the command and its options', () => {
+      expect(parseArgs(['down', '--steps', '2', '--dry-run'])).toMatchObject({ command: 'down', steps: 2, dryRun: true });
+    });
+
+    it.each([
+      [['sideways'], 'Unknown command'],
+      [['up', '--force'], 'Unknown option'],
+      [['down', '--steps', '0'], '--steps must be a positive integer']
+    ])('should reject %j', (argv, message) => {
+      expect(() => parseArgs(argv)).toThrow(message);
+    });
+  });
+
+  describe('loadMigrations', () => {
+    it('should load the migrations in filename order', () => {
+      const names = loadMigrations().map(migration => migration.name);
+
+      expect(names).toEqual([...names].sort());
+      expect(names[0]).toBe('001-query-tag-category-and-version-indexes');
+    });
+  });
+
+  describe('migrateUp', () => {
+    it('should apply pending migrations in order and record them', async () => {
+      const db = createDb();
+
+      await migrateUp(db, migrations, new Map([['001-a', {}]]), {});
+
+      expect(log).toEqual(['up 002-b', 'up 003-c']);
+      expect(db.records.map(record => record.name)).toEqual(['002-b', '003-c']);
+    });
+
+    it('should stop at --to', async () => {
+      await migrateUp(createDb(), migrations, new Map(), { to: '002-b' });
+
+      expect(log).toEqual(['up 001-a', 'up 002-b']);
+    });
+
+    it('should reject an unknown --to', async () => {
+      await expect(migrateUp(createDb(), migrations, new Map(), { to: '009-z' })).rejects.toThrow('does not exist');
+    });
+
+    it('should change nothing on a dry run', async () => {
+      const db = createDb();
+
+      await migrateUp(db, migrations, new Map(), { dryRun: true });
+
+      expect(log).toEqual([]);
+      expect(db.records).toEqual([]);
+    });
+  });
+
+  describe('migrateDown', () => {
+    it('should revert the last applied migrations, newest first', async () => {
+      const db = createDb();
+      const applied = new Map(migrations.map(migration => [migration.name, { name: migration.name }]));
+      db.records.push(...applied.values());
+
+      await migrateDown(db, migrations, applied, { steps: 2 });
+
+      expect(log).toEqual(['down 003-c', 'down 002-b']);
+      expect(db.records.map(record => record.name)).toEqual(['001-a']);
+    });
+
+    it('should refuse when an applied migration has no file', async () => {
+      const applied = new Map([['000-removed', {}]]);
+
+      await expect(migrateDown(createDb(), migrations, applied, { steps: 1 })).rejects.toThrow('000-removed');
+    });
+  });
+});
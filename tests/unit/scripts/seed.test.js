@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { seedUsers, seedUniversities, seedFaculties, seedCarts, seedQueries } = require('../../../scripts/seed');
+const User = require('../../../src/models/User');
+const University = require('../../../src/models/University');
+const Faculty = require('../../../src/models/Faculty');
+const Cart = require('../../../src/models/Cart');
+const Query = require('../../../src/models/Query');
+const QueryVersion = require('../../../src/models/QueryVersion');
+const seedData = require('../../../scripts/data/seed-data.json');
+const queryConfig = require('../../../config/query-config.json');
+
+const MODELS = [User, University, Faculty, Cart, Query];
+
+describe('Database seeding', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    // Nothing is stored yet; saving only runs the models' validation
+    for (const Model of MODELS) {
+      jest.spyOn(Model, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+        await this.validate();
+        return this;
+      });
+    }
+    jest.spyOn(University, 'updateOne').mockResolvedValue({});
+    jest.spyOn(QueryVersion, 'create').mockImplementation(async data => data);
+  });
+
+  it('should create sample data that passes model validation', async () => {
+    const { summary: userSummary, users } = await seedUsers();
+    const { summary: universitySummary, universities } = await seedUniversities();
+    const { summary: facultySummary } = await seedFaculties(universities);
+    const { summary: cartSummary } = await seedCarts(users);
+
+    expect(userSummary).toEqual({ created: seedData.users.length, skipped: 0 });
+    expect(universitySummary).toEqual({ created: seedData.universities.length, skipped: 0 });
+    expect(facultySummary).toEqual({ created: seedData.faculties.length, skipped: 0 });
+    expect(cartSummary).toEqual({ created: seedData.carts.length, skipped: 0 });
+  });
+
+  it('should seed every configured query template through the sandbox', async () => {
+    const { summary } = await seedQueries({ _id: new mongoose.Types.ObjectId() });
+
+    expect(summary).toEqual({ created: Object.keys(queryConfig.queries).length, skipped: 0 });
+    expect(QueryVersion.create).toHaveBeenCalledTimes(summary.created);
+  });
+
+  it('should skip records that already exist', async () => {
+    User.findOne.mockImplementation(async ({ username }) => User.hydrate({ _id: new mongoose.Types.ObjectId(), username }));
+
+    const { summary } = await seedUsers();
+
+    expect(summary).toEqual({ created: 0, skipped: seedData.users.length });
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../../src/models/AuditLog');
+const User = require('../../../src/models/User');
+const AuditService = require('../../../src/services/auditService');
+const { runWithRequestContext } = require('../../../src/utils/requestContext');
+const { logger } = require('../../../src/utils/logger');
+const { ValidationError } = require('../../../src/exceptions');
+const { AUDIT, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../../../src/utils/constants');
+
+const admin = User.hydrate({ _id: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' });
+
+describe('AuditService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  describe('record', () => {
+    const target = AuditService.target(AUDIT_TARGETS.USER, new mongoose.Types.ObjectId(), 'student');
+
+    it('should take the actor, IP and request ID from the request context', async () => {
+      await runWithRequestContext({ requestId: 'req-1', ip: '10.0.0.1', userAgent: 'curl', user: admin }, () => {
+        return AuditService.record(AUDIT_ACTIONS.USER_DEACTIVATE, { target });
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: AUDIT_ACTIONS.USER_DEACTIVATE,
+        actor: { userId: admin._id, username: 'admin', role: 'admin', apiKeyId: undefined },
+        target,
+        ip: '10.0.0.1',
+        userAgent: 'curl',
+        requestId: 'req-1'
+      }));
+    });
+
+    it('should name the API key a request was made with', async () => {
+      const apiKey = { _id: new mongoose.Types.ObjectId() };
+
+      await runWithRequestContext({ user: admin, apiKey }, () => AuditService.record(AUDIT_ACTIONS.USER_DEACTIVATE));
+
+      expect(AuditLog.create.mock.calls[0][0].actor.apiKeyId).toBe(apiKey._id);
+    });
+
+    it('should use an explicit actor when nobody is authenticated', async () => {
+      const student = User.hydrate({ _id: new mongoose.Types.ObjectId(), username: 'student', role: 'user' });
+
+      await AuditService.record(AUDIT_ACTIONS.ACCOUNT_PASSWORD_RESET, { target, actor: student });
+
+      expect(AuditLog.create.mock.calls[0][0].actor).toMatchObject({ userId: student._id, username: 'student' });
+    });
+
+    it('should log failures instead of failing the action', async () => {
+      AuditLog.create.mockRejectedValue(new Error('connection lost'));
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(AuditService.record(AUDIT_ACTIONS.USER_DEACTIVATE, { target })).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith('Failed to record audit entry', expect.objectContaining({
+        action: AUDIT_ACTIONS.USER_DEACTIVATE
+      }));
+    });
+  });
+
+  describe('diff', () => {
+    it('should keep only the fields that changed', () => {
+      const before = User.hydrate({ _id: admin._id, name: 'Nimal', role: 'user', active: true });
+      const after = User.hydrate({ _id: admin._id, name: 'Nimal', role: 'admin', active: true });
+
+      expect(AuditService.diff(before, after)).toEqual({
+        before: { role: 'user' },
+        after: { role: 'admin' }
+      });
+    });
+
+    it('should report secrets as changed without their values', () => {
+      expect(AuditService.diff({ password: 'old-hash' }, { password: 'new-hash' })).toEqual({
+        before: { password: AUDIT.REDACTED_VALUE },
+        after: { password: AUDIT.REDACTED_VALUE }
+      });
+    });
+
+    it('should ignore timestamps', () => {
+      expect(AuditService.diff({ updatedAt: new Date(0) }, { updatedAt: new Date() }))
+        .toEqual({ before: {}, after: {} });
+    });
+
+    it('should record every field of created and deleted records', () => {
+      expect(AuditService.diff(undefined, { name: 'librarian' })).toEqual({ before: {}, after: { name: 'librarian' } });
+      expect(AuditService.diff({ name: 'librarian' }, undefined)).toEqual({ before: { name: 'librarian' }, after: {} });
+      expect(AuditService.diff()).toBeUndefined();
+    });
+  });
+
+  describe('getAuditLogs', () => {
+    let query;
+
+    beforeEach(() => {
+      query = { sort: () => query, skip: () => query, limit: () => query, lean: async () => [] };
+      jest.spyOn(AuditLog, 'find').mockReturnValue(query);
+      jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(0);
+    });
+
+    it('should filter by every given field', async () => {
+      const actorId = new mongoose.Types.ObjectId().toString();
+      const targetId = new mongoose.Types.ObjectId().toString();
+
+      await AuditService.getAuditLogs({
+        action: AUDIT_ACTIONS.USER_DEACTIVATE,
+        actorId,
+        targetType: AUDIT_TARGETS.USER,
+        targetId,
+        requestId: 'req-1',
+        from: '2026-01-01T00:00:00.000Z',
+        to: '2026-02-01T00:00:00.000Z'
+      });
+
+      expect(AuditLog.find).toHaveBeenCalledWith({
+        action: AUDIT_ACTIONS.USER_DEACTIVATE,
+        'actor.userId': actorId,
+        'target.type': AUDIT_TARGETS.USER,
+        'target.id': targetId,
+        requestId: 'req-1',
+        createdAt: { $gte: new Date('2026-01-01T00:00:00.000Z'), $lte: new Date('2026-02-01T00:00:00.000Z') }
+      });
+    });
+
+    it('should match every action of an area with a wildcard', async () => {
+      await AuditService.getAuditLogs({ action: 'user.*' });
+
+      const [{ action }] = AuditLog.find.mock.calls[0];
+      expect(action.test(AUDIT_ACTIONS.USER_DEACTIVATE)).toBe(true);
+      expect(action.test(AUDIT_ACTIONS.ROLE_CREATE)).toBe(false);
+      expect(action.test('users.create')).toBe(false);
+    });
+
+    it('should reject malformed IDs', async () => {
+      await expect(AuditService.getAuditLogs({ actorId: 'admin' }))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const User = require('../../../src/models/User');
+const PasswordResetToken = require('../../../src/models/PasswordResetToken');
+const AuthenticationService = require('../../../src/services/authService');
+const PasswordService = require('../../../src/services/passwordService');
+const AuditService = require('../../../src/services/auditService');
+const MailService = require('../../../src/services/mailService');
+const SessionService = require('../../../src/services/sessionService');
+const TwoFactorService = require('../../../src/services/twoFactorService');
+const { hashPassword } = require('../../../src/utils/password');
+const { hashToken } = require('../../../src/utils/helpers');
+const {
+  generateTwoFactorChallengeToken,
+  generateEmailVerificationToken,
+  verifyToken
+} = require('../../../src/utils/jwt');
+const { config } = require('../../../src/config/loader');
+const {
+  AccountLockedError,
+  AuthenticationError,
+  TokenError,
+  ValidationError
+} = require('../../../src/exceptions');
+const {
+  ACCOUNT_LOCKOUT,
+  AUDIT_ACTIONS,
+  PASSWORD_RESET,
+  TOKEN_REVOCATION_REASONS,
+  TOKEN_TYPES
+} = require('../../../src/utils/constants');
+
+const PASSWORD = 'Kandy#Lake2024';
+
+/**
+ * Make the login lookup resolve to a user with the given fields
+ */
+async function mockLoginUser(fields = {}) {
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'student',
+    email: 'student@university.lk',
+    password: await hashPassword(PASSWORD, 4),
+    role: 'user',
+    active: true,
+    failedLoginAttempts: 0,
+    lockCount: 0,
+    ...fields
+  });
+
+  jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+  return user;
+}
+
+describe('AuthenticationService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('login lockout', () => {
+    beforeEach(() => {
+      jest.spyOn(AuditService, 'record').mockResolvedValue();
+    });
+
+    it('should refuse a locked account before checking the password', async () => {
+      await mockLoginUser({ lockUntil: new Date(Date.now() + 60 * 1000), lockCount: 1 });
+      jest.spyOn(User, 'findByIdAndUpdate');
+
+      await expect(AuthenticationService.login({ username: 'student', password: PASSWORD }))
+        .rejects
+        .toBeInstanceOf(AccountLockedError);
+
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should count a failed attempt below the threshold', async () => {
+      const user = await mockLoginUser();
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(User.hydrate({
+        ...user.toObject(),
+        failedLoginAttempts: 1
+      }));
+      jest.spyOn(User, 'findOneAndUpdate');
+
+      await expect(AuthenticationService.login({ username: 'student', password: 'Wrong#Pass2024' }))
+        .rejects
+        .toBeInstanceOf(AuthenticationError);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(user._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should lock the account at the threshold, doubling each lock', async () => {
+      const user = await mockLoginUser({ lockCount: 1 });
+      const lockMs = ACCOUNT_LOCKOUT.BASE_LOCK_MS * 2;
+
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(User.hydrate({
+        ...user.toObject(),
+        failedLoginAttempts: ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS
+      }));
+      jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => User.hydrate({
+        ...user.toObject(),
+        ...update.$set,
+        lockCount: 2
+      }));
+
+      const attempt = AuthenticationService.login({ username: 'student', password: 'Wrong#Pass2024' });
+
+      await expect(attempt).rejects.toBeInstanceOf(AccountLockedError);
+      await expect(attempt).rejects.toMatchObject({ retryAfter: Math.min(lockMs, ACCOUNT_LOCKOUT.MAX_LOCK_MS) / 1000 });
+
+      expect(AuditService.record).toHaveBeenCalledWith(AUDIT_ACTIONS.ACCOUNT_LOCK, expect.anything());
+    });
+  });
+
+  describe('login rehash', () => {
+    beforeEach(() => {
+      jest.spyOn(AuthenticationService, 'continueLogin').mockResolvedValue({ success: true });
+      jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    it('should rehash a password hashed with a lower cost factor', async () => {
+      const user = await mockLoginUser();
+
+      await AuthenticationService.login({ username: 'student', password: PASSWORD });
+
+      // The pre-save hook hashes the plain-text password with the configured cost
+      expect(user.save).toHaveBeenCalled();
+      expect(user.password).toBe(PASSWORD);
+    });
+
+    it('should keep a password hashed with the configured cost factor', async () => {
+      const hash = await hashPassword(PASSWORD, config.password.saltRounds);
+      const user = await mockLoginUser({ password: hash });
+
+      await AuthenticationService.login({ username: 'student', password: PASSWORD });
+
+      expect(user.save).not.toHaveBeenCalled();
+      expect(user.password).toBe(hash);
+    });
+
+    it('should not rehash after a wrong password', async () => {
+      const user = await mockLoginUser();
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(User.hydrate({
+        ...user.toObject(),
+        failedLoginAttempts: 1
+      }));
+
+      await expect(AuthenticationService.login({ username: 'student', password: 'Wrong#Pass2024' }))
+        .rejects
+        .toBeInstanceOf(AuthenticationError);
+
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('register', () => {
+    it('should check the password policy without a history check', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(AuthenticationService, 'sendVerificationEmail').mockResolvedValue();
+      jest.spyOn(PasswordService, 'isRecentlyUsed');
+
+      const result = await AuthenticationService.register({
+        username: 'newstudent',
+        email: 'new@student.lk',
+        password: 'Kandy#Lake2024',
+        name: 'New Student',
+        age: 21,
+        university: 'University of Colombo'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.user.password).toBeUndefined();
+      expect(PasswordService.isRecentlyUsed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestPasswordReset', () => {
+    beforeEach(() => {
+      jest.spyOn(PasswordResetToken, 'invalidateUser').mockResolvedValue({});
+      jest.spyOn(PasswordResetToken, 'create').mockResolvedValue({});
+      jest.spyOn(MailService, 'sendPasswordReset').mockResolvedValue();
+    });
+
+    it('should store only the hash of an expiring token and email the token', async () => {
+      const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), email: 'student@university.lk', active: true });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      await AuthenticationService.requestPasswordReset('Student@University.lk', { ip: '10.0.0.1' });
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'student@university.lk', active: true });
+      expect(PasswordResetToken.invalidateUser).toHaveBeenCalledWith(user._id);
+
+      const [, token] = MailService.sendPasswordReset.mock.calls[0];
+      const [stored] = PasswordResetToken.create.mock.calls[0];
+      expect(token).toHaveLength(PASSWORD_RESET.TOKEN_BYTES * 2);
+      expect(stored.tokenHash).toBe(hashToken(token));
+      expect(stored.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(PASSWORD_RESET.TOKEN_TTL_MS);
+      expect(stored.requestedIp).toBe('10.0.0.1');
+    });
+
+    it('should answer the same way for unknown emails', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      const known = User.hydrate({ _id: new mongoose.Types.ObjectId(), email: 'student@university.lk', active: true });
+
+      const unknownResult = await AuthenticationService.requestPasswordReset('nobody@university.lk');
+      User.findOne.mockResolvedValue(known);
+      const knownResult = await AuthenticationService.requestPasswordReset('student@university.lk');
+
+      expect(unknownResult).toEqual(knownResult);
+      expect(MailService.sendPasswordReset).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not reveal delivery failures', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(User.hydrate({ _id: new mongoose.Types.ObjectId(), active: true }));
+      MailService.sendPasswordReset.mockRejectedValue(new Error('SMTP unavailable'));
+
+      await expect(AuthenticationService.requestPasswordReset('student@university.lk'))
+        .resolves
+        .toMatchObject({ success: true });
+    });
+  });
+
+  describe('confirmPasswordReset', () => {
+    const TOKEN = 'a'.repeat(PASSWORD_RESET.TOKEN_BYTES * 2);
+    let user;
+
+    beforeEach(async () => {
+      user = await mockLoginUser({ lockUntil: new Date(Date.now() + 60 * 1000), lockCount: 2, failedLoginAttempts: 5 });
+      const resetToken = { userId: user._id };
+
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+      jest.spyOn(PasswordResetToken, 'findUsable').mockResolvedValue(resetToken);
+      jest.spyOn(PasswordResetToken, 'consume').mockResolvedValue(resetToken);
+      jest.spyOn(PasswordResetToken, 'invalidateUser').mockResolvedValue({});
+      jest.spyOn(SessionService, 'revokeAllSessions').mockResolvedValue({});
+      jest.spyOn(AuditService, 'record').mockResolvedValue();
+    });
+
+    it('should set the password, lift the lockout and revoke every session', async () => {
+      await AuthenticationService.confirmPasswordReset(TOKEN, 'Galle#Fort1663');
+
+      expect(PasswordResetToken.findUsable).toHaveBeenCalledWith(hashToken(TOKEN));
+      expect(user.password).toBe('Galle#Fort1663');
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockUntil).toBeUndefined();
+      expect(user.save).toHaveBeenCalled();
+      expect(SessionService.revokeAllSessions).toHaveBeenCalledWith(user._id, TOKEN_REVOCATION_REASONS.PASSWORD_RESET);
+      expect(AuditService.record).toHaveBeenCalledWith(AUDIT_ACTIONS.ACCOUNT_PASSWORD_RESET, expect.anything());
+    });
+
+    it('should reject an unknown, used or expired token', async () => {
+      PasswordResetToken.findUsable.mockResolvedValue(null);
+
+      await expect(AuthenticationService.confirmPasswordReset(TOKEN, 'Galle#Fort1663'))
+        .rejects
+        .toBeInstanceOf(TokenError);
+
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token spent by a concurrent reset', async () => {
+      PasswordResetToken.consume.mockResolvedValue(null);
+
+      await expect(AuthenticationService.confirmPasswordReset(TOKEN, 'Galle#Fort1663'))
+        .rejects
+        .toBeInstanceOf(TokenError);
+
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['a weak password', 'password'],
+      ['the username', 'Student#2024abc'],
+      ['the current password', PASSWORD]
+    ])('should refuse %s without spending the token', async (description, newPassword) => {
+      await expect(AuthenticationService.confirmPasswordReset(TOKEN, newPassword))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+
+      expect(PasswordResetToken.consume).not.toHaveBeenCalled();
+      expect(SessionService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('two-factor login', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await mockLoginUser({ twoFactor: { enabled: true } });
+      jest.spyOn(TwoFactorService, 'findUserWithSecrets').mockResolvedValue(user);
+      jest.spyOn(AuthenticationService, 'completeLogin').mockResolvedValue({ success: true, token: 'access' });
+      jest.spyOn(AuthenticationService, 'recordFailedLogin').mockResolvedValue();
+    });
+
+    it('should answer a correct password with a challenge instead of tokens', async () => {
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+
+      const result = await AuthenticationService.login({ username: 'student', password: PASSWORD });
+
+      expect(result.requiresTwoFactor).toBe(true);
+      expect(result.token).toBeUndefined();
+      expect(verifyToken(result.challengeToken, TOKEN_TYPES.TWO_FACTOR_CHALLENGE).userId).toBe(user._id.toString());
+      expect(AuthenticationService.completeLogin).not.toHaveBeenCalled();
+    });
+
+    it('should complete the login with a valid code', async () => {
+      jest.spyOn(TwoFactorService, 'verifyCode').mockResolvedValue(true);
+
+      const result = await AuthenticationService.verifyTwoFactorLogin(
+        generateTwoFactorChallengeToken(user), '123456', { ip: '10.0.0.1' }
+      );
+
+      expect(TwoFactorService.verifyCode).toHaveBeenCalledWith(user, '123456');
+      expect(AuthenticationService.completeLogin).toHaveBeenCalledWith(user, { ip: '10.0.0.1' });
+      expect(result.token).toBe('access');
+    });
+
+    it('should count a wrong code as a failed login', async () => {
+      jest.spyOn(TwoFactorService, 'verifyCode').mockResolvedValue(false);
+
+      await expect(AuthenticationService.verifyTwoFactorLogin(generateTwoFactorChallengeToken(user), '000000'))
+        .rejects
+        .toBeInstanceOf(AuthenticationError);
+
+      expect(AuthenticationService.recordFailedLogin).toHaveBeenCalledWith(user);
+      expect(AuthenticationService.completeLogin).not.toHaveBeenCalled();
+    });
+
+    it('should refuse codes while the account is locked', async () => {
+      user.lockUntil = new Date(Date.now() + 60 * 1000);
+      jest.spyOn(TwoFactorService, 'verifyCode');
+
+      await expect(AuthenticationService.verifyTwoFactorLogin(generateTwoFactorChallengeToken(user), '123456'))
+        .rejects
+        .toBeInstanceOf(AccountLockedError);
+
+      expect(TwoFactorService.verifyCode).not.toHaveBeenCalled();
+    });
+
+    it('should only accept challenge tokens', async () => {
+      await expect(AuthenticationService.verifyTwoFactorLogin(generateEmailVerificationToken(user), '123456'))
+        .rejects
+        .toBeInstanceOf(TokenError);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Cart = require('../../../src/models/Cart');
+const CartService = require('../../../src/services/cartService');
+const { ValidationError } = require('../../../src/exceptions');
+const { CART_STATUS } = require('../../../src/utils/constants');
+
+const owner = {
+  _id: new mongoose.Types.ObjectId(),
+  hasPermission: () => false
+};
+
+/**
+ * Make Cart.findOne resolve to a cart of `owner` with the given status
+ */
+function mockCart(status) {
+  const cart = Cart.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: owner._id,
+    name: 'Groceries',
+    status,
+    items: [],
+    active: true
+  });
+
+  jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+  jest.spyOn(cart, 'save').mockResolvedValue(cart);
+
+  return cart;
+}
+
+describe('CartService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateCart', () => {
+    it('should update the name and notes of an active cart', async () => {
+      const cart = mockCart(CART_STATUS.ACTIVE);
+
+      await CartService.updateCart(owner, cart._id.toString(), { name: 'Weekly shop', notes: 'Before Friday' });
+
+      expect(cart.name).toBe('Weekly shop');
+      expect(cart.notes).toBe('Before Friday');
+      expect(cart.save).toHaveBeenCalled();
+    });
+
+    it('should not change the status', async () => {
+      const cart = mockCart(CART_STATUS.ACTIVE);
+
+      await CartService.updateCart(owner, cart._id.toString(), { status: CART_STATUS.COMPLETED });
+
+      expect(cart.status).toBe(CART_STATUS.ACTIVE);
+      expect(cart.completedAt).toBeUndefined();
+    });
+
+    it.each([CART_STATUS.COMPLETED, CART_STATUS.CANCELLED])('should not update a %s cart', async (status) => {
+      const cart = mockCart(status);
+
+      await expect(CartService.updateCart(owner, cart._id.toString(), { name: 'Reopened' }))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+
+      expect(cart.save).not.toHaveBeenCalled();
+    });
+  });
+});
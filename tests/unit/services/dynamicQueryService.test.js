@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const Query = require('../../../src/models/Query');
+const User = require('../../../src/models/User');
+const DynamicQueryService = require('../../../src/services/dynamicQueryService');
+const {
+  AuthorizationError,
+  InvalidParametersError,
+  UnsafeQueryError
+} = require('../../../src/exceptions');
+const {
+  USER_ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  UNIVERSITY_SCOPED_PERMISSIONS
+} = require('../../../src/utils/constants');
+
+const universityId = new mongoose.Types.ObjectId().toString();
+
+/**
+ * A user with the given role and access, as resolved by authenticate
+ */
+function createUser(role, permissions, universityScope = null) {
+  const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), role });
+  Object.assign(user.$locals, { permissions, universityScope });
+  return user;
+}
+
+/**
+ * A university_admin of the University of Colombo
+ */
+function createScopedAdmin() {
+  return createUser(USER_ROLES.UNIVERSITY_ADMIN, UNIVERSITY_SCOPED_PERMISSIONS, [
+    { id: universityId, name: 'University of Colombo' }
+  ]);
+}
+
+/**
+ * A user with the default permissions of the user role
+ */
+function createPlainUser() {
+  return createUser(USER_ROLES.USER, DEFAULT_ROLE_PERMISSIONS[USER_ROLES.USER]);
+}
+
+describe('DynamicQueryService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    // Resolve every template from config/query-config.json
+    jest.spyOn(Query, 'findOne').mockResolvedValue(null);
+    jest.spyOn(DynamicQueryService, 'runFind').mockResolvedValue({ data: [], total: 0 });
+    jest.spyOn(DynamicQueryService, 'runAggregate').mockResolvedValue({ data: [], total: 0 });
+  });
+
+  describe('prepareQuery', () => {
+    const queryDoc = new Query({
+      name: 'user.topByUniversity',
+      collection: 'users',
+      query: [
+        { $match: { university: '{{university}}' } },
+        { $sort: { age: -1 } },
+        { $limit: '{{limit}}' }
+      ],
+      parameters: [
+        { name: 'university', type: 'string', required: true },
+        { name: 'limit', type: 'number', defaultValue: 10 }
+      ]
+    });
+
+    it('should substitute parameters and defaults', () => {
+      expect(DynamicQueryService.prepareQuery(queryDoc, { university: 'University of Colombo' })).toEqual([
+        { $match: { university: 'University of Colombo' } },
+        { $sort: { age: -1 } },
+        { $limit: 10 }
+      ]);
+    });
+
+    it('should reject object parameters that could inject operators', () => {
+      expect(() => DynamicQueryService.prepareQuery(queryDoc, { university: { $ne: null } }))
+        .toThrow(InvalidParametersError);
+    });
+
+    it('should reject a missing required parameter', () => {
+      expect(() => DynamicQueryService.prepareQuery(queryDoc, {})).toThrow(InvalidParametersError);
+    });
+
+    it('should check the sandbox again once parameters are in place', () => {
+      expect(() => DynamicQueryService.prepareQuery(queryDoc, { university: 'University of Colombo', limit: 100000 }))
+        .toThrow(UnsafeQueryError);
+    });
+
+    it('should reject parameters that turn into references to hidden fields', () => {
+      const comparison = new Query({
+        name: 'user.byUniversityExpression',
+        collection: 'users',
+        query: { $expr: { $eq: ['$university', '{{university}}'] } },
+        parameters: [{ name: 'university', type: 'string', required: true }]
+      });
+
+      expect(() => DynamicQueryService.prepareQuery(comparison, { university: '$password' }))
+        .toThrow(UnsafeQueryError);
+    });
+
+    it('should reject placeholders without a parameter', () => {
+      const undeclared = new Query({
+        name: 'user.byCity',
+        collection: 'users',
+        query: { city: '{{city}}' },
+        parameters: []
+      });
+
+      expect(() => DynamicQueryService.prepareQuery(undeclared, {})).toThrow(InvalidParametersError);
+    });
+  });
+
+  describe('runAggregate', () => {
+    it('should remove hidden fields before the first stage of the template', async () => {
+      DynamicQueryService.runAggregate.mockRestore();
+      jest.spyOn(User, 'aggregate').mockReturnValue({
+        option: async () => [{ data: [], total: [] }]
+      });
+
+      await DynamicQueryService.runAggregate('users', [{ $addFields: { copy: '$university' } }], { skip: 0, limit: 10 });
+
+      const [stages] = User.aggregate.mock.calls[0];
+      expect(stages[0]).toEqual({
+        $project: {
+          password: 0,
+          'twoFactor.secret': 0,
+          'twoFactor.pendingSecret': 0,
+          'twoFactor.recoveryCodes': 0,
+          passwordHistory: 0,
+          failedLoginAttempts: 0,
+          lockUntil: 0,
+          lockCount: 0,
+          identities: 0
+        }
+      });
+      expect(stages[1]).toEqual({ $addFields: { copy: '$university' } });
+    });
+  });
+
+  describe('university scope', () => {
+    it('should add the scope to find filters', async () => {
+      await DynamicQueryService.executeQuery(
+        'user.findByAge', { minAge: 18, maxAge: 30 }, {}, undefined, createScopedAdmin()
+      );
+
+      const [collection, filter] = DynamicQueryService.runFind.mock.calls[0];
+      expect(collection).toBe('users');
+      expect(filter.$and[1]).toEqual({ university: { $in: ['University of Colombo'] } });
+    });
+
+    it('should start pipelines with the scope as a $match', async () => {
+      await DynamicQueryService.executeQuery('user.countByUniversity', {}, {}, undefined, createScopedAdmin());
+
+      const [, pipeline] = DynamicQueryService.runAggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({
+        $match: { $and: [{}, { university: { $in: ['University of Colombo'] } }] }
+      });
+      expect(pipeline[1]).toEqual({ $match: { active: true } });
+    });
+
+    it('should limit faculty queries to the managed university IDs', async () => {
+      await DynamicQueryService.executeQuery(
+        'faculty.findByUniversity',
+        { universityId: new mongoose.Types.ObjectId().toString() },
+        {},
+        undefined,
+        createScopedAdmin()
+      );
+
+      const [, filter] = DynamicQueryService.runFind.mock.calls[0];
+      const [scopedUniversityId] = filter.$and[1].universityId.$in;
+      expect(scopedUniversityId).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(scopedUniversityId.toString()).toBe(universityId);
+    });
+
+    it('should limit university queries to the managed universities', async () => {
+      await DynamicQueryService.executeQuery(
+        'university.findByLocation', { location: 'Colombo' }, {}, undefined, createScopedAdmin()
+      );
+
+      const [, filter] = DynamicQueryService.runFind.mock.calls[0];
+      expect(filter.$and[1]._id.$in.map(String)).toEqual([universityId]);
+    });
+
+    it('should refuse queries on carts', async () => {
+      await expect(DynamicQueryService.executeQuery(
+        'cart.findByStatus', { status: 'ACTIVE' }, {}, undefined, createScopedAdmin()
+      ))
+        .rejects
+        .toBeInstanceOf(AuthorizationError);
+
+      expect(DynamicQueryService.runFind).not.toHaveBeenCalled();
+    });
+
+    it('should not limit unscoped users', async () => {
+      await DynamicQueryService.executeQuery(
+        'user.countByUniversity', {}, {}, undefined, createUser(USER_ROLES.ADMIN, Object.values(PERMISSIONS))
+      );
+
+      const [, pipeline] = DynamicQueryService.runAggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: { active: true } });
+    });
+  });
+
+  describe('collection access', () => {
+    it.each([
+      ['user.findByUniversity', { university: '.*' }],
+      ['user.countByUniversity', {}]
+    ])(
+      'should refuse %s without users:read',
+      async (queryName, parameters) => {
+        await expect(DynamicQueryService.executeQuery(
+          queryName, parameters, {}, undefined, createPlainUser()
+        ))
+          .rejects
+          .toBeInstanceOf(AuthorizationError);
+
+        expect(DynamicQueryService.runFind).not.toHaveBeenCalled();
+        expect(DynamicQueryService.runAggregate).not.toHaveBeenCalled();
+      }
+    );
+
+    it('should limit carts to the caller\'s own, whatever userId is passed', async () => {
+      const user = createPlainUser();
+
+      await DynamicQueryService.executeQuery(
+        'cart.findByUser', { userId: new mongoose.Types.ObjectId().toString() }, {}, undefined, user
+      );
+
+      const [collection, filter] = DynamicQueryService.runFind.mock.calls[0];
+      expect(collection).toBe('carts');
+      expect(filter.$and[1]).toEqual({ userId: user._id });
+    });
+
+    it('should start cart pipelines with the ownership $match', async () => {
+      const user = createPlainUser();
+      jest.spyOn(Query, 'findOne').mockResolvedValue(new Query({
+        name: 'cart.countByStatus',
+        collection: 'carts',
+        query: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        parameters: []
+      }));
+      jest.spyOn(Query.prototype, 'recordExecution').mockResolvedValue();
+
+      await DynamicQueryService.executeQuery('cart.countByStatus', {}, {}, undefined, user);
+
+      const [, pipeline] = DynamicQueryService.runAggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: { userId: user._id } });
+    });
+
+    it('should not limit carts for holders of carts:manage', async () => {
+      await DynamicQueryService.executeQuery(
+        'cart.findByStatus', { status: 'ACTIVE' }, {}, undefined, createUser(USER_ROLES.USER, [
+          PERMISSIONS.QUERIES_EXECUTE,
+          PERMISSIONS.CARTS_MANAGE
+        ])
+      );
+
+      const [, filter] = DynamicQueryService.runFind.mock.calls[0];
+      expect(filter).toEqual({ status: 'ACTIVE', active: true });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+// The policy is read from the environment when the config loads
+process.env.EMAIL_VERIFICATION_POLICY = 'login';
+
+const mongoose = require('mongoose');
+const User = require('../../../src/models/User');
+const AuthenticationService = require('../../../src/services/authService');
+const MailService = require('../../../src/services/mailService');
+const { generateEmailVerificationToken, verifyToken } = require('../../../src/utils/jwt');
+const { EmailNotVerifiedError, TokenError } = require('../../../src/exceptions');
+const { TOKEN_TYPES } = require('../../../src/utils/constants');
+
+/**
+ * A saved, unverified user
+ */
+function createUser(fields = {}) {
+  return User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'student',
+    email: 'student@university.lk',
+    role: 'user',
+    active: true,
+    emailVerified: false,
+    twoFactor: { enabled: false },
+    ...fields
+  });
+}
+
+describe('Email verification', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(MailService, 'sendEmailVerification').mockResolvedValue();
+  });
+
+  describe('register', () => {
+    it('should create an unverified account and email a signed token', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+
+      const result = await AuthenticationService.register({
+        username: 'newstudent',
+        email: 'new@student.lk',
+        password: 'Kandy#Lake2024',
+        name: 'New Student',
+        age: 21,
+        university: 'University of Colombo'
+      });
+
+      expect(result.user.emailVerified).toBe(false);
+
+      const [recipient, token] = MailService.sendEmailVerification.mock.calls[0];
+      expect(verifyToken(token, TOKEN_TYPES.EMAIL_VERIFICATION)).toMatchObject({
+        userId: recipient._id.toString(),
+        email: 'new@student.lk'
+      });
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should mark the account verified', async () => {
+      const user = createUser();
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+
+      await AuthenticationService.verifyEmail(generateEmailVerificationToken(user));
+
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should reject a token for an earlier email address', async () => {
+      const user = createUser();
+      const token = generateEmailVerificationToken(user);
+      user.email = 'changed@university.lk';
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      await expect(AuthenticationService.verifyEmail(token))
+        .rejects
+        .toBeInstanceOf(TokenError);
+    });
+
+    it('should reject tokens of other types', async () => {
+      await expect(AuthenticationService.verifyEmail('not-a-token'))
+        .rejects
+        .toBeInstanceOf(TokenError);
+    });
+  });
+
+  describe('resendVerificationEmail', () => {
+    it('should send a new link to an unverified account', async () => {
+      const user = createUser();
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      await AuthenticationService.resendVerificationEmail('Student@University.lk');
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'student@university.lk', active: true });
+      expect(MailService.sendEmailVerification).toHaveBeenCalledWith(user, expect.any(String));
+    });
+
+    it('should answer the same way without sending for verified or unknown emails', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(createUser({ emailVerified: true }));
+      const verifiedResult = await AuthenticationService.resendVerificationEmail('student@university.lk');
+
+      User.findOne.mockResolvedValue(null);
+      const unknownResult = await AuthenticationService.resendVerificationEmail('nobody@university.lk');
+
+      expect(verifiedResult).toEqual(unknownResult);
+      expect(MailService.sendEmailVerification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('should require a changed email address to be verified again', async () => {
+      const user = createUser({ email: 'changed@university.lk' });
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => createUser({ emailVerified: true }) });
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+
+      await AuthenticationService.updateProfile(user._id, { email: 'Changed@University.lk' });
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        user._id,
+        { email: 'Changed@University.lk', emailVerified: false, emailVerifiedAt: null },
+        expect.anything()
+      );
+      expect(MailService.sendEmailVerification).toHaveBeenCalledWith(user, expect.any(String));
+    });
+
+    it('should not let users mark themselves verified', async () => {
+      const user = createUser();
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+
+      await AuthenticationService.updateProfile(user._id, { name: 'Student', emailVerified: true });
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(user._id, { name: 'Student' }, expect.anything());
+      expect(MailService.sendEmailVerification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('login policy', () => {
+    it('should refuse to log in an unverified account', async () => {
+      jest.spyOn(AuthenticationService, 'completeLogin');
+
+      await expect(AuthenticationService.continueLogin(createUser()))
+        .rejects
+        .toBeInstanceOf(EmailNotVerifiedError);
+
+      expect(AuthenticationService.completeLogin).not.toHaveBeenCalled();
+    });
+
+    it('should log in a verified account', async () => {
+      jest.spyOn(AuthenticationService, 'completeLogin').mockResolvedValue({ success: true });
+
+      await expect(AuthenticationService.continueLogin(createUser({ emailVerified: true })))
+        .resolves
+        .toEqual({ success: true });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Faculty = require('../../../src/models/Faculty');
+const FacultyService = require('../../../src/services/facultyService');
+const AuditService = require('../../../src/services/auditService');
+const { FacultyNotFoundError } = require('../../../src/exceptions');
+
+const admin = { _id: new mongoose.Types.ObjectId(), $locals: {} };
+
+describe('FacultyService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+  });
+
+  describe('updateFaculty', () => {
+    const facultyId = new mongoose.Types.ObjectId().toString();
+
+    it('should only update an active faculty', async () => {
+      const faculty = Faculty.hydrate({
+        _id: facultyId,
+        name: 'Faculty of Science',
+        universityId: new mongoose.Types.ObjectId(),
+        active: true
+      });
+      jest.spyOn(Faculty, 'findOne').mockResolvedValue(faculty);
+      jest.spyOn(Faculty, 'findOneAndUpdate').mockResolvedValue(faculty);
+
+      await FacultyService.updateFaculty(admin, facultyId, { description: 'Natural sciences' });
+
+      expect(Faculty.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: facultyId, active: true },
+        { description: 'Natural sciences' },
+        expect.anything()
+      );
+    });
+
+    it('should not update a deleted faculty', async () => {
+      jest.spyOn(Faculty, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Faculty, 'findOneAndUpdate');
+
+      await expect(FacultyService.updateFaculty(admin, facultyId, { description: 'Restored' }))
+        .rejects
+        .toBeInstanceOf(FacultyNotFoundError);
+
+      expect(Faculty.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not update a faculty deleted after it was read', async () => {
+      jest.spyOn(Faculty, 'findOne').mockResolvedValue(Faculty.hydrate({
+        _id: facultyId,
+        name: 'Faculty of Science',
+        universityId: new mongoose.Types.ObjectId(),
+        active: true
+      }));
+      jest.spyOn(Faculty, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(FacultyService.updateFaculty(admin, facultyId, { description: 'Restored' }))
+        .rejects
+        .toBeInstanceOf(FacultyNotFoundError);
+
+      expect(AuditService.record).not.toHaveBeenCalled();
+    });
+  });
+});
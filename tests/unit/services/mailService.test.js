@@ -0,0 +1,53 @@
+const MailService = require('../../../src/services/mailService');
+const { logger, redact } = require('../../../src/utils/logger');
+
+const user = { name: 'Nimal Perera', email: 'nimal@example.lk' };
+
+describe('MailService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('console transport', () => {
+    it('should log messages through the logger with the token redacted', async () => {
+      jest.spyOn(logger, 'info').mockImplementation(() => {});
+      jest.spyOn(console, 'log');
+
+      await MailService.sendPasswordReset(user, 'reset-token-123');
+
+      expect(console.log).not.toHaveBeenCalled();
+      const [message, fields] = logger.info.mock.calls[0];
+      expect(message).toBe('Mail sent');
+      expect(fields).toMatchObject({ to: user.email, subject: 'Reset your password' });
+      expect(JSON.stringify(redact(fields))).not.toContain('reset-token-123');
+    });
+  });
+
+  describe('getTransport', () => {
+    let SmtpMailService;
+
+    beforeEach(() => {
+      // A fresh config and transport registry with MAIL_TRANSPORT=smtp
+      process.env.MAIL_TRANSPORT = 'smtp';
+      jest.isolateModules(() => {
+        SmtpMailService = require('../../../src/services/mailService');
+      });
+      delete process.env.MAIL_TRANSPORT;
+    });
+
+    it('should reject a transport name that is not registered', () => {
+      expect(() => SmtpMailService.getTransport()).toThrow('Mail transport \'smtp\' is not registered');
+    });
+
+    it('should return the transport once it is registered', () => {
+      const smtpTransport = { send: async () => ({}) };
+      SmtpMailService.registerTransport('smtp', smtpTransport);
+
+      expect(SmtpMailService.getTransport()).toBe(smtpTransport);
+    });
+
+    it('should reject transports without send', () => {
+      expect(() => SmtpMailService.registerTransport('smtp', {})).toThrow('must implement send(message)');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+// The providers are read from the environment when the config loads
+process.env.OIDC_PROVIDERS = JSON.stringify([
+  { id: 'colombo', name: 'University of Colombo', issuer: 'https://idp.cmb.ac.lk', clientId: 'sup', linkByEmail: true },
+  { id: 'closed', name: 'Closed IdP', issuer: 'https://idp.example.lk', clientId: 'sup', allowSignup: false }
+]);
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../../src/models/User');
+const OidcLoginState = require('../../../src/models/OidcLoginState');
+const OidcService = require('../../../src/services/oidcService');
+const AuthenticationService = require('../../../src/services/authService');
+const AuditService = require('../../../src/services/auditService');
+const { generatePkcePair } = require('../../../src/utils/oidc');
+const { hashToken } = require('../../../src/utils/helpers');
+const {
+  AuthenticationError,
+  ConflictError,
+  TokenError,
+  ValidationError
+} = require('../../../src/exceptions');
+const { ERROR_MESSAGES } = require('../../../src/utils/constants');
+
+const claims = {
+  sub: 'colombo-42',
+  email: 'nimal@cmb.ac.lk',
+  email_verified: true,
+  name: 'Nimal Perera',
+  university: 'University of Colombo'
+};
+
+/**
+ * A saved user with the given fields
+ */
+function createUser(fields = {}) {
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'nimal',
+    email: 'nimal@cmb.ac.lk',
+    active: true,
+    identities: [],
+    ...fields
+  });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+}
+
+describe('OidcService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+    jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+  });
+
+  describe('generatePkcePair', () => {
+    it('should derive the S256 challenge from a fresh verifier', () => {
+      const first = generatePkcePair();
+      const second = generatePkcePair();
+
+      expect(first.codeVerifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+      expect(first.codeChallenge).toBe(crypto.createHash('sha256').update(first.codeVerifier).digest('base64url'));
+      expect(first.codeVerifier).not.toBe(second.codeVerifier);
+    });
+  });
+
+  describe('createAuthorizationRequest', () => {
+    it('should store only the hash of the state', async () => {
+      jest.spyOn(OidcService, 'discover').mockResolvedValue({ authorization_endpoint: 'https://idp.cmb.ac.lk/authorize' });
+      jest.spyOn(OidcLoginState, 'create').mockResolvedValue({});
+
+      const result = await OidcService.startLogin('colombo');
+
+      const [stored] = OidcLoginState.create.mock.calls[0];
+      expect(stored.stateHash).toBe(hashToken(result.data.state));
+      expect(stored.provider).toBe('colombo');
+      expect(stored.userId).toBeNull();
+      expect(result.data.authorizationUrl).not.toContain(stored.codeVerifier);
+    });
+  });
+
+  describe('findOrProvisionUser', () => {
+    const provider = () => OidcService.getProvider('colombo');
+
+    it('should return the user already linked to the subject', async () => {
+      const user = createUser({ identities: [{ provider: 'colombo', subject: 'colombo-42' }] });
+      User.findByIdentity.mockResolvedValue(user);
+
+      await expect(OidcService.findOrProvisionUser(provider(), claims)).resolves.toBe(user);
+      expect(User.findByIdentity).toHaveBeenCalledWith('colombo', 'colombo-42');
+    });
+
+    it('should link an existing account with the same verified email', async () => {
+      const user = createUser();
+      User.findOne.mockResolvedValue(user);
+
+      await OidcService.findOrProvisionUser(provider(), { ...claims, email: 'Nimal@CMB.ac.lk' });
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'nimal@cmb.ac.lk' });
+      expect(user.identities[0]).toMatchObject({ provider: 'colombo', subject: 'colombo-42' });
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should not link an existing account by an unverified email', async () => {
+      const user = createUser();
+      User.findOne.mockResolvedValue(user);
+
+      await expect(OidcService.findOrProvisionUser(provider(), { ...claims, email_verified: false }))
+        .rejects
+        .toMatchObject({ message: ERROR_MESSAGES.OIDC_ACCOUNT_EXISTS });
+
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should not link by email unless the provider allows it', async () => {
+      User.findOne.mockResolvedValue(createUser());
+
+      await expect(OidcService.findOrProvisionUser(OidcService.getProvider('closed'), claims))
+        .rejects
+        .toBeInstanceOf(ConflictError);
+    });
+
+    it('should create an account and ask to verify an unverified email', async () => {
+      jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(AuthenticationService, 'sendVerificationEmail').mockResolvedValue();
+
+      const user = await OidcService.findOrProvisionUser(provider(), { ...claims, email_verified: false });
+
+      expect(user).toMatchObject({
+        name: 'Nimal Perera',
+        username: 'nimal',
+        email: 'nimal@cmb.ac.lk',
+        university: 'University of Colombo',
+        emailVerified: false
+      });
+      expect(user.password).toBeUndefined();
+      expect(AuthenticationService.sendVerificationEmail).toHaveBeenCalledWith(user);
+    });
+
+    it('should not create accounts when signup is off', async () => {
+      await expect(OidcService.findOrProvisionUser(OidcService.getProvider('closed'), claims))
+        .rejects
+        .toBeInstanceOf(AuthenticationError);
+    });
+
+    it.each([
+      ['an email', { email: undefined }],
+      ['a university', { university: ' ' }]
+    ])('should require %s', async (name, missing) => {
+      await expect(OidcService.findOrProvisionUser(provider(), { ...claims, ...missing }))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('generateUsername', () => {
+    it('should strip the claim to letters and digits and avoid taken names', async () => {
+      User.exists.mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+
+      const username = await OidcService.generateUsername('Nimal.Perera');
+
+      expect(username).toMatch(/^nimalperera\d{4}$/);
+    });
+
+    it('should pad short names', async () => {
+      await expect(OidcService.generateUsername('N.')).resolves.toBe('usern');
+    });
+  });
+
+  describe('completeLogin', () => {
+    it('should refuse a state started for linking', async () => {
+      jest.spyOn(OidcLoginState, 'consume').mockResolvedValue({ userId: new mongoose.Types.ObjectId() });
+      jest.spyOn(OidcService, 'fetchClaims');
+
+      await expect(OidcService.completeLogin('colombo', { code: 'code', state: 'state' }))
+        .rejects
+        .toBeInstanceOf(TokenError);
+
+      expect(OidcService.fetchClaims).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completeLink', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      jest.spyOn(OidcLoginState, 'consume').mockResolvedValue({ userId });
+      jest.spyOn(OidcService, 'fetchClaims').mockResolvedValue(claims);
+    });
+
+    it('should add the identity to the account that started linking', async () => {
+      const user = createUser({ _id: userId, identities: [{ provider: 'colombo', subject: 'colombo-42' }] });
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+
+      await OidcService.completeLink(userId, 'colombo', { code: 'code', state: 'state' });
+
+      const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: userId, 'identities.provider': { $ne: 'colombo' } });
+      expect(update.$push.identities).toMatchObject({ provider: 'colombo', subject: 'colombo-42' });
+    });
+
+    it('should refuse a state started by another user', async () => {
+      await expect(OidcService.completeLink(new mongoose.Types.ObjectId(), 'colombo', { code: 'code', state: 'state' }))
+        .rejects
+        .toBeInstanceOf(TokenError);
+    });
+
+    it('should refuse an identity linked to another account', async () => {
+      User.findByIdentity.mockResolvedValue(createUser());
+
+      await expect(OidcService.completeLink(userId, 'colombo', { code: 'code', state: 'state' }))
+        .rejects
+        .toMatchObject({ message: ERROR_MESSAGES.OIDC_IDENTITY_IN_USE });
+    });
+  });
+
+  describe('unlinkProvider', () => {
+    it('should not remove the only way to log in', async () => {
+      const user = createUser({ identities: [{ provider: 'colombo', subject: 'colombo-42' }] });
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+      jest.spyOn(User, 'updateOne');
+
+      await expect(OidcService.unlinkProvider(user._id, 'colombo'))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should unlink a provider from an account with a password', async () => {
+      const user = createUser({ password: 'hash', identities: [{ provider: 'colombo', subject: 'colombo-42' }] });
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const result = await OidcService.unlinkProvider(user._id, 'colombo');
+
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, { $pull: { identities: { provider: 'colombo' } } });
+      expect(result.data.identities).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const PasswordService = require('../../../src/services/passwordService');
+const { hashPassword } = require('../../../src/utils/password');
+const { ValidationError } = require('../../../src/exceptions');
+
+describe('PasswordService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assertPasswordPolicy', () => {
+    it('should reject a password that breaks the policy', () => {
+      expect(() => PasswordService.assertPasswordPolicy('short', { username: 'newstudent' }))
+        .toThrow(ValidationError);
+    });
+
+    it('should accept registration data, whose password is not a hash', () => {
+      jest.spyOn(PasswordService, 'isRecentlyUsed');
+      const userData = { username: 'newstudent', email: 'new@student.lk', password: 'Kandy#Lake2024' };
+
+      expect(() => PasswordService.assertPasswordPolicy(userData.password, userData)).not.toThrow();
+      expect(PasswordService.isRecentlyUsed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertPasswordAllowed', () => {
+    it('should reject the current password of a saved user', async () => {
+      const user = { username: 'student', password: await hashPassword('Kandy#Lake2024', 4), passwordHistory: [] };
+
+      await expect(PasswordService.assertPasswordAllowed('Kandy#Lake2024', user))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+
+    it('should reject a password from the history', async () => {
+      const user = {
+        username: 'student',
+        password: await hashPassword('Galle#Fort2025', 4),
+        passwordHistory: [await hashPassword('Kandy#Lake2024', 4)]
+      };
+
+      await expect(PasswordService.assertPasswordAllowed('Kandy#Lake2024', user))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+
+    it('should accept a new password', async () => {
+      const user = { username: 'student', password: await hashPassword('Galle#Fort2025', 4), passwordHistory: [] };
+
+      await expect(PasswordService.assertPasswordAllowed('Kandy#Lake2024', user)).resolves.toBeUndefined();
+    });
+  });
+});
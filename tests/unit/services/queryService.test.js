@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Query = require('../../../src/models/Query');
+const QueryVersion = require('../../../src/models/QueryVersion');
+const QueryService = require('../../../src/services/queryService');
+const AuditService = require('../../../src/services/auditService');
+const {
+  QueryAlreadyExistsError,
+  QueryNotFoundError,
+  UnsafeQueryError,
+  ValidationError
+} = require('../../../src/exceptions');
+const { CacheManager } = require('../../../src/config/cache');
+
+const queryId = new mongoose.Types.ObjectId();
+const currentUser = { _id: new mongoose.Types.ObjectId() };
+
+const storedTemplate = {
+  _id: queryId,
+  name: 'user.findActive',
+  collection: 'users',
+  query: { active: true },
+  parameters: [],
+  category: 'search',
+  tags: [],
+  active: true,
+  version: 1
+};
+
+/**
+ * In-memory stand-ins for the queries and queryversions collections,
+ * including their unique indexes
+ */
+function mockCollections({ takenNames = [], active = true } = {}) {
+  const versions = [];
+  let stored = { ...storedTemplate, active };
+
+  jest.spyOn(Query, 'findOne').mockImplementation(async ({ _id, active }) => (
+    String(_id) === String(stored._id) && active === stored.active ? Query.hydrate({ ...stored }) : null
+  ));
+  jest.spyOn(Query.prototype, 'save').mockImplementation(async function() {
+    if (takenNames.includes(this.name)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    stored = this.toObject({ virtuals: false });
+    return this;
+  });
+
+  jest.spyOn(QueryVersion, 'exists').mockImplementation(async () => versions.length > 0);
+  jest.spyOn(QueryVersion, 'create').mockImplementation(async data => {
+    if (versions.some(version => version.version === data.version)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const version = { _id: new mongoose.Types.ObjectId(), ...data };
+    versions.push(version);
+    return version;
+  });
+  jest.spyOn(QueryVersion, 'deleteOne').mockImplementation(async ({ _id }) => {
+    versions.splice(versions.findIndex(version => version._id === _id), 1);
+  });
+  jest.spyOn(QueryVersion, 'findVersion').mockImplementation((id, number) => {
+    const version = versions.find(candidate => candidate.version === number) || null;
+    const chain = { populate: () => chain, lean: async () => version };
+    return chain;
+  });
+
+  return { versions, getStored: () => stored };
+}
+
+describe('QueryService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+  });
+
+  describe('getAllQueries', () => {
+    beforeEach(() => {
+      CacheManager.clear('queries');
+    });
+
+    it('should list active queries of a collection and category', async () => {
+      const chain = { sort: () => chain, skip: () => chain, limit: () => chain, lean: async () => [storedTemplate] };
+      jest.spyOn(Query, 'find').mockReturnValue(chain);
+      jest.spyOn(Query, 'countDocuments').mockResolvedValue(1);
+
+      const result = await QueryService.getAllQueries({ collection: 'users', category: 'search', tag: 'Active' });
+
+      expect(Query.find).toHaveBeenCalledWith({
+        active: true,
+        collection: 'users',
+        category: 'search',
+        tags: 'active'
+      });
+      expect(result.count).toBe(1);
+    });
+
+    it.each([
+      ['collection', { collection: 'auditlogs' }],
+      ['category', { category: 'destructive' }]
+    ])('should reject an unknown %s', async (name, query) => {
+      await expect(QueryService.getAllQueries(query)).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('createQuery', () => {
+    it('should save the template as version 1', async () => {
+      jest.spyOn(Query, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Query.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(QueryVersion, 'create').mockImplementation(async data => data);
+
+      const { _id, version, ...template } = storedTemplate;
+      const result = await QueryService.createQuery(currentUser, template);
+
+      expect(result.data.version).toBe(1);
+      expect(QueryVersion.create).toHaveBeenCalledWith(expect.objectContaining({ version: 1, action: 'create' }));
+    });
+
+    it('should refuse a name that is taken', async () => {
+      jest.spyOn(Query, 'findOne').mockResolvedValue(Query.hydrate({ ...storedTemplate }));
+
+      await expect(QueryService.createQuery(currentUser, { ...storedTemplate, _id: undefined }))
+        .rejects
+        .toBeInstanceOf(QueryAlreadyExistsError);
+    });
+
+    it('should reject a template outside the sandbox before saving it', async () => {
+      jest.spyOn(Query, 'findOne').mockResolvedValue(null);
+      jest.spyOn(QueryVersion, 'create');
+
+      await expect(QueryService.createQuery(currentUser, {
+        name: 'user.exportAll',
+        collection: 'users',
+        query: [{ $match: {} }, { $out: 'leaked' }],
+        parameters: []
+      }))
+        .rejects
+        .toBeInstanceOf(UnsafeQueryError);
+
+      expect(QueryVersion.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteQuery', () => {
+    it('should deactivate the query', async () => {
+      jest.spyOn(Query, 'findByIdAndUpdate').mockResolvedValue(Query.hydrate({ ...storedTemplate, active: false }));
+
+      await QueryService.deleteQuery(queryId.toString());
+
+      expect(Query.findByIdAndUpdate).toHaveBeenCalledWith(queryId.toString(), { active: false }, { new: true });
+    });
+
+    it('should report a missing query', async () => {
+      jest.spyOn(Query, 'findByIdAndUpdate').mockResolvedValue(null);
+
+      await expect(QueryService.deleteQuery(queryId.toString())).rejects.toBeInstanceOf(QueryNotFoundError);
+    });
+  });
+
+  describe('updateQuery', () => {
+    it('should record a new version with the update', async () => {
+      const { versions } = mockCollections();
+
+      const result = await QueryService.updateQuery(currentUser, queryId.toString(), {
+        description: 'Active users'
+      });
+
+      expect(result.data.version).toBe(2);
+      expect(versions.map(version => version.version)).toEqual([1, 2]);
+      expect(versions[1].template.description).toBe('Active users');
+    });
+
+    it('should not leave a version behind when a rename hits a taken name', async () => {
+      const { versions } = mockCollections({ takenNames: ['user.findAll'] });
+
+      await expect(QueryService.updateQuery(currentUser, queryId.toString(), { name: 'user.findAll' }))
+        .rejects
+        .toBeInstanceOf(QueryAlreadyExistsError);
+
+      expect(versions.map(version => version.version)).toEqual([1]);
+
+      const result = await QueryService.updateQuery(currentUser, queryId.toString(), {
+        name: 'user.findActiveUsers'
+      });
+
+      expect(result.data.version).toBe(2);
+      expect(result.data.name).toBe('user.findActiveUsers');
+    });
+  });
+
+  describe('ensureBaselineVersion', () => {
+    it('should accept a baseline recorded by a concurrent request', async () => {
+      const { versions } = mockCollections();
+      // Both requests see no versions before either records one
+      QueryVersion.exists.mockResolvedValue(false);
+
+      const queryDoc = Query.hydrate({ ...storedTemplate });
+      await Promise.all([
+        QueryService.ensureBaselineVersion(queryDoc),
+        QueryService.ensureBaselineVersion(queryDoc)
+      ]);
+
+      expect(versions.map(version => version.version)).toEqual([1]);
+    });
+  });
+
+  describe('deleted queries', () => {
+    beforeEach(() => {
+      CacheManager.clear('queries');
+    });
+
+    it('should not be returned by ID', async () => {
+      jest.spyOn(Query, 'findOne').mockReturnValue({ populate: async () => null });
+
+      await expect(QueryService.getQueryById(queryId.toString()))
+        .rejects
+        .toBeInstanceOf(QueryNotFoundError);
+
+      expect(Query.findOne).toHaveBeenCalledWith({ _id: queryId.toString(), active: true });
+    });
+
+    it.each([
+      ['list versions of', () => QueryService.getQueryVersions(queryId.toString())],
+      ['read a version of', () => QueryService.getQueryVersion(queryId.toString(), 1)],
+      ['diff', () => QueryService.diffQueryVersions(queryId.toString(), 1, 2)],
+      ['roll back', () => QueryService.rollbackQuery(currentUser, queryId.toString(), 1)]
+    ])('should not %s a deleted query', async (name, action) => {
+      const { versions } = mockCollections({ active: false });
+
+      await expect(action()).rejects.toBeInstanceOf(QueryNotFoundError);
+      expect(versions).toHaveLength(0);
+    });
+  });
+
+  describe('rollbackQuery', () => {
+    it('should restore an earlier template as a new version', async () => {
+      const { versions, getStored } = mockCollections();
+
+      await QueryService.updateQuery(currentUser, queryId.toString(), { query: { active: false } });
+      const result = await QueryService.rollbackQuery(currentUser, queryId.toString(), 1);
+
+      expect(result.data.version).toBe(3);
+      expect(getStored().query).toEqual({ active: true });
+      expect(versions[2]).toMatchObject({ version: 3, action: 'rollback', restoredFrom: 1 });
+    });
+
+    it('should refuse to roll back to the current version', async () => {
+      mockCollections();
+
+      await expect(QueryService.rollbackQuery(currentUser, queryId.toString(), 1))
+        .rejects
+        .toThrow('Version 1 is already the current version');
+    });
+  });
+});
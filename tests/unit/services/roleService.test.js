@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Role = require('../../../src/models/Role');
+const User = require('../../../src/models/User');
+const University = require('../../../src/models/University');
+const RoleService = require('../../../src/services/roleService');
+const AuditService = require('../../../src/services/auditService');
+const { CacheManager } = require('../../../src/config/cache');
+const {
+  ConflictError,
+  RoleAlreadyExistsError,
+  RoleNotFoundError,
+  ValidationError
+} = require('../../../src/exceptions');
+const {
+  AUDIT_ACTIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  PERMISSIONS,
+  ROLE_SCOPES,
+  UNIVERSITY_SCOPED_PERMISSIONS,
+  USER_ROLES
+} = require('../../../src/utils/constants');
+
+/**
+ * Make Role.findByName(...).lean() resolve to a stored role, or to nothing
+ */
+function mockStoredRole(role) {
+  jest.spyOn(Role, 'findByName').mockReturnValue({ lean: async () => role });
+}
+
+/**
+ * Make Role.findById resolve to a stored role with the given fields
+ */
+function mockRole(fields = {}) {
+  const role = Role.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'librarian',
+    permissions: [PERMISSIONS.QUERIES_EXECUTE],
+    scope: ROLE_SCOPES.GLOBAL,
+    system: false,
+    ...fields
+  });
+
+  jest.spyOn(Role, 'findById').mockResolvedValue(role);
+  jest.spyOn(role, 'save').mockResolvedValue(role);
+
+  return role;
+}
+
+describe('RoleService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    CacheManager.clear('roles');
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+  });
+
+  describe('getRoleAccess', () => {
+    it('should give the admin role every permission without a lookup', async () => {
+      jest.spyOn(Role, 'findByName');
+
+      await expect(RoleService.getRoleAccess(USER_ROLES.ADMIN)).resolves.toEqual({
+        permissions: Object.values(PERMISSIONS),
+        scope: ROLE_SCOPES.GLOBAL
+      });
+      expect(Role.findByName).not.toHaveBeenCalled();
+    });
+
+    it('should read the permissions and scope of a stored role', async () => {
+      mockStoredRole({ permissions: [PERMISSIONS.USERS_READ], scope: ROLE_SCOPES.UNIVERSITY });
+
+      await expect(RoleService.getRoleAccess('registrar')).resolves.toEqual({
+        permissions: [PERMISSIONS.USERS_READ],
+        scope: ROLE_SCOPES.UNIVERSITY
+      });
+    });
+
+    it('should fall back to the defaults of a built-in role that is not stored yet', async () => {
+      mockStoredRole(null);
+
+      await expect(RoleService.getRoleAccess(USER_ROLES.UNIVERSITY_ADMIN)).resolves.toEqual({
+        permissions: DEFAULT_ROLE_PERMISSIONS[USER_ROLES.UNIVERSITY_ADMIN],
+        scope: ROLE_SCOPES.UNIVERSITY
+      });
+    });
+
+    it('should grant nothing for an unknown role', async () => {
+      mockStoredRole(null);
+
+      await expect(RoleService.getPermissions('deleted-role')).resolves.toEqual([]);
+    });
+
+    it('should cache what it resolves', async () => {
+      mockStoredRole({ permissions: [PERMISSIONS.USERS_READ] });
+
+      await RoleService.getRoleAccess('registrar');
+      await RoleService.getRoleAccess('registrar');
+
+      expect(Role.findByName).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('resolveAccess', () => {
+    it('should resolve the universities of a university-scoped role', async () => {
+      const universityId = new mongoose.Types.ObjectId();
+      mockStoredRole(null);
+      jest.spyOn(University, 'find').mockReturnValue({
+        select: () => ({ lean: async () => [{ _id: universityId, name: 'University of Colombo' }] })
+      });
+
+      const access = await RoleService.resolveAccess({
+        role: USER_ROLES.UNIVERSITY_ADMIN,
+        managedUniversities: [universityId]
+      });
+
+      expect(University.find).toHaveBeenCalledWith({ _id: { $in: [universityId] }, active: true });
+      expect(access.universityScope).toEqual([{ id: universityId.toString(), name: 'University of Colombo' }]);
+    });
+
+    it('should leave global roles unscoped', async () => {
+      await expect(RoleService.resolveAccess({ role: USER_ROLES.ADMIN }))
+        .resolves
+        .toMatchObject({ universityScope: null });
+    });
+  });
+
+  describe('createRole', () => {
+    beforeEach(() => {
+      jest.spyOn(Role.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    it('should store a role without duplicate permissions', async () => {
+      jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+
+      const result = await RoleService.createRole({
+        name: 'librarian',
+        permissions: [PERMISSIONS.QUERIES_EXECUTE, PERMISSIONS.QUERIES_EXECUTE, PERMISSIONS.USERS_READ]
+      });
+
+      expect(result.data.permissions).toEqual([PERMISSIONS.QUERIES_EXECUTE, PERMISSIONS.USERS_READ]);
+      expect(result.data.scope).toBe(ROLE_SCOPES.GLOBAL);
+      expect(AuditService.record).toHaveBeenCalledWith(AUDIT_ACTIONS.ROLE_CREATE, expect.anything());
+    });
+
+    it('should refuse an existing name', async () => {
+      jest.spyOn(Role, 'findByName').mockResolvedValue(Role.hydrate({ name: 'librarian' }));
+
+      await expect(RoleService.createRole({ name: 'Librarian', permissions: [] }))
+        .rejects
+        .toBeInstanceOf(RoleAlreadyExistsError);
+    });
+
+    it('should refuse university-scoped roles with permissions that cannot be scoped', async () => {
+      jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+
+      await expect(RoleService.createRole({
+        name: 'faculty-office',
+        scope: ROLE_SCOPES.UNIVERSITY,
+        permissions: [...UNIVERSITY_SCOPED_PERMISSIONS, PERMISSIONS.ROLES_MANAGE]
+      }))
+        .rejects
+        .toMatchObject({ details: [PERMISSIONS.ROLES_MANAGE] });
+
+      expect(Role.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateRole', () => {
+    it('should update permissions and drop the cached access', async () => {
+      const role = mockRole();
+      CacheManager.set('roles', 'role:librarian', { permissions: [], scope: ROLE_SCOPES.GLOBAL });
+
+      await RoleService.updateRole(role._id.toString(), { permissions: [PERMISSIONS.USERS_READ] });
+
+      expect(role.permissions).toEqual([PERMISSIONS.USERS_READ]);
+      expect(CacheManager.get('roles', 'role:librarian')).toBeUndefined();
+    });
+
+    it('should not rename a role that users hold', async () => {
+      const role = mockRole();
+      User.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      await expect(RoleService.updateRole(role._id.toString(), { name: 'archivist' }))
+        .rejects
+        .toBeInstanceOf(ConflictError);
+    });
+
+    it('should not rename or rescope built-in roles', async () => {
+      const role = mockRole({ name: USER_ROLES.USER, system: true });
+
+      await expect(RoleService.updateRole(role._id.toString(), { name: 'student' }))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+      await expect(RoleService.updateRole(role._id.toString(), { scope: ROLE_SCOPES.UNIVERSITY }))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+
+    it('should not change the permissions of the admin role', async () => {
+      const role = mockRole({ name: USER_ROLES.ADMIN, system: true, permissions: Object.values(PERMISSIONS) });
+
+      await expect(RoleService.updateRole(role._id.toString(), { permissions: [] }))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+
+      expect(role.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteRole', () => {
+    beforeEach(() => {
+      jest.spyOn(Role, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    });
+
+    it('should delete a custom role nobody holds', async () => {
+      const role = mockRole();
+
+      await RoleService.deleteRole(role._id.toString());
+
+      expect(Role.deleteOne).toHaveBeenCalledWith({ _id: role._id });
+      expect(AuditService.record).toHaveBeenCalledWith(AUDIT_ACTIONS.ROLE_DELETE, expect.anything());
+    });
+
+    it('should not delete a role that users hold', async () => {
+      const role = mockRole();
+      User.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      await expect(RoleService.deleteRole(role._id.toString()))
+        .rejects
+        .toBeInstanceOf(ConflictError);
+
+      expect(Role.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should not delete built-in roles', async () => {
+      const role = mockRole({ name: USER_ROLES.UNIVERSITY_ADMIN, system: true });
+
+      await expect(RoleService.deleteRole(role._id.toString()))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+
+    it('should report unknown roles', async () => {
+      jest.spyOn(Role, 'findById').mockResolvedValue(null);
+
+      await expect(RoleService.deleteRole(new mongoose.Types.ObjectId().toString()))
+        .rejects
+        .toBeInstanceOf(RoleNotFoundError);
+    });
+  });
+
+  describe('assignRole', () => {
+    /**
+     * Make User.findById resolve to a saved user with the given role
+     */
+    function mockUser(role) {
+      const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), username: 'student', role, managedUniversities: [] });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+      return user;
+    }
+
+    it('should assign a global role and clear managed universities', async () => {
+      const user = mockUser(USER_ROLES.USER);
+      jest.spyOn(Role, 'findByName').mockResolvedValue(Role.hydrate({ name: 'librarian', scope: ROLE_SCOPES.GLOBAL }));
+
+      await RoleService.assignRole(user._id.toString(), 'librarian');
+
+      expect(user.role).toBe('librarian');
+      expect(user.managedUniversities).toEqual([]);
+      expect(AuditService.record).toHaveBeenCalledWith(AUDIT_ACTIONS.USER_ROLE_ASSIGN, expect.objectContaining({
+        before: { role: USER_ROLES.USER, managedUniversities: [] }
+      }));
+    });
+
+    it('should require universities for a university-scoped role', async () => {
+      const user = mockUser(USER_ROLES.USER);
+      jest.spyOn(Role, 'findByName').mockResolvedValue(Role.hydrate({
+        name: USER_ROLES.UNIVERSITY_ADMIN,
+        scope: ROLE_SCOPES.UNIVERSITY
+      }));
+
+      await expect(RoleService.assignRole(user._id.toString(), USER_ROLES.UNIVERSITY_ADMIN, []))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should not demote the last active admin', async () => {
+      const user = mockUser(USER_ROLES.ADMIN);
+      jest.spyOn(Role, 'findByName').mockResolvedValue(Role.hydrate({ name: USER_ROLES.USER }));
+      jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+      await expect(RoleService.assignRole(user._id.toString(), USER_ROLES.USER))
+        .rejects
+        .toBeInstanceOf(ConflictError);
+
+      expect(user.role).toBe(USER_ROLES.ADMIN);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const User = require('../../../src/models/User');
+const UserService = require('../../../src/services/userService');
+const AuthenticationService = require('../../../src/services/authService');
+const SessionService = require('../../../src/services/sessionService');
+const TwoFactorService = require('../../../src/services/twoFactorService');
+const AuditService = require('../../../src/services/auditService');
+const { AuthorizationError } = require('../../../src/exceptions');
+const { USER_ROLES } = require('../../../src/utils/constants');
+
+const universityId = new mongoose.Types.ObjectId().toString();
+
+/**
+ * A university_admin of the University of Colombo, as resolved by authenticate
+ */
+function createScopedAdmin() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    role: USER_ROLES.UNIVERSITY_ADMIN,
+    university: 'University of Colombo',
+    $locals: { universityScope: [{ id: universityId, name: 'University of Colombo' }] }
+  };
+}
+
+/**
+ * Make User.findById resolve to a user, with or without .select()
+ */
+function mockFindById(user) {
+  const query = Promise.resolve(user);
+  query.select = jest.fn().mockResolvedValue(user);
+  jest.spyOn(User, 'findById').mockReturnValue(query);
+}
+
+describe('University-scoped administrators', () => {
+  let scopedAdmin;
+  let globalAdmin;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    scopedAdmin = createScopedAdmin();
+    globalAdmin = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'globaladmin',
+      role: USER_ROLES.ADMIN,
+      university: 'University of Colombo',
+      active: true
+    });
+
+    jest.spyOn(User, 'findByIdAndUpdate');
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+  });
+
+  it('should not reset the password of an admin at their university', async () => {
+    mockFindById(globalAdmin);
+
+    await expect(AuthenticationService.resetPassword(scopedAdmin, globalAdmin._id.toString(), 'NewPassw0rd!'))
+      .rejects
+      .toBeInstanceOf(AuthorizationError);
+  });
+
+  it.each([
+    ['updateUser', [{ name: 'Changed' }]],
+    ['deleteUser', []],
+    ['deactivateUser', []],
+    ['unlockUser', []]
+  ])('should not let UserService.%s act on an admin at their university', async (method, args) => {
+    mockFindById(globalAdmin);
+
+    await expect(UserService[method](scopedAdmin, globalAdmin._id.toString(), ...args))
+      .rejects
+      .toBeInstanceOf(AuthorizationError);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should not revoke the sessions of an admin at their university', async () => {
+    mockFindById(globalAdmin);
+    const revokeAllSessions = jest.spyOn(SessionService, 'revokeAllSessions');
+
+    await expect(SessionService.revokeUserSessions(scopedAdmin, globalAdmin._id.toString()))
+      .rejects
+      .toBeInstanceOf(AuthorizationError);
+    expect(revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  it('should not turn off the 2FA of an admin at their university', async () => {
+    mockFindById(globalAdmin);
+    const clearTwoFactor = jest.spyOn(TwoFactorService, 'clearTwoFactor');
+
+    await expect(TwoFactorService.resetUserTwoFactor(scopedAdmin, globalAdmin._id.toString()))
+      .rejects
+      .toBeInstanceOf(AuthorizationError);
+    expect(clearTwoFactor).not.toHaveBeenCalled();
+  });
+
+  it('should not act on another university admin at their university', async () => {
+    const otherScopedAdmin = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      role: USER_ROLES.UNIVERSITY_ADMIN,
+      university: 'University of Colombo'
+    });
+    mockFindById(otherScopedAdmin);
+
+    await expect(UserService.deactivateUser(scopedAdmin, otherScopedAdmin._id.toString()))
+      .rejects
+      .toBeInstanceOf(AuthorizationError);
+  });
+
+  it('should not act on a user of another university', async () => {
+    const outsider = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      role: USER_ROLES.USER,
+      university: 'University of Moratuwa'
+    });
+    mockFindById(outsider);
+
+    await expect(UserService.deactivateUser(scopedAdmin, outsider._id.toString()))
+      .rejects
+      .toBeInstanceOf(AuthorizationError);
+  });
+
+  it('should deactivate a plain user at their university', async () => {
+    const student = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'student',
+      role: USER_ROLES.USER,
+      university: 'University of Colombo',
+      active: true
+    });
+    mockFindById(student);
+    User.findByIdAndUpdate.mockResolvedValue(User.hydrate({ ...student.toObject(), active: false }));
+
+    const result = await UserService.deactivateUser(scopedAdmin, student._id.toString());
+
+    expect(result.success).toBe(true);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(student._id.toString(), { active: false }, { new: true });
+  });
+});
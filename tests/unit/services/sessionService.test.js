@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Session = require('../../../src/models/Session');
+const RefreshToken = require('../../../src/models/RefreshToken');
+const User = require('../../../src/models/User');
+const SessionService = require('../../../src/services/sessionService');
+const AuditService = require('../../../src/services/auditService');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../../../src/exceptions');
+const {
+  SESSION,
+  TOKEN_REVOCATION_REASONS,
+  UNIVERSITY_SCOPED_PERMISSIONS,
+  USER_ROLES,
+  AUDIT_ACTIONS
+} = require('../../../src/utils/constants');
+
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Make Session.findById resolve to a lean session with the given fields
+ */
+function mockSession(fields = {}) {
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    lastUsedAt: new Date(),
+    ...fields
+  };
+
+  jest.spyOn(Session, 'findById').mockReturnValue({ lean: async () => session });
+
+  return session;
+}
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Session, 'revoke').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'revokeUser').mockResolvedValue({});
+  });
+
+  describe('validateSession', () => {
+    it('should return an active session', async () => {
+      const session = mockSession();
+
+      await expect(SessionService.validateSession(session._id.toString(), '10.0.0.1')).resolves.toBe(session);
+    });
+
+    it.each([
+      ['revoked', { revokedAt: new Date() }],
+      ['expired', { expiresAt: new Date(Date.now() - 1000) }]
+    ])('should reject a session once %s', async (state, fields) => {
+      const session = mockSession(fields);
+
+      await expect(SessionService.validateSession(session._id.toString(), '10.0.0.1')).resolves.toBeNull();
+    });
+
+    it('should reject unknown and malformed session IDs', async () => {
+      jest.spyOn(Session, 'findById').mockReturnValue({ lean: async () => null });
+
+      await expect(SessionService.validateSession(new mongoose.Types.ObjectId().toString())).resolves.toBeNull();
+      await expect(SessionService.validateSession('not-an-id')).resolves.toBeNull();
+      await expect(SessionService.validateSession(undefined)).resolves.toBeNull();
+    });
+
+    it('should record activity on a session not used for a while', async () => {
+      const session = mockSession({ lastUsedAt: new Date(Date.now() - SESSION.TOUCH_INTERVAL_MS) });
+
+      await SessionService.validateSession(session._id.toString(), '10.0.0.1');
+
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: session._id },
+        { $set: { lastUsedAt: expect.any(Date), lastUsedIp: '10.0.0.1' } }
+      );
+    });
+
+    it('should not record activity on every request', async () => {
+      const session = mockSession();
+
+      await SessionService.validateSession(session._id.toString(), '10.0.0.1');
+
+      expect(Session.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUserSessions', () => {
+    it('should flag the session making the request', async () => {
+      const current = { _id: new mongoose.Types.ObjectId(), userAgent: 'Firefox', ip: '10.0.0.1' };
+      const other = { _id: new mongoose.Types.ObjectId(), userAgent: 'curl', ip: '10.0.0.2' };
+      const query = {
+        select: () => query,
+        sort: () => query,
+        lean: async () => [current, other]
+      };
+      jest.spyOn(Session, 'findActiveByUser').mockReturnValue(query);
+
+      const result = await SessionService.getUserSessions(userId, current._id.toString());
+
+      expect(Session.findActiveByUser).toHaveBeenCalledWith(userId);
+      expect(result.count).toBe(2);
+      expect(result.data.map(session => [session.userAgent, session.current])).toEqual([
+        ['Firefox', true],
+        ['curl', false]
+      ]);
+    });
+  });
+
+  describe('revokeOwnSession', () => {
+    const currentUser = { _id: userId };
+
+    it('should revoke the session and its refresh token family', async () => {
+      const session = Session.hydrate({ _id: new mongoose.Types.ObjectId(), userId });
+      jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+
+      await SessionService.revokeOwnSession(currentUser, session._id.toString());
+
+      expect(Session.findOne).toHaveBeenCalledWith({
+        _id: session._id.toString(),
+        userId,
+        revokedAt: null
+      });
+      expect(Session.revoke).toHaveBeenCalledWith({ _id: session._id }, TOKEN_REVOCATION_REASONS.USER_REVOKED);
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(
+        session._id.toString(),
+        TOKEN_REVOCATION_REASONS.USER_REVOKED
+      );
+    });
+
+    it('should report sessions of other users as missing', async () => {
+      jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+      await expect(SessionService.revokeOwnSession(currentUser, new mongoose.Types.ObjectId().toString()))
+        .rejects
+        .toBeInstanceOf(NotFoundError);
+
+      expect(Session.revoke).not.toHaveBeenCalled();
+    });
+
+    it('should reject a malformed session ID', async () => {
+      await expect(SessionService.revokeOwnSession(currentUser, 'current'))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    it('should revoke every session and refresh token of the user', async () => {
+      const result = await SessionService.revokeAllSessions(userId);
+
+      expect(Session.revoke).toHaveBeenCalledWith({ userId }, TOKEN_REVOCATION_REASONS.LOGOUT_ALL);
+      expect(RefreshToken.revokeUser).toHaveBeenCalledWith(userId, TOKEN_REVOCATION_REASONS.LOGOUT_ALL);
+      expect(result.data.revokedSessions).toBe(2);
+    });
+  });
+
+  describe('revokeUserSessions', () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), $locals: { universityScope: null } };
+
+    /**
+     * Make User.findById(...).select(...) resolve to a user with the given role
+     */
+    function mockTarget(role, university = 'University of Colombo') {
+      const target = User.hydrate({ _id: new mongoose.Types.ObjectId(), username: 'student', role, university });
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => target });
+      return target;
+    }
+
+    it('should revoke every session of the user and record it', async () => {
+      const target = mockTarget(USER_ROLES.USER);
+
+      await SessionService.revokeUserSessions(admin, target._id.toString());
+
+      expect(Session.revoke).toHaveBeenCalledWith(
+        { userId: target._id.toString() },
+        TOKEN_REVOCATION_REASONS.ADMIN_REVOKED
+      );
+      expect(AuditService.record).toHaveBeenCalledWith(AUDIT_ACTIONS.USER_SESSIONS_REVOKE, expect.objectContaining({
+        metadata: { revokedSessions: 2 }
+      }));
+    });
+
+    it('should keep university admins to their own university', async () => {
+      const target = mockTarget(USER_ROLES.USER, 'University of Peradeniya');
+      const scopedAdmin = {
+        _id: new mongoose.Types.ObjectId(),
+        $locals: {
+          permissions: UNIVERSITY_SCOPED_PERMISSIONS,
+          universityScope: [{ id: new mongoose.Types.ObjectId().toString(), name: 'University of Colombo' }]
+        }
+      };
+
+      await expect(SessionService.revokeUserSessions(scopedAdmin, target._id.toString()))
+        .rejects
+        .toBeInstanceOf(AuthorizationError);
+
+      expect(Session.revoke).not.toHaveBeenCalled();
+    });
+  });
+});
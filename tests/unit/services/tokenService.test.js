@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('../../../src/models/RefreshToken');
+const Session = require('../../../src/models/Session');
+const User = require('../../../src/models/User');
+const TokenService = require('../../../src/services/tokenService');
+const SessionService = require('../../../src/services/sessionService');
+const { AuthenticationError } = require('../../../src/exceptions');
+const { ERROR_MESSAGES, TOKEN_REVOCATION_REASONS } = require('../../../src/utils/constants');
+
+/**
+ * In-memory stand-in for the refreshtokens collection
+ */
+function mockRefreshTokens() {
+  const tokens = [];
+  const matches = (token, filter) => Object.entries(filter).every(([field, value]) => {
+    return value === null ? !token[field] : String(token[field]) === String(value);
+  });
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async data => {
+    tokens.push({ ...data, revokedAt: null });
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockImplementation(async filter => {
+    return tokens.find(token => matches(token, filter)) || null;
+  });
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+    const token = tokens.find(candidate => matches(candidate, filter));
+    return token ? Object.assign(token, $set) : null;
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, { $set }) => {
+    tokens.filter(token => matches(token, filter)).forEach(token => Object.assign(token, $set));
+  });
+
+  return tokens;
+}
+
+describe('TokenService', () => {
+  let user;
+  let tokens;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'student',
+      email: 'student@university.lk',
+      role: 'user',
+      active: true
+    });
+
+    tokens = mockRefreshTokens();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Session, 'revoke').mockResolvedValue();
+    jest.spyOn(SessionService, 'extendSession').mockResolvedValue();
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('should exchange a refresh token for a new pair in the same family', async () => {
+      const issued = await TokenService.issueTokens(user);
+      const rotated = await TokenService.rotateRefreshToken(issued.refreshToken);
+
+      expect(rotated.sessionId).toBe(issued.sessionId);
+      expect(rotated.refreshToken).not.toBe(issued.refreshToken);
+      expect(tokens.map(token => token.revokedReason)).toEqual([TOKEN_REVOCATION_REASONS.ROTATED, undefined]);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const issued = await TokenService.issueTokens(user);
+      const rotated = await TokenService.rotateRefreshToken(issued.refreshToken);
+
+      await expect(TokenService.rotateRefreshToken(issued.refreshToken))
+        .rejects
+        .toThrow(ERROR_MESSAGES.REFRESH_TOKEN_REUSED);
+
+      expect(Session.revoke).toHaveBeenCalledWith(
+        { _id: issued.sessionId },
+        TOKEN_REVOCATION_REASONS.REUSE_DETECTED
+      );
+      expect(tokens[1].revokedReason).toBe(TOKEN_REVOCATION_REASONS.REUSE_DETECTED);
+
+      // The token the legitimate client holds stops working too
+      await expect(TokenService.rotateRefreshToken(rotated.refreshToken))
+        .rejects
+        .toThrow(ERROR_MESSAGES.SESSION_REVOKED);
+    });
+
+    it('should not revoke other families on reuse', async () => {
+      const first = await TokenService.issueTokens(user);
+      const second = await TokenService.issueTokens(user);
+      await TokenService.rotateRefreshToken(first.refreshToken);
+
+      await expect(TokenService.rotateRefreshToken(first.refreshToken)).rejects.toBeInstanceOf(AuthenticationError);
+
+      await expect(TokenService.rotateRefreshToken(second.refreshToken)).resolves.toMatchObject({
+        sessionId: second.sessionId
+      });
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const issued = await TokenService.issueTokens(user);
+      tokens.length = 0;
+
+      await expect(TokenService.rotateRefreshToken(issued.refreshToken))
+        .rejects
+        .toThrow(ERROR_MESSAGES.REFRESH_TOKEN_INVALID);
+      expect(Session.revoke).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,254 @@
+// The policy is read from the environment when the config loads
+process.env.TWO_FACTOR_REQUIRE_FOR_ADMINS = 'true';
+
+const mongoose = require('mongoose');
+const User = require('../../../src/models/User');
+const TwoFactorService = require('../../../src/services/twoFactorService');
+const RoleService = require('../../../src/services/roleService');
+const AuditService = require('../../../src/services/auditService');
+const {
+  generateSecret,
+  generateTotp,
+  getTimeStep,
+  encryptSecret,
+  decryptSecret
+} = require('../../../src/utils/totp');
+const { hashToken } = require('../../../src/utils/helpers');
+const {
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  ValidationError
+} = require('../../../src/exceptions');
+const {
+  AUDIT_ACTIONS,
+  TWO_FACTOR,
+  USER_ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  UNIVERSITY_SCOPED_PERMISSIONS
+} = require('../../../src/utils/constants');
+
+// Middle of a TOTP time step, so codes and expected steps never straddle two steps
+const NOW = 1700000015000;
+
+/**
+ * Make User.findById(...).select(...) resolve to a user with the given two-factor settings
+ */
+function mockUser(twoFactor = { enabled: false }) {
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'student',
+    email: 'student@university.lk',
+    role: USER_ROLES.USER,
+    twoFactor
+  });
+
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+
+  return user;
+}
+
+/**
+ * A user with two-factor enabled, its plain secret and one recovery code
+ */
+function mockEnrolledUser() {
+  const secret = generateSecret();
+  const user = mockUser({
+    enabled: true,
+    secret: encryptSecret(secret, TwoFactorService.getEncryptionKey()),
+    recoveryCodes: TwoFactorService.hashRecoveryCodes(['ab12c-3de45'])
+  });
+
+  return { user, secret };
+}
+
+describe('TwoFactorService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('setup', () => {
+    it('should store an encrypted pending secret and return it once', async () => {
+      const user = mockUser();
+
+      const result = await TwoFactorService.setup(user._id.toString());
+
+      const { secret, otpauthUri } = result.data;
+      expect(user.twoFactor.enabled).toBe(false);
+      expect(user.twoFactor.pendingSecret).not.toContain(secret);
+      expect(decryptSecret(user.twoFactor.pendingSecret, TwoFactorService.getEncryptionKey())).toBe(secret);
+      expect(otpauthUri).toContain(`secret=${secret}`);
+      expect(otpauthUri).toContain(encodeURIComponent('student@university.lk'));
+    });
+
+    it('should refuse an account that already has two-factor', async () => {
+      const { user } = mockEnrolledUser();
+
+      await expect(TwoFactorService.setup(user._id.toString()))
+        .rejects
+        .toBeInstanceOf(ConflictError);
+    });
+  });
+
+  describe('enable', () => {
+    /**
+     * A user who ran setup, and the plain pending secret
+     */
+    function mockPendingUser() {
+      const secret = generateSecret();
+      const user = mockUser({
+        enabled: false,
+        pendingSecret: encryptSecret(secret, TwoFactorService.getEncryptionKey())
+      });
+
+      return { user, secret };
+    }
+
+    it('should confirm the pending secret and issue hashed recovery codes', async () => {
+      const { user, secret } = mockPendingUser();
+      const pendingSecret = user.twoFactor.pendingSecret;
+
+      const result = await TwoFactorService.enable(user._id.toString(), generateTotp(secret));
+
+      const { recoveryCodes } = result.data;
+      expect(recoveryCodes).toHaveLength(TWO_FACTOR.RECOVERY_CODE_COUNT);
+      expect(user.twoFactor.enabled).toBe(true);
+      expect(user.twoFactor.secret).toBe(pendingSecret);
+      expect(user.twoFactor.pendingSecret).toBeUndefined();
+      expect(user.twoFactor.lastUsedStep).toBe(getTimeStep());
+      expect(user.twoFactor.recoveryCodes.map(code => code.codeHash))
+        .toEqual(recoveryCodes.map(code => hashToken(code.replace('-', ''))));
+      expect(AuditService.record).toHaveBeenCalledWith(AUDIT_ACTIONS.ACCOUNT_TWO_FACTOR_ENABLE, expect.anything());
+    });
+
+    it('should reject a wrong code', async () => {
+      const { user } = mockPendingUser();
+
+      await expect(TwoFactorService.enable(user._id.toString(), '000000'))
+        .rejects
+        .toBeInstanceOf(AuthenticationError);
+
+      expect(user.twoFactor.enabled).toBe(false);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should require setup first', async () => {
+      const user = mockUser();
+
+      await expect(TwoFactorService.enable(user._id.toString(), '123456'))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('should spend the time step of a valid TOTP code', async () => {
+      const { user, secret } = mockEnrolledUser();
+
+      await expect(TwoFactorService.verifyCode(user, generateTotp(secret))).resolves.toBe(true);
+
+      const [filter, update] = User.updateOne.mock.calls[0];
+      expect(filter.$or).toContainEqual({ 'twoFactor.lastUsedStep': { $lt: getTimeStep() } });
+      expect(update).toEqual({ $set: { 'twoFactor.lastUsedStep': getTimeStep() } });
+    });
+
+    it('should reject a TOTP code that was already used', async () => {
+      const { user, secret } = mockEnrolledUser();
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(TwoFactorService.verifyCode(user, generateTotp(secret))).resolves.toBe(false);
+    });
+
+    it('should spend an unused recovery code, however it is typed', async () => {
+      const { user } = mockEnrolledUser();
+
+      await expect(TwoFactorService.verifyCode(user, 'AB12C 3DE45')).resolves.toBe(true);
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        {
+          _id: user._id,
+          'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashToken('ab12c3de45'), usedAt: null } }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': expect.any(Date) } }
+      );
+    });
+
+    it('should reject a used or unknown recovery code', async () => {
+      const { user } = mockEnrolledUser();
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(TwoFactorService.verifyCode(user, 'ab12c-3de45')).resolves.toBe(false);
+    });
+
+    it('should reject any code without an enrolled secret', async () => {
+      const user = mockUser();
+
+      await expect(TwoFactorService.verifyCode(user, '123456')).resolves.toBe(false);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('regenerateRecoveryCodes', () => {
+    it('should replace every recovery code after a valid code', async () => {
+      const { user, secret } = mockEnrolledUser();
+
+      const result = await TwoFactorService.regenerateRecoveryCodes(user._id.toString(), generateTotp(secret));
+
+      const { recoveryCodes } = result.data;
+      expect(User.updateOne).toHaveBeenLastCalledWith(
+        { _id: user._id },
+        { $set: { 'twoFactor.recoveryCodes': TwoFactorService.hashRecoveryCodes(recoveryCodes) } }
+      );
+    });
+
+    it('should keep the codes after a wrong code', async () => {
+      const { user } = mockEnrolledUser();
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(TwoFactorService.regenerateRecoveryCodes(user._id.toString(), '000000'))
+        .rejects
+        .toBeInstanceOf(AuthenticationError);
+
+      expect(AuditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isRequiredForPermissions', () => {
+    it.each([
+      ['admin', Object.values(PERMISSIONS)],
+      ['university_admin', UNIVERSITY_SCOPED_PERMISSIONS],
+      ['a custom role with a manage permission', [PERMISSIONS.QUERIES_EXECUTE, PERMISSIONS.CARTS_MANAGE]]
+    ])('should require two-factor for %s', (name, permissions) => {
+      expect(TwoFactorService.isRequiredForPermissions(permissions)).toBe(true);
+    });
+
+    it('should not require two-factor for read and execute permissions', () => {
+      expect(TwoFactorService.isRequiredForPermissions([
+        ...DEFAULT_ROLE_PERMISSIONS[USER_ROLES.USER],
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.AUDIT_READ
+      ])).toBe(false);
+    });
+  });
+
+  describe('disable', () => {
+    it('should refuse while the role requires two-factor', async () => {
+      const user = User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        role: USER_ROLES.UNIVERSITY_ADMIN,
+        twoFactor: { enabled: true }
+      });
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+      jest.spyOn(RoleService, 'getPermissions').mockResolvedValue(UNIVERSITY_SCOPED_PERMISSIONS);
+
+      await expect(TwoFactorService.disable(user._id.toString(), 'password', '123456'))
+        .rejects
+        .toBeInstanceOf(AuthorizationError);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const University = require('../../../src/models/University');
+const UniversityService = require('../../../src/services/universityService');
+const AuditService = require('../../../src/services/auditService');
+const { CacheManager } = require('../../../src/config/cache');
+const {
+  UniversityAlreadyExistsError,
+  UniversityNotFoundError,
+  ValidationError
+} = require('../../../src/exceptions');
+
+const universityId = new mongoose.Types.ObjectId().toString();
+
+/**
+ * Make University.find resolve to `universities` through its query chain
+ */
+function mockFind(universities) {
+  const chain = {
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: async () => universities
+  };
+
+  jest.spyOn(University, 'find').mockReturnValue(chain);
+  jest.spyOn(University, 'countDocuments').mockResolvedValue(universities.length);
+}
+
+describe('UniversityService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+    CacheManager.clear('universities');
+  });
+
+  describe('getAllUniversities', () => {
+    it('should list active universities matching the filters', async () => {
+      mockFind([{ name: 'University of Peradeniya' }]);
+
+      const result = await UniversityService.getAllUniversities({ location: 'Kandy', type: 'public' });
+
+      expect(University.find).toHaveBeenCalledWith({ active: true, location: /Kandy/i, type: 'public' });
+      expect(result.count).toBe(1);
+      expect(result.meta.totalItems).toBe(1);
+    });
+
+    it('should serve repeated requests from the cache', async () => {
+      mockFind([]);
+
+      await UniversityService.getAllUniversities({ location: 'Colombo' });
+      await UniversityService.getAllUniversities({ location: 'Colombo' });
+
+      expect(University.find).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createUniversity', () => {
+    it('should refuse a name that is taken', async () => {
+      jest.spyOn(University, 'findOne').mockResolvedValue({ name: 'University of Colombo' });
+
+      await expect(UniversityService.createUniversity({ name: 'University of Colombo' }))
+        .rejects
+        .toBeInstanceOf(UniversityAlreadyExistsError);
+    });
+
+    it('should map a duplicate key error from a concurrent create', async () => {
+      jest.spyOn(University, 'findOne').mockResolvedValue(null);
+      jest.spyOn(University.prototype, 'save')
+        .mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      await expect(UniversityService.createUniversity({ name: 'University of Colombo' }))
+        .rejects
+        .toBeInstanceOf(UniversityAlreadyExistsError);
+    });
+  });
+
+  describe('updateUniversity', () => {
+    it('should reject an invalid ID', async () => {
+      await expect(UniversityService.updateUniversity('not-an-id', {}))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+
+    it('should report a missing university', async () => {
+      jest.spyOn(University, 'findById').mockResolvedValue(null);
+
+      await expect(UniversityService.updateUniversity(universityId, { location: 'Galle' }))
+        .rejects
+        .toBeInstanceOf(UniversityNotFoundError);
+    });
+  });
+
+  describe('deleteUniversity', () => {
+    it('should deactivate the university and record it', async () => {
+      jest.spyOn(University, 'findByIdAndUpdate').mockResolvedValue(University.hydrate({
+        _id: universityId,
+        name: 'University of Ruhuna',
+        active: false
+      }));
+
+      await UniversityService.deleteUniversity(universityId);
+
+      expect(University.findByIdAndUpdate).toHaveBeenCalledWith(universityId, { active: false }, { new: true });
+      expect(AuditService.record).toHaveBeenCalled();
+    });
+  });
+
+  describe('getUniversitiesByType', () => {
+    it('should reject an unknown type', async () => {
+      await expect(UniversityService.getUniversitiesByType('military'))
+        .rejects
+        .toBeInstanceOf(ValidationError);
+    });
+  });
+});
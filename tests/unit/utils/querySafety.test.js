@@ -0,0 +1,119 @@
+const { validateQuerySafety, assertQuerySafety } = require('../../../src/utils/querySafety');
+const { UnsafeQueryError } = require('../../../src/exceptions');
+const { QUERY_SAFETY, COLLECTIONS } = require('../../../src/utils/constants');
+
+describe('Query Safety Utilities', () => {
+  describe('assertQuerySafety', () => {
+    it('should accept a find filter of allowed operators', () => {
+      expect(() => assertQuerySafety({
+        age: { $gte: 18, $lte: 30 },
+        $or: [{ university: { $regex: 'colombo', $options: 'i' } }, { active: true }]
+      })).not.toThrow();
+    });
+
+    it('should accept a pipeline of allowed stages', () => {
+      expect(() => assertQuerySafety([
+        { $match: { active: true } },
+        { $group: { _id: '$university', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ])).not.toThrow();
+    });
+
+    it.each(['$where', '$function', '$accumulator'])('should reject %s anywhere in a filter', (operator) => {
+      expect(() => assertQuerySafety({ $and: [{ active: true }, { [operator]: 'return true' }] }))
+        .toThrow(UnsafeQueryError);
+    });
+
+    it.each(['$out', '$merge', '$lookup', '$unionWith', '$currentOp'])('should reject the %s stage', (stage) => {
+      expect(() => assertQuerySafety([{ $match: {} }, { [stage]: 'other' }])).toThrow(UnsafeQueryError);
+    });
+
+    it('should reject forbidden stages inside $facet', () => {
+      expect(() => assertQuerySafety([
+        { $facet: { leaked: [{ $lookup: { from: 'users', as: 'users' } }] } }
+      ])).toThrow(UnsafeQueryError);
+    });
+
+    it('should reject operators outside the allow-list', () => {
+      expect(() => assertQuerySafety({ name: { $jsonSchema: {} } })).toThrow(UnsafeQueryError);
+    });
+
+    it('should reject a $limit above the maximum', () => {
+      expect(() => assertQuerySafety([{ $limit: QUERY_SAFETY.MAX_LIMIT + 1 }])).toThrow(UnsafeQueryError);
+    });
+
+    it('should accept a $limit placeholder until it is substituted', () => {
+      expect(() => assertQuerySafety([{ $limit: '{{limit}}' }])).not.toThrow();
+      expect(() => assertQuerySafety([{ $limit: '5000' }])).toThrow(UnsafeQueryError);
+    });
+
+    it('should reject queries nested deeper than the maximum', () => {
+      let filter = { active: true };
+      for (let i = 0; i < QUERY_SAFETY.MAX_DEPTH; i++) {
+        filter = { $and: [filter] };
+      }
+
+      expect(() => assertQuerySafety(filter)).toThrow(UnsafeQueryError);
+    });
+
+    it('should reject pipelines with too many stages', () => {
+      const pipeline = new Array(QUERY_SAFETY.MAX_PIPELINE_STAGES + 1).fill({ $match: {} });
+
+      expect(() => assertQuerySafety(pipeline)).toThrow(UnsafeQueryError);
+    });
+  });
+
+  describe('validateQuerySafety', () => {
+    it('should report every violation with its path', () => {
+      const violations = validateQuerySafety([
+        { $match: { $where: 'sleep(1000)' } },
+        { $out: 'users' }
+      ]);
+
+      expect(violations.map(violation => violation.path)).toEqual([
+        'query[0].$match.$where',
+        'query[1].$out'
+      ]);
+    });
+
+    it('should reject values that are neither filters nor pipelines', () => {
+      expect(validateQuerySafety('db.users.drop()')).toHaveLength(1);
+    });
+  });
+
+  describe('hidden fields', () => {
+    it.each([
+      ['a filter key', { 'twoFactor.secret': { $exists: true } }],
+      ['a parent of a hidden field', { twoFactor: { secret: 'JBSWY3DPEHPK3PXP' } }],
+      ['a nested filter key', { $or: [{ active: true }, { password: { $regex: '^\\$2' } }] }],
+      ['a field expression', [{ $group: { _id: '$twoFactor.recoveryCodes' } }]],
+      ['a parent in a field expression', [{ $addFields: { copy: '$twoFactor' } }]],
+      ['a $$ROOT expression', [{ $project: { copy: '$$ROOT.twoFactor.pendingSecret' } }]],
+      ['the password history', [{ $unwind: '$passwordHistory' }]],
+      ['a lockout counter', { failedLoginAttempts: { $gte: 4 } }],
+      ['the lock expiry', [{ $sort: { lockUntil: -1 } }]],
+      ['a linked identity', { 'identities.subject': '248289761001' }],
+      ['an expression in $facet', [{ $facet: { leaked: [{ $project: { hash: { $toLower: '$password' } } }] } }]]
+    ])('should reject %s that reaches a hidden user field', (name, query) => {
+      expect(() => assertQuerySafety(query, COLLECTIONS.USERS)).toThrow(UnsafeQueryError);
+    });
+
+    it('should report the hidden field', () => {
+      expect(validateQuerySafety([{ $group: { _id: '$twoFactor.secret' } }], COLLECTIONS.USERS)).toEqual([
+        { path: 'query[0].$group._id', message: 'Field \'twoFactor.secret\' cannot be used in queries' }
+      ]);
+    });
+
+    it('should accept fields next to the hidden ones', () => {
+      expect(() => assertQuerySafety([
+        { $match: { 'twoFactor.enabled': true } },
+        { $group: { _id: '$university', count: { $sum: 1 } } }
+      ], COLLECTIONS.USERS)).not.toThrow();
+    });
+
+    it('should only apply to the collection the fields belong to', () => {
+      expect(() => assertQuerySafety({ password: 'open-sesame' }, COLLECTIONS.CARTS)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} = require('../../../src/utils/totp');
+const { TWO_FACTOR } = require('../../../src/utils/constants');
+
+// The RFC 6238 SHA-1 test secret, '12345678901234567890'
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utilities', () => {
+  describe('base32', () => {
+    it('should encode RFC 4648 test vectors without padding', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('should decode ignoring case, spaces and padding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('MZXW1')).toThrow("Invalid base32 character '1'");
+    });
+
+    it('should generate secrets of the configured length', () => {
+      expect(base32Decode(generateSecret())).toHaveLength(TWO_FACTOR.SECRET_BYTES);
+    });
+  });
+
+  describe('generateTotp', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ])('should match the RFC 6238 code at %i seconds', (seconds, code) => {
+      expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+    });
+
+    it('should match RFC 4226 HOTP codes', () => {
+      expect(generateHotp(RFC_SECRET, 0)).toBe('755224');
+      expect(generateHotp(RFC_SECRET, 9)).toBe('520489');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const now = 1234567890 * 1000;
+    const period = TWO_FACTOR.PERIOD_SECONDS * 1000;
+
+    it('should return the time step of a valid code', () => {
+      expect(verifyTotp(RFC_SECRET, '005924', now)).toBe(getTimeStep(now));
+    });
+
+    it('should accept codes from the neighbouring steps', () => {
+      expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - period), now)).toBe(getTimeStep(now) - 1);
+      expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + period), now)).toBe(getTimeStep(now) + 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 2 * period), now)).toBeNull();
+    });
+
+    it('should ignore spaces typed in the code', () => {
+      expect(verifyTotp(RFC_SECRET, '005 924', now)).toBe(getTimeStep(now));
+    });
+
+    it.each(['', '12345', '1234567', 'abcdef', '00592a'])('should reject the malformed code %p', (code) => {
+      expect(verifyTotp(RFC_SECRET, code, now)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should label the account with the issuer', () => {
+      const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'student@university.lk', issuer: 'Diyawanna Sup' });
+
+      expect(uri).toBe(
+        'otpauth://totp/Diyawanna%20Sup%3Astudent%40university.lk' +
+        `?secret=${RFC_SECRET}&issuer=Diyawanna%20Sup&algorithm=SHA1&digits=6&period=30`
+      );
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate unique codes formatted as xxxxx-xxxxx', () => {
+      const codes = generateRecoveryCodes();
+
+      expect(codes).toHaveLength(TWO_FACTOR.RECOVERY_CODE_COUNT);
+      expect(new Set(codes).size).toBe(codes.length);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+
+    it('should normalize codes as typed', () => {
+      expect(normalizeRecoveryCode(' AB12C-3DE45 ')).toBe('ab12c3de45');
+    });
+  });
+
+  describe('secret encryption', () => {
+    it('should decrypt what it encrypts', () => {
+      const payload = encryptSecret(RFC_SECRET, 'encryption-key');
+
+      expect(payload).not.toContain(RFC_SECRET);
+      expect(decryptSecret(payload, 'encryption-key')).toBe(RFC_SECRET);
+    });
+
+    it('should use a new IV for every encryption', () => {
+      expect(encryptSecret(RFC_SECRET, 'encryption-key')).not.toBe(encryptSecret(RFC_SECRET, 'encryption-key'));
+    });
+
+    it('should refuse to decrypt with another key', () => {
+      expect(() => decryptSecret(encryptSecret(RFC_SECRET, 'encryption-key'), 'another-key')).toThrow();
+    });
+  });
+});